@@ -1,10 +1,16 @@
 import { existsSync, readFileSync } from "node:fs";
 import { dirname } from "node:path";
 import { ClaudeLogsService } from "@better-ccflare/claude-logs";
-import { Config, type RuntimeConfig } from "@better-ccflare/config";
 import {
+	Config,
+	type ConfigChangeEvent,
+	type RuntimeConfig,
+} from "@better-ccflare/config";
+import {
+	ADMIN_TOKEN_ENV,
 	CACHE,
 	DEFAULT_STRATEGY,
+	getAdminToken,
 	getVersion,
 	HTTP_STATUS,
 	NETWORK,
@@ -17,16 +23,22 @@ import {
 import { container, SERVICE_KEYS } from "@better-ccflare/core-di";
 import type { DatabaseOperations } from "@better-ccflare/database";
 import { AsyncDbWriter, DatabaseFactory } from "@better-ccflare/database";
+import { HttpError } from "@better-ccflare/errors";
 import { APIRouter } from "@better-ccflare/http-api";
-import { SessionStrategy } from "@better-ccflare/load-balancer";
+import { errorResponse } from "@better-ccflare/http-common";
+import { createStrategy } from "@better-ccflare/load-balancer";
 import { Logger } from "@better-ccflare/logger";
+import { MetricsCollector, OtlpTraceExporter } from "@better-ccflare/metrics";
 import { getProvider, usageCache } from "@better-ccflare/providers";
 import {
 	AutoRefreshScheduler,
+	BudgetMonitor,
 	getUsageWorker,
 	getValidAccessToken,
+	handleOpenAIRequest,
 	handleProxy,
 	type ProxyContext,
+	replayRequest,
 	terminateUsageWorker,
 } from "@better-ccflare/proxy";
 import type { Account } from "@better-ccflare/types";
@@ -125,6 +137,9 @@ let stopRetentionJob: (() => void) | null = null;
 let stopOAuthCleanupJob: (() => void) | null = null;
 let stopRateLimitCleanupJob: (() => void) | null = null;
 let autoRefreshScheduler: AutoRefreshScheduler | null = null;
+let budgetMonitor: BudgetMonitor | null = null;
+let metricsCollector: MetricsCollector | null = null;
+let traceExporter: OtlpTraceExporter | null = null;
 let claudeLogsServiceInstance: ClaudeLogsService | null = null;
 
 // SSL/TLS configuration
@@ -388,11 +403,25 @@ export default function startServer(options?: {
 			});
 	}
 
+	// Metrics and traces are built from request events off the hot path
+	metricsCollector = new MetricsCollector({
+		dbOps,
+		asyncWriter,
+		getUsage: (accountId) => usageCache.get(accountId),
+	});
+	metricsCollector.start();
+	traceExporter = OtlpTraceExporter.fromEnv(dbOps);
+	traceExporter?.start();
+
 	const apiRouter = new APIRouter({
 		db,
 		config,
 		dbOps,
 		claudeLogsService: claudeLogsServiceInstance || undefined,
+		metrics: metricsCollector,
+		// Replays run through the proxy context created below
+		replayRequest: (requestId, options, clientRequest) =>
+			replayRequest(requestId, options, proxyContext, clientRequest),
 	});
 
 	// Run startup maintenance once (cleanup only) - fire and forget
@@ -469,8 +498,16 @@ export default function startServer(options?: {
 	};
 
 	// Now create the strategy with runtime config
-	const strategy = new SessionStrategy(runtimeConfig.sessionDurationMs);
-	strategy.initialize(dbOps);
+	const buildStrategy = () => {
+		const strategy = createStrategy(config.getStrategy(), {
+			sessionDurationMs: runtimeConfig.sessionDurationMs,
+			options: config.getStrategyOptions(),
+			getUsage: (accountId) => usageCache.get(accountId),
+		});
+		strategy.initialize?.(dbOps);
+		return strategy;
+	};
+	const strategy = buildStrategy();
 
 	// Proxy context
 	const proxyContext: ProxyContext = {
@@ -487,17 +524,15 @@ export default function startServer(options?: {
 	autoRefreshScheduler = new AutoRefreshScheduler(db, proxyContext);
 	autoRefreshScheduler.start();
 
+	// Initialize budget monitor
+	budgetMonitor = new BudgetMonitor(dbOps);
+	budgetMonitor.start();
+
 	// Hot reload strategy configuration
-	config.on("change", (changeType, fieldName) => {
-		if (fieldName === "strategy") {
-			log.info(`Strategy configuration changed: ${changeType}`);
-			const newStrategyName = config.getStrategy();
-			// For now, only SessionStrategy is supported
-			if (newStrategyName === "session") {
-				const strategy = new SessionStrategy(runtimeConfig.sessionDurationMs);
-				strategy.initialize(dbOps);
-				proxyContext.strategy = strategy;
-			}
+	config.on("change", ({ keys }: ConfigChangeEvent) => {
+		if (keys.some((key) => key.startsWith("lb_"))) {
+			log.info(`Strategy configuration changed: ${keys.join(", ")}`);
+			proxyContext.strategy = buildStrategy();
 		}
 	});
 
@@ -545,8 +580,26 @@ export default function startServer(options?: {
 					}
 				}
 
+				// OpenAI-compatible endpoints backed by the same account pool
+				const openaiResponse = await handleOpenAIRequest(
+					req,
+					url,
+					proxyContext,
+				);
+				if (openaiResponse) {
+					return openaiResponse;
+				}
+
 				// All other paths go to proxy
-				return handleProxy(req, url, proxyContext);
+				try {
+					return await handleProxy(req, url, proxyContext);
+				} catch (error) {
+					// Client key rejections carry their own status
+					if (error instanceof HttpError) {
+						return errorResponse(error);
+					}
+					throw error;
+				}
 			},
 		};
 
@@ -619,6 +672,17 @@ Available endpoints:
 			"No active accounts available - requests will be forwarded without authentication",
 		);
 	}
+	const masterKeyId = dbOps.getMasterKeyId();
+	log.info(
+		masterKeyId
+			? `Account credentials are encrypted at rest (master key ${masterKeyId})`
+			: "Account credentials are stored unencrypted; set BETTER_CCFLARE_MASTER_KEY to encrypt them",
+	);
+	if (!getAdminToken() && dbOps.hasClientKeys()) {
+		log.warn(
+			`Client keys are in use but ${ADMIN_TOKEN_ENV} is not set - the management API and dashboard data are unavailable until it is`,
+		);
+	}
 
 	// Start usage polling for Anthropic accounts with token refresh (regardless of paused status)
 	const anthropicAccounts = accounts.filter((a) => a.provider === "anthropic");
@@ -683,6 +747,18 @@ async function handleGracefulShutdown(signal: string) {
 			autoRefreshScheduler.stop();
 			autoRefreshScheduler = null;
 		}
+		if (budgetMonitor) {
+			budgetMonitor.stop();
+			budgetMonitor = null;
+		}
+		if (metricsCollector) {
+			metricsCollector.stop();
+			metricsCollector = null;
+		}
+		if (traceExporter) {
+			await traceExporter.stop();
+			traceExporter = null;
+		}
 		if (claudeLogsServiceInstance) {
 			claudeLogsServiceInstance.dispose();
 			claudeLogsServiceInstance = null;
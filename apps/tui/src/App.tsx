@@ -3,6 +3,7 @@ import SelectInput from "ink-select-input";
 import { useState } from "react";
 import { AccountsScreen } from "./components/AccountsScreen";
 import { AnalyticsScreen } from "./components/AnalyticsScreen";
+import { BudgetWarnings } from "./components/BudgetWarnings";
 import { LogsScreen } from "./components/LogsScreen";
 import { RequestsScreen } from "./components/RequestsScreen";
 import { ServerScreen } from "./components/ServerScreen";
@@ -54,6 +55,7 @@ export function App() {
 						🎯 better-ccflare TUI
 					</Text>
 				</Box>
+				<BudgetWarnings />
 				<Text dimColor>Select an option:</Text>
 				<Box marginTop={1}>
 					<SelectInput items={items} onSelect={handleSelect} />
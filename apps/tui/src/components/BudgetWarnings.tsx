@@ -0,0 +1,54 @@
+import { registerUIRefresh } from "@better-ccflare/core";
+import * as tuiCore from "@better-ccflare/tui-core";
+import type { BudgetResponse } from "@better-ccflare/types";
+import { formatCost } from "@better-ccflare/ui-common";
+import { Box, Text } from "ink";
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * Lists budgets past their first threshold or their limit. Renders nothing
+ * while every budget is fine.
+ */
+export function BudgetWarnings() {
+	const [warnings, setWarnings] = useState<BudgetResponse[]>([]);
+
+	const loadWarnings = useCallback(async () => {
+		try {
+			setWarnings(await tuiCore.getBudgetWarnings());
+		} catch (_error) {
+			// Budgets are advisory here; keep the last known warnings
+		}
+	}, []);
+
+	useEffect(() => {
+		loadWarnings();
+		const unregisterInterval = registerUIRefresh({
+			id: "budget-warnings-refresh",
+			callback: loadWarnings,
+			seconds: 30,
+			description: "Budget warnings auto-refresh",
+		});
+		return unregisterInterval;
+	}, [loadWarnings]);
+
+	if (warnings.length === 0) {
+		return null;
+	}
+
+	return (
+		<Box flexDirection="column" marginBottom={1}>
+			{warnings.map((budget) => {
+				const exceeded = budget.level === "exceeded";
+				return (
+					<Text key={budget.id} color={exceeded ? "red" : "yellow"}>
+						⚠️ {exceeded ? "Budget exceeded" : "Budget warning"}: {budget.name} (
+						{budget.period} {budget.scope}) {formatCost(budget.spendUsd)} /{" "}
+						{formatCost(budget.limitUsd)} ({budget.percentUsed.toFixed(0)}%)
+						{budget.pausedAccountIds.length > 0 &&
+							` · ${budget.pausedAccountIds.length} account(s) paused`}
+					</Text>
+				);
+			})}
+		</Box>
+	);
+}
@@ -1,3 +1,9 @@
+import {
+	STRATEGY_DESCRIPTIONS,
+	type StrategyName,
+	type StrategyOptions,
+	UTILIZATION_WINDOWS,
+} from "@better-ccflare/core";
 import * as tuiCore from "@better-ccflare/tui-core";
 import { Box, Text, useInput } from "ink";
 import SelectInput from "ink-select-input";
@@ -9,10 +15,13 @@ interface StrategyScreenProps {
 
 type Mode = "view" | "select";
 
+const USAGE_AWARE_STRATEGIES = ["least-utilization", "drain-to-reset"];
+
 export function StrategyScreen({ onBack }: StrategyScreenProps) {
 	const [mode, setMode] = useState<Mode>("view");
 	const [currentStrategy, setCurrentStrategy] = useState<string>("");
 	const [strategies, setStrategies] = useState<string[]>([]);
+	const [options, setOptions] = useState<StrategyOptions | null>(null);
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState<string | null>(null);
 	const [message, setMessage] = useState<string | null>(null);
@@ -21,12 +30,14 @@ export function StrategyScreen({ onBack }: StrategyScreenProps) {
 		try {
 			setLoading(true);
 			setError(null);
-			const [current, list] = await Promise.all([
+			const [current, list, currentOptions] = await Promise.all([
 				tuiCore.getStrategy(),
 				tuiCore.listStrategies(),
+				tuiCore.getStrategyOptions(),
 			]);
 			setCurrentStrategy(current);
 			setStrategies(list);
+			setOptions(currentOptions);
 		} catch (err) {
 			setError(err instanceof Error ? err.message : "Failed to load data");
 		} finally {
@@ -38,6 +49,22 @@ export function StrategyScreen({ onBack }: StrategyScreenProps) {
 		loadData();
 	}, [loadData]);
 
+	const updateOptions = useCallback(
+		async (update: Partial<StrategyOptions>) => {
+			try {
+				setError(null);
+				await tuiCore.setStrategy(currentStrategy, update);
+				setOptions((prev) => (prev ? { ...prev, ...update } : prev));
+				setMessage("Strategy options updated");
+			} catch (err) {
+				setError(
+					err instanceof Error ? err.message : "Failed to update options",
+				);
+			}
+		},
+		[currentStrategy],
+	);
+
 	useInput((input, key) => {
 		if (key.escape || input === "q") {
 			if (mode === "select") {
@@ -48,6 +75,21 @@ export function StrategyScreen({ onBack }: StrategyScreenProps) {
 		} else if (key.return && mode === "view") {
 			setMode("select");
 			setMessage(null);
+		} else if (mode === "view" && options) {
+			if (input === "w") {
+				const index = UTILIZATION_WINDOWS.indexOf(options.utilizationWindow);
+				const next =
+					UTILIZATION_WINDOWS[(index + 1) % UTILIZATION_WINDOWS.length];
+				updateOptions({ utilizationWindow: next });
+			} else if (input === "+" || input === "=") {
+				updateOptions({
+					maxUtilization: Math.min(100, options.maxUtilization + 5),
+				});
+			} else if (input === "-") {
+				updateOptions({
+					maxUtilization: Math.max(0, options.maxUtilization - 5),
+				});
+			}
 		}
 	});
 
@@ -126,11 +168,34 @@ export function StrategyScreen({ onBack }: StrategyScreenProps) {
 						{strategy === currentStrategy ? "→ " : "  "}
 						{strategy}
 					</Text>
+					<Text dimColor>
+						{" "}
+						- {STRATEGY_DESCRIPTIONS[strategy as StrategyName] ?? ""}
+					</Text>
 				</Box>
 			))}
 
+			{options && USAGE_AWARE_STRATEGIES.includes(currentStrategy) && (
+				<Box marginTop={1} flexDirection="column">
+					<Text bold>Options:</Text>
+					<Box paddingLeft={2}>
+						<Text>Utilization window: </Text>
+						<Text color="cyan">{options.utilizationWindow}</Text>
+					</Box>
+					<Box paddingLeft={2}>
+						<Text>Max utilization: </Text>
+						<Text color="cyan">{options.maxUtilization}%</Text>
+					</Box>
+				</Box>
+			)}
+
 			<Box marginTop={1} flexDirection="column">
 				<Text dimColor>Press ENTER to change strategy</Text>
+				{options && USAGE_AWARE_STRATEGIES.includes(currentStrategy) && (
+					<Text dimColor>
+						Press w to cycle window, +/- to adjust max utilization
+					</Text>
+				)}
 				<Text dimColor>Press ESC or q to go back</Text>
 			</Box>
 
@@ -3,8 +3,13 @@ import { Config } from "@better-ccflare/config";
 import {
 	CLAUDE_MODEL_IDS,
 	getVersionSync,
+	isValidStrategy,
+	isValidUtilizationWindow,
 	NETWORK,
+	STRATEGIES,
 	shutdown,
+	UTILIZATION_WINDOWS,
+	type UtilizationWindow,
 } from "@better-ccflare/core";
 import { container, SERVICE_KEYS } from "@better-ccflare/core-di";
 import { DatabaseFactory } from "@better-ccflare/database";
@@ -77,11 +82,13 @@ Options:
   --logs [N]           Stream latest N lines then follow
   --stats              Show statistics (JSON output)
   --add-account <name> Add a new account
-    --mode <max|console|zai|openai-compatible>  Account mode (default: max)
+    --mode <max|console|zai|openai-compatible|bedrock|vertex>  Account mode (default: max)
       max: Claude CLI account (OAuth)
       console: Claude API account (OAuth)
       zai: z.ai account (API key)
       openai-compatible: OpenAI-compatible provider (API key)
+      bedrock: Amazon Bedrock (AWS access keys)
+      vertex: Google Vertex AI (service account key file)
     --tier <1|5|20>       Account tier (default: 1)
       Note: Tier is automatically set to 1 for OpenAI-compatible providers
     --priority <number>   Account priority (default: 0)
@@ -95,6 +102,34 @@ Options:
   --clear-history      Clear request history
   --get-model          Show current default agent model
   --set-model <model>  Set default agent model (opus-4 or sonnet-4)
+  --get-strategy       Show current load balancing strategy and options
+  --set-strategy <name>  Set load balancing strategy
+    (session, least-utilization, tier-weighted, drain-to-reset)
+    --window <five_hour|seven_day|max>  Usage window for usage-aware strategies
+    --max-utilization <0-100>  Usage % at which an account becomes a fallback only
+  --list-keys          List client API keys
+  --create-key <name>  Issue a client API key (shown once)
+    --models <list>       Comma separated allowed models (trailing * matches a prefix)
+    --daily-requests <n>  Daily request quota
+    --daily-tokens <n>    Daily token quota
+    --daily-cost <usd>    Daily cost quota
+    --expires <date|Nd>   Expiry as an ISO date or number of days (e.g. 30d)
+  --revoke-key <name>  Revoke a client API key
+  --delete-key <name>  Delete a client API key
+  --replay <id>        Replay a stored request and compare the responses
+    --account <name>      Account to replay against (default: original account)
+    --model <model>       Model to request instead of the original one
+  --rotate-key         Re-encrypt stored credentials with a new master key
+                       (stop the server first; new key from BETTER_CCFLARE_NEW_MASTER_KEY or generated)
+  --export <file>      Write accounts and settings to an encrypted bundle
+  --import <file>      Restore accounts and settings from a bundle
+                       (passphrase from BETTER_CCFLARE_BUNDLE_PASSPHRASE or prompted)
+  --report             Report tokens and cost per project, account, agent or day
+    --from, --to <YYYY-MM-DD>  Inclusive UTC date range (default: last 30 days)
+    --group-by <list>     Comma separated project, account, agent, day (default: project)
+    --format <json|csv|markdown>  Output format (default: markdown)
+    --output <file>       Write the report to a file instead of stdout
+    --include-log-only    Also count logged usage that did not go through the proxy
   --help, -h           Show this help message
 
 Interactive Mode:
@@ -108,6 +143,11 @@ Examples:
   better-ccflare --pause work           # Pause account
   better-ccflare --analyze              # Run performance analysis
   better-ccflare --stats                # View stats
+  better-ccflare --set-strategy tier-weighted  # Switch strategy
+  better-ccflare --create-key ci --daily-requests 500  # Issue a client key
+  better-ccflare --replay <id> --account backup  # Replay a request on another account
+  better-ccflare --export backup.json   # Export accounts and settings
+  better-ccflare --report --group-by project,day --format csv --output usage.csv  # Billing export
 `);
 		fastExit(0);
 		return;
@@ -149,6 +189,52 @@ Examples:
 		}
 	}
 
+	if (parsed.getStrategy || parsed.setStrategy) {
+		const config = new Config();
+
+		if (parsed.setStrategy) {
+			if (!isValidStrategy(parsed.setStrategy)) {
+				console.error(`❌ Invalid strategy: ${parsed.setStrategy}`);
+				console.error(`Valid strategies: ${STRATEGIES.join(", ")}`);
+				fastExit(1);
+				return;
+			}
+			if (
+				parsed.utilizationWindow &&
+				!isValidUtilizationWindow(parsed.utilizationWindow)
+			) {
+				console.error(`❌ Invalid window: ${parsed.utilizationWindow}`);
+				console.error(`Valid windows: ${UTILIZATION_WINDOWS.join(", ")}`);
+				fastExit(1);
+				return;
+			}
+
+			try {
+				config.setStrategy(parsed.setStrategy, {
+					utilizationWindow: parsed.utilizationWindow as
+						| UtilizationWindow
+						| undefined,
+					maxUtilization: parsed.maxUtilization,
+				});
+			} catch (error) {
+				console.error(
+					`❌ ${error instanceof Error ? error.message : String(error)}`,
+				);
+				fastExit(1);
+				return;
+			}
+			console.log(`✅ Load balancing strategy set to: ${parsed.setStrategy}`);
+		}
+
+		const options = config.getStrategyOptions();
+		console.log(`Current strategy: ${config.getStrategy()}`);
+		console.log(
+			`Utilization window: ${options.utilizationWindow}, max utilization: ${options.maxUtilization}%`,
+		);
+		fastExit(0);
+		return;
+	}
+
 	// Initialize DI container and services for commands that need them
 	container.registerInstance(SERVICE_KEYS.Config, new Config());
 	container.registerInstance(SERVICE_KEYS.Logger, new Logger("TUI"));
@@ -283,6 +369,126 @@ Examples:
 		await exitGracefully(0);
 	}
 
+	if (parsed.listKeys) {
+		const keys = await tuiCore.listClientKeys();
+		if (keys.length === 0) {
+			console.log("No client keys configured");
+		} else {
+			console.log("\nClient keys:");
+			keys.forEach((key) => {
+				const models = key.allowedModels?.join(", ") ?? "all models";
+				console.log(
+					`  - ${key.name} (${key.keyPrefix}…, ${key.status}, ${models}, ${key.usageToday.requests} requests today)`,
+				);
+			});
+		}
+		await exitGracefully(0);
+	}
+
+	if (parsed.createKey) {
+		const result = await tuiCore.createClientKey({
+			name: parsed.createKey,
+			allowedModels: parsed.models
+				?.split(",")
+				.map((model) => model.trim())
+				.filter(Boolean),
+			dailyRequestLimit: parsed.dailyRequests,
+			dailyTokenLimit: parsed.dailyTokens,
+			dailyCostLimit: parsed.dailyCost,
+			expiresAt: parsed.expires,
+		});
+		if (!result.success) {
+			console.error(`❌ ${result.message}`);
+			await exitGracefully(1);
+		}
+		console.log(`✅ ${result.message}`);
+		console.log(`\n  ${result.key}\n`);
+		await exitGracefully(0);
+	}
+
+	if (parsed.revokeKey) {
+		const result = await tuiCore.revokeClientKey(parsed.revokeKey);
+		console.log(result.message);
+		if (!result.success) {
+			await exitGracefully(1);
+		}
+		await exitGracefully(0);
+	}
+
+	if (parsed.deleteKey) {
+		const result = await tuiCore.deleteClientKey(parsed.deleteKey);
+		console.log(result.message);
+		if (!result.success) {
+			await exitGracefully(1);
+		}
+		await exitGracefully(0);
+	}
+
+	if (parsed.replay) {
+		const result = await tuiCore.replayRequest(
+			parsed.replay,
+			{ account: parsed.account, model: parsed.model },
+			parsed.port,
+		);
+		if (!result.success || !result.result) {
+			console.error(`❌ ${result.message}`);
+			await exitGracefully(1);
+			return;
+		}
+		console.log(`✅ ${result.message}\n`);
+		console.log(tuiCore.formatReplayComparison(result.result));
+		await exitGracefully(0);
+	}
+
+	if (parsed.rotateKey) {
+		const result = await tuiCore.rotateMasterKey();
+		if (!result.success) {
+			console.error(`❌ ${result.message}`);
+			await exitGracefully(1);
+		}
+		console.log(`✅ ${result.message}`);
+		if (result.key) {
+			console.log(`\n  ${result.key}\n`);
+		}
+		await exitGracefully(0);
+	}
+
+	if (parsed.exportBundle || parsed.importBundle) {
+		const result = parsed.exportBundle
+			? await tuiCore.exportBackup(parsed.exportBundle)
+			: await tuiCore.importBackup(parsed.importBundle as string);
+		if (!result.success) {
+			console.error(`❌ ${result.message}`);
+			await exitGracefully(1);
+		}
+		console.log(`✅ ${result.message}`);
+		await exitGracefully(0);
+	}
+
+	if (parsed.report) {
+		const result = await tuiCore.generateReport(
+			{
+				from: parsed.from,
+				to: parsed.to,
+				groupBy: parsed.groupBy,
+				format: parsed.format,
+				includeLogOnly: parsed.includeLogOnly,
+			},
+			parsed.output,
+		);
+		if (!result.success) {
+			console.error(`❌ ${result.message}`);
+			await exitGracefully(1);
+			return;
+		}
+		if (result.output) {
+			process.stdout.write(result.output);
+		} else {
+			console.log(`✅ ${result.message}`);
+		}
+		await exitGracefully(0);
+	}
+
 	// Default: Launch interactive TUI with auto-started server
 	const config = new Config();
 	const port = parsed.port || config.getRuntime().port || NETWORK.DEFAULT_PORT;
@@ -0,0 +1,135 @@
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Config } from "@better-ccflare/config";
+import type { DatabaseOperations } from "@better-ccflare/database";
+
+const PASSPHRASE = "correct horse battery";
+
+// DatabaseOperations is backed by bun:sqlite, so it is imported lazily
+describe.skipIf(!("Bun" in globalThis))("backup bundles", () => {
+	let db: typeof import("@better-ccflare/database");
+	let backup: typeof import("../commands/backup");
+	let dir: string;
+	const opened: DatabaseOperations[] = [];
+
+	// Every database gets its own master key, like separate machines
+	const open = (name: string) => {
+		vi.stubEnv(db.MASTER_KEY_ENV, db.generateMasterKey());
+		const dbOps = new db.DatabaseOperations(join(dir, `${name}.db`));
+		opened.push(dbOps);
+		return { dbOps, config: new Config(join(dir, `${name}.json`)) };
+	};
+
+	beforeAll(async () => {
+		db = await import("@better-ccflare/database");
+		backup = await import("../commands/backup");
+	});
+
+	beforeEach(() => {
+		dir = mkdtempSync(join(tmpdir(), "ccflare-backup-"));
+		vi.stubEnv(db.MASTER_KEY_FILE_ENV, "");
+	});
+
+	afterEach(() => {
+		for (const dbOps of opened.splice(0)) dbOps.close();
+		rmSync(dir, { recursive: true, force: true });
+		vi.unstubAllEnvs();
+	});
+
+	const exportSource = () => {
+		const source = open("source");
+		source.dbOps.getDatabase().run(
+			`INSERT INTO accounts (id, name, provider, refresh_token, access_token, created_at)
+				 VALUES ('acc-1', 'primary', 'anthropic', ?, ?, 0)`,
+			[
+				source.dbOps.encryptCredential(
+					"refresh-secret",
+					"acc-1",
+					"refresh_token",
+				),
+				source.dbOps.encryptCredential(
+					"access-secret",
+					"acc-1",
+					"access_token",
+				),
+			],
+		);
+		source.dbOps.setAgentPreference("agent-1", "claude-opus-4-20250514");
+		source.config.setDefaultAgentModel("claude-sonnet-4-20250514");
+
+		const file = join(dir, "bundle.json");
+		const result = backup.exportBackup(
+			source.dbOps,
+			source.config,
+			file,
+			PASSPHRASE,
+		);
+		expect(result.success).toBe(true);
+		return file;
+	};
+
+	it("moves accounts between databases with different master keys", () => {
+		const file = exportSource();
+		expect(readFileSync(file, "utf8")).not.toContain("refresh-secret");
+
+		const target = open("target");
+		const result = backup.importBackup(
+			target.dbOps,
+			target.config,
+			file,
+			PASSPHRASE,
+		);
+
+		expect(result).toMatchObject({ success: true, imported: 1, skipped: [] });
+		const account = target.dbOps.getAccount("acc-1");
+		expect(account?.refresh_token).toBe("refresh-secret");
+		expect(account?.access_token).toBe("access-secret");
+		expect(target.dbOps.getAgentPreference("agent-1")?.model).toBe(
+			"claude-opus-4-20250514",
+		);
+		expect(target.config.getDefaultAgentModel()).toBe(
+			"claude-sonnet-4-20250514",
+		);
+	});
+
+	it("skips accounts that already exist", () => {
+		const file = exportSource();
+		const target = open("target");
+		backup.importBackup(target.dbOps, target.config, file, PASSPHRASE);
+
+		const again = backup.importBackup(
+			target.dbOps,
+			target.config,
+			file,
+			PASSPHRASE,
+		);
+		expect(again).toMatchObject({ imported: 0, skipped: ["primary"] });
+	});
+
+	it("rejects a wrong passphrase without importing anything", () => {
+		const file = exportSource();
+		const target = open("target");
+
+		const result = backup.importBackup(
+			target.dbOps,
+			target.config,
+			file,
+			"not the passphrase",
+		);
+		expect(result.success).toBe(false);
+		expect(result.message).toContain("Check the passphrase");
+		expect(target.dbOps.getAllAccounts()).toHaveLength(0);
+	});
+
+	it("requires a passphrase of at least 8 characters", () => {
+		const source = open("source");
+		const result = backup.exportBackup(
+			source.dbOps,
+			source.config,
+			join(dir, "bundle.json"),
+			"short",
+		);
+		expect(result.success).toBe(false);
+	});
+});
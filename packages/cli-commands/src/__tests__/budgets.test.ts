@@ -0,0 +1,109 @@
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { getBudgetWindow } from "@better-ccflare/core";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import type { Budget } from "@better-ccflare/types";
+
+// DatabaseOperations is backed by bun:sqlite, so it is imported lazily
+describe.skipIf(!("Bun" in globalThis))("updateBudget", () => {
+	let updateBudget: typeof import("../commands/budgets").updateBudget;
+	let dir: string;
+	let dbOps: DatabaseOperations;
+
+	const spend = (costUsd: number) => {
+		dbOps.getDatabase().run(
+			`INSERT INTO requests (id, timestamp, method, path, account_used, cost_usd)
+			 VALUES (?, ?, 'POST', '/v1/messages', 'acc-1', ?)`,
+			[crypto.randomUUID(), Date.now(), costUsd],
+		);
+	};
+
+	// The state the budget monitor leaves behind once spend reaches the limit
+	const exceededBudget = (): Budget => {
+		const budget = dbOps.createBudget({
+			id: crypto.randomUUID(),
+			name: "daily",
+			scope: "global",
+			target: null,
+			period: "daily",
+			limitUsd: 10,
+			thresholds: [50, 80],
+			webhookUrls: [],
+			autoPause: true,
+		});
+		spend(12);
+		dbOps.pauseAccount("acc-1");
+		dbOps.saveBudgetState(budget.id, {
+			windowStart: getBudgetWindow("daily").start,
+			notifiedThreshold: 100,
+			pausedAccountIds: ["acc-1"],
+		});
+		return budget;
+	};
+
+	const isPaused = (id: string) => dbOps.getAccount(id)?.paused;
+
+	beforeAll(async () => {
+		({ updateBudget } = await import("../commands/budgets"));
+	});
+
+	beforeEach(async () => {
+		const { DatabaseOperations } = await import("@better-ccflare/database");
+		dir = mkdtempSync(join(tmpdir(), "ccflare-budgets-"));
+		dbOps = new DatabaseOperations(join(dir, "test.db"));
+		dbOps.getDatabase().run(
+			`INSERT INTO accounts (id, name, provider, refresh_token, created_at)
+			 VALUES ('acc-1', 'primary', 'anthropic', 'refresh', 0)`,
+		);
+	});
+
+	afterEach(() => {
+		dbOps.close();
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("resumes paused accounts when the limit is raised above spend", () => {
+		const budget = exceededBudget();
+
+		const result = updateBudget(dbOps, budget.id, { limitUsd: 20 });
+		expect(result.success).toBe(true);
+		expect(isPaused("acc-1")).toBe(false);
+		// 60% of the new limit only reaches the 50% threshold
+		expect(dbOps.getBudget(budget.id)).toMatchObject({
+			notifiedThreshold: 50,
+			pausedAccountIds: [],
+		});
+		expect(result.budget?.pausedAccountIds).toEqual([]);
+	});
+
+	it("resets alerts below every threshold", () => {
+		const budget = exceededBudget();
+
+		updateBudget(dbOps, budget.id, { limitUsd: 100 });
+		expect(isPaused("acc-1")).toBe(false);
+		expect(dbOps.getBudget(budget.id)?.notifiedThreshold).toBe(0);
+	});
+
+	it("keeps accounts paused while spend still exceeds the limit", () => {
+		const budget = exceededBudget();
+
+		updateBudget(dbOps, budget.id, { limitUsd: 11 });
+		expect(isPaused("acc-1")).toBe(true);
+		expect(dbOps.getBudget(budget.id)).toMatchObject({
+			notifiedThreshold: 100,
+			pausedAccountIds: ["acc-1"],
+		});
+	});
+
+	it("resumes paused accounts when auto-pause is turned off", () => {
+		const budget = exceededBudget();
+
+		updateBudget(dbOps, budget.id, { autoPause: false });
+		expect(isPaused("acc-1")).toBe(false);
+		expect(dbOps.getBudget(budget.id)).toMatchObject({
+			notifiedThreshold: 100,
+			pausedAccountIds: [],
+		});
+	});
+});
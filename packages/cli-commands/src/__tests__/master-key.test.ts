@@ -0,0 +1,94 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import type { DatabaseOperations } from "@better-ccflare/database";
+
+// DatabaseOperations is backed by bun:sqlite, so it is imported lazily
+describe.skipIf(!("Bun" in globalThis))("rotateMasterKey", () => {
+	let db: typeof import("@better-ccflare/database");
+	let rotateMasterKey: typeof import("../commands/master-key").rotateMasterKey;
+	let dir: string;
+	let dbPath: string;
+	let dbOps: DatabaseOperations;
+
+	const open = () => {
+		dbOps = new db.DatabaseOperations(dbPath);
+		return dbOps;
+	};
+
+	const seed = () => {
+		open()
+			.getDatabase()
+			.run(
+				`INSERT INTO accounts (id, name, provider, refresh_token, access_token, created_at)
+				 VALUES ('acc-1', 'primary', 'anthropic', ?, ?, 0)`,
+				[
+					dbOps.encryptCredential("refresh-secret", "acc-1", "refresh_token"),
+					dbOps.encryptCredential("access-secret", "acc-1", "access_token"),
+				],
+			);
+	};
+
+	beforeAll(async () => {
+		db = await import("@better-ccflare/database");
+		({ rotateMasterKey } = await import("../commands/master-key"));
+	});
+
+	beforeEach(() => {
+		dir = mkdtempSync(join(tmpdir(), "ccflare-master-key-"));
+		dbPath = join(dir, "test.db");
+		vi.stubEnv(db.MASTER_KEY_ENV, "");
+		vi.stubEnv(db.MASTER_KEY_FILE_ENV, "");
+	});
+
+	afterEach(() => {
+		dbOps?.close();
+		rmSync(dir, { recursive: true, force: true });
+		vi.unstubAllEnvs();
+	});
+
+	it("fails when encryption is not enabled", () => {
+		seed();
+		const result = rotateMasterKey(dbOps, db.generateMasterKey());
+		expect(result.success).toBe(false);
+		expect(result.message).toContain("not enabled");
+	});
+
+	it("rejects the current key", () => {
+		const key = db.generateMasterKey();
+		vi.stubEnv(db.MASTER_KEY_ENV, key);
+		seed();
+		expect(rotateMasterKey(dbOps, key).success).toBe(false);
+	});
+
+	it("returns the new key when the current one comes from the environment", () => {
+		vi.stubEnv(db.MASTER_KEY_ENV, db.generateMasterKey());
+		seed();
+
+		const result = rotateMasterKey(dbOps);
+		expect(result.success).toBe(true);
+		expect(result.key).toBeDefined();
+		dbOps.close();
+
+		vi.stubEnv(db.MASTER_KEY_ENV, result.key as string);
+		expect(open().getAccount("acc-1")?.refresh_token).toBe("refresh-secret");
+	});
+
+	it("replaces the key file", () => {
+		const keyFile = join(dir, "master.key");
+		writeFileSync(keyFile, db.generateMasterKey());
+		vi.stubEnv(db.MASTER_KEY_FILE_ENV, keyFile);
+		seed();
+		const newKey = db.generateMasterKey();
+
+		const result = rotateMasterKey(dbOps, newKey);
+		expect(result.success).toBe(true);
+		expect(result.key).toBeUndefined();
+		expect(readFileSync(keyFile, "utf8").trim()).toBe(newKey);
+		dbOps.close();
+
+		const account = open().getAccount("acc-1");
+		expect(account?.access_token).toBe("access-secret");
+		expect(account?.refresh_token).toBe("refresh-secret");
+	});
+});
@@ -1,14 +1,26 @@
+import { readFileSync } from "node:fs";
 import type { Config } from "@better-ccflare/config";
 import type { ModelMapping } from "@better-ccflare/core";
 import {
+	createCloudProviderSettings,
+	parseAwsCredentials,
+	parseServiceAccountKey,
+	patterns,
+	sanitizers,
+	ValidationError,
 	validateAndSanitizeModelMappings,
 	validateApiKey,
 	validateEndpointUrl,
 	validatePriority,
+	validateString,
 } from "@better-ccflare/core";
 import type { DatabaseOperations } from "@better-ccflare/database";
 import { createOAuthFlow } from "@better-ccflare/oauth-flow";
-import type { AccountListItem, AccountTier } from "@better-ccflare/types";
+import type {
+	AccountListItem,
+	AccountMode,
+	AccountTier,
+} from "@better-ccflare/types";
 import {
 	type PromptAdapter,
 	promptAccountRemovalConfirmation,
@@ -19,7 +31,7 @@ import { openBrowser } from "../utils/browser";
 // Re-export types with adapter extension for CLI-specific options
 export interface AddAccountOptions {
 	name: string;
-	mode?: "max" | "console" | "zai" | "openai-compatible";
+	mode?: AccountMode;
 	tier?: 1 | 5 | 20;
 	priority?: number;
 	customEndpoint?: string;
@@ -32,7 +44,40 @@ export type { AccountListItem } from "@better-ccflare/types";
 
 // Add mode property to AccountListItem for CLI display
 export interface AccountListItemWithMode extends AccountListItem {
-	mode: "max" | "console" | "zai" | "openai-compatible";
+	mode: AccountMode;
+}
+
+/**
+ * Options for creating an Amazon Bedrock account
+ */
+export interface BedrockAccountOptions {
+	name: string;
+	accessKeyId: string;
+	secretAccessKey: string;
+	sessionToken?: string;
+	region: string;
+	/** Cross-region inference profile prefix such as "us" or "eu" */
+	inferenceProfile?: string;
+	endpoint?: string;
+	priority?: number;
+	tier?: number;
+	modelMappings?: ModelMapping | null;
+}
+
+/**
+ * Options for creating a Google Vertex AI account
+ */
+export interface VertexAccountOptions {
+	name: string;
+	/** Service account key file contents, as JSON text or parsed */
+	serviceAccountKey: unknown;
+	region: string;
+	/** Defaults to the project of the service account key */
+	projectId?: string;
+	endpoint?: string;
+	priority?: number;
+	tier?: number;
+	modelMappings?: ModelMapping | null;
 }
 
 /**
@@ -61,9 +106,11 @@ async function createZaiAccount(
 			accountId,
 			name,
 			"zai",
-			validatedApiKey,
-			validatedApiKey, // Store API key as refresh_token for consistency
-			validatedApiKey, // Store API key as access_token
+			dbOps.encryptCredential(validatedApiKey, accountId, "api_key"),
+			// Store API key as refresh_token for consistency
+			dbOps.encryptCredential(validatedApiKey, accountId, "refresh_token"),
+			// Store API key as access_token
+			dbOps.encryptCredential(validatedApiKey, accountId, "access_token"),
 			now + 365 * 24 * 60 * 60 * 1000, // 1 year expiry
 			now,
 			tier,
@@ -169,9 +216,11 @@ async function createOpenAIAccount(
 			accountId,
 			name,
 			"openai-compatible",
-			validatedApiKey,
-			validatedApiKey, // Store API key as refresh_token for consistency
-			validatedApiKey, // Store API key as access_token
+			dbOps.encryptCredential(validatedApiKey, accountId, "api_key"),
+			// Store API key as refresh_token for consistency
+			dbOps.encryptCredential(validatedApiKey, accountId, "refresh_token"),
+			// Store API key as access_token
+			dbOps.encryptCredential(validatedApiKey, accountId, "access_token"),
 			null, // No expiry for OpenAI-compatible providers (API keys don't expire)
 			now,
 			providedTier || 1, // Default to tier 1 (doesn't matter for OpenAI-compatible)
@@ -200,6 +249,136 @@ async function createOpenAIAccount(
 	}
 }
 
+/**
+ * Insert a Bedrock or Vertex AI account. Credentials are encrypted at rest
+ * and the region and project are kept as JSON in custom_endpoint.
+ */
+function insertCloudAccount(
+	dbOps: DatabaseOperations,
+	values: {
+		name: string;
+		provider: "bedrock" | "vertex";
+		apiKey: string | null;
+		refreshToken: string;
+		settings: string;
+		priority?: number;
+		tier?: number;
+		modelMappings?: ModelMapping | null;
+	},
+): string {
+	const name = validateString(values.name, "name", {
+		required: true,
+		minLength: 1,
+		maxLength: 100,
+		pattern: patterns.accountName,
+		transform: sanitizers.trim,
+	}) as string;
+	const priority = validatePriority(values.priority ?? 0, "priority");
+	const modelMappings = validateAndSanitizeModelMappings(values.modelMappings);
+
+	const accountId = crypto.randomUUID();
+	dbOps.getDatabase().run(
+		`INSERT INTO accounts (
+			id, name, provider, api_key, refresh_token, access_token,
+			expires_at, created_at, account_tier, request_count, total_requests, priority, custom_endpoint, model_mappings
+		) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+		[
+			accountId,
+			name,
+			values.provider,
+			values.apiKey === null
+				? null
+				: dbOps.encryptCredential(values.apiKey, accountId, "api_key"),
+			values.refreshToken &&
+				dbOps.encryptCredential(
+					values.refreshToken,
+					accountId,
+					"refresh_token",
+				),
+			null, // Vertex AI mints access tokens on first use, Bedrock has none
+			null,
+			Date.now(),
+			values.tier || 1,
+			0,
+			0,
+			priority,
+			values.settings,
+			modelMappings && Object.keys(modelMappings).length > 0
+				? JSON.stringify(modelMappings)
+				: null,
+		],
+	);
+	return accountId;
+}
+
+/**
+ * Create an Amazon Bedrock account signed with AWS access keys.
+ * Throws ValidationError for invalid input and returns the account id.
+ */
+export function createBedrockAccount(
+	dbOps: DatabaseOperations,
+	options: BedrockAccountOptions,
+): string {
+	const credentials = parseAwsCredentials({
+		accessKeyId: options.accessKeyId,
+		secretAccessKey: options.secretAccessKey,
+		sessionToken: options.sessionToken || undefined,
+	});
+	const settings = createCloudProviderSettings({
+		region: options.region,
+		inferenceProfile: options.inferenceProfile,
+		endpoint: options.endpoint,
+	});
+
+	return insertCloudAccount(dbOps, {
+		name: options.name,
+		provider: "bedrock",
+		apiKey: JSON.stringify(credentials),
+		// Requests are signed directly, so there is nothing to refresh
+		refreshToken: "",
+		settings,
+		priority: options.priority,
+		tier: options.tier,
+		modelMappings: options.modelMappings,
+	});
+}
+
+/**
+ * Create a Google Vertex AI account that authenticates with a service
+ * account key. Throws ValidationError for invalid input and returns the
+ * account id.
+ */
+export function createVertexAccount(
+	dbOps: DatabaseOperations,
+	options: VertexAccountOptions,
+): string {
+	const key = parseServiceAccountKey(options.serviceAccountKey);
+	const projectId = options.projectId?.trim() || undefined;
+	if (!projectId && !key.project_id) {
+		throw new ValidationError(
+			"projectId is required when the service account key has no project_id",
+			"projectId",
+		);
+	}
+	const settings = createCloudProviderSettings({
+		region: options.region,
+		projectId,
+		endpoint: options.endpoint,
+	});
+
+	return insertCloudAccount(dbOps, {
+		name: options.name,
+		provider: "vertex",
+		apiKey: null,
+		// The key is exchanged for short-lived access tokens like a refresh token
+		refreshToken: JSON.stringify(key),
+		settings,
+		priority: options.priority,
+		tier: options.tier,
+		modelMappings: options.modelMappings,
+	});
+}
+
 /**
  * Add a new account using OAuth flow
  */
@@ -232,6 +411,11 @@ export async function addAccount(
 				label: "OpenAI-compatible provider (API key)",
 				value: "openai-compatible",
 			},
+			{ label: "Amazon Bedrock (AWS access keys)", value: "bedrock" },
+			{
+				label: "Google Vertex AI (service account key)",
+				value: "vertex",
+			},
 		]));
 
 	if (mode === "zai") {
@@ -281,6 +465,72 @@ export async function addAccount(
 			finalModelMappings,
 			providedTier,
 		);
+	} else if (mode === "bedrock") {
+		const accessKeyId = await adapter.input("\nEnter your AWS access key ID: ");
+		const secretAccessKey = await adapter.input(
+			"Enter your AWS secret access key: ",
+		);
+		const sessionToken = await adapter.input(
+			"Enter your AWS session token (optional, for temporary credentials): ",
+		);
+		const region =
+			(await adapter.input("Enter the AWS region (default us-east-1): ")) ||
+			"us-east-1";
+		const inferenceProfile = await adapter.input(
+			"Enter a cross-region inference profile such as us or eu (optional): ",
+		);
+
+		createBedrockAccount(dbOps, {
+			name,
+			accessKeyId,
+			secretAccessKey,
+			sessionToken,
+			region,
+			inferenceProfile,
+			endpoint: customEndpoint,
+			priority: providedPriority,
+			tier: providedTier,
+			modelMappings,
+		});
+
+		console.log(`\nAccount '${name}' added successfully!`);
+		console.log("Type: Amazon Bedrock (AWS access keys)");
+		console.log(`Region: ${region}`);
+	} else if (mode === "vertex") {
+		const keyPath = await adapter.input(
+			"\nEnter the path to your service account key file (JSON): ",
+		);
+		let serviceAccountKey: string;
+		try {
+			serviceAccountKey = readFileSync(keyPath.trim(), "utf8");
+		} catch {
+			throw new ValidationError(
+				`Cannot read service account key file '${keyPath.trim()}'`,
+				"serviceAccountKey",
+			);
+		}
+		const region =
+			(await adapter.input(
+				"Enter the Vertex AI region (default us-east5, or global): ",
+			)) || "us-east5";
+		const projectId = await adapter.input(
+			"Enter the Google Cloud project ID (default: project of the key): ",
+		);
+
+		createVertexAccount(dbOps, {
+			name,
+			serviceAccountKey,
+			region,
+			projectId,
+			endpoint: customEndpoint,
+			priority: providedPriority,
+			tier: providedTier,
+			modelMappings,
+		});
+
+		console.log(`\nAccount '${name}' added successfully!`);
+		console.log("Type: Google Vertex AI (service account key)");
+		console.log(`Region: ${region}`);
 	} else {
 		// Handle OAuth accounts (Anthropic)
 		const flowResult = await oauthFlow.begin({
@@ -330,6 +580,20 @@ export async function addAccount(
 	}
 }
 
+// Accounts store their provider; Anthropic OAuth accounts are told apart
+// by tier
+function getAccountMode(provider: string, tier: number): AccountMode {
+	switch (provider) {
+		case "zai":
+		case "openai-compatible":
+		case "bedrock":
+		case "vertex":
+			return provider;
+		default:
+			return tier > 1 ? "max" : "console";
+	}
+}
+
 /**
  * Get list of all accounts with formatted information
  */
@@ -370,12 +634,7 @@ export function getAccountsList(dbOps: DatabaseOperations): AccountListItem[] {
 			rateLimitStatus,
 			sessionInfo,
 			tier: account.account_tier || 1,
-			mode:
-				account.provider === "zai"
-					? "zai"
-					: account.account_tier > 1
-						? "max"
-						: "console",
+			mode: getAccountMode(account.provider, account.account_tier),
 			priority: account.priority || 0,
 			autoFallbackEnabled: account.auto_fallback_enabled,
 			autoRefreshEnabled: account.auto_refresh_enabled,
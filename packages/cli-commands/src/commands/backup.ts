@@ -0,0 +1,133 @@
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import type { Config } from "@better-ccflare/config";
+import {
+	type DatabaseOperations,
+	openBundle,
+	sealBundle,
+} from "@better-ccflare/database";
+import { stdPromptAdapter } from "../prompts/index";
+
+export const BUNDLE_PASSPHRASE_ENV = "BETTER_CCFLARE_BUNDLE_PASSPHRASE";
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Decrypted contents of an export bundle. Account rows carry every column
+ * with plaintext credentials, so the bundle itself is always encrypted.
+ */
+export interface BackupContents {
+	version: 1;
+	createdAt: string;
+	accounts: Array<Record<string, unknown>>;
+	agentPreferences: Array<{ agent_id: string; model: string }>;
+	settings: Record<string, string | number | boolean>;
+}
+
+/**
+ * Read the bundle passphrase from BETTER_CCFLARE_BUNDLE_PASSPHRASE, or
+ * prompt for it
+ */
+export async function getBundlePassphrase(): Promise<string> {
+	const fromEnv = process.env[BUNDLE_PASSPHRASE_ENV];
+	if (fromEnv) return fromEnv;
+	return stdPromptAdapter.input("Bundle passphrase: ", true);
+}
+
+/**
+ * Write accounts, agent preferences and settings to a passphrase encrypted
+ * bundle that can be imported on another machine
+ */
+export function exportBackup(
+	dbOps: DatabaseOperations,
+	config: Config,
+	filePath: string,
+	passphrase: string,
+): { success: boolean; message: string } {
+	if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+		return {
+			success: false,
+			message: `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`,
+		};
+	}
+
+	const settings: BackupContents["settings"] = {};
+	for (const [key, value] of Object.entries(config.getAllSettings())) {
+		if (value !== undefined) settings[key] = value;
+	}
+
+	const contents: BackupContents = {
+		version: 1,
+		createdAt: new Date().toISOString(),
+		accounts: dbOps.exportAccounts(),
+		agentPreferences: dbOps.getAllAgentPreferences(),
+		settings,
+	};
+
+	writeFileSync(filePath, sealBundle(contents, passphrase), { mode: 0o600 });
+	return {
+		success: true,
+		message: `Exported ${contents.accounts.length} account(s) and settings to ${filePath}`,
+	};
+}
+
+/**
+ * Restore a bundle written by exportBackup. Accounts whose id or name
+ * already exists are skipped; settings and agent preferences overwrite the
+ * local values.
+ */
+export function importBackup(
+	dbOps: DatabaseOperations,
+	config: Config,
+	filePath: string,
+	passphrase: string,
+): {
+	success: boolean;
+	message: string;
+	imported?: number;
+	skipped?: string[];
+} {
+	if (!existsSync(filePath)) {
+		return { success: false, message: `File not found: ${filePath}` };
+	}
+
+	let contents: BackupContents;
+	try {
+		contents = openBundle<BackupContents>(
+			readFileSync(filePath, "utf8"),
+			passphrase,
+		);
+	} catch (error) {
+		return { success: false, message: (error as Error).message };
+	}
+	if (contents.version !== 1) {
+		return {
+			success: false,
+			message: `Unsupported bundle version ${contents.version}`,
+		};
+	}
+
+	const skipped: string[] = [];
+	let imported = 0;
+	for (const account of contents.accounts) {
+		if (dbOps.importAccount(account)) {
+			imported++;
+		} else {
+			skipped.push(String(account.name));
+		}
+	}
+
+	for (const preference of contents.agentPreferences) {
+		dbOps.setAgentPreference(preference.agent_id, preference.model);
+	}
+
+	for (const [key, value] of Object.entries(contents.settings)) {
+		config.set(key, value);
+	}
+
+	return {
+		success: true,
+		message: `Imported ${imported} account(s)${skipped.length > 0 ? `, skipped ${skipped.length} that already exist (${skipped.join(", ")})` : ""} and restored settings from ${contents.createdAt}`,
+		imported,
+		skipped,
+	};
+}
@@ -0,0 +1,320 @@
+import crypto from "node:crypto";
+import {
+	getBudgetWindow,
+	ValidationError,
+	validateEndpointUrl,
+	validateNumber,
+	validateString,
+} from "@better-ccflare/core";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import {
+	BUDGET_PERIODS,
+	BUDGET_SCOPES,
+	type Budget,
+	type BudgetCreateRequest,
+	type BudgetPeriod,
+	type BudgetResponse,
+	type BudgetScope,
+	type BudgetUpdateRequest,
+	DEFAULT_BUDGET_THRESHOLDS,
+	getBudgetLevel,
+	getCrossedBudgetThreshold,
+} from "@better-ccflare/types";
+
+function validateThresholds(value: unknown): number[] | undefined {
+	if (value === undefined || value === null) return undefined;
+	if (!Array.isArray(value) || value.length === 0) {
+		throw new ValidationError(
+			"thresholds must be a non-empty array of percentages",
+			"thresholds",
+			value,
+		);
+	}
+	const thresholds = value.map(
+		(threshold, index) =>
+			validateNumber(threshold, `thresholds[${index}]`, {
+				required: true,
+				min: 1,
+				max: 1000,
+			}) as number,
+	);
+	return [...new Set(thresholds)].sort((a, b) => a - b);
+}
+
+function validateWebhookUrls(value: unknown): string[] | undefined {
+	if (value === undefined || value === null) return undefined;
+	if (!Array.isArray(value)) {
+		throw new ValidationError(
+			"webhookUrls must be an array of URLs",
+			"webhookUrls",
+			value,
+		);
+	}
+	return value.map((url, index) =>
+		validateEndpointUrl(url, `webhookUrls[${index}]`),
+	);
+}
+
+/**
+ * Build the API view of a budget, including spend in its current window
+ */
+export function toBudgetResponse(
+	dbOps: DatabaseOperations,
+	budget: Budget,
+	now = Date.now(),
+): BudgetResponse {
+	const window = getBudgetWindow(budget.period, now);
+	const spendUsd = dbOps.getBudgetSpendSince(budget, window.start);
+	const percentUsed =
+		budget.limitUsd > 0 ? (spendUsd / budget.limitUsd) * 100 : 0;
+
+	let targetName = budget.target;
+	if (budget.scope === "account" && budget.target) {
+		targetName = dbOps.getAccount(budget.target)?.name ?? budget.target;
+	}
+
+	return {
+		id: budget.id,
+		name: budget.name,
+		scope: budget.scope,
+		target: budget.target,
+		targetName,
+		period: budget.period,
+		limitUsd: budget.limitUsd,
+		thresholds: budget.thresholds,
+		webhookUrls: budget.webhookUrls,
+		autoPause: budget.autoPause,
+		enabled: budget.enabled,
+		createdAt: new Date(budget.createdAt).toISOString(),
+		windowStart: new Date(window.start).toISOString(),
+		resetsAt: new Date(window.end).toISOString(),
+		spendUsd,
+		percentUsed,
+		level: budget.enabled ? getBudgetLevel(budget, percentUsed) : "ok",
+		pausedAccountIds: budget.pausedAccountIds,
+	};
+}
+
+function findBudget(
+	dbOps: DatabaseOperations,
+	nameOrId: string,
+): Budget | null {
+	return dbOps.getBudgetByName(nameOrId) ?? dbOps.getBudget(nameOrId);
+}
+
+/**
+ * Get all budgets with their spend in the current window
+ */
+export function listBudgets(dbOps: DatabaseOperations): BudgetResponse[] {
+	const now = Date.now();
+	return dbOps
+		.getBudgets()
+		.map((budget) => toBudgetResponse(dbOps, budget, now));
+}
+
+/**
+ * Create a budget. Account targets may be given by name or id and are
+ * stored by id.
+ */
+export function createBudget(
+	dbOps: DatabaseOperations,
+	options: BudgetCreateRequest,
+): { success: boolean; message: string; budget?: BudgetResponse } {
+	try {
+		const name = validateString(options.name, "name", {
+			required: true,
+			minLength: 1,
+			maxLength: 100,
+			transform: (value) => value.trim(),
+		}) as string;
+		const scope = validateString(options.scope, "scope", {
+			required: true,
+			allowedValues: BUDGET_SCOPES,
+		}) as BudgetScope;
+		const period = validateString(options.period, "period", {
+			required: true,
+			allowedValues: BUDGET_PERIODS,
+		}) as BudgetPeriod;
+		const limitUsd = validateNumber(options.limitUsd, "limitUsd", {
+			required: true,
+			min: 0.01,
+		}) as number;
+		const thresholds =
+			validateThresholds(options.thresholds) ?? DEFAULT_BUDGET_THRESHOLDS;
+		const webhookUrls = validateWebhookUrls(options.webhookUrls) ?? [];
+		const autoPause = options.autoPause === true;
+
+		let target: string | null = null;
+		if (scope === "account") {
+			const accountRef = validateString(options.target, "target", {
+				required: true,
+				minLength: 1,
+				transform: (value) => value.trim(),
+			}) as string;
+			const account =
+				dbOps.getAllAccounts().find((a) => a.name === accountRef) ??
+				dbOps.getAccount(accountRef);
+			if (!account) {
+				return {
+					success: false,
+					message: `Account '${accountRef}' not found`,
+				};
+			}
+			target = account.id;
+		} else if (scope === "project") {
+			target = validateString(options.target, "target", {
+				required: true,
+				minLength: 1,
+				transform: (value) => value.trim(),
+			}) as string;
+			if (autoPause) {
+				throw new ValidationError(
+					"autoPause is only available for account and global budgets, as project spend cannot be tied to an account",
+					"autoPause",
+					options.autoPause,
+				);
+			}
+		} else if (options.target) {
+			throw new ValidationError(
+				"Global budgets do not take a target",
+				"target",
+				options.target,
+			);
+		}
+
+		if (dbOps.getBudgetByName(name)) {
+			return {
+				success: false,
+				message: `Budget with name '${name}' already exists`,
+			};
+		}
+
+		const budget = dbOps.createBudget({
+			id: crypto.randomUUID(),
+			name,
+			scope,
+			target,
+			period,
+			limitUsd,
+			thresholds,
+			webhookUrls,
+			autoPause,
+		});
+
+		return {
+			success: true,
+			message: `Budget '${name}' created`,
+			budget: toBudgetResponse(dbOps, budget),
+		};
+	} catch (error) {
+		if (error instanceof ValidationError) {
+			return { success: false, message: error.message };
+		}
+		throw error;
+	}
+}
+
+/**
+ * Update a budget's limit, thresholds, webhooks, auto-pause or enabled flag.
+ * Turning off auto-pause, disabling the budget or raising the limit above
+ * the current spend resumes the accounts it paused.
+ */
+export function updateBudget(
+	dbOps: DatabaseOperations,
+	nameOrId: string,
+	options: BudgetUpdateRequest,
+): { success: boolean; message: string; budget?: BudgetResponse } {
+	const budget = findBudget(dbOps, nameOrId);
+	if (!budget) {
+		return { success: false, message: `Budget '${nameOrId}' not found` };
+	}
+
+	try {
+		const autoPause =
+			options.autoPause === undefined ? undefined : options.autoPause === true;
+		if (autoPause && budget.scope === "project") {
+			throw new ValidationError(
+				"autoPause is only available for account and global budgets",
+				"autoPause",
+				options.autoPause,
+			);
+		}
+		const enabled =
+			options.enabled === undefined ? undefined : options.enabled === true;
+
+		dbOps.updateBudget(budget.id, {
+			limitUsd: validateNumber(options.limitUsd, "limitUsd", { min: 0.01 }),
+			thresholds: validateThresholds(options.thresholds),
+			webhookUrls: validateWebhookUrls(options.webhookUrls),
+			autoPause,
+			enabled,
+		});
+	} catch (error) {
+		if (error instanceof ValidationError) {
+			return { success: false, message: error.message };
+		}
+		throw error;
+	}
+
+	// Re-evaluate spend against the new settings. Windows the monitor has not
+	// rolled over yet are left to it, apart from releasing pauses the budget
+	// no longer enforces.
+	let updated = dbOps.getBudget(budget.id) ?? budget;
+	const window = getBudgetWindow(updated.period);
+	let crossed = updated.notifiedThreshold;
+	if (!updated.enabled) {
+		crossed = 0;
+	} else if (updated.windowStart === window.start) {
+		const spendUsd = dbOps.getBudgetSpendSince(updated, window.start);
+		crossed =
+			getCrossedBudgetThreshold(updated, (spendUsd / updated.limitUsd) * 100) ??
+			0;
+	}
+	const release =
+		updated.pausedAccountIds.length > 0 &&
+		(!updated.autoPause || crossed < 100);
+	// Thresholds the spend no longer reaches can alert again
+	const notifiedThreshold = Math.min(updated.notifiedThreshold, crossed);
+
+	if (release || notifiedThreshold !== updated.notifiedThreshold) {
+		if (release) {
+			dbOps.releaseBudgetPauses(updated);
+		}
+		dbOps.saveBudgetState(updated.id, {
+			windowStart: updated.windowStart ?? window.start,
+			notifiedThreshold,
+			pausedAccountIds: release ? [] : updated.pausedAccountIds,
+		});
+		updated = dbOps.getBudget(budget.id) ?? updated;
+	}
+
+	return {
+		success: true,
+		message: `Budget '${budget.name}' updated`,
+		budget: toBudgetResponse(dbOps, updated),
+	};
+}
+
+/**
+ * Delete a budget by name or id, resuming any accounts it paused
+ */
+export function deleteBudget(
+	dbOps: DatabaseOperations,
+	nameOrId: string,
+): { success: boolean; message: string } {
+	const budget = findBudget(dbOps, nameOrId);
+	if (!budget) {
+		return { success: false, message: `Budget '${nameOrId}' not found` };
+	}
+
+	const resumed = dbOps.releaseBudgetPauses(budget);
+	dbOps.deleteBudget(budget.id);
+
+	return {
+		success: true,
+		message:
+			resumed.length > 0
+				? `Budget '${budget.name}' deleted and ${resumed.length} paused account(s) resumed`
+				: `Budget '${budget.name}' deleted`,
+	};
+}
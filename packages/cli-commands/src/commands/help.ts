@@ -6,13 +6,15 @@ export function getHelpText(): string {
 Usage: better-ccflare <command> [options]
 
 Commands:
-  add <name> [--mode <max|console|zai|openai-compatible>] [--tier <1|5|20>] [--priority <number>]
+  add <name> [--mode <max|console|zai|openai-compatible|bedrock|vertex>] [--tier <1|5|20>] [--priority <number>]
     Add a new account using OAuth or API key
     --mode: Account type (optional, will prompt if not provided)
       max: Claude CLI account (OAuth)
       console: Claude API account (OAuth)
       zai: z.ai account (API key)
       openai-compatible: OpenAI-compatible provider (API key)
+      bedrock: Amazon Bedrock (AWS access keys)
+      vertex: Google Vertex AI (service account key file)
     --tier: Account tier (1, 5, or 20) (optional, defaults to 1)
       Note: Tier is automatically set to 1 for OpenAI-compatible providers
     --priority: Account priority (0-100, default 0, lower numbers = higher priority)
@@ -34,6 +36,51 @@ Commands:
     Set the priority of an account
     --priority: Account priority (0-100, lower numbers = higher priority)
 
+  strategy [name] [--window <five_hour|seven_day|max>] [--max-utilization <0-100>]
+    Show the current load balancing strategy, or switch to another one
+      session: Maintains 5-hour sessions with a single account
+      least-utilization: Routes to the account with the lowest reported usage
+      tier-weighted: Round-robin weighted by account tier
+      drain-to-reset: Prefers accounts whose usage window resets soonest
+    --window: Usage window read by least-utilization and drain-to-reset
+    --max-utilization: Usage percentage at which an account becomes a fallback only
+
+  keys [list]
+    List client API keys with today's usage
+
+  keys create <name> [--models <list>] [--daily-requests <n>] [--daily-tokens <n>] [--daily-cost <usd>] [--expires <date|Nd>]
+    Issue a client API key. Once any key exists, every proxy request must send one
+    --models: Comma separated models the key may use (a trailing * matches a prefix)
+    --daily-requests, --daily-tokens, --daily-cost: Quotas that reset at midnight UTC
+    --expires: Expiry as an ISO date or a number of days (e.g. 30d)
+
+  keys revoke <name>
+    Revoke a client API key
+
+  keys delete <name>
+    Delete a client API key
+
+  rotate-key
+    Re-encrypt stored credentials with a new master key (stop the server first)
+    The new key is read from BETTER_CCFLARE_NEW_MASTER_KEY or generated. A key
+    file set via BETTER_CCFLARE_MASTER_KEY_FILE is updated in place; otherwise
+    the new key is printed for BETTER_CCFLARE_MASTER_KEY
+
+  export <file>
+    Write accounts, agent preferences and settings to a passphrase encrypted bundle
+
+  import <file>
+    Restore a bundle, skipping accounts that already exist
+    The passphrase is read from BETTER_CCFLARE_BUNDLE_PASSPHRASE or prompted for
+
+  report [--from <date>] [--to <date>] [--group-by <list>] [--format <json|csv|markdown>] [--output <file>] [--include-log-only]
+    Report tokens and cost, attributing proxied requests to projects via the imported Claude Code logs
+    --from, --to: Inclusive UTC date range as YYYY-MM-DD (defaults to the last 30 days)
+    --group-by: Comma separated project, account, agent and day (defaults to project)
+    --format: Output format (defaults to markdown)
+    --output: Write the report to a file instead of stdout (named after the range if no file is given)
+    --include-log-only: Also count logged usage that did not go through the proxy
+
   reset-stats
     Reset request counts for all accounts
 
@@ -53,5 +100,9 @@ Examples:
   better-ccflare pause myaccount
   better-ccflare resume myaccount
   better-ccflare set-priority myaccount 20
+  better-ccflare strategy least-utilization --window five_hour
+  better-ccflare keys create ci-bot --models "claude-sonnet-*" --daily-requests 500 --expires 30d
+  better-ccflare export ./ccflare-backup.json
+  better-ccflare report --from 2025-01-01 --to 2025-01-31 --group-by project,account --format csv --output january.csv
 `;
 }
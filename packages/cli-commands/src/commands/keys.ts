@@ -0,0 +1,215 @@
+import crypto from "node:crypto";
+import {
+	generateClientKey,
+	getClientKeyQuotaWindowStart,
+	TIME_CONSTANTS,
+	ValidationError,
+	validateNumber,
+	validateString,
+} from "@better-ccflare/core";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import {
+	type ClientKey,
+	type ClientKeyCreateRequest,
+	type ClientKeyResponse,
+	toClientKeyResponse,
+} from "@better-ccflare/types";
+
+const DURATION_PATTERN = /^(\d+)d$/;
+
+/**
+ * Parse a key expiry given as epoch milliseconds, an ISO date or a number
+ * of days from now (e.g. "30d")
+ */
+export function parseKeyExpiry(
+	value: string | number | null | undefined,
+	now = Date.now(),
+): number | null {
+	if (value === undefined || value === null || value === "") return null;
+	if (typeof value === "number") return value;
+
+	const days = DURATION_PATTERN.exec(value.trim());
+	if (days) {
+		return now + Number(days[1]) * TIME_CONSTANTS.DAY;
+	}
+
+	const timestamp = Date.parse(value);
+	if (Number.isNaN(timestamp)) {
+		throw new ValidationError(
+			"expiresAt must be an ISO date or a number of days such as '30d'",
+			"expiresAt",
+			value,
+		);
+	}
+	return timestamp;
+}
+
+/**
+ * Split a comma separated model list, as accepted on the command line
+ */
+export function parseModelList(value: string | undefined): string[] | null {
+	if (!value) return null;
+	const models = value
+		.split(",")
+		.map((model) => model.trim())
+		.filter(Boolean);
+	return models.length > 0 ? models : null;
+}
+
+function findClientKey(
+	dbOps: DatabaseOperations,
+	nameOrId: string,
+): ClientKey | null {
+	return dbOps.getClientKeyByName(nameOrId) ?? dbOps.getClientKey(nameOrId);
+}
+
+function toResponse(
+	dbOps: DatabaseOperations,
+	clientKey: ClientKey,
+	since = getClientKeyQuotaWindowStart(),
+): ClientKeyResponse {
+	return toClientKeyResponse(
+		clientKey,
+		dbOps.getClientKeyUsageSince(clientKey.id, since),
+	);
+}
+
+/**
+ * Get all client keys with today's usage
+ */
+export function listClientKeys(dbOps: DatabaseOperations): ClientKeyResponse[] {
+	const since = getClientKeyQuotaWindowStart();
+	return dbOps
+		.getClientKeys()
+		.map((clientKey) => toResponse(dbOps, clientKey, since));
+}
+
+/**
+ * Issue a new client key. The plaintext key is only returned here; the
+ * database keeps a hash.
+ */
+export function createClientKey(
+	dbOps: DatabaseOperations,
+	options: ClientKeyCreateRequest,
+): {
+	success: boolean;
+	message: string;
+	key?: string;
+	clientKey?: ClientKeyResponse;
+} {
+	try {
+		const name = validateString(options.name, "name", {
+			required: true,
+			minLength: 1,
+			maxLength: 100,
+			transform: (value) => value.trim(),
+		}) as string;
+		const limit = (value: number | null | undefined, field: string) =>
+			value === undefined || value === null
+				? null
+				: (validateNumber(value, field, { min: 0 }) as number);
+
+		const allowedModels = options.allowedModels?.length
+			? options.allowedModels.map(
+					(model, index) =>
+						validateString(model, `allowedModels[${index}]`, {
+							required: true,
+							minLength: 1,
+							transform: (value) => value.trim(),
+						}) as string,
+				)
+			: null;
+
+		const expiresAt = parseKeyExpiry(options.expiresAt);
+		if (expiresAt !== null && expiresAt <= Date.now()) {
+			throw new ValidationError(
+				"expiresAt must be in the future",
+				"expiresAt",
+				options.expiresAt,
+			);
+		}
+
+		if (dbOps.getClientKeyByName(name)) {
+			return {
+				success: false,
+				message: `Client key with name '${name}' already exists`,
+			};
+		}
+
+		const generated = generateClientKey();
+		const clientKey = dbOps.createClientKey({
+			id: crypto.randomUUID(),
+			name,
+			keyHash: generated.hash,
+			keyPrefix: generated.prefix,
+			allowedModels,
+			dailyRequestLimit: limit(options.dailyRequestLimit, "dailyRequestLimit"),
+			dailyTokenLimit: limit(options.dailyTokenLimit, "dailyTokenLimit"),
+			dailyCostLimit: limit(options.dailyCostLimit, "dailyCostLimit"),
+			expiresAt,
+		});
+
+		return {
+			success: true,
+			message: `Client key '${name}' created. Copy it now, it will not be shown again.`,
+			key: generated.key,
+			clientKey: toResponse(dbOps, clientKey),
+		};
+	} catch (error) {
+		if (error instanceof ValidationError) {
+			return { success: false, message: error.message };
+		}
+		throw error;
+	}
+}
+
+/**
+ * Revoke a client key by name or id. Revoked keys stay listed so their
+ * requests remain attributed.
+ */
+export function revokeClientKey(
+	dbOps: DatabaseOperations,
+	nameOrId: string,
+): { success: boolean; message: string } {
+	const clientKey = findClientKey(dbOps, nameOrId);
+	if (!clientKey) {
+		return {
+			success: false,
+			message: `Client key '${nameOrId}' not found`,
+		};
+	}
+
+	if (!dbOps.revokeClientKey(clientKey.id)) {
+		return {
+			success: false,
+			message: `Client key '${clientKey.name}' is already revoked`,
+		};
+	}
+
+	return {
+		success: true,
+		message: `Client key '${clientKey.name}' revoked`,
+	};
+}
+
+/**
+ * Delete a client key by name or id
+ */
+export function deleteClientKey(
+	dbOps: DatabaseOperations,
+	nameOrId: string,
+): { success: boolean; message: string } {
+	const clientKey = findClientKey(dbOps, nameOrId);
+	if (!clientKey) {
+		return {
+			success: false,
+			message: `Client key '${nameOrId}' not found`,
+		};
+	}
+
+	dbOps.deleteClientKey(clientKey.id);
+	return {
+		success: true,
+		message: `Client key '${clientKey.name}' deleted`,
+	};
+}
@@ -0,0 +1,82 @@
+import { renameSync, rmSync, writeFileSync } from "node:fs";
+import {
+	CredentialCipher,
+	type DatabaseOperations,
+	generateMasterKey,
+	MASTER_KEY_ENV,
+	MASTER_KEY_FILE_ENV,
+	parseMasterKey,
+} from "@better-ccflare/database";
+
+export const NEW_MASTER_KEY_ENV = "BETTER_CCFLARE_NEW_MASTER_KEY";
+
+/**
+ * Rotate the master key that encrypts stored account credentials. Only the
+ * per-credential data keys are re-wrapped. The new key is taken from
+ * BETTER_CCFLARE_NEW_MASTER_KEY or generated.
+ *
+ * When the current key was read from BETTER_CCFLARE_MASTER_KEY_FILE the file
+ * is replaced with the new key. Otherwise the new key is returned and must be
+ * put in BETTER_CCFLARE_MASTER_KEY before the next start.
+ *
+ * The server must not be running while the key is rotated, since it keeps
+ * the old key in memory.
+ */
+export function rotateMasterKey(
+	dbOps: DatabaseOperations,
+	newKey: string | undefined = process.env[NEW_MASTER_KEY_ENV],
+): { success: boolean; message: string; key?: string } {
+	const currentKeyId = dbOps.getMasterKeyId();
+	if (!currentKeyId) {
+		return {
+			success: false,
+			message: `Credential encryption is not enabled. Set ${MASTER_KEY_ENV} or ${MASTER_KEY_FILE_ENV} and start better-ccflare once to encrypt stored credentials`,
+		};
+	}
+
+	const rawKey = newKey ?? generateMasterKey();
+	let next: CredentialCipher;
+	try {
+		next = new CredentialCipher(parseMasterKey(rawKey));
+	} catch (error) {
+		return { success: false, message: (error as Error).message };
+	}
+	if (next.keyId === currentKeyId) {
+		return {
+			success: false,
+			message: "The new master key is the same as the current one",
+		};
+	}
+
+	// The environment variable takes precedence over the key file
+	const keyFile = process.env[MASTER_KEY_ENV]
+		? undefined
+		: process.env[MASTER_KEY_FILE_ENV];
+
+	if (!keyFile) {
+		const updated = dbOps.rotateMasterKey(next);
+		return {
+			success: true,
+			message: `Re-encrypted credentials for ${updated} account(s) with master key ${next.keyId}. Set ${MASTER_KEY_ENV} to the new key below before starting better-ccflare again:`,
+			key: rawKey,
+		};
+	}
+
+	// Stage the new key next to the old one so a failed rotation leaves the
+	// database and key file consistent
+	const stagedFile = `${keyFile}.new`;
+	writeFileSync(stagedFile, `${rawKey}\n`, { mode: 0o600 });
+	let updated: number;
+	try {
+		updated = dbOps.rotateMasterKey(next);
+	} catch (error) {
+		rmSync(stagedFile, { force: true });
+		throw error;
+	}
+	renameSync(stagedFile, keyFile);
+
+	return {
+		success: true,
+		message: `Re-encrypted credentials for ${updated} account(s) with master key ${next.keyId} and wrote it to ${keyFile}`,
+	};
+}
@@ -0,0 +1,162 @@
+import { getAdminAuthHeaders } from "@better-ccflare/core";
+import type {
+	ReplayRequest,
+	ReplayResult,
+	ReplaySide,
+} from "@better-ccflare/types";
+import {
+	formatCost,
+	formatDuration,
+	formatTokens,
+	parseAssistantMessage,
+} from "@better-ccflare/ui-common";
+
+// Longest assistant text shown per side in the terminal comparison
+const PREVIEW_CHARS = 600;
+
+/**
+ * Replay a stored request through a running server. Replays go through the
+ * proxy itself, so this talks to the server API rather than the database.
+ *
+ * @param baseUrl - Server URL, e.g. http://localhost:8080
+ * @param requestId - Id of the stored request
+ * @param options - Target account (name or id) and model override
+ */
+export async function replayRequest(
+	baseUrl: string,
+	requestId: string,
+	options: ReplayRequest = {},
+): Promise<{ success: boolean; message: string; result?: ReplayResult }> {
+	let res: Response;
+	try {
+		res = await fetch(
+			`${baseUrl}/api/requests/${encodeURIComponent(requestId)}/replay`,
+			{
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+					...getAdminAuthHeaders(),
+				},
+				body: JSON.stringify(options),
+			},
+		);
+	} catch {
+		return {
+			success: false,
+			message: `Could not reach the server at ${baseUrl}. Start it with --serve first.`,
+		};
+	}
+
+	if (!res.ok) {
+		const error = (await res.json().catch(() => ({}))) as { error?: string };
+		return {
+			success: false,
+			message: error.error || `Replay failed with status ${res.status}`,
+		};
+	}
+
+	const result = (await res.json()) as ReplayResult;
+	return {
+		success: true,
+		message: `Replayed request ${requestId} as ${result.replay.requestId}`,
+		result,
+	};
+}
+
+function formatDelta(
+	original: number,
+	replay: number,
+	format: (value: number) => string,
+): string {
+	const delta = replay - original;
+	if (delta === 0) return "";
+	return delta > 0 ? `+${format(delta)}` : `-${format(-delta)}`;
+}
+
+function describeSide(side: ReplaySide): string {
+	return side.accountName ?? side.accountId ?? "unauthenticated";
+}
+
+function assistantPreview(side: ReplaySide): string {
+	const message = parseAssistantMessage(side.responseBody);
+	const text = message?.content?.trim() || side.errorMessage || "(no text)";
+	return text.length > PREVIEW_CHARS
+		? `${text.slice(0, PREVIEW_CHARS)}…`
+		: text;
+}
+
+/**
+ * Render a replay comparison as a plain text table followed by the
+ * assistant text of both responses
+ */
+export function formatReplayComparison(result: ReplayResult): string {
+	const { original, replay } = result;
+	const rows: Array<[string, string, string, string]> = [
+		["", "Original", "Replay", "Delta"],
+		["Account", describeSide(original), describeSide(replay), ""],
+		["Model", original.model ?? "-", replay.model ?? "-", ""],
+		[
+			"Status",
+			String(original.statusCode ?? "-"),
+			String(replay.statusCode ?? "-"),
+			"",
+		],
+		[
+			"Latency",
+			original.responseTimeMs !== null
+				? formatDuration(original.responseTimeMs)
+				: "-",
+			replay.responseTimeMs !== null
+				? formatDuration(replay.responseTimeMs)
+				: "-",
+			original.responseTimeMs !== null && replay.responseTimeMs !== null
+				? formatDelta(
+						original.responseTimeMs,
+						replay.responseTimeMs,
+						formatDuration,
+					)
+				: "",
+		],
+	];
+	for (const [label, key] of [
+		["Input tokens", "inputTokens"],
+		["Output tokens", "outputTokens"],
+		["Cache read", "cacheReadInputTokens"],
+		["Cache write", "cacheCreationInputTokens"],
+	] as const) {
+		rows.push([
+			label,
+			formatTokens(original[key]),
+			formatTokens(replay[key]),
+			formatDelta(original[key], replay[key], formatTokens),
+		]);
+	}
+	rows.push([
+		"Cost",
+		formatCost(original.costUsd),
+		formatCost(replay.costUsd),
+		formatDelta(original.costUsd, replay.costUsd, formatCost),
+	]);
+
+	const widths = [0, 1, 2, 3].map((col) =>
+		Math.max(...rows.map((row) => row[col].length)),
+	);
+	const table = rows
+		.map((row) =>
+			row
+				.map((cell, col) => cell.padEnd(widths[col]))
+				.join("  ")
+				.trimEnd(),
+		)
+		.join("\n");
+
+	return [
+		table,
+		"",
+		`--- Original (${original.requestId}) ---`,
+		assistantPreview(original),
+		"",
+		`--- Replay (${replay.requestId}) ---`,
+		assistantPreview(replay),
+	].join("\n");
+}
@@ -0,0 +1,257 @@
+import { TIME_CONSTANTS, ValidationError } from "@better-ccflare/core";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import {
+	REPORT_FORMATS,
+	REPORT_GROUP_BY,
+	type ReportFormat,
+	type ReportGroupBy,
+	type UsageReport,
+	type UsageReportRequest,
+	type UsageReportRow,
+} from "@better-ccflare/types";
+
+const DEFAULT_REPORT_DAYS = 30;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const REPORT_CONTENT_TYPES: Record<ReportFormat, string> = {
+	json: "application/json",
+	csv: "text/csv; charset=utf-8",
+	markdown: "text/markdown; charset=utf-8",
+};
+
+const FILE_EXTENSIONS: Record<ReportFormat, string> = {
+	json: "json",
+	csv: "csv",
+	markdown: "md",
+};
+
+const COLUMNS: Array<{
+	key: keyof Omit<UsageReportRow, ReportGroupBy>;
+	csv: string;
+	label: string;
+}> = [
+	{ key: "requests", csv: "requests", label: "Requests" },
+	{ key: "inputTokens", csv: "input_tokens", label: "Input" },
+	{ key: "outputTokens", csv: "output_tokens", label: "Output" },
+	{
+		key: "cacheReadInputTokens",
+		csv: "cache_read_input_tokens",
+		label: "Cache read",
+	},
+	{
+		key: "cacheCreationInputTokens",
+		csv: "cache_creation_input_tokens",
+		label: "Cache write",
+	},
+	{ key: "totalTokens", csv: "total_tokens", label: "Total tokens" },
+	{ key: "costUsd", csv: "cost_usd", label: "Cost (USD)" },
+];
+
+const GROUP_LABELS: Record<ReportGroupBy, string> = {
+	project: "Project",
+	account: "Account",
+	agent: "Agent",
+	day: "Day",
+};
+
+function validateDate(value: unknown, field: string): string | undefined {
+	if (value === undefined || value === null || value === "") return undefined;
+	if (
+		typeof value !== "string" ||
+		!DATE_PATTERN.test(value) ||
+		new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) !== value
+	) {
+		throw new ValidationError(
+			`${field} must be a YYYY-MM-DD date`,
+			field,
+			value,
+		);
+	}
+	return value;
+}
+
+function validateGroupBy(value: unknown): ReportGroupBy[] {
+	if (value === undefined || value === null || value === "") {
+		return ["project"];
+	}
+	const parts = (Array.isArray(value) ? value : String(value).split(","))
+		.map((part) => String(part).trim())
+		.filter(Boolean);
+	for (const part of parts) {
+		if (!REPORT_GROUP_BY.includes(part as ReportGroupBy)) {
+			throw new ValidationError(
+				`groupBy must be a comma separated list of ${REPORT_GROUP_BY.join(", ")}`,
+				"groupBy",
+				value,
+			);
+		}
+	}
+	return [...new Set(parts)] as ReportGroupBy[];
+}
+
+function validateFormat(value: unknown): ReportFormat {
+	if (value === undefined || value === null || value === "") return "json";
+	const format = String(value).toLowerCase();
+	const normalized = format === "md" ? "markdown" : format;
+	if (!REPORT_FORMATS.includes(normalized as ReportFormat)) {
+		throw new ValidationError(
+			`format must be one of ${REPORT_FORMATS.join(", ")}`,
+			"format",
+			value,
+		);
+	}
+	return normalized as ReportFormat;
+}
+
+/**
+ * Build a usage report for an inclusive UTC date range, grouped by any of
+ * project, account, agent and day. The range defaults to the last 30 days
+ * and the grouping to project.
+ */
+export function generateReport(
+	dbOps: DatabaseOperations,
+	request: UsageReportRequest,
+): {
+	success: boolean;
+	message: string;
+	report?: UsageReport;
+	format?: ReportFormat;
+} {
+	try {
+		const to =
+			validateDate(request.to, "to") ?? new Date().toISOString().slice(0, 10);
+		const from =
+			validateDate(request.from, "from") ??
+			new Date(
+				Date.parse(`${to}T00:00:00Z`) -
+					(DEFAULT_REPORT_DAYS - 1) * TIME_CONSTANTS.DAY,
+			)
+				.toISOString()
+				.slice(0, 10);
+		if (from > to) {
+			throw new ValidationError("from must not be after to", "from", from);
+		}
+		const groupBy = validateGroupBy(request.groupBy);
+		const format = validateFormat(request.format);
+
+		const report = dbOps.getUsageReport({
+			from,
+			to,
+			groupBy,
+			includeLogOnly: request.includeLogOnly === true,
+		});
+		return {
+			success: true,
+			message: `Usage report for ${from} to ${to}`,
+			report,
+			format,
+		};
+	} catch (error) {
+		if (error instanceof ValidationError) {
+			return { success: false, message: error.message };
+		}
+		throw error;
+	}
+}
+
+function csvField(value: string | number): string {
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(report: UsageReport): string {
+	const lines = [
+		[...report.groupBy, ...COLUMNS.map((column) => column.csv)].join(","),
+	];
+	for (const row of report.rows) {
+		lines.push(
+			[
+				...report.groupBy.map((dimension) => row[dimension] ?? ""),
+				...COLUMNS.map((column) => row[column.key]),
+			]
+				.map(csvField)
+				.join(","),
+		);
+	}
+	return `${lines.join("\n")}\n`;
+}
+
+function markdownCell(value: string): string {
+	return value.replace(/\|/g, "\\|");
+}
+
+function formatValue(
+	key: (typeof COLUMNS)[number]["key"],
+	value: number,
+): string {
+	return key === "costUsd" ? `$${value.toFixed(4)}` : value.toLocaleString();
+}
+
+function toMarkdown(report: UsageReport): string {
+	const { correlation } = report;
+	const headers = [
+		...report.groupBy.map((dimension) => GROUP_LABELS[dimension]),
+		...COLUMNS.map((column) => column.label),
+	];
+	const lines = [
+		`# Usage report ${report.from} to ${report.to}`,
+		"",
+		`Grouped by ${report.groupBy.join(", ") || "nothing"}. Generated ${report.generatedAt}.`,
+		"",
+		`| ${headers.join(" | ")} |`,
+		`| ${[
+			...report.groupBy.map(() => "---"),
+			...COLUMNS.map(() => "---:"),
+		].join(" | ")} |`,
+	];
+
+	for (const row of report.rows) {
+		const cells = [
+			...report.groupBy.map((dimension) => markdownCell(row[dimension] ?? "")),
+			...COLUMNS.map((column) => formatValue(column.key, row[column.key])),
+		];
+		lines.push(`| ${cells.join(" | ")} |`);
+	}
+
+	const totals = [
+		...report.groupBy.map((_, index) => (index === 0 ? "**Total**" : "")),
+		...COLUMNS.map(
+			(column) => `**${formatValue(column.key, report.totals[column.key])}**`,
+		),
+	];
+	lines.push(`| ${totals.join(" | ")} |`);
+
+	lines.push(
+		"",
+		`Requests matched to session logs: ${correlation.matchedBySession} by session, ${correlation.matchedByTimestamp} by timestamp, ${correlation.sessionOnly} by session only, ${correlation.unmatched} unmatched. Log-only entries: ${correlation.logOnly}.`,
+		"",
+	);
+	return lines.join("\n");
+}
+
+/**
+ * Render a report as JSON, CSV or a Markdown table
+ */
+export function formatReport(
+	report: UsageReport,
+	format: ReportFormat,
+): string {
+	switch (format) {
+		case "csv":
+			return toCsv(report);
+		case "markdown":
+			return toMarkdown(report);
+		default:
+			return `${JSON.stringify(report, null, 2)}\n`;
+	}
+}
+
+/**
+ * Default file name for a downloaded or saved report
+ */
+export function getReportFilename(
+	report: UsageReport,
+	format: ReportFormat,
+): string {
+	return `usage-report-${report.from}-to-${report.to}.${FILE_EXTENSIONS[format]}`;
+}
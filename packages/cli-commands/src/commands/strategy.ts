@@ -0,0 +1,73 @@
+import type { Config, StrategyOptions } from "@better-ccflare/config";
+import {
+	isValidStrategy,
+	isValidUtilizationWindow,
+	STRATEGIES,
+	STRATEGY_DESCRIPTIONS,
+	UTILIZATION_WINDOWS,
+	ValidationError,
+} from "@better-ccflare/core";
+
+export interface StrategyInfo {
+	strategy: string;
+	options: StrategyOptions;
+	available: Array<{ name: string; description: string }>;
+}
+
+/**
+ * Get the current load balancing strategy and its options
+ */
+export function getStrategyInfo(config: Config): StrategyInfo {
+	return {
+		strategy: config.getStrategy(),
+		options: config.getStrategyOptions(),
+		available: STRATEGIES.map((name) => ({
+			name,
+			description: STRATEGY_DESCRIPTIONS[name],
+		})),
+	};
+}
+
+/**
+ * Set the load balancing strategy, optionally updating its options
+ */
+export function setStrategy(
+	config: Config,
+	strategy: string,
+	options: { utilizationWindow?: string; maxUtilization?: string } = {},
+): { success: boolean; message: string } {
+	if (!isValidStrategy(strategy)) {
+		return {
+			success: false,
+			message: `Invalid strategy '${strategy}'. Valid strategies: ${STRATEGIES.join(", ")}`,
+		};
+	}
+
+	const update: Partial<StrategyOptions> = {};
+	if (options.utilizationWindow !== undefined) {
+		if (!isValidUtilizationWindow(options.utilizationWindow)) {
+			return {
+				success: false,
+				message: `Invalid utilization window '${options.utilizationWindow}'. Valid windows: ${UTILIZATION_WINDOWS.join(", ")}`,
+			};
+		}
+		update.utilizationWindow = options.utilizationWindow;
+	}
+	if (options.maxUtilization !== undefined) {
+		update.maxUtilization = Number(options.maxUtilization);
+	}
+
+	try {
+		config.setStrategy(strategy, update);
+	} catch (error) {
+		if (error instanceof ValidationError) {
+			return { success: false, message: error.message };
+		}
+		throw error;
+	}
+
+	return {
+		success: true,
+		message: `Load balancing strategy set to '${strategy}'`,
+	};
+}
@@ -1,8 +1,15 @@
 // Export all commands
 export * from "./commands/account";
 export * from "./commands/analyze";
+export * from "./commands/backup";
+export * from "./commands/budgets";
 export * from "./commands/help";
+export * from "./commands/keys";
+export * from "./commands/master-key";
+export * from "./commands/replay";
+export * from "./commands/report";
 export * from "./commands/stats";
+export * from "./commands/strategy";
 
 // Export prompts
 export * from "./prompts/index";
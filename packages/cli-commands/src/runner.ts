@@ -1,8 +1,10 @@
+import { writeFileSync } from "node:fs";
 import { parseArgs } from "node:util";
 import { Config } from "@better-ccflare/config";
 import { shutdown } from "@better-ccflare/core";
 import { container, SERVICE_KEYS } from "@better-ccflare/core-di";
 import { DatabaseFactory } from "@better-ccflare/database";
+import { ACCOUNT_MODES, type AccountMode } from "@better-ccflare/types";
 import {
 	addAccount,
 	getAccountsList,
@@ -12,8 +14,27 @@ import {
 	setAccountPriority,
 } from "./commands/account";
 import { analyzePerformance } from "./commands/analyze";
+import {
+	exportBackup,
+	getBundlePassphrase,
+	importBackup,
+} from "./commands/backup";
 import { getHelpText } from "./commands/help";
+import {
+	createClientKey,
+	deleteClientKey,
+	listClientKeys,
+	parseModelList,
+	revokeClientKey,
+} from "./commands/keys";
+import { rotateMasterKey } from "./commands/master-key";
+import {
+	formatReport,
+	generateReport,
+	getReportFilename,
+} from "./commands/report";
 import { clearRequestHistory, resetAllStats } from "./commands/stats";
+import { getStrategyInfo, setStrategy } from "./commands/strategy";
 
 /**
  * Main CLI runner
@@ -36,6 +57,19 @@ export async function runCli(argv: string[]): Promise<void> {
 				tier: { type: "string" },
 				priority: { type: "string" },
 				force: { type: "boolean" },
+				window: { type: "string" },
+				"max-utilization": { type: "string" },
+				models: { type: "string" },
+				"daily-requests": { type: "string" },
+				"daily-tokens": { type: "string" },
+				"daily-cost": { type: "string" },
+				expires: { type: "string" },
+				from: { type: "string" },
+				to: { type: "string" },
+				"group-by": { type: "string" },
+				format: { type: "string" },
+				output: { type: "string" },
+				"include-log-only": { type: "boolean" },
 			},
 		});
 
@@ -47,13 +81,20 @@ export async function runCli(argv: string[]): Promise<void> {
 				if (!name) {
 					console.error("Error: Account name is required");
 					console.log(
-						"Usage: ccflare-cli add <name> [--mode <max|console|zai|openai-compatible>] [--tier <1|5|20>] [--priority <number>]",
+						"Usage: ccflare-cli add <name> [--mode <max|console|zai|openai-compatible|bedrock|vertex>] [--tier <1|5|20>] [--priority <number>]",
 					);
 					process.exit(1);
 				}
 
 				// Parse options
-				const mode = values.mode as "max" | "console" | undefined;
+				const mode = values.mode as AccountMode | undefined;
+				if (
+					mode &&
+					!Object.values(ACCOUNT_MODES).includes(mode as AccountMode)
+				) {
+					console.error(`Error: Unknown account mode '${mode}'`);
+					process.exit(1);
+				}
 				const tierValue = values.tier
 					? parseInt(values.tier as string)
 					: undefined;
@@ -208,6 +249,178 @@ export async function runCli(argv: string[]): Promise<void> {
 				break;
 			}
 
+			case "strategy": {
+				const name = positionals[1];
+
+				if (!name) {
+					const info = getStrategyInfo(config);
+					console.log(`\nCurrent strategy: ${info.strategy}`);
+					console.log(
+						`Utilization window: ${info.options.utilizationWindow}, max utilization: ${info.options.maxUtilization}%`,
+					);
+					console.log("\nAvailable strategies:");
+					for (const strategy of info.available) {
+						const marker = strategy.name === info.strategy ? "→" : " ";
+						console.log(
+							`${marker} ${strategy.name.padEnd(20)}${strategy.description}`,
+						);
+					}
+					break;
+				}
+
+				const result = setStrategy(config, name, {
+					utilizationWindow: values.window as string | undefined,
+					maxUtilization: values["max-utilization"] as string | undefined,
+				});
+				console.log(result.message);
+				if (!result.success) {
+					process.exit(1);
+				}
+				break;
+			}
+
+			case "keys": {
+				const action = positionals[1] ?? "list";
+				const name = positionals[2];
+
+				if (action === "list") {
+					const keys = listClientKeys(dbOps);
+					if (keys.length === 0) {
+						console.log("No client keys found");
+						break;
+					}
+
+					console.log(`\nClient keys (${keys.length}):`);
+					console.log("─".repeat(100));
+					console.log(
+						"Name".padEnd(20) +
+							"Key".padEnd(16) +
+							"Status".padEnd(10) +
+							"Models".padEnd(24) +
+							"Today".padEnd(18) +
+							"Expires",
+					);
+					console.log("─".repeat(100));
+					for (const key of keys) {
+						const requests = key.dailyRequestLimit
+							? `${key.usageToday.requests}/${key.dailyRequestLimit}`
+							: `${key.usageToday.requests}`;
+						console.log(
+							key.name.padEnd(20) +
+								`${key.keyPrefix}…`.padEnd(16) +
+								key.status.padEnd(10) +
+								(key.allowedModels?.join(",") ?? "all").padEnd(24) +
+								`${requests} req`.padEnd(18) +
+								(key.expiresAt ?? "never"),
+						);
+					}
+					break;
+				}
+
+				if (!name) {
+					console.error("Error: Client key name is required");
+					console.log(
+						"Usage: ccflare-cli keys <create|revoke|delete> <name> [options]",
+					);
+					process.exit(1);
+				}
+
+				const numberOption = (option: string) =>
+					values[option] !== undefined ? Number(values[option]) : undefined;
+
+				const result =
+					action === "create"
+						? createClientKey(dbOps, {
+								name,
+								allowedModels: parseModelList(
+									values.models as string | undefined,
+								),
+								dailyRequestLimit: numberOption("daily-requests"),
+								dailyTokenLimit: numberOption("daily-tokens"),
+								dailyCostLimit: numberOption("daily-cost"),
+								expiresAt: values.expires as string | undefined,
+							})
+						: action === "revoke"
+							? revokeClientKey(dbOps, name)
+							: action === "delete"
+								? deleteClientKey(dbOps, name)
+								: {
+										success: false,
+										message: `Unknown keys action '${action}'. Use list, create, revoke or delete`,
+									};
+
+				console.log(result.message);
+				if ("key" in result && result.key) {
+					console.log(`\n  ${result.key}\n`);
+				}
+				if (!result.success) {
+					process.exit(1);
+				}
+				break;
+			}
+
+			case "rotate-key": {
+				const result = rotateMasterKey(dbOps);
+				console.log(result.message);
+				if (result.key) {
+					console.log(`\n  ${result.key}\n`);
+				}
+				if (!result.success) {
+					process.exit(1);
+				}
+				break;
+			}
+
+			case "export":
+			case "import": {
+				const filePath = positionals[1];
+				if (!filePath) {
+					console.error("Error: Bundle file path is required");
+					console.log(`Usage: ccflare-cli ${command} <file>`);
+					process.exit(1);
+				}
+
+				const passphrase = await getBundlePassphrase();
+				const result =
+					command === "export"
+						? exportBackup(dbOps, config, filePath, passphrase)
+						: importBackup(dbOps, config, filePath, passphrase);
+				console.log(result.message);
+				if (!result.success) {
+					process.exit(1);
+				}
+				break;
+			}
+
+			case "report": {
+				const result = generateReport(dbOps, {
+					from: values.from as string | undefined,
+					to: values.to as string | undefined,
+					groupBy: values["group-by"] as string | undefined,
+					format: (values.format as string | undefined) ?? "markdown",
+					includeLogOnly: values["include-log-only"] === true,
+				});
+				if (!result.success || !result.report || !result.format) {
+					console.error(`Error: ${result.message}`);
+					process.exit(1);
+				}
+
+				const output = formatReport(result.report, result.format);
+				const filePath =
+					values.output === true
+						? getReportFilename(result.report, result.format)
+						: (values.output as string | undefined);
+				if (filePath) {
+					writeFileSync(filePath, output);
+					console.log(
+						`Wrote ${result.report.rows.length} row(s) to ${filePath}`,
+					);
+				} else {
+					process.stdout.write(output);
+				}
+				break;
+			}
+
 			case "analyze": {
 				const db = dbOps.getDatabase();
 				analyzePerformance(db);
@@ -0,0 +1,108 @@
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { StrategyName, ValidationError } from "@better-ccflare/core";
+import { Config, type ConfigChangeEvent } from "../index";
+
+describe("Config strategy settings", () => {
+	let dir: string;
+	let configPath: string;
+	let config: Config;
+	let events: ConfigChangeEvent[];
+
+	const saved = () => JSON.parse(readFileSync(configPath, "utf8"));
+
+	beforeEach(() => {
+		dir = mkdtempSync(join(tmpdir(), "ccflare-config-"));
+		configPath = join(dir, "config.json");
+		config = new Config(configPath);
+		events = [];
+		config.on("change", (event: ConfigChangeEvent) => events.push(event));
+		// Environment overrides would mask what was written
+		vi.stubEnv("LB_STRATEGY", "");
+		vi.stubEnv("LB_UTILIZATION_WINDOW", "");
+		vi.stubEnv("LB_MAX_UTILIZATION", "");
+	});
+
+	afterEach(() => {
+		vi.unstubAllEnvs();
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("writes the strategy and its options in one change", () => {
+		config.setStrategy(StrategyName.DrainToReset, {
+			utilizationWindow: "five_hour",
+			maxUtilization: 80,
+		});
+
+		expect(saved()).toMatchObject({
+			lb_strategy: "drain-to-reset",
+			lb_utilization_window: "five_hour",
+			lb_max_utilization: 80,
+		});
+		expect(config.getStrategyOptions()).toEqual({
+			utilizationWindow: "five_hour",
+			maxUtilization: 80,
+		});
+		expect(events).toHaveLength(1);
+		expect(events[0]).toMatchObject({
+			key: "lb_strategy",
+			keys: ["lb_strategy", "lb_utilization_window", "lb_max_utilization"],
+			newValue: "drain-to-reset",
+		});
+	});
+
+	it("writes both options in one change", () => {
+		config.setStrategyOptions({
+			utilizationWindow: "seven_day",
+			maxUtilization: 70,
+		});
+
+		expect(events).toHaveLength(1);
+		expect(events[0].keys).toEqual([
+			"lb_utilization_window",
+			"lb_max_utilization",
+		]);
+	});
+
+	it.each([
+		["strategy", () => config.setStrategy("round-robin" as never)],
+		[
+			"window",
+			() =>
+				config.setStrategy(StrategyName.LeastUtilization, {
+					utilizationWindow: "daily" as never,
+				}),
+		],
+		[
+			"max utilization",
+			() =>
+				config.setStrategy(StrategyName.LeastUtilization, {
+					utilizationWindow: "five_hour",
+					maxUtilization: 150,
+				}),
+		],
+		[
+			"option",
+			() =>
+				config.setStrategyOptions({
+					utilizationWindow: "five_hour",
+					maxUtilization: -1,
+				}),
+		],
+	])("rejects an invalid %s without writing anything", (_name, update) => {
+		const before = readFileSync(configPath, "utf8");
+
+		expect(update).toThrow(ValidationError);
+		expect(readFileSync(configPath, "utf8")).toBe(before);
+		expect(config.getStrategy()).toBe(StrategyName.Session);
+		expect(events).toHaveLength(0);
+	});
+
+	it("still emits single-key changes from set", () => {
+		config.set("port", 9090);
+		expect(events).toEqual([
+			{ key: "port", keys: ["port"], oldValue: undefined, newValue: 9090 },
+		]);
+	});
+});
@@ -4,9 +4,12 @@ import { dirname } from "node:path";
 import {
 	DEFAULT_AGENT_MODEL,
 	DEFAULT_STRATEGY,
+	DEFAULT_STRATEGY_OPTIONS,
 	isValidStrategy,
+	isValidUtilizationWindow,
 	NETWORK,
 	type StrategyName,
+	type StrategyOptions,
 	TIME_CONSTANTS,
 	ValidationError,
 	validateNumber,
@@ -39,6 +42,8 @@ export interface RuntimeConfig {
 
 export interface ConfigData {
 	lb_strategy?: StrategyName;
+	lb_utilization_window?: StrategyOptions["utilizationWindow"];
+	lb_max_utilization?: number;
 	client_id?: string;
 	retry_attempts?: number;
 	retry_delay_ms?: number;
@@ -154,6 +159,18 @@ function validateDatabaseConfig(
 	}
 }
 
+/**
+ * Payload of the "change" event. An update that writes several keys at once
+ * emits a single event listing all of them in `keys`; `key`, `oldValue` and
+ * `newValue` describe the first of them.
+ */
+export interface ConfigChangeEvent {
+	key: string;
+	keys: string[];
+	oldValue: string | number | boolean | undefined;
+	newValue: string | number | boolean;
+}
+
 export class Config extends EventEmitter {
 	private configPath: string;
 	private data: ConfigData = {};
@@ -212,12 +229,30 @@ export class Config extends EventEmitter {
 	}
 
 	set(key: string, value: string | number | boolean): void {
-		const oldValue = this.data[key];
-		this.data[key] = value;
+		this.setMany({ [key]: value });
+	}
+
+	/**
+	 * Write several keys with a single save and a single change event, so
+	 * listeners never see a partial update
+	 */
+	private setMany(values: ConfigData): void {
+		const keys = Object.keys(values).filter((key) => values[key] !== undefined);
+		if (keys.length === 0) return;
+
+		const oldValue = this.data[keys[0]];
+		for (const key of keys) {
+			this.data[key] = values[key];
+		}
 		this.saveConfig();
 
-		// Emit change event
-		this.emit("change", { key, oldValue, newValue: value });
+		const event: ConfigChangeEvent = {
+			key: keys[0],
+			keys,
+			oldValue,
+			newValue: values[keys[0]] as string | number | boolean,
+		};
+		this.emit("change", event);
 	}
 
 	getStrategy(): StrategyName {
@@ -236,11 +271,84 @@ export class Config extends EventEmitter {
 		return DEFAULT_STRATEGY;
 	}
 
-	setStrategy(strategy: StrategyName): void {
+	/**
+	 * Set the strategy and, optionally, its options. Everything is validated
+	 * before anything is written.
+	 *
+	 * @throws {ValidationError} If the strategy or an option is invalid
+	 */
+	setStrategy(
+		strategy: StrategyName,
+		options?: Partial<StrategyOptions>,
+	): void {
 		if (!isValidStrategy(strategy)) {
-			throw new Error(`Invalid strategy: ${strategy}`);
+			throw new ValidationError(
+				`Invalid strategy: ${strategy}`,
+				"strategy",
+				strategy,
+			);
+		}
+		const values = this.validateStrategyOptions(options ?? {});
+		this.setMany({ lb_strategy: strategy, ...values });
+	}
+
+	getStrategyOptions(): StrategyOptions {
+		const options: StrategyOptions = { ...DEFAULT_STRATEGY_OPTIONS };
+
+		const envWindow = process.env.LB_UTILIZATION_WINDOW;
+		const fileWindow = this.data.lb_utilization_window;
+		if (envWindow && isValidUtilizationWindow(envWindow)) {
+			options.utilizationWindow = envWindow;
+		} else if (fileWindow && isValidUtilizationWindow(fileWindow)) {
+			options.utilizationWindow = fileWindow;
+		}
+
+		const envMax = process.env.LB_MAX_UTILIZATION;
+		const envMaxValue = envMax ? parseFloat(envMax) : Number.NaN;
+		if (!Number.isNaN(envMaxValue)) {
+			options.maxUtilization = this.clamp(envMaxValue, 0, 100);
+		} else if (typeof this.data.lb_max_utilization === "number") {
+			options.maxUtilization = this.clamp(this.data.lb_max_utilization, 0, 100);
+		}
+
+		return options;
+	}
+
+	/**
+	 * Update the strategy options. Both are validated before either is written.
+	 *
+	 * @throws {ValidationError} If an option is invalid
+	 */
+	setStrategyOptions(options: Partial<StrategyOptions>): void {
+		this.setMany(this.validateStrategyOptions(options));
+	}
+
+	// Validated config entries for the given strategy options
+	private validateStrategyOptions(
+		options: Partial<StrategyOptions>,
+	): Pick<ConfigData, "lb_utilization_window" | "lb_max_utilization"> {
+		const values: Pick<
+			ConfigData,
+			"lb_utilization_window" | "lb_max_utilization"
+		> = {};
+		if (options.utilizationWindow !== undefined) {
+			if (!isValidUtilizationWindow(options.utilizationWindow)) {
+				throw new ValidationError(
+					`Invalid utilization window: ${options.utilizationWindow}`,
+					"utilizationWindow",
+					options.utilizationWindow,
+				);
+			}
+			values.lb_utilization_window = options.utilizationWindow;
+		}
+		if (options.maxUtilization !== undefined) {
+			values.lb_max_utilization = validateNumber(
+				options.maxUtilization,
+				"maxUtilization",
+				{ min: 0, max: 100 },
+			) as number;
 		}
-		this.set("lb_strategy", strategy);
+		return values;
 	}
 
 	getDefaultAgentModel(): string {
@@ -385,6 +493,8 @@ export class Config extends EventEmitter {
 		return {
 			...this.data,
 			lb_strategy: this.getStrategy(),
+			lb_utilization_window: this.getStrategyOptions().utilizationWindow,
+			lb_max_utilization: this.getStrategyOptions().maxUtilization,
 			default_agent_model: this.getDefaultAgentModel(),
 			data_retention_days: this.getDataRetentionDays(),
 			request_retention_days: this.getRequestRetentionDays(),
@@ -532,6 +642,6 @@ export class Config extends EventEmitter {
 }
 
 // Re-export types
-export type { StrategyName } from "@better-ccflare/core";
+export type { StrategyName, StrategyOptions } from "@better-ccflare/core";
 export { resolveConfigPath } from "./paths";
 export { getLegacyConfigDir, getPlatformConfigDir } from "./paths-common";
@@ -0,0 +1,43 @@
+import { getBudgetWindow } from "../budgets";
+
+describe("getBudgetWindow", () => {
+	it("covers the UTC day for daily budgets", () => {
+		expect(getBudgetWindow("daily", Date.UTC(2025, 5, 15, 23, 59))).toEqual({
+			start: Date.UTC(2025, 5, 15),
+			end: Date.UTC(2025, 5, 16),
+		});
+	});
+
+	it("starts weekly windows on Monday", () => {
+		const week = {
+			start: Date.UTC(2025, 5, 9),
+			end: Date.UTC(2025, 5, 16),
+		};
+		// Monday 9 June 2025, Wednesday and the following Sunday night
+		expect(getBudgetWindow("weekly", Date.UTC(2025, 5, 9))).toEqual(week);
+		expect(getBudgetWindow("weekly", Date.UTC(2025, 5, 11, 8))).toEqual(week);
+		expect(getBudgetWindow("weekly", Date.UTC(2025, 5, 15, 23, 59))).toEqual(
+			week,
+		);
+		expect(getBudgetWindow("weekly", Date.UTC(2025, 5, 16)).start).toBe(
+			week.end,
+		);
+	});
+
+	it("covers the calendar month, across year ends", () => {
+		expect(getBudgetWindow("monthly", Date.UTC(2025, 1, 28, 12))).toEqual({
+			start: Date.UTC(2025, 1, 1),
+			end: Date.UTC(2025, 2, 1),
+		});
+		expect(getBudgetWindow("monthly", Date.UTC(2025, 11, 31, 23))).toEqual({
+			start: Date.UTC(2025, 11, 1),
+			end: Date.UTC(2026, 0, 1),
+		});
+	});
+
+	it("rolls over exactly at the window end", () => {
+		const { end } = getBudgetWindow("daily", Date.UTC(2025, 5, 15, 12));
+		expect(getBudgetWindow("daily", end - 1).end).toBe(end);
+		expect(getBudgetWindow("daily", end).start).toBe(end);
+	});
+});
@@ -0,0 +1,95 @@
+import {
+	ADMIN_TOKEN_ENV,
+	CLIENT_KEY_PREFIX,
+	generateClientKey,
+	getAdminAuthHeaders,
+	getClientKeyQuotaWindowStart,
+	hashClientKey,
+	isAdminToken,
+	isClientKey,
+	isModelAllowed,
+} from "../client-keys";
+
+describe("generateClientKey", () => {
+	it("returns a prefixed key with its hash and display prefix", () => {
+		const { key, hash, prefix } = generateClientKey();
+
+		expect(key.startsWith(CLIENT_KEY_PREFIX)).toBe(true);
+		expect(hash).toBe(hashClientKey(key));
+		expect(hash).not.toContain(key);
+		expect(key.startsWith(prefix)).toBe(true);
+		expect(prefix.length).toBeLessThan(key.length);
+	});
+
+	it("generates distinct keys", () => {
+		expect(generateClientKey().key).not.toBe(generateClientKey().key);
+	});
+});
+
+describe("hashClientKey", () => {
+	it("is a stable sha256 hex digest", () => {
+		expect(hashClientKey("bccf_test")).toBe(hashClientKey("bccf_test"));
+		expect(hashClientKey("bccf_test")).toMatch(/^[0-9a-f]{64}$/);
+		expect(hashClientKey("bccf_test")).not.toBe(hashClientKey("bccf_other"));
+	});
+});
+
+describe("isClientKey", () => {
+	it("only recognises values with the client key prefix", () => {
+		expect(isClientKey("bccf_abc")).toBe(true);
+		expect(isClientKey("sk-ant-api03-abc")).toBe(false);
+		expect(isClientKey("")).toBe(false);
+		expect(isClientKey(null)).toBe(false);
+	});
+});
+
+describe("isModelAllowed", () => {
+	const allowList = ["claude-sonnet-*", "claude-3-5-haiku-20241022"];
+
+	it("allows everything without an allow-list", () => {
+		expect(isModelAllowed(null, "claude-opus-4-20250514")).toBe(true);
+		expect(isModelAllowed([], undefined)).toBe(true);
+	});
+
+	it("matches exact entries and prefixes", () => {
+		expect(isModelAllowed(allowList, "claude-sonnet-4-20250514")).toBe(true);
+		expect(isModelAllowed(allowList, "claude-3-5-haiku-20241022")).toBe(true);
+		expect(isModelAllowed(allowList, "claude-3-5-haiku-latest")).toBe(false);
+		expect(isModelAllowed(allowList, "claude-opus-4-20250514")).toBe(false);
+	});
+
+	it("denies a missing or non-string model", () => {
+		expect(isModelAllowed(allowList, undefined)).toBe(false);
+		expect(isModelAllowed(allowList, null)).toBe(false);
+		expect(isModelAllowed(allowList, 123 as unknown as string)).toBe(false);
+	});
+});
+
+describe("getClientKeyQuotaWindowStart", () => {
+	it("is midnight UTC of the same day", () => {
+		const now = Date.UTC(2025, 5, 15, 23, 59, 59);
+		expect(getClientKeyQuotaWindowStart(now)).toBe(Date.UTC(2025, 5, 15));
+		expect(getClientKeyQuotaWindowStart(Date.UTC(2025, 5, 16))).toBe(
+			Date.UTC(2025, 5, 16),
+		);
+	});
+});
+
+describe("admin token", () => {
+	afterEach(() => {
+		vi.unstubAllEnvs();
+	});
+
+	it("compares tokens", () => {
+		expect(isAdminToken("secret", "secret")).toBe(true);
+		expect(isAdminToken("secret2", "secret")).toBe(false);
+		expect(isAdminToken(null, "secret")).toBe(false);
+	});
+
+	it("builds headers from the environment", () => {
+		vi.stubEnv(ADMIN_TOKEN_ENV, "");
+		expect(getAdminAuthHeaders()).toEqual({});
+		vi.stubEnv(ADMIN_TOKEN_ENV, " secret ");
+		expect(getAdminAuthHeaders()).toEqual({ Authorization: "Bearer secret" });
+	});
+});
@@ -0,0 +1,40 @@
+/**
+ * Budget window helpers shared by the budget monitor, CLI and HTTP API.
+ * Windows are aligned to UTC, like client key quotas.
+ */
+import type { BudgetPeriod } from "@better-ccflare/types";
+
+/**
+ * Returns the window a budget is evaluated over at the given time. Weekly
+ * windows start on Monday.
+ * @returns Start (inclusive) and end (exclusive) in epoch milliseconds
+ */
+export function getBudgetWindow(
+	period: BudgetPeriod,
+	now = Date.now(),
+): { start: number; end: number } {
+	const date = new Date(now);
+	const year = date.getUTCFullYear();
+	const month = date.getUTCMonth();
+	const day = date.getUTCDate();
+
+	switch (period) {
+		case "daily":
+			return {
+				start: Date.UTC(year, month, day),
+				end: Date.UTC(year, month, day + 1),
+			};
+		case "weekly": {
+			const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+			return {
+				start: Date.UTC(year, month, day - daysSinceMonday),
+				end: Date.UTC(year, month, day - daysSinceMonday + 7),
+			};
+		}
+		case "monthly":
+			return {
+				start: Date.UTC(year, month, 1),
+				end: Date.UTC(year, month + 1, 1),
+			};
+	}
+}
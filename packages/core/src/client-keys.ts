@@ -0,0 +1,104 @@
+/**
+ * Client API key helpers shared by the proxy, CLI and HTTP API
+ */
+import crypto from "node:crypto";
+
+/** Prefix of every client key; also used to recognise keys in auth headers */
+export const CLIENT_KEY_PREFIX = "bccf_";
+
+/** Environment variable holding the token that guards the management API */
+export const ADMIN_TOKEN_ENV = "BETTER_CCFLARE_ADMIN_TOKEN";
+
+/** Random bytes in a generated key (base64url encoded after the prefix) */
+const CLIENT_KEY_BYTES = 32;
+
+/** Characters of the key kept in clear text to help users identify it */
+const CLIENT_KEY_DISPLAY_LENGTH = CLIENT_KEY_PREFIX.length + 6;
+
+/**
+ * Generates a new client API key
+ * @returns The plaintext key, its hash and a short display prefix
+ */
+export function generateClientKey(): {
+	key: string;
+	hash: string;
+	prefix: string;
+} {
+	const key = `${CLIENT_KEY_PREFIX}${crypto.randomBytes(CLIENT_KEY_BYTES).toString("base64url")}`;
+	return {
+		key,
+		hash: hashClientKey(key),
+		prefix: key.slice(0, CLIENT_KEY_DISPLAY_LENGTH),
+	};
+}
+
+/**
+ * Hashes a client key for storage and lookup
+ */
+export function hashClientKey(key: string): string {
+	return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Checks whether a credential looks like a client key issued by this proxy
+ */
+export function isClientKey(value: string | null | undefined): value is string {
+	return !!value && value.startsWith(CLIENT_KEY_PREFIX);
+}
+
+/**
+ * The configured admin token, or null when none is set
+ */
+export function getAdminToken(): string | null {
+	return process.env[ADMIN_TOKEN_ENV]?.trim() || null;
+}
+
+/**
+ * Authorization header for local clients (CLI, TUI) calling the management
+ * API of a running server
+ */
+export function getAdminAuthHeaders(): Record<string, string> {
+	const token = getAdminToken();
+	return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Compares a presented admin token with the configured one in constant time
+ */
+export function isAdminToken(
+	candidate: string | null | undefined,
+	token: string,
+): boolean {
+	if (!candidate) return false;
+	return crypto.timingSafeEqual(
+		Buffer.from(hashClientKey(candidate), "hex"),
+		Buffer.from(hashClientKey(token), "hex"),
+	);
+}
+
+/**
+ * Checks a model against an allow-list. Entries match exactly, or by prefix
+ * when they end in "*" (e.g. "claude-sonnet-*").
+ * @param allowedModels - The allow-list, or null to allow every model
+ * @param model - The requested model
+ */
+export function isModelAllowed(
+	allowedModels: string[] | null,
+	model: string | null | undefined,
+): boolean {
+	if (!allowedModels || allowedModels.length === 0) return true;
+	if (typeof model !== "string" || !model) return false;
+	return allowedModels.some((pattern) =>
+		pattern.endsWith("*")
+			? model.startsWith(pattern.slice(0, -1))
+			: model === pattern,
+	);
+}
+
+/**
+ * Start of the current UTC day, when daily client key quotas reset
+ */
+export function getClientKeyQuotaWindowStart(now = Date.now()): number {
+	const date = new Date(now);
+	return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
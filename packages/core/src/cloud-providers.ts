@@ -0,0 +1,192 @@
+/**
+ * Credentials and settings of Amazon Bedrock and Google Vertex AI accounts
+ */
+import { ValidationError } from "./errors";
+import {
+	safeJsonParse,
+	validateEndpointUrl,
+	validateString,
+} from "./validation";
+
+/**
+ * AWS access keys that sign Bedrock requests, stored as JSON in api_key
+ */
+export interface AwsCredentials {
+	accessKeyId: string;
+	secretAccessKey: string;
+	sessionToken?: string;
+}
+
+/**
+ * The fields of a Google Cloud service account key file used to mint
+ * Vertex AI access tokens, stored as JSON in refresh_token
+ */
+export interface ServiceAccountKey {
+	client_email: string;
+	private_key: string;
+	private_key_id?: string;
+	project_id?: string;
+	token_uri?: string;
+}
+
+/**
+ * Where a Bedrock or Vertex AI account sends requests, stored as JSON in
+ * custom_endpoint
+ */
+export interface CloudProviderSettings {
+	region: string;
+	/** Google Cloud project, Vertex AI only */
+	projectId?: string;
+	/** Cross-region inference profile prefix such as "us", Bedrock only */
+	inferenceProfile?: string;
+	/** Replaces the regional endpoint, e.g. with a VPC endpoint */
+	endpoint?: string;
+}
+
+const REGION_PATTERN = /^[a-z0-9-]+$/;
+const PROJECT_ID_PATTERN = /^[a-z][a-z0-9-]{4,28}[a-z0-9]$/;
+const INFERENCE_PROFILE_PATTERN = /^[a-z]+$/;
+
+// Credentials arrive as pasted JSON from forms and as objects from the API
+function toObject(value: unknown, field: string): Record<string, unknown> {
+	const parsed =
+		typeof value === "string"
+			? safeJsonParse<unknown>(value, field)
+			: (value ?? undefined);
+	if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+		throw new ValidationError(`${field} must be a JSON object`, field);
+	}
+	return parsed as Record<string, unknown>;
+}
+
+// Secrets are validated without echoing them into error context
+function requireSecret(
+	source: Record<string, unknown>,
+	key: string,
+	field: string,
+): string {
+	const value = source[key];
+	if (typeof value !== "string" || !value.trim()) {
+		throw new ValidationError(`${field}.${key} is required`, field);
+	}
+	return value.trim();
+}
+
+/**
+ * Validate AWS access keys given as an object or a JSON string
+ */
+export function parseAwsCredentials(
+	value: unknown,
+	field = "credentials",
+): AwsCredentials {
+	const source = toObject(value, field);
+	const credentials: AwsCredentials = {
+		accessKeyId: requireSecret(source, "accessKeyId", field),
+		secretAccessKey: requireSecret(source, "secretAccessKey", field),
+	};
+	if (typeof source.sessionToken === "string" && source.sessionToken.trim()) {
+		credentials.sessionToken = source.sessionToken.trim();
+	}
+	return credentials;
+}
+
+/**
+ * Validate a Google Cloud service account key given as an object or as the
+ * contents of the downloaded key file
+ */
+export function parseServiceAccountKey(
+	value: unknown,
+	field = "serviceAccountKey",
+): ServiceAccountKey {
+	const source = toObject(value, field);
+	if (source.type !== undefined && source.type !== "service_account") {
+		throw new ValidationError(
+			`${field} must be a service account key`,
+			field,
+			source.type,
+		);
+	}
+
+	const privateKey = requireSecret(source, "private_key", field);
+	if (!privateKey.includes("PRIVATE KEY")) {
+		throw new ValidationError(
+			`${field}.private_key must be a PEM encoded key`,
+			field,
+		);
+	}
+
+	const key: ServiceAccountKey = {
+		client_email: requireSecret(source, "client_email", field),
+		private_key: privateKey,
+	};
+	for (const optional of ["private_key_id", "project_id"] as const) {
+		const optionalValue = source[optional];
+		if (typeof optionalValue === "string" && optionalValue) {
+			key[optional] = optionalValue;
+		}
+	}
+	if (source.token_uri !== undefined) {
+		key.token_uri = validateEndpointUrl(source.token_uri, `${field}.token_uri`);
+	}
+	return key;
+}
+
+/**
+ * Validate the settings of a new Bedrock or Vertex AI account and serialise
+ * them for custom_endpoint
+ */
+export function createCloudProviderSettings(settings: {
+	region: unknown;
+	projectId?: unknown;
+	inferenceProfile?: unknown;
+	endpoint?: unknown;
+}): string {
+	const region = validateString(settings.region, "region", {
+		required: true,
+		pattern: REGION_PATTERN,
+		transform: (value) => value.trim().toLowerCase(),
+	}) as string;
+	const result: CloudProviderSettings = { region };
+
+	const projectId = validateString(
+		settings.projectId || undefined,
+		"projectId",
+		{
+			pattern: PROJECT_ID_PATTERN,
+			transform: (value) => value.trim(),
+		},
+	);
+	if (projectId) result.projectId = projectId;
+
+	const inferenceProfile = validateString(
+		settings.inferenceProfile || undefined,
+		"inferenceProfile",
+		{
+			pattern: INFERENCE_PROFILE_PATTERN,
+			transform: (value) => value.trim().toLowerCase(),
+		},
+	);
+	if (inferenceProfile) result.inferenceProfile = inferenceProfile;
+
+	if (settings.endpoint) {
+		result.endpoint = validateEndpointUrl(settings.endpoint, "endpoint");
+	}
+
+	return JSON.stringify(result);
+}
+
+/**
+ * Read the settings of a Bedrock or Vertex AI account from custom_endpoint
+ */
+export function parseCloudProviderSettings(
+	customEndpoint: string | null,
+): CloudProviderSettings {
+	const settings = toObject(customEndpoint, "custom_endpoint");
+	if (typeof settings.region !== "string" || !settings.region) {
+		throw new ValidationError(
+			"custom_endpoint must name a region",
+			"custom_endpoint",
+		);
+	}
+	return settings as unknown as CloudProviderSettings;
+}
@@ -118,6 +118,15 @@ export class ServiceUnavailableError extends AppError {
 	}
 }
 
+/**
+ * Credential encryption errors, e.g. a missing or mismatched master key
+ */
+export class EncryptionError extends AppError {
+	constructor(message: string, context?: Record<string, unknown>) {
+		super(message, "ENCRYPTION_ERROR", 500, context);
+	}
+}
+
 /**
  * Type guards
  */
@@ -1,4 +1,26 @@
 // Re-export only used items from each module
+
+export { getBudgetWindow } from "./budgets";
+export {
+	ADMIN_TOKEN_ENV,
+	generateClientKey,
+	getAdminAuthHeaders,
+	getAdminToken,
+	getClientKeyQuotaWindowStart,
+	hashClientKey,
+	isAdminToken,
+	isClientKey,
+	isModelAllowed,
+} from "./client-keys";
+export {
+	type AwsCredentials,
+	type CloudProviderSettings,
+	createCloudProviderSettings,
+	parseAwsCredentials,
+	parseCloudProviderSettings,
+	parseServiceAccountKey,
+	type ServiceAccountKey,
+} from "./cloud-providers";
 export {
 	BUFFER_SIZES,
 	CACHE,
@@ -7,8 +29,9 @@ export {
 	NETWORK,
 	TIME_CONSTANTS,
 } from "./constants";
-
 export {
+	EncryptionError,
+	isAppError,
 	logError,
 	OAuthError,
 	ProviderError,
@@ -38,9 +61,14 @@ export {
 	DEFAULT_MODEL_MAPPINGS,
 	getEndpointUrl,
 	getModelMappings,
+	mapBedrockModelId,
 	mapModelName,
+	mapVertexModelId,
 	parseCustomEndpointData,
 	parseModelMappings,
+	toAnthropicModelName,
+	toBedrockModelId,
+	toVertexModelId,
 	validateAndSanitizeModelMappings,
 } from "./model-mappings";
 export {
@@ -113,11 +113,13 @@ export function getModelMappings(account: Account): Record<string, string> {
 }
 
 /**
- * Map Anthropic model name to provider-specific model name
+ * Find the mapping for a model: an exact match first, then the longest key
+ * the model name contains (so "sonnet" matches every Sonnet version)
  */
-export function mapModelName(anthropicModel: string, account: Account): string {
-	const mappings = getModelMappings(account);
-
+function findModelMapping(
+	anthropicModel: string,
+	mappings: Record<string, string>,
+): string | undefined {
 	// First try exact match
 	if (mappings[anthropicModel]) {
 		if (
@@ -150,6 +152,20 @@ export function mapModelName(anthropicModel: string, account: Account): string {
 		}
 	}
 
+	return undefined;
+}
+
+/**
+ * Map Anthropic model name to provider-specific model name
+ */
+export function mapModelName(anthropicModel: string, account: Account): string {
+	const mappings = getModelMappings(account);
+
+	const mapped = findModelMapping(anthropicModel, mappings);
+	if (mapped) {
+		return mapped;
+	}
+
 	// Default pattern matching as fallback
 	if (anthropicModel.includes("opus")) {
 		const mappedModel = mappings.opus || "openai/gpt-5";
@@ -197,6 +213,73 @@ export function mapModelName(anthropicModel: string, account: Account): string {
 	return fallbackModel;
 }
 
+/**
+ * Turn an Anthropic model name into an Amazon Bedrock model ID, e.g.
+ * claude-sonnet-4-5-20250929 -> anthropic.claude-sonnet-4-5-20250929-v1:0.
+ * Bedrock model IDs, inference profile IDs and ARNs are returned unchanged.
+ */
+export function toBedrockModelId(
+	model: string,
+	inferenceProfile?: string,
+): string {
+	if (model.startsWith("arn:") || model.includes("anthropic.")) {
+		return model;
+	}
+	const modelId = `anthropic.${model}-v1:0`;
+	return inferenceProfile ? `${inferenceProfile}.${modelId}` : modelId;
+}
+
+/**
+ * Turn an Anthropic model name into a Vertex AI model ID, e.g.
+ * claude-sonnet-4-5-20250929 -> claude-sonnet-4-5@20250929. Names without
+ * a date, which Vertex AI resolves to the latest version, are unchanged.
+ */
+export function toVertexModelId(model: string): string {
+	return model.includes("@") ? model : model.replace(/-(\d{8})$/, "@$1");
+}
+
+/**
+ * Anthropic model name for a Bedrock or Vertex AI model ID, so that usage
+ * from those providers is priced like the same model on the Anthropic API
+ */
+export function toAnthropicModelName(modelId: string): string {
+	return modelId
+		.replace(/^.*anthropic\./, "")
+		.replace(/-v\d+(:\d+)?$/, "")
+		.replace("@", "-");
+}
+
+/**
+ * Map a requested model to the Bedrock model ID for an account. The
+ * account's model mappings apply first and may name any Anthropic model or
+ * Bedrock model ID; the OpenAI-oriented defaults do not apply.
+ */
+export function mapBedrockModelId(
+	anthropicModel: string,
+	account: Account,
+	inferenceProfile?: string,
+): string {
+	const mappings = parseModelMappings(account.model_mappings) ?? {};
+	return toBedrockModelId(
+		findModelMapping(anthropicModel, mappings) ?? anthropicModel,
+		inferenceProfile,
+	);
+}
+
+/**
+ * Map a requested model to the Vertex AI model ID for an account, applying
+ * the account's model mappings first as for Bedrock
+ */
+export function mapVertexModelId(
+	anthropicModel: string,
+	account: Account,
+): string {
+	const mappings = parseModelMappings(account.model_mappings) ?? {};
+	return toVertexModelId(
+		findModelMapping(anthropicModel, mappings) ?? anthropicModel,
+	);
+}
+
 /**
  * Get endpoint URL from account, falling back to default
  */
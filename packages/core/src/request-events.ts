@@ -14,6 +14,8 @@ export type RequestStartEvt = {
 export type RequestSummaryEvt = {
 	type: "summary";
 	payload: import("@better-ccflare/types").RequestResponse;
+	// Post-processor database writer backlog when the summary was produced
+	writer?: { queueDepth: number; droppedJobs: number };
 };
 
 export type RequestPayloadEvt = {
@@ -21,10 +23,43 @@ export type RequestPayloadEvt = {
 	payload: import("@better-ccflare/types").RequestPayload;
 };
 
+export type BudgetEvt = {
+	type: "budget";
+	payload: import("@better-ccflare/types").BudgetAlert;
+};
+
+export type FailoverReason = "rate_limited" | "error" | "exhausted";
+
+/**
+ * An account attempt that did not produce a response. "exhausted" is sent
+ * once every selected account has failed and the request is rejected.
+ */
+export type FailoverEvt = {
+	type: "failover";
+	requestId: string;
+	accountId: string | null;
+	attempt: number;
+	reason: FailoverReason;
+	error: string | null;
+	startTime: number;
+	endTime: number;
+};
+
+export type TokenRefreshFailedEvt = {
+	type: "token_refresh_failed";
+	accountId: string;
+	provider: string;
+	error: string;
+	timestamp: number;
+};
+
 export type RequestEvt =
 	| RequestStartEvt
 	| RequestSummaryEvt
-	| RequestPayloadEvt;
+	| RequestPayloadEvt
+	| BudgetEvt
+	| FailoverEvt
+	| TokenRefreshFailedEvt;
 
 class RequestEventBus extends EventEmitter {}
 export const requestEvents = new RequestEventBus();
@@ -1,4 +1,9 @@
-import { type Account, StrategyName } from "@better-ccflare/types";
+import {
+	type Account,
+	StrategyName,
+	type StrategyOptions,
+	type UtilizationWindow,
+} from "@better-ccflare/types";
 
 // Array of all strategies for backwards compatibility
 export const STRATEGIES = Object.values(StrategyName);
@@ -10,6 +15,37 @@ export function isValidStrategy(strategy: string): strategy is StrategyName {
 // Default load balancing strategy
 export const DEFAULT_STRATEGY = StrategyName.Session;
 
+// Short human-readable summary of each strategy for the TUI and dashboard
+export const STRATEGY_DESCRIPTIONS: Record<StrategyName, string> = {
+	[StrategyName.Session]:
+		"Maintains 5-hour sessions with a single account to minimize rate limits",
+	[StrategyName.LeastUtilization]:
+		"Routes to the account with the lowest reported usage in the selected window",
+	[StrategyName.TierWeighted]:
+		"Round-robin weighted by account tier (1, 5 or 20)",
+	[StrategyName.DrainToReset]:
+		"Prefers accounts whose usage window resets soonest, skipping nearly exhausted ones",
+};
+
+// Usage windows understood by the usage-aware strategies
+export const UTILIZATION_WINDOWS: UtilizationWindow[] = [
+	"five_hour",
+	"seven_day",
+	"max",
+];
+
+export function isValidUtilizationWindow(
+	window: string,
+): window is UtilizationWindow {
+	return UTILIZATION_WINDOWS.includes(window as UtilizationWindow);
+}
+
+// Default tunables for the usage-aware strategies
+export const DEFAULT_STRATEGY_OPTIONS: StrategyOptions = {
+	utilizationWindow: "max",
+	maxUtilization: 90,
+};
+
 // Helper to check if an account is available (not rate-limited or paused)
 export function isAccountAvailable(
 	account: Account,
@@ -21,5 +57,9 @@ export function isAccountAvailable(
 	);
 }
 
+export type {
+	StrategyOptions,
+	UtilizationWindow,
+} from "@better-ccflare/types";
 // Re-export from types package for backwards compatibility
 export { StrategyName } from "@better-ccflare/types";
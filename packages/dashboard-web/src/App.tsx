@@ -3,7 +3,9 @@ import { lazy, Suspense } from "react";
 import { Navigate, Route, Routes, useLocation } from "react-router-dom";
 import { AccountsTab } from "./components/AccountsTab";
 import { AgentsTab } from "./components/AgentsTab";
+import { BudgetWarnings } from "./components/BudgetWarnings";
 import { DebugPanel } from "./components/DebugPanel";
+import { KeysTab } from "./components/KeysTab";
 import { LogsTab } from "./components/LogsTab";
 import { Navigation } from "./components/navigation";
 import { OverviewTab } from "./components/OverviewTab";
@@ -78,6 +80,12 @@ const routes = [
 		title: "Account Management",
 		subtitle: "Manage your OAuth accounts and settings",
 	},
+	{
+		path: "/keys",
+		element: <KeysTab />,
+		title: "Client API Keys",
+		subtitle: "Issue and manage API keys for clients of the proxy",
+	},
 	{
 		path: "/agents",
 		element: <AgentsTab />,
@@ -120,6 +128,8 @@ export function App() {
 								</p>
 							</div>
 
+							<BudgetWarnings />
+
 							{/* Tab Content */}
 							<div className="animate-in fade-in-0 duration-200">
 								<Routes>
@@ -1,17 +1,37 @@
-import { HttpClient, HttpError } from "@better-ccflare/http-common";
+import {
+	HttpClient,
+	HttpError,
+	type RequestOptions,
+} from "@better-ccflare/http-common";
 import type {
+	AccountMode,
 	AccountResponse,
 	Agent,
 	AgentUpdatePayload,
 	AgentWorkspace,
 	AnalyticsResponse,
+	BedrockAccountAddRequest,
+	BudgetResponse,
+	ClientKeyCreateRequest,
+	ClientKeyCreateResponse,
+	ClientKeyResponse,
 	LogEvent,
+	ReplayRequest,
+	ReplayResult,
 	RequestPayload,
 	RequestResponse,
 	StatsWithAccounts,
+	StrategyOptions,
+	StrategyResponse,
+	UsageReportRequest,
+	VertexAccountAddRequest,
 } from "@better-ccflare/types";
+import { ADMIN_TOKEN_COOKIE } from "@better-ccflare/types";
 import { API_LIMITS, API_TIMEOUT } from "./constants";
 
+// Replays wait for the full upstream response, which can take minutes
+const REPLAY_TIMEOUT = 10 * 60 * 1000;
+
 // Re-export types with dashboard-specific aliases for backward compatibility
 export type Account = AccountResponse;
 export type Stats = StatsWithAccounts;
@@ -22,8 +42,17 @@ export type RequestSummary = RequestResponse;
 export type {
 	Agent,
 	AgentWorkspace,
+	BudgetResponse,
+	ClientKeyCreateRequest,
+	ClientKeyCreateResponse,
+	ClientKeyResponse,
+	ReplayRequest,
+	ReplayResult,
+	ReplaySide,
 	RequestPayload,
 	RequestResponse,
+	UsageReport,
+	UsageReportRequest,
 } from "@better-ccflare/types";
 
 // Agent response interface
@@ -61,6 +90,38 @@ class API extends HttpClient {
 		});
 	}
 
+	private adminTokenVersion = 0;
+
+	/**
+	 * Asks for the admin token when the management API rejects a request and
+	 * retries once with it. The token is kept in a cookie so EventSource
+	 * streams and plain fetches send it as well.
+	 */
+	async request<T = unknown>(
+		url: string,
+		options: RequestOptions = {},
+	): Promise<T> {
+		const tokenVersion = this.adminTokenVersion;
+		try {
+			return await super.request<T>(url, options);
+		} catch (error) {
+			if (!(error instanceof HttpError) || error.status !== 401) throw error;
+			// A concurrent request already asked for the token
+			if (this.adminTokenVersion !== tokenVersion) {
+				return super.request<T>(url, options);
+			}
+			const token = window.prompt(
+				"This server requires an admin token. Enter BETTER_CCFLARE_ADMIN_TOKEN:",
+			);
+			if (!token) throw error;
+			const secure = window.location.protocol === "https:" ? "; Secure" : "";
+			// biome-ignore lint/suspicious/noDocumentCookie: the Cookie Store API is not available in every browser
+			document.cookie = `${ADMIN_TOKEN_COOKIE}=${encodeURIComponent(token.trim())}; Path=/; SameSite=Strict${secure}`;
+			this.adminTokenVersion++;
+			return super.request<T>(url, options);
+		}
+	}
+
 	async getStats(): Promise<Stats> {
 		const startTime = Date.now();
 		const url = "/api/stats";
@@ -105,7 +166,7 @@ class API extends HttpClient {
 
 	async initAddAccount(data: {
 		name: string;
-		mode: "max" | "console" | "zai" | "openai-compatible";
+		mode: AccountMode;
 		apiKey?: string;
 		tier: number;
 		priority: number;
@@ -235,6 +296,48 @@ class API extends HttpClient {
 		}
 	}
 
+	async addBedrockAccount(
+		data: BedrockAccountAddRequest,
+	): Promise<{ message: string; account: Account }> {
+		return this.addCloudAccount("/api/accounts/bedrock", data);
+	}
+
+	async addVertexAccount(
+		data: VertexAccountAddRequest,
+	): Promise<{ message: string; account: Account }> {
+		return this.addCloudAccount("/api/accounts/vertex", data);
+	}
+
+	// Cloud credentials are secrets, so only the account name is logged
+	private async addCloudAccount(
+		url: string,
+		data: BedrockAccountAddRequest | VertexAccountAddRequest,
+	): Promise<{ message: string; account: Account }> {
+		const startTime = Date.now();
+
+		this.logger.debug(`→ POST ${url}`, { name: data.name });
+
+		try {
+			const response = await this.post<{ message: string; account: Account }>(
+				url,
+				data,
+			);
+			const duration = Date.now() - startTime;
+			this.logger.debug(`← POST ${url} - 200 (${duration}ms)`);
+			return response;
+		} catch (error) {
+			const duration = Date.now() - startTime;
+			this.logger.error(`✗ POST ${url} - ERROR (${duration}ms)`, {
+				error: error instanceof Error ? error.message : String(error),
+				stack: error instanceof Error ? error.stack : undefined,
+			});
+			if (error instanceof HttpError) {
+				throw new Error(error.message);
+			}
+			throw error;
+		}
+	}
+
 	async removeAccount(name: string, confirm: string): Promise<void> {
 		const startTime = Date.now();
 		const url = `/api/accounts/${name}`;
@@ -716,6 +819,27 @@ class API extends HttpClient {
 		}
 	}
 
+	async getStrategyOptions(): Promise<StrategyOptions> {
+		const startTime = Date.now();
+		const url = "/api/config/strategy";
+
+		this.logger.debug(`→ GET ${url}`);
+
+		try {
+			const data = await this.get<StrategyResponse>(url);
+			const duration = Date.now() - startTime;
+			this.logger.debug(`← GET ${url} - 200 (${duration}ms)`);
+			return data.options;
+		} catch (error) {
+			const duration = Date.now() - startTime;
+			this.logger.error(`✗ GET ${url} - ERROR (${duration}ms)`, {
+				error: error instanceof Error ? error.message : String(error),
+				stack: error instanceof Error ? error.stack : undefined,
+			});
+			throw error;
+		}
+	}
+
 	async listStrategies(): Promise<string[]> {
 		const startTime = Date.now();
 		const url = "/api/strategies";
@@ -737,14 +861,17 @@ class API extends HttpClient {
 		}
 	}
 
-	async setStrategy(strategy: string): Promise<void> {
+	async setStrategy(
+		strategy: string,
+		options?: Partial<StrategyOptions>,
+	): Promise<void> {
 		const startTime = Date.now();
 		const url = "/api/config/strategy";
 
-		this.logger.debug(`→ POST ${url}`, { strategy });
+		this.logger.debug(`→ POST ${url}`, { strategy, options });
 
 		try {
-			await this.post(url, { strategy });
+			await this.post(url, { strategy, options });
 			const duration = Date.now() - startTime;
 			this.logger.debug(`← POST ${url} - 200 (${duration}ms)`);
 		} catch (error) {
@@ -1005,6 +1132,194 @@ class API extends HttpClient {
 			throw error;
 		}
 	}
+
+	async getClientKeys(): Promise<ClientKeyResponse[]> {
+		const startTime = Date.now();
+		const url = "/api/keys";
+
+		this.logger.debug(`→ GET ${url}`);
+
+		try {
+			const response = await this.get<ClientKeyResponse[]>(url);
+			const duration = Date.now() - startTime;
+			this.logger.debug(`← GET ${url} - 200 (${duration}ms)`);
+			return response;
+		} catch (error) {
+			const duration = Date.now() - startTime;
+			this.logger.error(`✗ GET ${url} - ERROR (${duration}ms)`, {
+				error: error instanceof Error ? error.message : String(error),
+				stack: error instanceof Error ? error.stack : undefined,
+			});
+			throw error;
+		}
+	}
+
+	async createClientKey(
+		data: ClientKeyCreateRequest,
+	): Promise<ClientKeyCreateResponse> {
+		const startTime = Date.now();
+		const url = "/api/keys";
+
+		this.logger.debug(`→ POST ${url}`, { name: data.name });
+
+		try {
+			const response = await this.post<ClientKeyCreateResponse>(url, data);
+			const duration = Date.now() - startTime;
+			this.logger.debug(`← POST ${url} - 201 (${duration}ms)`);
+			return response;
+		} catch (error) {
+			const duration = Date.now() - startTime;
+			this.logger.error(`✗ POST ${url} - ERROR (${duration}ms)`, {
+				error: error instanceof Error ? error.message : String(error),
+				stack: error instanceof Error ? error.stack : undefined,
+			});
+			if (error instanceof HttpError) {
+				throw new Error(error.message);
+			}
+			throw error;
+		}
+	}
+
+	async revokeClientKey(keyId: string): Promise<void> {
+		const startTime = Date.now();
+		const url = `/api/keys/${keyId}/revoke`;
+
+		this.logger.debug(`→ POST ${url}`);
+
+		try {
+			await this.post(url);
+			const duration = Date.now() - startTime;
+			this.logger.debug(`← POST ${url} - 200 (${duration}ms)`);
+		} catch (error) {
+			const duration = Date.now() - startTime;
+			this.logger.error(`✗ POST ${url} - ERROR (${duration}ms)`, {
+				error: error instanceof Error ? error.message : String(error),
+				stack: error instanceof Error ? error.stack : undefined,
+			});
+			if (error instanceof HttpError) {
+				throw new Error(error.message);
+			}
+			throw error;
+		}
+	}
+
+	async deleteClientKey(keyId: string): Promise<void> {
+		const startTime = Date.now();
+		const url = `/api/keys/${keyId}`;
+
+		this.logger.debug(`→ DELETE ${url}`);
+
+		try {
+			await this.delete(url);
+			const duration = Date.now() - startTime;
+			this.logger.debug(`← DELETE ${url} - 200 (${duration}ms)`);
+		} catch (error) {
+			const duration = Date.now() - startTime;
+			this.logger.error(`✗ DELETE ${url} - ERROR (${duration}ms)`, {
+				error: error instanceof Error ? error.message : String(error),
+				stack: error instanceof Error ? error.stack : undefined,
+			});
+			if (error instanceof HttpError) {
+				throw new Error(error.message);
+			}
+			throw error;
+		}
+	}
+
+	async replayRequest(
+		requestId: string,
+		data: ReplayRequest,
+	): Promise<ReplayResult> {
+		const startTime = Date.now();
+		const url = `/api/requests/${requestId}/replay`;
+
+		this.logger.debug(`→ POST ${url}`, data);
+
+		try {
+			// Never retry: each attempt is a real upstream request
+			const response = await this.post<ReplayResult>(url, data, {
+				timeout: REPLAY_TIMEOUT,
+				retries: 0,
+			});
+			const duration = Date.now() - startTime;
+			this.logger.debug(`← POST ${url} - 200 (${duration}ms)`);
+			return response;
+		} catch (error) {
+			const duration = Date.now() - startTime;
+			this.logger.error(`✗ POST ${url} - ERROR (${duration}ms)`, {
+				error: error instanceof Error ? error.message : String(error),
+				stack: error instanceof Error ? error.stack : undefined,
+			});
+			if (error instanceof HttpError) {
+				throw new Error(error.message);
+			}
+			throw error;
+		}
+	}
+
+	async getBudgets(): Promise<BudgetResponse[]> {
+		const startTime = Date.now();
+		const url = "/api/budgets";
+
+		this.logger.debug(`→ GET ${url}`);
+
+		try {
+			const response = await this.get<BudgetResponse[]>(url);
+			const duration = Date.now() - startTime;
+			this.logger.debug(`← GET ${url} - 200 (${duration}ms)`);
+			return response;
+		} catch (error) {
+			const duration = Date.now() - startTime;
+			this.logger.error(`✗ GET ${url} - ERROR (${duration}ms)`, {
+				error: error instanceof Error ? error.message : String(error),
+				stack: error instanceof Error ? error.stack : undefined,
+			});
+			throw error;
+		}
+	}
+
+	/**
+	 * Fetch a usage report rendered in the requested format, ready to save
+	 */
+	async getReport(request: UsageReportRequest): Promise<string> {
+		const startTime = Date.now();
+		const params = new URLSearchParams();
+		if (request.from) params.set("from", request.from);
+		if (request.to) params.set("to", request.to);
+		if (request.groupBy) {
+			params.set(
+				"groupBy",
+				Array.isArray(request.groupBy)
+					? request.groupBy.join(",")
+					: request.groupBy,
+			);
+		}
+		if (request.format) params.set("format", request.format);
+		if (request.includeLogOnly) params.set("includeLogOnly", "true");
+		const url = `/api/reports?${params}`;
+
+		this.logger.debug(`→ GET ${url}`);
+
+		try {
+			// JSON reports are parsed by the client; CSV and Markdown arrive as text
+			const response = await this.get<string | object>(url);
+			const duration = Date.now() - startTime;
+			this.logger.debug(`← GET ${url} - 200 (${duration}ms)`);
+			return typeof response === "string"
+				? response
+				: `${JSON.stringify(response, null, 2)}\n`;
+		} catch (error) {
+			const duration = Date.now() - startTime;
+			this.logger.error(`✗ GET ${url} - ERROR (${duration}ms)`, {
+				error: error instanceof Error ? error.message : String(error),
+				stack: error instanceof Error ? error.stack : undefined,
+			});
+			if (error instanceof HttpError) {
+				throw new Error(error.message);
+			}
+			throw error;
+		}
+	}
 }
 
 export const api = new API();
@@ -1,3 +1,8 @@
+import type {
+	AccountMode,
+	BedrockAccountAddRequest,
+	VertexAccountAddRequest,
+} from "@better-ccflare/types";
 import { AlertCircle, Plus } from "lucide-react";
 import { useState } from "react";
 import { type Account, api } from "../api";
@@ -73,7 +78,7 @@ export function AccountsTab() {
 
 	const handleAddAccount = async (params: {
 		name: string;
-		mode: "max" | "console" | "zai" | "openai-compatible";
+		mode: AccountMode;
 		tier: number;
 		priority: number;
 		customEndpoint?: string;
@@ -140,6 +145,30 @@ export function AccountsTab() {
 		}
 	};
 
+	const handleAddBedrockAccount = async (params: BedrockAccountAddRequest) => {
+		try {
+			await api.addBedrockAccount(params);
+			await loadAccounts();
+			setAdding(false);
+			setActionError(null);
+		} catch (err) {
+			setActionError(formatError(err));
+			throw err;
+		}
+	};
+
+	const handleAddVertexAccount = async (params: VertexAccountAddRequest) => {
+		try {
+			await api.addVertexAccount(params);
+			await loadAccounts();
+			setAdding(false);
+			setActionError(null);
+		} catch (err) {
+			setActionError(formatError(err));
+			throw err;
+		}
+	};
+
 	const handleRemoveAccount = (name: string) => {
 		setConfirmDelete({ show: true, accountName: name, confirmInput: "" });
 	};
@@ -316,6 +345,8 @@ export function AccountsTab() {
 							onCompleteAccount={handleCompleteAccount}
 							onAddZaiAccount={handleAddZaiAccount}
 							onAddOpenAIAccount={handleAddOpenAIAccount}
+							onAddBedrockAccount={handleAddBedrockAccount}
+							onAddVertexAccount={handleAddVertexAccount}
 							onCancel={() => {
 								setAdding(false);
 								setActionError(null);
@@ -4,6 +4,7 @@ import type { TimeRange } from "../constants";
 import { useAnalytics } from "../hooks/queries";
 import {
 	AnalyticsControls,
+	ClientKeyAnalytics,
 	CumulativeGrowthChart,
 	CumulativeTokenComposition,
 	type FilterState,
@@ -237,6 +238,11 @@ export const AnalyticsTab = React.memo(() => {
 						loading={loading}
 						timeRange={timeRange}
 					/>
+
+					{/* Client Key Breakdown - only once keys are in use */}
+					{analytics?.clientKeyUsage && analytics.clientKeyUsage.length > 0 && (
+						<ClientKeyAnalytics clientKeyUsage={analytics.clientKeyUsage} />
+					)}
 				</>
 			)}
 		</div>
@@ -0,0 +1,67 @@
+import { formatCost, formatTimestamp } from "@better-ccflare/ui-common";
+import { AlertTriangle, PauseCircle } from "lucide-react";
+import { useBudgets } from "../hooks/queries";
+import { cn } from "../lib/utils";
+import { Card, CardContent } from "./ui/card";
+
+/**
+ * Banner listing budgets that have crossed their first threshold or their
+ * limit in the current window. Renders nothing while every budget is fine.
+ */
+export function BudgetWarnings() {
+	const { data: budgets } = useBudgets();
+	const alerts = budgets?.filter((budget) => budget.level !== "ok") ?? [];
+
+	if (alerts.length === 0) {
+		return null;
+	}
+
+	return (
+		<div className="space-y-2 mb-6">
+			{alerts.map((budget) => {
+				const exceeded = budget.level === "exceeded";
+				return (
+					<Card
+						key={budget.id}
+						className={cn(exceeded ? "border-destructive" : "border-warning")}
+					>
+						<CardContent className="py-3">
+							<div className="flex items-start gap-2">
+								<AlertTriangle
+									className={cn(
+										"h-4 w-4 mt-0.5 shrink-0",
+										exceeded ? "text-destructive" : "text-warning",
+									)}
+								/>
+								<div className="text-sm">
+									<p className="font-medium">
+										{exceeded ? "Budget exceeded" : "Budget warning"}:{" "}
+										{budget.name}
+										<span className="text-muted-foreground font-normal">
+											{" "}
+											({budget.period} {budget.scope}
+											{budget.targetName ? ` · ${budget.targetName}` : ""})
+										</span>
+									</p>
+									<p className="text-muted-foreground">
+										{formatCost(budget.spendUsd)} of{" "}
+										{formatCost(budget.limitUsd)} (
+										{budget.percentUsed.toFixed(0)}%) · resets{" "}
+										{formatTimestamp(budget.resetsAt)}
+									</p>
+									{budget.pausedAccountIds.length > 0 && (
+										<p className="flex items-center gap-1 text-muted-foreground">
+											<PauseCircle className="h-3 w-3" />
+											{budget.pausedAccountIds.length} account(s) paused until
+											the budget resets
+										</p>
+									)}
+								</div>
+							</div>
+						</CardContent>
+					</Card>
+				);
+			})}
+		</div>
+	);
+}
@@ -0,0 +1,174 @@
+import type {
+	ClientKeyCreateRequest,
+	ClientKeyResponse,
+} from "@better-ccflare/types";
+import { AlertCircle, KeyRound, Plus } from "lucide-react";
+import { useState } from "react";
+import {
+	useClientKeys,
+	useCreateClientKey,
+	useDeleteClientKey,
+	useRevokeClientKey,
+} from "../hooks/queries";
+import { useApiError } from "../hooks/useApiError";
+import { CopyButton } from "./CopyButton";
+import { ClientKeyCreateForm, ClientKeyList } from "./keys";
+import { Button } from "./ui/button";
+import {
+	Card,
+	CardContent,
+	CardDescription,
+	CardHeader,
+	CardTitle,
+} from "./ui/card";
+
+export function KeysTab() {
+	const { formatError } = useApiError();
+	const { data: clientKeys, isLoading: loading, error } = useClientKeys();
+	const createClientKey = useCreateClientKey();
+	const revokeClientKey = useRevokeClientKey();
+	const deleteClientKey = useDeleteClientKey();
+
+	const [adding, setAdding] = useState(false);
+	const [createdKey, setCreatedKey] = useState<{
+		name: string;
+		key: string;
+	} | null>(null);
+	const [actionError, setActionError] = useState<string | null>(null);
+
+	const handleCreate = async (data: ClientKeyCreateRequest) => {
+		try {
+			const result = await createClientKey.mutateAsync(data);
+			setCreatedKey({ name: result.clientKey.name, key: result.key });
+			setAdding(false);
+			setActionError(null);
+		} catch (err) {
+			setActionError(formatError(err));
+			throw err;
+		}
+	};
+
+	const handleRevoke = async (clientKey: ClientKeyResponse) => {
+		if (
+			!confirm(
+				`Revoke '${clientKey.name}'? Clients using it will be rejected immediately.`,
+			)
+		) {
+			return;
+		}
+		try {
+			await revokeClientKey.mutateAsync(clientKey.id);
+			setActionError(null);
+		} catch (err) {
+			setActionError(formatError(err));
+		}
+	};
+
+	const handleDelete = async (clientKey: ClientKeyResponse) => {
+		if (
+			!confirm(
+				`Delete '${clientKey.name}'? Its requests will no longer show a key name.`,
+			)
+		) {
+			return;
+		}
+		try {
+			await deleteClientKey.mutateAsync(clientKey.id);
+			setActionError(null);
+		} catch (err) {
+			setActionError(formatError(err));
+		}
+	};
+
+	if (loading) {
+		return (
+			<Card>
+				<CardContent className="pt-6">
+					<p className="text-muted-foreground">Loading client keys...</p>
+				</CardContent>
+			</Card>
+		);
+	}
+
+	const displayError = error ? formatError(error) : actionError;
+
+	return (
+		<div className="space-y-4">
+			{displayError && (
+				<Card className="border-destructive">
+					<CardContent className="pt-6">
+						<div className="flex items-center gap-2">
+							<AlertCircle className="h-4 w-4 text-destructive" />
+							<p className="text-destructive">{displayError}</p>
+						</div>
+					</CardContent>
+				</Card>
+			)}
+
+			{createdKey && (
+				<Card className="border-primary">
+					<CardContent className="pt-6 space-y-3">
+						<div className="flex items-center gap-2">
+							<KeyRound className="h-4 w-4 text-primary" />
+							<p className="font-medium">
+								Key for '{createdKey.name}' created. Copy it now, it will not be
+								shown again.
+							</p>
+						</div>
+						<div className="flex items-center gap-2">
+							<code className="flex-1 p-2 bg-muted rounded text-sm break-all">
+								{createdKey.key}
+							</code>
+							<CopyButton value={createdKey.key} variant="outline" size="sm" />
+						</div>
+						<Button
+							variant="outline"
+							size="sm"
+							onClick={() => setCreatedKey(null)}
+						>
+							Done
+						</Button>
+					</CardContent>
+				</Card>
+			)}
+
+			<Card>
+				<CardHeader>
+					<div className="flex items-center justify-between">
+						<div>
+							<CardTitle>Client API Keys</CardTitle>
+							<CardDescription>
+								Clients send these as x-api-key or a Bearer token. Once a key
+								exists, requests without one are rejected.
+							</CardDescription>
+						</div>
+						{!adding && (
+							<Button onClick={() => setAdding(true)} size="sm">
+								<Plus className="mr-2 h-4 w-4" />
+								Create Key
+							</Button>
+						)}
+					</div>
+				</CardHeader>
+				<CardContent>
+					{adding && (
+						<ClientKeyCreateForm
+							onCreate={handleCreate}
+							onCancel={() => {
+								setAdding(false);
+								setActionError(null);
+							}}
+							isLoading={createClientKey.isPending}
+						/>
+					)}
+
+					<ClientKeyList
+						clientKeys={clientKeys}
+						onRevoke={handleRevoke}
+						onDelete={handleDelete}
+					/>
+				</CardContent>
+			</Card>
+		</div>
+	);
+}
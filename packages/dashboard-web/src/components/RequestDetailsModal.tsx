@@ -8,6 +8,7 @@ import { useState } from "react";
 import type { RequestPayload, RequestSummary } from "../api";
 import { ConversationView } from "./ConversationView";
 import { CopyButton } from "./CopyButton";
+import { ReplayPanel } from "./replay";
 import { TokenUsageDisplay } from "./TokenUsageDisplay";
 import { Badge } from "./ui/badge";
 import {
@@ -109,6 +110,9 @@ export function RequestDetailsModal({
 							{summary?.agentUsed && (
 								<Badge variant="secondary">Agent: {summary.agentUsed}</Badge>
 							)}
+							{summary?.apiFormat === "openai" && (
+								<Badge variant="outline">OpenAI API</Badge>
+							)}
 							{summary?.totalTokens && (
 								<Badge variant="outline">
 									{formatTokens(summary.totalTokens)} tokens
@@ -117,6 +121,7 @@ export function RequestDetailsModal({
 							{summary?.costUsd && summary.costUsd > 0 && (
 								<Badge variant="default">{formatCost(summary.costUsd)}</Badge>
 							)}
+							{summary?.replayOf && <Badge variant="outline">Replay</Badge>}
 							{request.meta.rateLimited && (
 								<Badge variant="warning">Rate Limited</Badge>
 							)}
@@ -135,12 +140,13 @@ export function RequestDetailsModal({
 				</DialogHeader>
 
 				<Tabs defaultValue="conversation" className="flex-1 overflow-hidden">
-					<TabsList className="grid w-full grid-cols-5">
+					<TabsList className="grid w-full grid-cols-6">
 						<TabsTrigger value="conversation">Conversation</TabsTrigger>
 						<TabsTrigger value="request">Request</TabsTrigger>
 						<TabsTrigger value="response">Response</TabsTrigger>
 						<TabsTrigger value="metadata">Metadata</TabsTrigger>
 						<TabsTrigger value="tokens">Token Usage</TabsTrigger>
+						<TabsTrigger value="replay">Replay</TabsTrigger>
 					</TabsList>
 
 					<TabsContent value="conversation" className="mt-4 flex-1 min-h-0">
@@ -286,6 +292,16 @@ export function RequestDetailsModal({
 					>
 						<TokenUsageDisplay summary={summary} />
 					</TabsContent>
+
+					<TabsContent
+						value="replay"
+						className="mt-4 overflow-y-auto max-h-[60vh]"
+					>
+						<ReplayPanel
+							requestId={request.id}
+							originalModel={summary?.model}
+						/>
+					</TabsContent>
 				</Tabs>
 			</DialogContent>
 		</Dialog>
@@ -680,6 +680,11 @@ export function RequestsTab() {
 													Agent: {summary?.agentUsed || request.meta.agentUsed}
 												</Badge>
 											)}
+											{summary?.apiFormat === "openai" && (
+												<Badge variant="outline" className="text-xs">
+													OpenAI API
+												</Badge>
+											)}
 											{(summary?.totalTokens || request.meta.pending) && (
 												<Badge variant="outline" className="text-xs">
 													{summary?.totalTokens
@@ -708,6 +713,20 @@ export function RequestsTab() {
 														`${request.meta.accountId?.slice(0, 8)}...`}
 												</span>
 											)}
+											{summary?.clientKeyName && (
+												<Badge variant="outline" className="text-xs">
+													key: {summary.clientKeyName}
+												</Badge>
+											)}
+											{summary?.replayOf && (
+												<Badge
+													variant="outline"
+													className="text-xs"
+													title={`Replay of ${summary.replayOf}`}
+												>
+													Replay
+												</Badge>
+											)}
 											{request.meta.rateLimited && (
 												<Badge variant="warning" className="text-xs">
 													Rate Limited
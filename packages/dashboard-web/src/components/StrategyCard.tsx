@@ -1,7 +1,15 @@
+import {
+	STRATEGY_DESCRIPTIONS,
+	type StrategyName,
+	type StrategyOptions,
+	UTILIZATION_WINDOWS,
+	type UtilizationWindow,
+} from "@better-ccflare/core";
 import { RefreshCw, Settings } from "lucide-react";
 import React, { useCallback, useEffect, useState } from "react";
 import { api } from "../api";
 import { Badge } from "./ui/badge";
+import { Button } from "./ui/button";
 import {
 	Card,
 	CardContent,
@@ -9,6 +17,7 @@ import {
 	CardHeader,
 	CardTitle,
 } from "./ui/card";
+import { Input } from "./ui/input";
 import {
 	Select,
 	SelectContent,
@@ -18,9 +27,19 @@ import {
 } from "./ui/select";
 import { Skeleton } from "./ui/skeleton";
 
+const USAGE_AWARE_STRATEGIES = ["least-utilization", "drain-to-reset"];
+
+const WINDOW_LABELS: Record<UtilizationWindow, string> = {
+	five_hour: "5-hour window",
+	seven_day: "7-day window",
+	max: "Highest of both",
+};
+
 export const StrategyCard = React.memo(() => {
 	const [currentStrategy, setCurrentStrategy] = useState<string>("");
 	const [strategies, setStrategies] = useState<string[]>([]);
+	const [options, setOptions] = useState<StrategyOptions | null>(null);
+	const [maxUtilization, setMaxUtilization] = useState<number>(90);
 	const [loading, setLoading] = useState(true);
 	const [changing, setChanging] = useState(false);
 	const [error, setError] = useState<string | null>(null);
@@ -30,12 +49,15 @@ export const StrategyCard = React.memo(() => {
 		try {
 			setLoading(true);
 			setError(null);
-			const [current, list] = await Promise.all([
+			const [current, list, currentOptions] = await Promise.all([
 				api.getStrategy(),
 				api.listStrategies(),
+				api.getStrategyOptions(),
 			]);
 			setCurrentStrategy(current);
 			setStrategies(list);
+			setOptions(currentOptions);
+			setMaxUtilization(currentOptions.maxUtilization);
 		} catch (err) {
 			setError(err instanceof Error ? err.message : "Failed to load data");
 		} finally {
@@ -67,6 +89,31 @@ export const StrategyCard = React.memo(() => {
 		}
 	};
 
+	const handleOptionsChange = async (update: Partial<StrategyOptions>) => {
+		try {
+			setChanging(true);
+			setError(null);
+			setSuccess(false);
+			await api.setStrategy(currentStrategy, update);
+			setOptions((prev) => (prev ? { ...prev, ...update } : prev));
+			setSuccess(true);
+			setTimeout(() => setSuccess(false), 3000);
+		} catch (err) {
+			setError(
+				err instanceof Error
+					? err.message
+					: "Failed to update strategy options",
+			);
+		} finally {
+			setChanging(false);
+		}
+	};
+
+	const validMaxUtilization =
+		Number.isFinite(maxUtilization) &&
+		maxUtilization >= 0 &&
+		maxUtilization <= 100;
+
 	if (loading) {
 		return (
 			<Card>
@@ -125,6 +172,59 @@ export const StrategyCard = React.memo(() => {
 						</Select>
 					</div>
 
+					{options && USAGE_AWARE_STRATEGIES.includes(currentStrategy) && (
+						<div className="space-y-3">
+							<div>
+								<p className="text-sm font-medium mb-2">Utilization Window</p>
+								<Select
+									value={options.utilizationWindow}
+									onValueChange={(value) =>
+										handleOptionsChange({
+											utilizationWindow: value as UtilizationWindow,
+										})
+									}
+									disabled={changing}
+								>
+									<SelectTrigger className="w-full">
+										<SelectValue placeholder="Select a window" />
+									</SelectTrigger>
+									<SelectContent>
+										{UTILIZATION_WINDOWS.map((window) => (
+											<SelectItem key={window} value={window}>
+												{WINDOW_LABELS[window]}
+											</SelectItem>
+										))}
+									</SelectContent>
+								</Select>
+							</div>
+							<div className="flex items-center gap-2">
+								<span className="text-sm font-medium">Max utilization</span>
+								<Input
+									type="number"
+									min={0}
+									max={100}
+									value={maxUtilization}
+									onChange={(e) =>
+										setMaxUtilization(parseFloat(e.target.value || "0"))
+									}
+									className="w-24"
+								/>
+								<span className="text-sm text-muted-foreground">%</span>
+								<Button
+									size="sm"
+									disabled={
+										changing ||
+										!validMaxUtilization ||
+										maxUtilization === options.maxUtilization
+									}
+									onClick={() => handleOptionsChange({ maxUtilization })}
+								>
+									Save
+								</Button>
+							</div>
+						</div>
+					)}
+
 					{changing && (
 						<div className="flex items-center gap-2 text-sm text-muted-foreground">
 							<RefreshCw className="h-4 w-4 animate-spin" />
@@ -136,11 +236,13 @@ export const StrategyCard = React.memo(() => {
 						<div className="text-sm text-destructive">Error: {error}</div>
 					)}
 
-					<div className="text-xs text-muted-foreground">
-						<p>
-							<strong>session:</strong> Maintains 5-hour sessions with a single
-							account to minimize rate limits
-						</p>
+					<div className="text-xs text-muted-foreground space-y-1">
+						{strategies.map((strategy) => (
+							<p key={strategy}>
+								<strong>{strategy}:</strong>{" "}
+								{STRATEGY_DESCRIPTIONS[strategy as StrategyName]}
+							</p>
+						))}
 					</div>
 				</div>
 			</CardContent>
@@ -1,3 +1,10 @@
+import {
+	type AccountMode,
+	type BedrockAccountAddRequest,
+	isCloudProvider,
+	supportsModelMappings,
+	type VertexAccountAddRequest,
+} from "@better-ccflare/types";
 import { useState } from "react";
 import { Button } from "../ui/button";
 import { Input } from "../ui/input";
@@ -10,10 +17,31 @@ import {
 	SelectValue,
 } from "../ui/select";
 
+const EMPTY_ACCOUNT = {
+	name: "",
+	mode: "max" as AccountMode,
+	tier: 1,
+	priority: 0,
+	apiKey: "",
+	customEndpoint: "",
+	opusModel: "",
+	sonnetModel: "",
+	haikuModel: "",
+	// Amazon Bedrock
+	accessKeyId: "",
+	secretAccessKey: "",
+	sessionToken: "",
+	inferenceProfile: "",
+	// Google Vertex AI
+	serviceAccountKey: "",
+	projectId: "",
+	region: "",
+};
+
 interface AccountAddFormProps {
 	onAddAccount: (params: {
 		name: string;
-		mode: "max" | "console" | "zai" | "openai-compatible";
+		mode: AccountMode;
 		tier: number;
 		priority: number;
 		customEndpoint?: string;
@@ -37,6 +65,8 @@ interface AccountAddFormProps {
 		customEndpoint: string;
 		modelMappings?: { [key: string]: string };
 	}) => Promise<void>;
+	onAddBedrockAccount: (params: BedrockAccountAddRequest) => Promise<void>;
+	onAddVertexAccount: (params: VertexAccountAddRequest) => Promise<void>;
 	onCancel: () => void;
 	onSuccess: () => void;
 	onError: (error: string) => void;
@@ -47,6 +77,8 @@ export function AccountAddForm({
 	onCompleteAccount,
 	onAddZaiAccount,
 	onAddOpenAIAccount,
+	onAddBedrockAccount,
+	onAddVertexAccount,
 	onCancel,
 	onSuccess,
 	onError,
@@ -54,17 +86,7 @@ export function AccountAddForm({
 	const [authStep, setAuthStep] = useState<"form" | "code">("form");
 	const [authCode, setAuthCode] = useState("");
 	const [sessionId, setSessionId] = useState("");
-	const [newAccount, setNewAccount] = useState({
-		name: "",
-		mode: "max" as "max" | "console" | "zai" | "openai-compatible",
-		tier: 1,
-		priority: 0,
-		apiKey: "",
-		customEndpoint: "",
-		opusModel: "",
-		sonnetModel: "",
-		haikuModel: "",
-	});
+	const [newAccount, setNewAccount] = useState(EMPTY_ACCOUNT);
 
 	const validateCustomEndpoint = (endpoint: string): boolean => {
 		if (!endpoint) return true; // Empty is fine (use default)
@@ -76,6 +98,14 @@ export function AccountAddForm({
 		}
 	};
 
+	const buildModelMappings = () => {
+		const modelMappings: { [key: string]: string } = {};
+		if (newAccount.opusModel) modelMappings.opus = newAccount.opusModel;
+		if (newAccount.sonnetModel) modelMappings.sonnet = newAccount.sonnetModel;
+		if (newAccount.haikuModel) modelMappings.haiku = newAccount.haikuModel;
+		return Object.keys(modelMappings).length > 0 ? modelMappings : undefined;
+	};
+
 	const handleAddAccount = async () => {
 		if (!newAccount.name) {
 			onError("Account name is required");
@@ -95,7 +125,7 @@ export function AccountAddForm({
 
 		const accountParams = {
 			name: newAccount.name,
-			mode: newAccount.mode as "max" | "console" | "zai" | "openai-compatible",
+			mode: newAccount.mode,
 			tier: newAccount.tier,
 			priority: newAccount.priority,
 			...(newAccount.customEndpoint && {
@@ -114,17 +144,7 @@ export function AccountAddForm({
 				apiKey: newAccount.apiKey,
 			});
 			// Reset form and signal success
-			setNewAccount({
-				name: "",
-				mode: "max",
-				tier: 1,
-				priority: 0,
-				apiKey: "",
-				customEndpoint: "",
-				opusModel: "",
-				sonnetModel: "",
-				haikuModel: "",
-			});
+			setNewAccount(EMPTY_ACCOUNT);
 			onSuccess();
 			return;
 		}
@@ -139,12 +159,6 @@ export function AccountAddForm({
 				return;
 			}
 
-			// Build model mappings object
-			const modelMappings: { [key: string]: string } = {};
-			if (newAccount.opusModel) modelMappings.opus = newAccount.opusModel;
-			if (newAccount.sonnetModel) modelMappings.sonnet = newAccount.sonnetModel;
-			if (newAccount.haikuModel) modelMappings.haiku = newAccount.haikuModel;
-
 			// For OpenAI-compatible accounts, we don't need OAuth flow
 			await onAddOpenAIAccount({
 				name: newAccount.name,
@@ -152,22 +166,49 @@ export function AccountAddForm({
 				tier: newAccount.tier,
 				priority: newAccount.priority,
 				customEndpoint: newAccount.customEndpoint.trim(),
-				modelMappings:
-					Object.keys(modelMappings).length > 0 ? modelMappings : undefined,
+				modelMappings: buildModelMappings(),
 			});
 
 			// Reset form and signal success
-			setNewAccount({
-				name: "",
-				mode: "max",
-				tier: 1,
-				priority: 0,
-				apiKey: "",
-				customEndpoint: "",
-				opusModel: "",
-				sonnetModel: "",
-				haikuModel: "",
+			setNewAccount(EMPTY_ACCOUNT);
+			onSuccess();
+			return;
+		}
+
+		if (newAccount.mode === "bedrock") {
+			if (!newAccount.accessKeyId || !newAccount.secretAccessKey) {
+				onError("AWS access key ID and secret access key are required");
+				return;
+			}
+			await onAddBedrockAccount({
+				name: newAccount.name,
+				accessKeyId: newAccount.accessKeyId.trim(),
+				secretAccessKey: newAccount.secretAccessKey.trim(),
+				sessionToken: newAccount.sessionToken.trim() || undefined,
+				region: newAccount.region.trim() || "us-east-1",
+				inferenceProfile: newAccount.inferenceProfile.trim() || undefined,
+				priority: newAccount.priority,
+				modelMappings: buildModelMappings(),
 			});
+			setNewAccount(EMPTY_ACCOUNT);
+			onSuccess();
+			return;
+		}
+
+		if (newAccount.mode === "vertex") {
+			if (!newAccount.serviceAccountKey) {
+				onError("Service account key is required for Vertex AI accounts");
+				return;
+			}
+			await onAddVertexAccount({
+				name: newAccount.name,
+				serviceAccountKey: newAccount.serviceAccountKey,
+				region: newAccount.region.trim() || "us-east5",
+				projectId: newAccount.projectId.trim() || undefined,
+				priority: newAccount.priority,
+				modelMappings: buildModelMappings(),
+			});
+			setNewAccount(EMPTY_ACCOUNT);
 			onSuccess();
 			return;
 		}
@@ -200,17 +241,7 @@ export function AccountAddForm({
 		setAuthStep("form");
 		setAuthCode("");
 		setSessionId("");
-		setNewAccount({
-			name: "",
-			mode: "max",
-			tier: 1,
-			priority: 0,
-			apiKey: "",
-			customEndpoint: "",
-			opusModel: "",
-			sonnetModel: "",
-			haikuModel: "",
-		});
+		setNewAccount(EMPTY_ACCOUNT);
 		onSuccess();
 	};
 
@@ -218,17 +249,7 @@ export function AccountAddForm({
 		setAuthStep("form");
 		setAuthCode("");
 		setSessionId("");
-		setNewAccount({
-			name: "",
-			mode: "max",
-			tier: 1,
-			priority: 0,
-			apiKey: "",
-			customEndpoint: "",
-			opusModel: "",
-			sonnetModel: "",
-			haikuModel: "",
-		});
+		setNewAccount(EMPTY_ACCOUNT);
 		onCancel();
 	};
 
@@ -257,9 +278,9 @@ export function AccountAddForm({
 						<Label htmlFor="mode">Mode</Label>
 						<Select
 							value={newAccount.mode}
-							onValueChange={(
-								value: "max" | "console" | "zai" | "openai-compatible",
-							) => setNewAccount({ ...newAccount, mode: value })}
+							onValueChange={(value: AccountMode) =>
+								setNewAccount({ ...newAccount, mode: value })
+							}
 						>
 							<SelectTrigger id="mode">
 								<SelectValue />
@@ -271,6 +292,12 @@ export function AccountAddForm({
 								<SelectItem value="openai-compatible">
 									OpenAI-Compatible (API Key)
 								</SelectItem>
+								<SelectItem value="bedrock">
+									Amazon Bedrock (AWS Access Keys)
+								</SelectItem>
+								<SelectItem value="vertex">
+									Google Vertex AI (Service Account)
+								</SelectItem>
 							</SelectContent>
 						</Select>
 					</div>
@@ -325,68 +352,215 @@ export function AccountAddForm({
 									Enter the base URL for the OpenAI-compatible API
 								</p>
 							</div>
+						</>
+					)}
+					{newAccount.mode === "bedrock" && (
+						<>
+							<div className="space-y-2">
+								<Label htmlFor="accessKeyId">AWS Access Key ID</Label>
+								<Input
+									id="accessKeyId"
+									value={newAccount.accessKeyId}
+									onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+										setNewAccount({
+											...newAccount,
+											accessKeyId: (e.target as HTMLInputElement).value,
+										})
+									}
+									placeholder="AKIA..."
+								/>
+							</div>
 							<div className="space-y-2">
-								<Label>Model Mappings (Optional)</Label>
-								<p className="text-xs text-muted-foreground mb-2">
-									Map Anthropic model names to provider-specific models. Leave
-									empty to use defaults.
+								<Label htmlFor="secretAccessKey">AWS Secret Access Key</Label>
+								<Input
+									id="secretAccessKey"
+									type="password"
+									value={newAccount.secretAccessKey}
+									onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+										setNewAccount({
+											...newAccount,
+											secretAccessKey: (e.target as HTMLInputElement).value,
+										})
+									}
+									placeholder="Enter your secret access key"
+								/>
+							</div>
+							<div className="space-y-2">
+								<Label htmlFor="sessionToken">Session Token (Optional)</Label>
+								<Input
+									id="sessionToken"
+									type="password"
+									value={newAccount.sessionToken}
+									onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+										setNewAccount({
+											...newAccount,
+											sessionToken: (e.target as HTMLInputElement).value,
+										})
+									}
+									placeholder="Only for temporary credentials"
+								/>
+							</div>
+							<div className="space-y-2">
+								<Label htmlFor="region">Region</Label>
+								<Input
+									id="region"
+									value={newAccount.region}
+									onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+										setNewAccount({
+											...newAccount,
+											region: (e.target as HTMLInputElement).value,
+										})
+									}
+									placeholder="us-east-1 (default)"
+								/>
+							</div>
+							<div className="space-y-2">
+								<Label htmlFor="inferenceProfile">
+									Cross-Region Inference Profile (Optional)
+								</Label>
+								<Input
+									id="inferenceProfile"
+									value={newAccount.inferenceProfile}
+									onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+										setNewAccount({
+											...newAccount,
+											inferenceProfile: (e.target as HTMLInputElement).value,
+										})
+									}
+									placeholder="e.g., us, eu or apac"
+								/>
+								<p className="text-xs text-muted-foreground">
+									Prefixes model IDs, e.g. us.anthropic.claude-sonnet-4-5-...
 								</p>
-								<div className="space-y-2 pl-4">
-									<div>
-										<Label htmlFor="opusModel" className="text-sm">
-											Opus Model
-										</Label>
-										<Input
-											id="opusModel"
-											value={newAccount.opusModel}
-											onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
-												setNewAccount({
-													...newAccount,
-													opusModel: (e.target as HTMLInputElement).value,
-												})
-											}
-											placeholder="openai/gpt-5 (default)"
-											className="mt-1"
-										/>
-									</div>
-									<div>
-										<Label htmlFor="sonnetModel" className="text-sm">
-											Sonnet Model
-										</Label>
-										<Input
-											id="sonnetModel"
-											value={newAccount.sonnetModel}
-											onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
-												setNewAccount({
-													...newAccount,
-													sonnetModel: (e.target as HTMLInputElement).value,
-												})
-											}
-											placeholder="openai/gpt-5 (default)"
-											className="mt-1"
-										/>
-									</div>
-									<div>
-										<Label htmlFor="haikuModel" className="text-sm">
-											Haiku Model
-										</Label>
-										<Input
-											id="haikuModel"
-											value={newAccount.haikuModel}
-											onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
-												setNewAccount({
-													...newAccount,
-													haikuModel: (e.target as HTMLInputElement).value,
-												})
-											}
-											placeholder="openai/gpt-5-mini (default)"
-											className="mt-1"
-										/>
-									</div>
-								</div>
 							</div>
 						</>
 					)}
+					{newAccount.mode === "vertex" && (
+						<>
+							<div className="space-y-2">
+								<Label htmlFor="serviceAccountKey">Service Account Key</Label>
+								<textarea
+									id="serviceAccountKey"
+									value={newAccount.serviceAccountKey}
+									onChange={(e) =>
+										setNewAccount({
+											...newAccount,
+											serviceAccountKey: e.target.value,
+										})
+									}
+									rows={6}
+									className="flex w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 font-mono"
+									placeholder='Paste the JSON key file, { "type": "service_account", ... }'
+								/>
+								<p className="text-xs text-muted-foreground">
+									The key needs the Vertex AI User role on the project
+								</p>
+							</div>
+							<div className="space-y-2">
+								<Label htmlFor="region">Region</Label>
+								<Input
+									id="region"
+									value={newAccount.region}
+									onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+										setNewAccount({
+											...newAccount,
+											region: (e.target as HTMLInputElement).value,
+										})
+									}
+									placeholder="us-east5 (default), europe-west1 or global"
+								/>
+							</div>
+							<div className="space-y-2">
+								<Label htmlFor="projectId">Project ID (Optional)</Label>
+								<Input
+									id="projectId"
+									value={newAccount.projectId}
+									onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+										setNewAccount({
+											...newAccount,
+											projectId: (e.target as HTMLInputElement).value,
+										})
+									}
+									placeholder="Defaults to the project of the key"
+								/>
+							</div>
+						</>
+					)}
+					{supportsModelMappings(newAccount.mode) && (
+						<div className="space-y-2">
+							<Label>Model Mappings (Optional)</Label>
+							<p className="text-xs text-muted-foreground mb-2">
+								{newAccount.mode === "openai-compatible"
+									? "Map Anthropic model names to provider-specific models. Leave empty to use defaults."
+									: "Serve requests for a model family with another Claude model. Leave empty to use the requested model."}
+							</p>
+							<div className="space-y-2 pl-4">
+								<div>
+									<Label htmlFor="opusModel" className="text-sm">
+										Opus Model
+									</Label>
+									<Input
+										id="opusModel"
+										value={newAccount.opusModel}
+										onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+											setNewAccount({
+												...newAccount,
+												opusModel: (e.target as HTMLInputElement).value,
+											})
+										}
+										placeholder={
+											newAccount.mode === "openai-compatible"
+												? "openai/gpt-5 (default)"
+												: "e.g., claude-opus-4-1-20250805"
+										}
+										className="mt-1"
+									/>
+								</div>
+								<div>
+									<Label htmlFor="sonnetModel" className="text-sm">
+										Sonnet Model
+									</Label>
+									<Input
+										id="sonnetModel"
+										value={newAccount.sonnetModel}
+										onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+											setNewAccount({
+												...newAccount,
+												sonnetModel: (e.target as HTMLInputElement).value,
+											})
+										}
+										placeholder={
+											newAccount.mode === "openai-compatible"
+												? "openai/gpt-5 (default)"
+												: "e.g., claude-sonnet-4-5-20250929"
+										}
+										className="mt-1"
+									/>
+								</div>
+								<div>
+									<Label htmlFor="haikuModel" className="text-sm">
+										Haiku Model
+									</Label>
+									<Input
+										id="haikuModel"
+										value={newAccount.haikuModel}
+										onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+											setNewAccount({
+												...newAccount,
+												haikuModel: (e.target as HTMLInputElement).value,
+											})
+										}
+										placeholder={
+											newAccount.mode === "openai-compatible"
+												? "openai/gpt-5-mini (default)"
+												: "e.g., claude-haiku-4-5-20251001"
+										}
+										className="mt-1"
+									/>
+								</div>
+							</div>
+						</div>
+					)}
 					{(newAccount.mode === "max" ||
 						newAccount.mode === "console" ||
 						newAccount.mode === "zai") && (
@@ -412,26 +586,27 @@ export function AccountAddForm({
 							</p>
 						</div>
 					)}
-					{newAccount.mode !== "openai-compatible" && (
-						<div className="space-y-2">
-							<Label htmlFor="tier">Tier</Label>
-							<Select
-								value={String(newAccount.tier)}
-								onValueChange={(value: string) =>
-									setNewAccount({ ...newAccount, tier: parseInt(value) })
-								}
-							>
-								<SelectTrigger id="tier">
-									<SelectValue />
-								</SelectTrigger>
-								<SelectContent>
-									<SelectItem value="1">Tier 1 (Pro)</SelectItem>
-									<SelectItem value="5">Tier 5 (Max 5x)</SelectItem>
-									<SelectItem value="20">Tier 20 (Max 20x)</SelectItem>
-								</SelectContent>
-							</Select>
-						</div>
-					)}
+					{newAccount.mode !== "openai-compatible" &&
+						!isCloudProvider(newAccount.mode) && (
+							<div className="space-y-2">
+								<Label htmlFor="tier">Tier</Label>
+								<Select
+									value={String(newAccount.tier)}
+									onValueChange={(value: string) =>
+										setNewAccount({ ...newAccount, tier: parseInt(value) })
+									}
+								>
+									<SelectTrigger id="tier">
+										<SelectValue />
+									</SelectTrigger>
+									<SelectContent>
+										<SelectItem value="1">Tier 1 (Pro)</SelectItem>
+										<SelectItem value="5">Tier 5 (Max 5x)</SelectItem>
+										<SelectItem value="20">Tier 20 (Max 20x)</SelectItem>
+									</SelectContent>
+								</Select>
+							</div>
+						)}
 					<div className="space-y-2">
 						<Label htmlFor="priority">Priority</Label>
 						<Select
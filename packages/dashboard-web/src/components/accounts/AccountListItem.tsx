@@ -1,3 +1,4 @@
+import { isCloudProvider, supportsModelMappings } from "@better-ccflare/types";
 import { AccountPresenter } from "@better-ccflare/ui-common";
 import {
 	AlertCircle,
@@ -127,7 +128,7 @@ export function AccountListItem({
 					>
 						<Zap className="h-4 w-4" />
 					</Button>
-					{onCustomEndpointChange && (
+					{onCustomEndpointChange && !isCloudProvider(account.provider) && (
 						<Button
 							variant="ghost"
 							size="sm"
@@ -145,25 +146,24 @@ export function AccountListItem({
 							/>
 						</Button>
 					)}
-					{onModelMappingsChange &&
-						account.provider === "openai-compatible" && (
-							<Button
-								variant="ghost"
-								size="sm"
-								onClick={() => onModelMappingsChange(account)}
-								title={
-									account.modelMappings
-										? `Model mappings configured (${Object.keys(account.modelMappings).length} mappings)`
-										: "Configure model mappings"
-								}
-							>
-								<Hash
-									className={`h-4 w-4 ${
-										account.modelMappings ? "text-primary" : ""
-									}`}
-								/>
-							</Button>
-						)}
+					{onModelMappingsChange && supportsModelMappings(account.provider) && (
+						<Button
+							variant="ghost"
+							size="sm"
+							onClick={() => onModelMappingsChange(account)}
+							title={
+								account.modelMappings
+									? `Model mappings configured (${Object.keys(account.modelMappings).length} mappings)`
+									: "Configure model mappings"
+							}
+						>
+							<Hash
+								className={`h-4 w-4 ${
+									account.modelMappings ? "text-primary" : ""
+								}`}
+							/>
+						</Button>
+					)}
 					<Button
 						variant="ghost"
 						size="sm"
@@ -9,6 +9,7 @@ import {
 	SelectValue,
 } from "../ui/select";
 import { AnalyticsFilters, type FilterState } from "./AnalyticsFilters";
+import { ReportDownload } from "./ReportDownload";
 
 interface AnalyticsControlsProps {
 	timeRange: TimeRange;
@@ -102,6 +103,7 @@ export function AnalyticsControls({
 					/>
 					Refresh
 				</Button>
+				<ReportDownload />
 			</div>
 		</div>
 	);
@@ -0,0 +1,80 @@
+import {
+	formatCost,
+	formatPercentage,
+	formatTokens,
+} from "@better-ccflare/ui-common";
+import { KeyRound } from "lucide-react";
+import {
+	Card,
+	CardContent,
+	CardDescription,
+	CardHeader,
+	CardTitle,
+} from "../ui/card";
+
+interface ClientKeyAnalyticsProps {
+	clientKeyUsage: Array<{
+		name: string;
+		requests: number;
+		successRate: number;
+		costUsd: number;
+		totalTokens: number;
+	}>;
+}
+
+export function ClientKeyAnalytics({
+	clientKeyUsage,
+}: ClientKeyAnalyticsProps) {
+	const maxRequests = Math.max(...clientKeyUsage.map((k) => k.requests), 1);
+
+	return (
+		<Card>
+			<CardHeader>
+				<div className="flex items-center justify-between">
+					<div>
+						<CardTitle>Usage by Client Key</CardTitle>
+						<CardDescription>
+							Requests, tokens and cost attributed to each API key
+						</CardDescription>
+					</div>
+					<KeyRound className="h-5 w-5 text-muted-foreground" />
+				</div>
+			</CardHeader>
+			<CardContent>
+				<div className="space-y-4">
+					{clientKeyUsage.map((key) => (
+						<div key={key.name} className="space-y-2">
+							<div className="flex items-center justify-between">
+								<span className="font-medium">{key.name}</span>
+								<span className="text-sm text-muted-foreground">
+									{key.requests} requests · {formatTokens(key.totalTokens)}{" "}
+									tokens · {formatCost(key.costUsd)}
+								</span>
+							</div>
+							<div className="w-full bg-secondary rounded-full h-2">
+								<div
+									className="bg-primary h-2 rounded-full transition-all"
+									style={{ width: `${(key.requests / maxRequests) * 100}%` }}
+								/>
+							</div>
+							<div className="flex items-center justify-between text-sm">
+								<span className="text-muted-foreground">Success rate</span>
+								<span
+									className={
+										key.successRate >= 95
+											? "text-green-600"
+											: key.successRate >= 80
+												? "text-yellow-600"
+												: "text-red-600"
+									}
+								>
+									{formatPercentage(key.successRate)}
+								</span>
+							</div>
+						</div>
+					))}
+				</div>
+			</CardContent>
+		</Card>
+	);
+}
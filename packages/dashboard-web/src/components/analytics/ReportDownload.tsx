@@ -0,0 +1,200 @@
+import {
+	REPORT_GROUP_BY,
+	type ReportFormat,
+	type ReportGroupBy,
+} from "@better-ccflare/types";
+import { subDays } from "date-fns";
+import { AlertCircle, Download } from "lucide-react";
+import { useState } from "react";
+import { useDownloadReport } from "../../hooks/queries";
+import { useApiError } from "../../hooks/useApiError";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import { Popover, PopoverContent, PopoverTrigger } from "../ui/popover";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "../ui/select";
+import { Separator } from "../ui/separator";
+import { Switch } from "../ui/switch";
+
+const FILE_TYPES: Record<ReportFormat, { extension: string; type: string }> = {
+	csv: { extension: "csv", type: "text/csv" },
+	json: { extension: "json", type: "application/json" },
+	markdown: { extension: "md", type: "text/markdown" },
+};
+
+const GROUP_LABELS: Record<ReportGroupBy, string> = {
+	project: "Project",
+	account: "Account",
+	agent: "Agent",
+	day: "Day",
+};
+
+// Report days are UTC, so default to UTC dates as well
+function utcDate(date: Date): string {
+	return date.toISOString().slice(0, 10);
+}
+
+function saveFile(contents: string, filename: string, type: string) {
+	const url = URL.createObjectURL(new Blob([contents], { type }));
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	link.click();
+	URL.revokeObjectURL(url);
+}
+
+export function ReportDownload() {
+	const { formatError } = useApiError();
+	const download = useDownloadReport();
+	const [open, setOpen] = useState(false);
+	const [from, setFrom] = useState(() => utcDate(subDays(new Date(), 29)));
+	const [to, setTo] = useState(() => utcDate(new Date()));
+	const [groupBy, setGroupBy] = useState<ReportGroupBy[]>(["project"]);
+	const [reportFormat, setReportFormat] = useState<ReportFormat>("csv");
+	const [includeLogOnly, setIncludeLogOnly] = useState(false);
+
+	const toggleGroup = (dimension: ReportGroupBy, checked: boolean) => {
+		setGroupBy(
+			checked
+				? REPORT_GROUP_BY.filter((d) => d === dimension || groupBy.includes(d))
+				: groupBy.filter((d) => d !== dimension),
+		);
+	};
+
+	const handleDownload = () => {
+		download.mutate(
+			{ from, to, groupBy, format: reportFormat, includeLogOnly },
+			{
+				onSuccess: (contents) => {
+					const { extension, type } = FILE_TYPES[reportFormat];
+					saveFile(
+						contents,
+						`usage-report-${from}-to-${to}.${extension}`,
+						type,
+					);
+					setOpen(false);
+				},
+			},
+		);
+	};
+
+	return (
+		<Popover open={open} onOpenChange={setOpen}>
+			<PopoverTrigger asChild>
+				<Button variant="outline" size="sm">
+					<Download className="h-4 w-4 mr-2" />
+					Report
+				</Button>
+			</PopoverTrigger>
+			<PopoverContent className="w-80" align="end">
+				<div className="space-y-4">
+					<div className="space-y-1">
+						<h4 className="font-medium leading-none">Usage report</h4>
+						<p className="text-xs text-muted-foreground">
+							Tokens and cost per project, account, agent or day. Requests are
+							tied to projects through the imported Claude Code logs.
+						</p>
+					</div>
+
+					<Separator />
+
+					<div className="grid grid-cols-2 gap-2">
+						<div className="space-y-2">
+							<Label htmlFor="report-from">From (UTC)</Label>
+							<Input
+								id="report-from"
+								type="date"
+								value={from}
+								max={to}
+								onChange={(e) => setFrom((e.target as HTMLInputElement).value)}
+							/>
+						</div>
+						<div className="space-y-2">
+							<Label htmlFor="report-to">To (UTC)</Label>
+							<Input
+								id="report-to"
+								type="date"
+								value={to}
+								min={from}
+								onChange={(e) => setTo((e.target as HTMLInputElement).value)}
+							/>
+						</div>
+					</div>
+
+					<div className="space-y-2">
+						<Label>Group by</Label>
+						<div className="grid grid-cols-2 gap-1">
+							{REPORT_GROUP_BY.map((dimension) => (
+								<label
+									key={dimension}
+									className="flex items-center space-x-2 cursor-pointer hover:bg-muted/50 p-1 rounded"
+								>
+									<input
+										type="checkbox"
+										className="rounded border-gray-300"
+										checked={groupBy.includes(dimension)}
+										onChange={(e) => toggleGroup(dimension, e.target.checked)}
+									/>
+									<span className="text-sm">{GROUP_LABELS[dimension]}</span>
+								</label>
+							))}
+						</div>
+					</div>
+
+					<div className="space-y-2">
+						<Label>Format</Label>
+						<Select
+							value={reportFormat}
+							onValueChange={(value) => setReportFormat(value as ReportFormat)}
+						>
+							<SelectTrigger>
+								<SelectValue />
+							</SelectTrigger>
+							<SelectContent>
+								<SelectItem value="csv">CSV</SelectItem>
+								<SelectItem value="json">JSON</SelectItem>
+								<SelectItem value="markdown">Markdown</SelectItem>
+							</SelectContent>
+						</Select>
+					</div>
+
+					<div className="flex items-center justify-between">
+						<Label htmlFor="report-log-only" className="text-sm font-normal">
+							Include usage that bypassed the proxy
+						</Label>
+						<Switch
+							id="report-log-only"
+							checked={includeLogOnly}
+							onCheckedChange={setIncludeLogOnly}
+						/>
+					</div>
+
+					{download.error && (
+						<div className="flex items-center gap-2 text-sm text-destructive">
+							<AlertCircle className="h-4 w-4" />
+							{formatError(download.error)}
+						</div>
+					)}
+
+					<Separator />
+
+					<div className="flex justify-end">
+						<Button
+							size="sm"
+							onClick={handleDownload}
+							disabled={download.isPending || groupBy.length === 0}
+						>
+							{download.isPending ? "Preparing..." : "Download"}
+						</Button>
+					</div>
+				</div>
+			</PopoverContent>
+		</Popover>
+	);
+}
@@ -8,5 +8,7 @@ export {
 } from "./AnalyticsCharts";
 export { AnalyticsControls } from "./AnalyticsControls";
 export { AnalyticsFilters, type FilterState } from "./AnalyticsFilters";
+export { ClientKeyAnalytics } from "./ClientKeyAnalytics";
 export { ModelAnalytics } from "./ModelAnalytics";
+export { ReportDownload } from "./ReportDownload";
 export { TokenSpeedAnalytics } from "./TokenSpeedAnalytics";
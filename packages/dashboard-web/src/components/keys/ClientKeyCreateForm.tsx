@@ -0,0 +1,147 @@
+import type { ClientKeyCreateRequest } from "@better-ccflare/types";
+import { useState } from "react";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+
+interface ClientKeyCreateFormProps {
+	onCreate: (data: ClientKeyCreateRequest) => Promise<void>;
+	onCancel: () => void;
+	isLoading?: boolean;
+}
+
+const EMPTY_FORM = {
+	name: "",
+	allowedModels: "",
+	dailyRequestLimit: "",
+	dailyTokenLimit: "",
+	dailyCostLimit: "",
+	expiresAt: "",
+};
+
+/** Empty inputs mean "no limit" */
+function toLimit(value: string): number | null {
+	return value.trim() === "" ? null : Number(value);
+}
+
+export function ClientKeyCreateForm({
+	onCreate,
+	onCancel,
+	isLoading = false,
+}: ClientKeyCreateFormProps) {
+	const [form, setForm] = useState(EMPTY_FORM);
+
+	const update =
+		(field: keyof typeof EMPTY_FORM) =>
+		(e: React.ChangeEvent<HTMLInputElement>) =>
+			setForm({ ...form, [field]: (e.target as HTMLInputElement).value });
+
+	const handleSubmit = async () => {
+		const allowedModels = form.allowedModels
+			.split(",")
+			.map((model) => model.trim())
+			.filter(Boolean);
+
+		await onCreate({
+			name: form.name.trim(),
+			allowedModels: allowedModels.length > 0 ? allowedModels : null,
+			dailyRequestLimit: toLimit(form.dailyRequestLimit),
+			dailyTokenLimit: toLimit(form.dailyTokenLimit),
+			dailyCostLimit: toLimit(form.dailyCostLimit),
+			// Date inputs give a local calendar day; expire at the end of it
+			expiresAt: form.expiresAt
+				? new Date(`${form.expiresAt}T23:59:59`).toISOString()
+				: null,
+		});
+		setForm(EMPTY_FORM);
+	};
+
+	return (
+		<div className="space-y-4 mb-6 p-4 border rounded-lg">
+			<h4 className="font-medium">Create Client Key</h4>
+			<div className="space-y-2">
+				<Label htmlFor="key-name">Name</Label>
+				<Input
+					id="key-name"
+					value={form.name}
+					onChange={update("name")}
+					placeholder="e.g., ci-pipeline or alice-laptop"
+				/>
+			</div>
+			<div className="space-y-2">
+				<Label htmlFor="key-models">Allowed Models (optional)</Label>
+				<Input
+					id="key-models"
+					value={form.allowedModels}
+					onChange={update("allowedModels")}
+					placeholder="Comma separated, e.g., claude-sonnet-*, claude-3-5-haiku-20241022"
+				/>
+				<p className="text-xs text-muted-foreground">
+					Leave empty to allow every model. A trailing * matches a prefix.
+				</p>
+			</div>
+			<div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+				<div className="space-y-2">
+					<Label htmlFor="key-requests">Requests / day</Label>
+					<Input
+						id="key-requests"
+						type="number"
+						min={0}
+						value={form.dailyRequestLimit}
+						onChange={update("dailyRequestLimit")}
+						placeholder="Unlimited"
+					/>
+				</div>
+				<div className="space-y-2">
+					<Label htmlFor="key-tokens">Tokens / day</Label>
+					<Input
+						id="key-tokens"
+						type="number"
+						min={0}
+						value={form.dailyTokenLimit}
+						onChange={update("dailyTokenLimit")}
+						placeholder="Unlimited"
+					/>
+				</div>
+				<div className="space-y-2">
+					<Label htmlFor="key-cost">Cost / day (USD)</Label>
+					<Input
+						id="key-cost"
+						type="number"
+						min={0}
+						step="0.01"
+						value={form.dailyCostLimit}
+						onChange={update("dailyCostLimit")}
+						placeholder="Unlimited"
+					/>
+				</div>
+			</div>
+			<div className="space-y-2">
+				<Label htmlFor="key-expires">Expires (optional)</Label>
+				<Input
+					id="key-expires"
+					type="date"
+					value={form.expiresAt}
+					onChange={update("expiresAt")}
+				/>
+			</div>
+			<div className="flex gap-2">
+				<Button
+					onClick={handleSubmit}
+					disabled={!form.name.trim() || isLoading}
+				>
+					Create Key
+				</Button>
+				<Button
+					variant="outline"
+					onClick={() => {
+						setForm(EMPTY_FORM);
+						onCancel();
+					}}
+				>
+					Cancel
+				</Button>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,134 @@
+import type { ClientKeyResponse } from "@better-ccflare/types";
+import {
+	formatCost,
+	formatNumber,
+	formatTimestamp,
+} from "@better-ccflare/ui-common";
+import { Ban, Trash2 } from "lucide-react";
+import { Badge } from "../ui/badge";
+import { Button } from "../ui/button";
+
+interface ClientKeyListProps {
+	clientKeys: ClientKeyResponse[] | undefined;
+	onRevoke: (clientKey: ClientKeyResponse) => void;
+	onDelete: (clientKey: ClientKeyResponse) => void;
+}
+
+const STATUS_VARIANTS = {
+	active: "success",
+	expired: "warning",
+	revoked: "destructive",
+} as const;
+
+function UsageLine({
+	label,
+	used,
+	limit,
+	format,
+}: {
+	label: string;
+	used: number;
+	limit: number | null;
+	format: (value: number) => string;
+}) {
+	const exhausted = limit !== null && used >= limit;
+	return (
+		<span className={exhausted ? "text-destructive" : undefined}>
+			{label}: {format(used)}
+			{limit !== null && ` / ${format(limit)}`}
+		</span>
+	);
+}
+
+export function ClientKeyList({
+	clientKeys,
+	onRevoke,
+	onDelete,
+}: ClientKeyListProps) {
+	if (!clientKeys || clientKeys.length === 0) {
+		return (
+			<p className="text-muted-foreground">
+				No client keys issued. The proxy accepts every request until the first
+				key is created.
+			</p>
+		);
+	}
+
+	return (
+		<div className="space-y-2">
+			{clientKeys.map((clientKey) => (
+				<div
+					key={clientKey.id}
+					className="flex items-center justify-between p-4 border rounded-lg"
+				>
+					<div className="space-y-1">
+						<div className="flex items-center gap-2">
+							<p className="font-medium">{clientKey.name}</p>
+							<code className="text-xs text-muted-foreground">
+								{clientKey.keyPrefix}…
+							</code>
+							<Badge variant={STATUS_VARIANTS[clientKey.status]}>
+								{clientKey.status}
+							</Badge>
+						</div>
+						<p className="text-sm text-muted-foreground">
+							Models:{" "}
+							{clientKey.allowedModels
+								? clientKey.allowedModels.join(", ")
+								: "all"}
+						</p>
+						<div className="flex flex-wrap gap-x-4 text-sm text-muted-foreground">
+							<UsageLine
+								label="Requests today"
+								used={clientKey.usageToday.requests}
+								limit={clientKey.dailyRequestLimit}
+								format={formatNumber}
+							/>
+							<UsageLine
+								label="Tokens"
+								used={clientKey.usageToday.tokens}
+								limit={clientKey.dailyTokenLimit}
+								format={formatNumber}
+							/>
+							<UsageLine
+								label="Cost"
+								used={clientKey.usageToday.costUsd}
+								limit={clientKey.dailyCostLimit}
+								format={formatCost}
+							/>
+						</div>
+						<p className="text-xs text-muted-foreground">
+							{clientKey.expiresAt
+								? `Expires ${formatTimestamp(clientKey.expiresAt)}`
+								: "Never expires"}
+							{" · "}
+							{clientKey.lastUsed
+								? `Last used ${formatTimestamp(clientKey.lastUsed)}`
+								: "Never used"}
+						</p>
+					</div>
+					<div className="flex items-center gap-2">
+						{clientKey.status !== "revoked" && (
+							<Button
+								variant="ghost"
+								size="sm"
+								onClick={() => onRevoke(clientKey)}
+								title="Revoke key"
+							>
+								<Ban className="h-4 w-4" />
+							</Button>
+						)}
+						<Button
+							variant="ghost"
+							size="sm"
+							onClick={() => onDelete(clientKey)}
+							title="Delete key"
+						>
+							<Trash2 className="h-4 w-4" />
+						</Button>
+					</div>
+				</div>
+			))}
+		</div>
+	);
+}
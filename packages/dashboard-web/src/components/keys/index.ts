@@ -0,0 +1,2 @@
+export { ClientKeyCreateForm } from "./ClientKeyCreateForm";
+export { ClientKeyList } from "./ClientKeyList";
@@ -4,6 +4,7 @@ import {
 	Bot,
 	FileText,
 	GitBranch,
+	KeyRound,
 	LayoutDashboard,
 	Menu,
 	RefreshCw,
@@ -39,6 +40,7 @@ const navItems: NavItem[] = [
 	{ label: "Analytics", icon: BarChart3, path: "/analytics" },
 	{ label: "Requests", icon: Activity, path: "/requests" },
 	{ label: "Accounts", icon: Users, path: "/accounts" },
+	{ label: "API Keys", icon: KeyRound, path: "/keys" },
 	{ label: "Agents", icon: Bot, path: "/agents" },
 	{ label: "Logs", icon: FileText, path: "/logs" },
 ];
@@ -0,0 +1,186 @@
+import type { ReplayResult, ReplaySide } from "@better-ccflare/types";
+import {
+	cleanLineNumbers,
+	formatCost,
+	formatDuration,
+	formatTokens,
+	parseAssistantMessage,
+} from "@better-ccflare/ui-common";
+import { useMemo } from "react";
+import { Message } from "../conversation";
+import { Badge } from "../ui/badge";
+
+interface ReplayComparisonProps {
+	result: ReplayResult;
+}
+
+interface MetricRow {
+	label: string;
+	original: number | null;
+	replay: number | null;
+	format: (value: number) => string;
+	/** Whether a larger value is an improvement; omitted for neutral rows */
+	higherIsBetter?: boolean;
+}
+
+function formatDelta(row: MetricRow): { text: string; className: string } {
+	if (row.original === null || row.replay === null) {
+		return { text: "", className: "" };
+	}
+	const delta = row.replay - row.original;
+	if (delta === 0) return { text: "=", className: "text-muted-foreground" };
+
+	const text = `${delta > 0 ? "+" : "-"}${row.format(Math.abs(delta))}`;
+	if (row.higherIsBetter === undefined) {
+		return { text, className: "text-muted-foreground" };
+	}
+	const better = delta > 0 === row.higherIsBetter;
+	return { text, className: better ? "text-green-600" : "text-red-600" };
+}
+
+function StatusBadge({ side }: { side: ReplaySide }) {
+	const status = side.statusCode;
+	if (!status) return <Badge variant="outline">no status</Badge>;
+	return (
+		<Badge
+			variant={
+				status >= 200 && status < 300
+					? "success"
+					: status >= 400 && status < 500
+						? "warning"
+						: "destructive"
+			}
+		>
+			{status}
+		</Badge>
+	);
+}
+
+function ResponseColumn({ title, side }: { title: string; side: ReplaySide }) {
+	const message = useMemo(
+		() => parseAssistantMessage(side.responseBody),
+		[side.responseBody],
+	);
+
+	return (
+		<div className="min-w-0 space-y-2">
+			<div className="flex items-center gap-2 flex-wrap">
+				<h4 className="font-semibold">{title}</h4>
+				<StatusBadge side={side} />
+				{side.model && <Badge variant="secondary">{side.model}</Badge>}
+				<span className="text-sm text-muted-foreground">
+					via {side.accountName ?? side.accountId ?? "unauthenticated"}
+				</span>
+			</div>
+			{side.responseTruncated && (
+				<p className="text-xs text-muted-foreground">
+					Stored response was truncated
+				</p>
+			)}
+			<div className="max-h-[40vh] overflow-y-auto rounded-lg border p-3">
+				{message ? (
+					<Message
+						role={message.role}
+						content={message.content}
+						contentBlocks={message.contentBlocks}
+						tools={message.tools}
+						toolResults={message.toolResults}
+						cleanLineNumbers={cleanLineNumbers}
+					/>
+				) : (
+					<pre className="text-sm font-mono whitespace-pre-wrap break-all">
+						{side.errorMessage || side.responseBody || "No response body"}
+					</pre>
+				)}
+			</div>
+		</div>
+	);
+}
+
+/**
+ * Side-by-side view of a stored request's response and its replay, with the
+ * usage, latency and cost differences between them
+ */
+export function ReplayComparison({ result }: ReplayComparisonProps) {
+	const { original, replay } = result;
+
+	const rows: MetricRow[] = [
+		{
+			label: "Latency",
+			original: original.responseTimeMs,
+			replay: replay.responseTimeMs,
+			format: formatDuration,
+			higherIsBetter: false,
+		},
+		{
+			label: "Input tokens",
+			original: original.inputTokens,
+			replay: replay.inputTokens,
+			format: formatTokens,
+		},
+		{
+			label: "Output tokens",
+			original: original.outputTokens,
+			replay: replay.outputTokens,
+			format: formatTokens,
+		},
+		{
+			label: "Cache read tokens",
+			original: original.cacheReadInputTokens,
+			replay: replay.cacheReadInputTokens,
+			format: formatTokens,
+		},
+		{
+			label: "Cache write tokens",
+			original: original.cacheCreationInputTokens,
+			replay: replay.cacheCreationInputTokens,
+			format: formatTokens,
+		},
+		{
+			label: "Cost",
+			original: original.costUsd,
+			replay: replay.costUsd,
+			format: formatCost,
+			higherIsBetter: false,
+		},
+	];
+
+	return (
+		<div className="space-y-4">
+			<table className="w-full text-sm">
+				<thead>
+					<tr className="border-b text-left text-muted-foreground">
+						<th className="py-2 font-medium" />
+						<th className="py-2 font-medium">Original</th>
+						<th className="py-2 font-medium">Replay</th>
+						<th className="py-2 font-medium">Difference</th>
+					</tr>
+				</thead>
+				<tbody>
+					{rows.map((row) => {
+						const delta = formatDelta(row);
+						return (
+							<tr key={row.label} className="border-b last:border-0">
+								<td className="py-2 text-muted-foreground">{row.label}</td>
+								<td className="py-2 font-mono">
+									{row.original !== null ? row.format(row.original) : "--"}
+								</td>
+								<td className="py-2 font-mono">
+									{row.replay !== null ? row.format(row.replay) : "--"}
+								</td>
+								<td className={`py-2 font-mono ${delta.className}`}>
+									{delta.text}
+								</td>
+							</tr>
+						);
+					})}
+				</tbody>
+			</table>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+				<ResponseColumn title="Original" side={original} />
+				<ResponseColumn title="Replay" side={replay} />
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,89 @@
+import { AlertCircle, Play } from "lucide-react";
+import { useState } from "react";
+import { useAccounts, useReplayRequest } from "../../hooks/queries";
+import { useApiError } from "../../hooks/useApiError";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "../ui/select";
+import { ReplayComparison } from "./ReplayComparison";
+
+// Select items cannot have an empty value
+const ORIGINAL_ACCOUNT = "__original__";
+
+interface ReplayPanelProps {
+	requestId: string;
+	originalModel?: string;
+}
+
+export function ReplayPanel({ requestId, originalModel }: ReplayPanelProps) {
+	const { formatError } = useApiError();
+	const { data: accounts } = useAccounts();
+	const replay = useReplayRequest();
+	const [account, setAccount] = useState(ORIGINAL_ACCOUNT);
+	const [model, setModel] = useState("");
+
+	const handleReplay = () => {
+		replay.mutate({
+			requestId,
+			account: account === ORIGINAL_ACCOUNT ? undefined : account,
+			model: model.trim() || undefined,
+		});
+	};
+
+	return (
+		<div className="space-y-4">
+			<p className="text-sm text-muted-foreground">
+				Send this request again through another account or model and compare the
+				responses. Replays appear in the request list but are left out of stats
+				and analytics.
+			</p>
+			<div className="grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] gap-4 items-end">
+				<div className="space-y-2">
+					<Label htmlFor="replay-account">Account</Label>
+					<Select value={account} onValueChange={setAccount}>
+						<SelectTrigger id="replay-account">
+							<SelectValue />
+						</SelectTrigger>
+						<SelectContent>
+							<SelectItem value={ORIGINAL_ACCOUNT}>Original account</SelectItem>
+							{accounts?.map((acc) => (
+								<SelectItem key={acc.id} value={acc.id}>
+									{acc.name} ({acc.provider})
+								</SelectItem>
+							))}
+						</SelectContent>
+					</Select>
+				</div>
+				<div className="space-y-2">
+					<Label htmlFor="replay-model">Model (optional)</Label>
+					<Input
+						id="replay-model"
+						value={model}
+						onChange={(e) => setModel((e.target as HTMLInputElement).value)}
+						placeholder={originalModel ?? "Same as original"}
+					/>
+				</div>
+				<Button onClick={handleReplay} disabled={replay.isPending}>
+					<Play className="h-4 w-4 mr-2" />
+					{replay.isPending ? "Replaying..." : "Replay"}
+				</Button>
+			</div>
+
+			{replay.error && (
+				<div className="flex items-center gap-2 text-sm text-destructive">
+					<AlertCircle className="h-4 w-4" />
+					{formatError(replay.error)}
+				</div>
+			)}
+
+			{replay.data && <ReplayComparison result={replay.data} />}
+		</div>
+	);
+}
@@ -0,0 +1,2 @@
+export { ReplayComparison } from "./ReplayComparison";
+export { ReplayPanel } from "./ReplayPanel";
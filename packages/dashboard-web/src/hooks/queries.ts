@@ -1,4 +1,9 @@
-import type { AgentUpdatePayload } from "@better-ccflare/types";
+import type {
+	AgentUpdatePayload,
+	ClientKeyCreateRequest,
+	ReplayRequest,
+	UsageReportRequest,
+} from "@better-ccflare/types";
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { api } from "../api";
 import { queryKeys } from "../lib/query-keys";
@@ -181,6 +186,71 @@ export const useResetStats = () => {
 	});
 };
 
+export const useClientKeys = () => {
+	return useQuery({
+		queryKey: queryKeys.clientKeys(),
+		queryFn: () => api.getClientKeys(),
+		refetchInterval: 60000, // Keep today's usage reasonably fresh
+		refetchIntervalInBackground: false,
+	});
+};
+
+export const useCreateClientKey = () => {
+	const queryClient = useQueryClient();
+	return useMutation({
+		mutationFn: (data: ClientKeyCreateRequest) => api.createClientKey(data),
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: queryKeys.clientKeys() });
+		},
+	});
+};
+
+export const useRevokeClientKey = () => {
+	const queryClient = useQueryClient();
+	return useMutation({
+		mutationFn: (keyId: string) => api.revokeClientKey(keyId),
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: queryKeys.clientKeys() });
+		},
+	});
+};
+
+export const useDeleteClientKey = () => {
+	const queryClient = useQueryClient();
+	return useMutation({
+		mutationFn: (keyId: string) => api.deleteClientKey(keyId),
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: queryKeys.clientKeys() });
+		},
+	});
+};
+
+// The replay itself reaches the requests list through the live request stream
+export const useReplayRequest = () => {
+	return useMutation({
+		mutationFn: ({
+			requestId,
+			...data
+		}: ReplayRequest & { requestId: string }) =>
+			api.replayRequest(requestId, data),
+	});
+};
+
+export const useDownloadReport = () => {
+	return useMutation({
+		mutationFn: (request: UsageReportRequest) => api.getReport(request),
+	});
+};
+
+export const useBudgets = () => {
+	return useQuery({
+		queryKey: queryKeys.budgets(),
+		queryFn: () => api.getBudgets(),
+		refetchInterval: 60000, // Budget events on the request stream refresh sooner
+		refetchIntervalInBackground: false,
+	});
+};
+
 export const useUpdateAgentPreference = () => {
 	const queryClient = useQueryClient();
 	return useMutation({
@@ -305,7 +305,9 @@ export function useRequestStream(limit = 200) {
 							agentUsed: string | null;
 					  }
 					| { type: "summary"; payload: RequestResponse }
-					| { type: "payload"; payload: RequestPayload };
+					| { type: "payload"; payload: RequestPayload }
+					| { type: "budget" }
+					| { type: "failover" | "token_refresh_failed" };
 
 				// Get account name for start events
 				if (evt.type === "start") {
@@ -324,14 +326,16 @@ export function useRequestStream(limit = 200) {
 					});
 				} else if (evt.type === "payload") {
 					dispatch({ type: "REQUEST_PAYLOAD", payload: evt.payload });
-				} else {
+				} else if (evt.type === "budget") {
+					queryClient.invalidateQueries({ queryKey: queryKeys.budgets() });
+				} else if (evt.type === "summary") {
 					dispatch({ type: "REQUEST_SUMMARY", payload: evt.payload });
 				}
 			} catch (error) {
 				console.error("Error parsing SSE message:", error);
 			}
 		},
-		[getAccountName],
+		[getAccountName, queryClient],
 	);
 
 	// Connect with connection pooling
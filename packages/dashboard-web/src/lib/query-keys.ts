@@ -2,6 +2,8 @@ export const queryKeys = {
 	all: ["better-ccflare"] as const,
 	accounts: () => [...queryKeys.all, "accounts"] as const,
 	agents: () => [...queryKeys.all, "agents"] as const,
+	budgets: () => [...queryKeys.all, "budgets"] as const,
+	clientKeys: () => [...queryKeys.all, "clientKeys"] as const,
 	stats: () => [...queryKeys.all, "stats"] as const,
 	analytics: (
 		timeRange?: string,
@@ -0,0 +1,168 @@
+import { EncryptionError } from "@better-ccflare/core";
+import {
+	CredentialCipher,
+	decryptCredential,
+	encryptCredential,
+	generateMasterKey,
+	getCredentialKeyId,
+	isEncryptedCredential,
+	openBundle,
+	parseMasterKey,
+	sealBundle,
+} from "../credential-cipher";
+
+function newCipher() {
+	return new CredentialCipher(parseMasterKey(generateMasterKey()));
+}
+
+const location = { accountId: "acc-1", column: "refresh_token" } as const;
+
+describe("CredentialCipher", () => {
+	it("round-trips a value", () => {
+		const cipher = newCipher();
+		const encrypted = cipher.encrypt("sk-ant-secret", location);
+
+		expect(isEncryptedCredential(encrypted)).toBe(true);
+		expect(encrypted).not.toContain("sk-ant-secret");
+		expect(getCredentialKeyId(encrypted)).toBe(cipher.keyId);
+		expect(cipher.decrypt(encrypted, location)).toBe("sk-ant-secret");
+	});
+
+	it("uses a fresh data key and iv for every value", () => {
+		const cipher = newCipher();
+		expect(cipher.encrypt("same", location)).not.toBe(
+			cipher.encrypt("same", location),
+		);
+	});
+
+	it("returns plaintext values unchanged", () => {
+		expect(newCipher().decrypt("legacy-token", location)).toBe("legacy-token");
+	});
+
+	it("rejects values encrypted with another master key", () => {
+		const encrypted = newCipher().encrypt("secret", location);
+		expect(() => newCipher().decrypt(encrypted, location)).toThrow(
+			EncryptionError,
+		);
+	});
+
+	it("rejects tampered ciphertext", () => {
+		const cipher = newCipher();
+		const parts = cipher.encrypt("secret", location).split(":");
+		const data = Buffer.from(parts[5], "base64");
+		data[0] ^= 1;
+		parts[5] = data.toString("base64");
+
+		expect(() => cipher.decrypt(parts.join(":"), location)).toThrow(
+			"Encrypted credential failed to decrypt",
+		);
+	});
+
+	it("rejects values moved to another account or column", () => {
+		const cipher = newCipher();
+		const encrypted = cipher.encrypt("secret", location);
+
+		expect(() =>
+			cipher.decrypt(encrypted, { ...location, accountId: "acc-2" }),
+		).toThrow("Encrypted credential failed to decrypt");
+		expect(() =>
+			cipher.decrypt(encrypted, { ...location, column: "access_token" }),
+		).toThrow("Encrypted credential failed to decrypt");
+	});
+
+	it("rejects malformed values", () => {
+		expect(() => newCipher().decrypt("enc:v1:abc", location)).toThrow(
+			"Malformed encrypted credential",
+		);
+	});
+
+	describe("rewrap", () => {
+		it("moves a value to another key without changing the ciphertext", () => {
+			const current = newCipher();
+			const next = newCipher();
+			const encrypted = current.encrypt("secret", location);
+			const rewrapped = current.rewrap(encrypted, next, location);
+
+			expect(getCredentialKeyId(rewrapped)).toBe(next.keyId);
+			expect(rewrapped.split(":").slice(4)).toEqual(
+				encrypted.split(":").slice(4),
+			);
+			expect(next.decrypt(rewrapped, location)).toBe("secret");
+			expect(() => current.decrypt(rewrapped, location)).toThrow(
+				EncryptionError,
+			);
+		});
+
+		it("encrypts plaintext values", () => {
+			const next = newCipher();
+			const rewrapped = newCipher().rewrap("plain", next, location);
+			expect(next.decrypt(rewrapped, location)).toBe("plain");
+		});
+	});
+});
+
+describe("parseMasterKey", () => {
+	it("accepts hex and base64", () => {
+		const hex = "ab".repeat(32);
+		expect(parseMasterKey(hex)).toEqual(Buffer.from(hex, "hex"));
+		const base64 = Buffer.alloc(32, 7).toString("base64");
+		expect(parseMasterKey(`${base64}\n`)).toEqual(Buffer.alloc(32, 7));
+	});
+
+	it("rejects keys of the wrong length", () => {
+		expect(() => parseMasterKey("too-short")).toThrow(EncryptionError);
+	});
+});
+
+describe("encryptCredential / decryptCredential", () => {
+	it("passes values through when no key is configured", () => {
+		expect(encryptCredential(null, "token", location)).toBe("token");
+		expect(decryptCredential(null, "token", location)).toBe("token");
+	});
+
+	it("keeps null and empty values", () => {
+		const cipher = newCipher();
+		expect(encryptCredential(cipher, null, location)).toBeNull();
+		expect(encryptCredential(cipher, "", location)).toBe("");
+		expect(decryptCredential(cipher, null, location)).toBeNull();
+	});
+
+	it("does not encrypt twice", () => {
+		const cipher = newCipher();
+		const encrypted = cipher.encrypt("token", location);
+		expect(encryptCredential(cipher, encrypted, location)).toBe(encrypted);
+	});
+
+	it("requires a key to read encrypted values", () => {
+		const encrypted = newCipher().encrypt("token", location);
+		expect(() => decryptCredential(null, encrypted, location)).toThrow(
+			"no master key is configured",
+		);
+	});
+});
+
+describe("backup bundles", () => {
+	const payload = { accounts: [{ id: "a", refresh_token: "secret" }] };
+
+	it("round-trips a payload", () => {
+		const bundle = sealBundle(payload, "correct horse");
+		expect(bundle).not.toContain("secret");
+		expect(openBundle(bundle, "correct horse")).toEqual(payload);
+	});
+
+	it("rejects a wrong passphrase", () => {
+		const bundle = sealBundle(payload, "correct horse");
+		expect(() => openBundle(bundle, "battery staple")).toThrow(
+			"Failed to decrypt backup bundle. Check the passphrase",
+		);
+	});
+
+	it("rejects files that are not bundles", () => {
+		expect(() => openBundle("not json", "x")).toThrow(
+			"Backup bundle is not valid JSON",
+		);
+		expect(() => openBundle('{"format":"other"}', "x")).toThrow(
+			"Not a better-ccflare backup bundle",
+		);
+	});
+});
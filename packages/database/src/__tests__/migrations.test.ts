@@ -0,0 +1,102 @@
+import type { Database } from "bun:sqlite";
+import { EncryptionError } from "@better-ccflare/core";
+import {
+	CredentialCipher,
+	generateMasterKey,
+	isEncryptedCredential,
+	parseMasterKey,
+} from "../credential-cipher";
+import {
+	ensureSchema,
+	migrateCredentialEncryption,
+	runMigrations,
+} from "../migrations";
+
+type CredentialRow = {
+	api_key: string | null;
+	refresh_token: string | null;
+	access_token: string | null;
+};
+
+function newCipher() {
+	return new CredentialCipher(parseMasterKey(generateMasterKey()));
+}
+
+// Migrations run against bun:sqlite
+describe.skipIf(!("Bun" in globalThis))("migrateCredentialEncryption", () => {
+	let db: Database;
+
+	const credentials = (id: string) =>
+		db
+			.query<CredentialRow, [string]>(
+				"SELECT api_key, refresh_token, access_token FROM accounts WHERE id = ?",
+			)
+			.get(id) as CredentialRow;
+
+	beforeEach(async () => {
+		const { Database } = await import("bun:sqlite");
+		db = new Database(":memory:");
+		ensureSchema(db);
+		runMigrations(db);
+		db.run(
+			`INSERT INTO accounts (id, name, provider, api_key, refresh_token, access_token, created_at)
+			 VALUES ('oauth', 'oauth', 'anthropic', NULL, 'refresh', 'access', 0),
+			        ('key', 'key', 'anthropic', 'sk-ant-key', '', NULL, 0)`,
+		);
+	});
+
+	afterEach(() => db.close());
+
+	it("leaves plaintext alone without a master key", () => {
+		migrateCredentialEncryption(db, null);
+		expect(credentials("oauth")).toEqual({
+			api_key: null,
+			refresh_token: "refresh",
+			access_token: "access",
+		});
+	});
+
+	it("encrypts plaintext credentials", () => {
+		const cipher = newCipher();
+		migrateCredentialEncryption(db, cipher);
+
+		const oauth = credentials("oauth");
+		expect(isEncryptedCredential(oauth.refresh_token)).toBe(true);
+		expect(isEncryptedCredential(oauth.access_token)).toBe(true);
+		expect(oauth.api_key).toBeNull();
+		expect(
+			cipher.decrypt(oauth.refresh_token as string, {
+				accountId: "oauth",
+				column: "refresh_token",
+			}),
+		).toBe("refresh");
+
+		const key = credentials("key");
+		expect(
+			cipher.decrypt(key.api_key as string, {
+				accountId: "key",
+				column: "api_key",
+			}),
+		).toBe("sk-ant-key");
+		expect(key.refresh_token).toBe("");
+	});
+
+	it("is idempotent", () => {
+		const cipher = newCipher();
+		migrateCredentialEncryption(db, cipher);
+		const first = credentials("oauth");
+		migrateCredentialEncryption(db, cipher);
+		expect(credentials("oauth")).toEqual(first);
+	});
+
+	it("refuses to start without the key that encrypted the data", () => {
+		migrateCredentialEncryption(db, newCipher());
+
+		expect(() => migrateCredentialEncryption(db, null)).toThrow(
+			EncryptionError,
+		);
+		expect(() => migrateCredentialEncryption(db, newCipher())).toThrow(
+			/were encrypted with master key/,
+		);
+	});
+});
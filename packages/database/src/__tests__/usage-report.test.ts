@@ -0,0 +1,247 @@
+import { TIME_CONSTANTS } from "@better-ccflare/core";
+import {
+	REPORT_DIRECT_ACCOUNT,
+	REPORT_UNKNOWN,
+	type ReportLogEntryRow,
+	type ReportRequestRow,
+	type UsageReportOptions,
+} from "@better-ccflare/types";
+import type { ReportRepository } from "../repositories/report.repository";
+import { buildUsageReport, REPORT_MATCH_WINDOW_MS } from "../usage-report";
+
+const { MINUTE, HOUR, DAY } = TIME_CONSTANTS;
+const DAY_START = Date.UTC(2025, 5, 1);
+const MODEL = "claude-sonnet-4-20250514";
+
+function requestRow(
+	overrides: Partial<ReportRequestRow> & { timestamp: number },
+): ReportRequestRow {
+	return {
+		id: crypto.randomUUID(),
+		response_time_ms: 1000,
+		model: MODEL,
+		account_used: "acc-1",
+		account_name: "primary",
+		agent_used: null,
+		session_id: null,
+		input_tokens: 10,
+		output_tokens: 20,
+		cache_read_input_tokens: 0,
+		cache_creation_input_tokens: 0,
+		cost_usd: 0.01,
+		...overrides,
+	};
+}
+
+function logEntry(
+	overrides: Partial<ReportLogEntryRow> & {
+		timestamp: number;
+		project_path: string;
+	},
+): ReportLogEntryRow {
+	return {
+		uuid: crypto.randomUUID(),
+		session_id: "session-a",
+		model: MODEL,
+		input_tokens: 10,
+		output_tokens: 20,
+		cache_read_input_tokens: 0,
+		cache_creation_input_tokens: 0,
+		cost_usd: 0.02,
+		...overrides,
+	};
+}
+
+// Serves rows by timestamp the way the SQL queries do
+function fakeRepository(
+	requests: ReportRequestRow[],
+	entries: ReportLogEntryRow[],
+	sessionProjects: Record<string, string> = {},
+): ReportRepository {
+	const inRange = (timestamp: number, start: number, end: number) =>
+		timestamp >= start && timestamp < end;
+	return {
+		getRequests: (start: number, end: number) =>
+			requests.filter((r) => inRange(r.timestamp, start, end)),
+		getAssistantEntries: (start: number, end: number) =>
+			entries
+				.filter((e) => inRange(e.timestamp, start, end))
+				.sort((a, b) => a.timestamp - b.timestamp),
+		getSessionProjects: () => new Map(Object.entries(sessionProjects)),
+	} as unknown as ReportRepository;
+}
+
+function report(
+	repository: ReportRepository,
+	overrides: Partial<UsageReportOptions> = {},
+) {
+	return buildUsageReport(repository, {
+		from: "2025-06-01",
+		to: "2025-06-01",
+		groupBy: ["project"],
+		...overrides,
+	});
+}
+
+describe("buildUsageReport correlation", () => {
+	it("matches within the request's own session", () => {
+		const at = DAY_START + HOUR;
+		const result = report(
+			fakeRepository(
+				[requestRow({ timestamp: at, session_id: "session-a" })],
+				[
+					// Closer in time, but another session
+					logEntry({
+						timestamp: at + 500,
+						session_id: "session-b",
+						project_path: "/other",
+					}),
+					logEntry({ timestamp: at + 5000, project_path: "/app" }),
+				],
+			),
+		);
+
+		expect(result.correlation).toMatchObject({
+			matchedBySession: 1,
+			matchedByTimestamp: 0,
+		});
+		expect(result.rows).toEqual([
+			expect.objectContaining({ project: "/app", requests: 1 }),
+		]);
+	});
+
+	it("matches by timestamp when no session was sent", () => {
+		const at = DAY_START + HOUR;
+		const result = report(
+			fakeRepository(
+				[requestRow({ timestamp: at, response_time_ms: 2000 })],
+				[
+					logEntry({
+						timestamp: at - MINUTE / 2,
+						input_tokens: 99,
+						project_path: "/before",
+					}),
+					// Logged as the response finished
+					logEntry({ timestamp: at + 2000, project_path: "/app" }),
+				],
+			),
+		);
+
+		expect(result.correlation.matchedByTimestamp).toBe(1);
+		expect(result.rows[0]).toMatchObject({ project: "/app" });
+	});
+
+	it("matches a long-running request to the response logged when it finished", () => {
+		const duration = 10 * MINUTE;
+		const at = DAY_START + HOUR;
+		const result = report(
+			fakeRepository(
+				[requestRow({ timestamp: at, response_time_ms: duration })],
+				[logEntry({ timestamp: at + duration + 200, project_path: "/app" })],
+			),
+		);
+
+		expect(result.correlation.matchedByTimestamp).toBe(1);
+		expect(result.rows[0]).toMatchObject({ project: "/app" });
+	});
+
+	it("reads logs past the range for requests still running at its end", () => {
+		const duration = 10 * MINUTE;
+		const at = DAY_START + DAY - MINUTE;
+		const result = report(
+			fakeRepository(
+				[requestRow({ timestamp: at, response_time_ms: duration })],
+				[logEntry({ timestamp: at + duration, project_path: "/app" })],
+			),
+		);
+
+		expect(result.correlation.matchedByTimestamp).toBe(1);
+	});
+
+	it("does not match responses outside the window", () => {
+		const at = DAY_START + HOUR;
+		const result = report(
+			fakeRepository(
+				[requestRow({ timestamp: at, response_time_ms: 1000 })],
+				[
+					logEntry({
+						timestamp: at - REPORT_MATCH_WINDOW_MS - 1,
+						project_path: "/early",
+					}),
+					logEntry({
+						timestamp: at + 1000 + REPORT_MATCH_WINDOW_MS + 1,
+						project_path: "/late",
+					}),
+					logEntry({
+						timestamp: at + 500,
+						model: "claude-opus-4-20250514",
+						project_path: "/other-model",
+					}),
+				],
+			),
+		);
+
+		expect(result.correlation.unmatched).toBe(1);
+		expect(result.rows[0]).toMatchObject({ project: REPORT_UNKNOWN });
+	});
+
+	it("falls back to the session's project", () => {
+		const result = report(
+			fakeRepository(
+				[
+					requestRow({
+						timestamp: DAY_START + 1000,
+						session_id: "session-a",
+					}),
+				],
+				[],
+				{ "session-a": "/app" },
+			),
+		);
+
+		expect(result.correlation.sessionOnly).toBe(1);
+		expect(result.rows[0]).toMatchObject({ project: "/app" });
+	});
+
+	it("adds unmatched log entries only when asked to", () => {
+		const at = DAY_START + HOUR;
+		const repository = fakeRepository(
+			[requestRow({ timestamp: at })],
+			[
+				logEntry({ timestamp: at + 1000, project_path: "/app" }),
+				// A second content block of the same response
+				logEntry({
+					timestamp: at + 1500,
+					output_tokens: 40,
+					project_path: "/app",
+				}),
+				logEntry({
+					timestamp: at + 2 * HOUR,
+					session_id: "session-direct",
+					project_path: "/direct",
+					cost_usd: 0.5,
+				}),
+			],
+		);
+
+		expect(report(repository).correlation.logOnly).toBe(0);
+
+		const result = report(repository, {
+			groupBy: ["project", "account"],
+			includeLogOnly: true,
+		});
+		expect(result.correlation).toMatchObject({
+			matchedByTimestamp: 1,
+			logOnly: 1,
+		});
+		expect(result.rows).toEqual([
+			expect.objectContaining({ project: "/app", account: "primary" }),
+			expect.objectContaining({
+				project: "/direct",
+				account: REPORT_DIRECT_ACCOUNT,
+				costUsd: 0.5,
+			}),
+		]);
+		expect(result.totals.requests).toBe(2);
+	});
+});
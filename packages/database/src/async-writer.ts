@@ -35,6 +35,13 @@ export class AsyncDbWriter implements Disposable {
 		void this.processQueue();
 	}
 
+	/**
+	 * Jobs waiting to be written and jobs dropped because the queue was full
+	 */
+	getStats(): { queueDepth: number; droppedJobs: number } {
+		return { queueDepth: this.queue.length, droppedJobs: this.droppedJobs };
+	}
+
 	private async processQueue(): Promise<void> {
 		if (this.running || this.queue.length === 0) {
 			return;
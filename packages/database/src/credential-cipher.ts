@@ -0,0 +1,370 @@
+import {
+	createCipheriv,
+	createDecipheriv,
+	createHash,
+	randomBytes,
+	scryptSync,
+} from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import { EncryptionError } from "@better-ccflare/core";
+
+export const MASTER_KEY_ENV = "BETTER_CCFLARE_MASTER_KEY";
+export const MASTER_KEY_FILE_ENV = "BETTER_CCFLARE_MASTER_KEY_FILE";
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// enc:v1:<master key id>:<wrapped data key>:<iv>:<ciphertext + tag>
+const ENCRYPTED_PREFIX = "enc:v1:";
+
+/** Columns holding secrets, encrypted at rest when a master key is set */
+export const CREDENTIAL_COLUMNS = [
+	"api_key",
+	"refresh_token",
+	"access_token",
+] as const;
+
+export type CredentialColumn = (typeof CREDENTIAL_COLUMNS)[number];
+
+/**
+ * The account row and column a credential is stored in. It is authenticated
+ * along with the ciphertext, so a value copied to another account or column
+ * fails to decrypt.
+ */
+export interface CredentialLocation {
+	accountId: string;
+	column: CredentialColumn;
+}
+
+// scrypt parameters for passphrase protected backup bundles
+const BUNDLE_FORMAT = "better-ccflare-bundle";
+const SCRYPT_N = 2 ** 15;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+interface EncryptedParts {
+	keyId: string;
+	wrappedKey: Buffer;
+	iv: Buffer;
+	ciphertext: Buffer;
+}
+
+function additionalData(location: CredentialLocation): Buffer {
+	return Buffer.from(`${location.column}:${location.accountId}`, "utf8");
+}
+
+function seal(key: Buffer, plaintext: Buffer, aad?: Buffer) {
+	const iv = randomBytes(IV_BYTES);
+	const cipher = createCipheriv(ALGORITHM, key, iv);
+	if (aad) cipher.setAAD(aad);
+	const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+	return { iv, ciphertext: Buffer.concat([encrypted, cipher.getAuthTag()]) };
+}
+
+function open(
+	key: Buffer,
+	iv: Buffer,
+	ciphertext: Buffer,
+	aad?: Buffer,
+): Buffer {
+	const decipher = createDecipheriv(ALGORITHM, key, iv);
+	if (aad) decipher.setAAD(aad);
+	decipher.setAuthTag(ciphertext.subarray(ciphertext.length - TAG_BYTES));
+	return Buffer.concat([
+		decipher.update(ciphertext.subarray(0, ciphertext.length - TAG_BYTES)),
+		decipher.final(),
+	]);
+}
+
+function parseEncrypted(value: string): EncryptedParts {
+	const parts = value.slice(ENCRYPTED_PREFIX.length).split(":");
+	if (parts.length !== 4) {
+		throw new EncryptionError("Malformed encrypted credential");
+	}
+	const [keyId, wrappedKey, iv, ciphertext] = parts;
+	return {
+		keyId,
+		wrappedKey: Buffer.from(wrappedKey, "base64"),
+		iv: Buffer.from(iv, "base64"),
+		ciphertext: Buffer.from(ciphertext, "base64"),
+	};
+}
+
+/**
+ * Whether a stored credential value was written by a CredentialCipher
+ */
+export function isEncryptedCredential(value: string | null | undefined) {
+	return typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Id of the master key an encrypted credential was wrapped with
+ */
+export function getCredentialKeyId(value: string): string | null {
+	return isEncryptedCredential(value) ? parseEncrypted(value).keyId : null;
+}
+
+/**
+ * Parse a master key given as 64 hex characters or base64 of 32 bytes
+ */
+export function parseMasterKey(raw: string): Buffer {
+	const trimmed = raw.trim();
+	const key = /^[0-9a-fA-F]{64}$/.test(trimmed)
+		? Buffer.from(trimmed, "hex")
+		: Buffer.from(trimmed, "base64");
+	if (key.length !== KEY_BYTES) {
+		throw new EncryptionError(
+			"Master key must be 32 bytes encoded as 64 hex characters or base64 (e.g. `openssl rand -base64 32`)",
+		);
+	}
+	return key;
+}
+
+/**
+ * Generate a new random master key, base64 encoded
+ */
+export function generateMasterKey(): string {
+	return randomBytes(KEY_BYTES).toString("base64");
+}
+
+/**
+ * Envelope encryption for account credentials. Every value gets its own
+ * random data key which is stored alongside the ciphertext, wrapped by the
+ * master key. Rotating the master key only re-wraps the data keys. The
+ * ciphertext is bound to the account and column it is stored in.
+ */
+export class CredentialCipher {
+	readonly keyId: string;
+	private masterKey: Buffer;
+
+	constructor(masterKey: Buffer) {
+		if (masterKey.length !== KEY_BYTES) {
+			throw new EncryptionError(`Master key must be ${KEY_BYTES} bytes`);
+		}
+		this.masterKey = masterKey;
+		this.keyId = createHash("sha256")
+			.update(masterKey)
+			.digest("hex")
+			.slice(0, 16);
+	}
+
+	encrypt(value: string, location: CredentialLocation): string {
+		const dataKey = randomBytes(KEY_BYTES);
+		const wrapped = seal(this.masterKey, dataKey);
+		const sealed = seal(
+			dataKey,
+			Buffer.from(value, "utf8"),
+			additionalData(location),
+		);
+		return this.format({
+			keyId: this.keyId,
+			wrappedKey: Buffer.concat([wrapped.iv, wrapped.ciphertext]),
+			iv: sealed.iv,
+			ciphertext: sealed.ciphertext,
+		});
+	}
+
+	/**
+	 * Decrypt a value stored at the given location. Plaintext values from
+	 * before encryption was enabled are returned unchanged.
+	 */
+	decrypt(value: string, location: CredentialLocation): string {
+		if (!isEncryptedCredential(value)) return value;
+		const parts = parseEncrypted(value);
+		const dataKey = this.unwrap(parts);
+		try {
+			return open(
+				dataKey,
+				parts.iv,
+				parts.ciphertext,
+				additionalData(location),
+			).toString("utf8");
+		} catch {
+			throw new EncryptionError("Encrypted credential failed to decrypt", {
+				keyId: parts.keyId,
+			});
+		}
+	}
+
+	/**
+	 * Re-wrap the data key of an encrypted value under another master key,
+	 * leaving the ciphertext itself untouched. Plaintext values are encrypted.
+	 */
+	rewrap(
+		value: string,
+		target: CredentialCipher,
+		location: CredentialLocation,
+	): string {
+		if (!isEncryptedCredential(value)) return target.encrypt(value, location);
+		const parts = parseEncrypted(value);
+		const wrapped = seal(target.masterKey, this.unwrap(parts));
+		return target.format({
+			...parts,
+			keyId: target.keyId,
+			wrappedKey: Buffer.concat([wrapped.iv, wrapped.ciphertext]),
+		});
+	}
+
+	private unwrap(parts: EncryptedParts): Buffer {
+		if (parts.keyId !== this.keyId) {
+			throw new EncryptionError(
+				`Credential was encrypted with master key ${parts.keyId}, but the configured key is ${this.keyId}`,
+				{ keyId: parts.keyId },
+			);
+		}
+		try {
+			return open(
+				this.masterKey,
+				parts.wrappedKey.subarray(0, IV_BYTES),
+				parts.wrappedKey.subarray(IV_BYTES),
+			);
+		} catch {
+			throw new EncryptionError("Failed to unwrap credential data key", {
+				keyId: parts.keyId,
+			});
+		}
+	}
+
+	private format(parts: EncryptedParts): string {
+		return `${ENCRYPTED_PREFIX}${[
+			parts.keyId,
+			parts.wrappedKey.toString("base64"),
+			parts.iv.toString("base64"),
+			parts.ciphertext.toString("base64"),
+		].join(":")}`;
+	}
+}
+
+/**
+ * Load the master key from BETTER_CCFLARE_MASTER_KEY, or from the file named
+ * by BETTER_CCFLARE_MASTER_KEY_FILE. Returns null when neither is set, in
+ * which case credentials are stored in plaintext.
+ */
+export function loadCredentialCipher(): CredentialCipher | null {
+	const envKey = process.env[MASTER_KEY_ENV];
+	if (envKey) {
+		return new CredentialCipher(parseMasterKey(envKey));
+	}
+
+	const keyFile = process.env[MASTER_KEY_FILE_ENV];
+	if (keyFile) {
+		if (!existsSync(keyFile)) {
+			throw new EncryptionError(
+				`Master key file ${keyFile} (from ${MASTER_KEY_FILE_ENV}) does not exist`,
+			);
+		}
+		return new CredentialCipher(parseMasterKey(readFileSync(keyFile, "utf8")));
+	}
+
+	return null;
+}
+
+/**
+ * Encrypt a credential column value if a cipher is configured. Null and
+ * empty values are stored as-is so presence checks keep working.
+ */
+export function encryptCredential<T extends string | null | undefined>(
+	cipher: CredentialCipher | null,
+	value: T,
+	location: CredentialLocation,
+): T | string {
+	if (!cipher || !value || isEncryptedCredential(value)) return value;
+	return cipher.encrypt(value, location);
+}
+
+/**
+ * Decrypt a credential column value read from the database
+ */
+export function decryptCredential<T extends string | null | undefined>(
+	cipher: CredentialCipher | null,
+	value: T,
+	location: CredentialLocation,
+): T | string {
+	if (!value || !isEncryptedCredential(value)) return value;
+	if (!cipher) {
+		throw new EncryptionError(
+			`Stored credentials are encrypted but no master key is configured. Set ${MASTER_KEY_ENV} or ${MASTER_KEY_FILE_ENV}`,
+		);
+	}
+	return cipher.decrypt(value, location);
+}
+
+interface SealedBundle {
+	format: typeof BUNDLE_FORMAT;
+	version: 1;
+	kdf: { name: "scrypt"; salt: string; N: number; r: number; p: number };
+	iv: string;
+	data: string;
+}
+
+function deriveBundleKey(
+	passphrase: string,
+	salt: Buffer,
+	params: { N: number; r: number; p: number },
+) {
+	return scryptSync(passphrase, salt, KEY_BYTES, {
+		...params,
+		maxmem: SCRYPT_MAXMEM,
+	});
+}
+
+/**
+ * Encrypt a backup payload with a passphrase. The bundle does not depend on
+ * the master key, so it can be imported on a machine with a different one.
+ */
+export function sealBundle(payload: unknown, passphrase: string): string {
+	const salt = randomBytes(16);
+	const params = { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P };
+	const key = deriveBundleKey(passphrase, salt, params);
+	const { iv, ciphertext } = seal(
+		key,
+		Buffer.from(JSON.stringify(payload), "utf8"),
+	);
+	const bundle: SealedBundle = {
+		format: BUNDLE_FORMAT,
+		version: 1,
+		kdf: { name: "scrypt", salt: salt.toString("base64"), ...params },
+		iv: iv.toString("base64"),
+		data: ciphertext.toString("base64"),
+	};
+	return JSON.stringify(bundle, null, 2);
+}
+
+/**
+ * Decrypt a bundle created by sealBundle
+ * @throws {EncryptionError} If the file is not a bundle or the passphrase is wrong
+ */
+export function openBundle<T>(contents: string, passphrase: string): T {
+	let bundle: SealedBundle;
+	try {
+		bundle = JSON.parse(contents) as SealedBundle;
+	} catch {
+		throw new EncryptionError("Backup bundle is not valid JSON");
+	}
+	if (bundle?.format !== BUNDLE_FORMAT || bundle.version !== 1) {
+		throw new EncryptionError("Not a better-ccflare backup bundle");
+	}
+
+	const { salt, N, r, p } = bundle.kdf;
+	const key = deriveBundleKey(passphrase, Buffer.from(salt, "base64"), {
+		N,
+		r,
+		p,
+	});
+	let plaintext: Buffer;
+	try {
+		plaintext = open(
+			key,
+			Buffer.from(bundle.iv, "base64"),
+			Buffer.from(bundle.data, "base64"),
+		);
+	} catch {
+		throw new EncryptionError(
+			"Failed to decrypt backup bundle. Check the passphrase",
+		);
+	}
+	return JSON.parse(plaintext.toString("utf8")) as T;
+}
@@ -3,13 +3,44 @@ import { mkdirSync } from "node:fs";
 import { dirname } from "node:path";
 import type { RuntimeConfig } from "@better-ccflare/config";
 import type { Disposable } from "@better-ccflare/core";
-import type { Account, StrategyStore } from "@better-ccflare/types";
-import { ensureSchema, runMigrations } from "./migrations";
+import type {
+	Account,
+	ApiFormat,
+	Budget,
+	ClientKey,
+	ClientKeyUsage,
+	Request,
+	StrategyStore,
+	UsageReport,
+	UsageReportOptions,
+} from "@better-ccflare/types";
+import {
+	type CredentialCipher,
+	type CredentialColumn,
+	encryptCredential,
+	loadCredentialCipher,
+} from "./credential-cipher";
+import {
+	ensureSchema,
+	migrateCredentialEncryption,
+	runMigrations,
+} from "./migrations";
 import { resolveDbPath } from "./paths";
 import { AccountRepository } from "./repositories/account.repository";
 import { AgentPreferenceRepository } from "./repositories/agent-preference.repository";
+import {
+	BudgetRepository,
+	type BudgetState,
+	type CreateBudgetData,
+	type UpdateBudgetData,
+} from "./repositories/budget.repository";
 import { ClaudeLogsRepository } from "./repositories/claude-logs.repository";
+import {
+	ClientKeyRepository,
+	type CreateClientKeyData,
+} from "./repositories/client-key.repository";
 import { OAuthRepository } from "./repositories/oauth.repository";
+import { ReportRepository } from "./repositories/report.repository";
 import {
 	type RequestData,
 	RequestRepository,
@@ -17,6 +48,7 @@ import {
 import { StatsRepository } from "./repositories/stats.repository";
 import { StrategyRepository } from "./repositories/strategy.repository";
 import { withDatabaseRetrySync } from "./retry";
+import { buildUsageReport } from "./usage-report";
 
 export interface DatabaseConfig {
 	/** Enable WAL (Write-Ahead Logging) mode for better concurrency */
@@ -123,6 +155,7 @@ export class DatabaseOperations implements StrategyStore, Disposable {
 	private runtime?: RuntimeConfig;
 	private dbConfig: DatabaseConfig;
 	private retryConfig: DatabaseRetryConfig;
+	private cipher: CredentialCipher | null;
 
 	// Repositories
 	private accounts: AccountRepository;
@@ -132,6 +165,9 @@ export class DatabaseOperations implements StrategyStore, Disposable {
 	private stats: StatsRepository;
 	private agentPreferences: AgentPreferenceRepository;
 	private claudeLogs: ClaudeLogsRepository;
+	private clientKeys: ClientKeyRepository;
+	private budgets: BudgetRepository;
+	private reports: ReportRepository;
 
 	constructor(
 		dbPath?: string,
@@ -172,14 +208,21 @@ export class DatabaseOperations implements StrategyStore, Disposable {
 		ensureSchema(this.db);
 		runMigrations(this.db);
 
+		// Encrypt any plaintext credentials if a master key is configured
+		this.cipher = loadCredentialCipher();
+		migrateCredentialEncryption(this.db, this.cipher);
+
 		// Initialize repositories
-		this.accounts = new AccountRepository(this.db);
+		this.accounts = new AccountRepository(this.db, this.cipher);
 		this.requests = new RequestRepository(this.db);
 		this.oauth = new OAuthRepository(this.db);
 		this.strategy = new StrategyRepository(this.db);
 		this.stats = new StatsRepository(this.db);
 		this.agentPreferences = new AgentPreferenceRepository(this.db);
 		this.claudeLogs = new ClaudeLogsRepository(this.db);
+		this.clientKeys = new ClientKeyRepository(this.db);
+		this.budgets = new BudgetRepository(this.db);
+		this.reports = new ReportRepository(this.db);
 	}
 
 	setRuntimeConfig(runtime: RuntimeConfig): void {
@@ -226,6 +269,55 @@ export class DatabaseOperations implements StrategyStore, Disposable {
 		);
 	}
 
+	/**
+	 * Encrypt a credential for the accounts table when a master key is
+	 * configured. Code that inserts accounts with raw SQL must pass api_key,
+	 * refresh_token and access_token through this, with the id of the row and
+	 * the column the value is written to.
+	 */
+	encryptCredential<T extends string | null | undefined>(
+		value: T,
+		accountId: string,
+		column: CredentialColumn,
+	): T | string {
+		return encryptCredential(this.cipher, value, { accountId, column });
+	}
+
+	/**
+	 * Id of the configured master key, or null when credentials are stored
+	 * in plaintext
+	 */
+	getMasterKeyId(): string | null {
+		return this.cipher?.keyId ?? null;
+	}
+
+	/**
+	 * Re-wrap all stored credentials under a new master key. The caller is
+	 * responsible for making the new key available to future processes.
+	 * @returns Number of accounts updated
+	 */
+	rotateMasterKey(next: CredentialCipher): number {
+		const updated = this.accounts.rotateCredentials(this.cipher, next);
+		this.cipher = next;
+		this.accounts.setCipher(next);
+		return updated;
+	}
+
+	/**
+	 * All accounts with decrypted credentials, for backup bundles
+	 */
+	exportAccounts(): Array<Record<string, unknown>> {
+		return this.accounts.exportRows();
+	}
+
+	/**
+	 * Restore an account from a backup bundle
+	 * @returns false if an account with the same id or name already exists
+	 */
+	importAccount(row: Record<string, unknown>): boolean {
+		return this.accounts.importRow(row);
+	}
+
 	updateAccountTokens(
 		accountId: string,
 		accessToken: string,
@@ -332,6 +424,10 @@ export class DatabaseOperations implements StrategyStore, Disposable {
 		accountUsed: string | null,
 		statusCode: number | null,
 		timestamp?: number,
+		apiFormat?: ApiFormat,
+		clientKeyId?: string | null,
+		replayOf?: string | null,
+		sessionId?: string | null,
 	): void {
 		withDatabaseRetrySync(
 			() =>
@@ -342,6 +438,10 @@ export class DatabaseOperations implements StrategyStore, Disposable {
 					accountUsed,
 					statusCode,
 					timestamp,
+					apiFormat,
+					clientKeyId,
+					replayOf,
+					sessionId,
 				),
 			this.retryConfig,
 			"saveRequestMeta",
@@ -360,6 +460,10 @@ export class DatabaseOperations implements StrategyStore, Disposable {
 		failoverAttempts: number,
 		usage?: RequestData["usage"],
 		agentUsed?: string,
+		apiFormat?: ApiFormat,
+		clientKeyId?: string | null,
+		replayOf?: string | null,
+		sessionId?: string | null,
 	): void {
 		withDatabaseRetrySync(
 			() =>
@@ -375,6 +479,10 @@ export class DatabaseOperations implements StrategyStore, Disposable {
 					failoverAttempts,
 					usage,
 					agentUsed,
+					apiFormat,
+					clientKeyId,
+					replayOf,
+					sessionId,
 				}),
 			this.retryConfig,
 			"saveRequest",
@@ -397,6 +505,10 @@ export class DatabaseOperations implements StrategyStore, Disposable {
 		);
 	}
 
+	getRequest(id: string): Request | null {
+		return this.requests.findById(id);
+	}
+
 	getRequestPayload(id: string): unknown | null {
 		return this.requests.getPayload(id);
 	}
@@ -565,6 +677,136 @@ export class DatabaseOperations implements StrategyStore, Disposable {
 		this.agentPreferences.setBulkPreferences(agentIds, model);
 	}
 
+	// Client key operations delegated to repository
+	createClientKey(data: CreateClientKeyData): ClientKey {
+		return this.clientKeys.create(data);
+	}
+
+	getClientKeys(): ClientKey[] {
+		return this.clientKeys.findAll();
+	}
+
+	getClientKey(id: string): ClientKey | null {
+		return this.clientKeys.findById(id);
+	}
+
+	getClientKeyByName(name: string): ClientKey | null {
+		return this.clientKeys.findByName(name);
+	}
+
+	getClientKeyByHash(keyHash: string): ClientKey | null {
+		return withDatabaseRetrySync(
+			() => this.clientKeys.findByHash(keyHash),
+			this.retryConfig,
+			"getClientKeyByHash",
+		);
+	}
+
+	hasClientKeys(): boolean {
+		return withDatabaseRetrySync(
+			() => this.clientKeys.hasAny(),
+			this.retryConfig,
+			"hasClientKeys",
+		);
+	}
+
+	revokeClientKey(id: string): boolean {
+		return this.clientKeys.revoke(id);
+	}
+
+	deleteClientKey(id: string): boolean {
+		return this.clientKeys.delete(id);
+	}
+
+	updateClientKeyLastUsed(id: string): void {
+		withDatabaseRetrySync(
+			() => this.clientKeys.updateLastUsed(id),
+			this.retryConfig,
+			"updateClientKeyLastUsed",
+		);
+	}
+
+	getClientKeyUsageSince(
+		id: string,
+		since: number,
+		excludeIds: string[] = [],
+	): ClientKeyUsage {
+		return this.clientKeys.getUsageSince(id, since, excludeIds);
+	}
+
+	// Budget operations delegated to repository
+	createBudget(data: CreateBudgetData): Budget {
+		return this.budgets.create(data);
+	}
+
+	getBudgets(): Budget[] {
+		return withDatabaseRetrySync(
+			() => this.budgets.findAll(),
+			this.retryConfig,
+			"getBudgets",
+		);
+	}
+
+	getBudget(id: string): Budget | null {
+		return this.budgets.findById(id);
+	}
+
+	getBudgetByName(name: string): Budget | null {
+		return this.budgets.findByName(name);
+	}
+
+	updateBudget(id: string, data: UpdateBudgetData): boolean {
+		return this.budgets.update(id, data);
+	}
+
+	deleteBudget(id: string): boolean {
+		return this.budgets.delete(id);
+	}
+
+	/**
+	 * Resume the accounts a budget paused, leaving alone any that have since
+	 * been resumed or removed
+	 * @returns The ids of the accounts resumed
+	 */
+	releaseBudgetPauses(budget: Budget): string[] {
+		const resumed: string[] = [];
+		for (const accountId of budget.pausedAccountIds) {
+			if (this.accounts.findById(accountId)?.paused) {
+				this.accounts.resume(accountId);
+				resumed.push(accountId);
+			}
+		}
+		return resumed;
+	}
+
+	saveBudgetState(id: string, state: BudgetState): void {
+		withDatabaseRetrySync(
+			() => this.budgets.saveState(id, state),
+			this.retryConfig,
+			"saveBudgetState",
+		);
+	}
+
+	getBudgetSpendSince(budget: Budget, since: number): number {
+		return withDatabaseRetrySync(
+			() => this.budgets.getSpendSince(budget, since),
+			this.retryConfig,
+			"getBudgetSpendSince",
+		);
+	}
+
+	/**
+	 * Build a usage report correlating proxied requests with the imported
+	 * Claude Code session logs
+	 */
+	getUsageReport(options: UsageReportOptions): UsageReport {
+		return withDatabaseRetrySync(
+			() => buildUsageReport(this.reports, options),
+			this.retryConfig,
+			"getUsageReport",
+		);
+	}
+
 	close(): void {
 		// Ensure all write operations are flushed before closing
 		this.db.exec("PRAGMA wal_checkpoint(TRUNCATE)");
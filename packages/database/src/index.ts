@@ -5,19 +5,43 @@ export { DatabaseOperations };
 export type { RuntimeConfig } from "@better-ccflare/config";
 // Re-export other utilities
 export { AsyncDbWriter } from "./async-writer";
+export {
+	CREDENTIAL_COLUMNS,
+	CredentialCipher,
+	type CredentialColumn,
+	type CredentialLocation,
+	generateMasterKey,
+	isEncryptedCredential,
+	loadCredentialCipher,
+	MASTER_KEY_ENV,
+	MASTER_KEY_FILE_ENV,
+	openBundle,
+	parseMasterKey,
+	sealBundle,
+} from "./credential-cipher";
 export type {
 	DatabaseConfig,
 	DatabaseRetryConfig,
 } from "./database-operations";
 export { DatabaseFactory } from "./factory";
 export { migrateFromCcflare } from "./migrate-from-ccflare";
-export { ensureSchema, runMigrations } from "./migrations";
+export {
+	ensureSchema,
+	migrateCredentialEncryption,
+	runMigrations,
+} from "./migrations";
 export { getLegacyDbPath, resolveDbPath } from "./paths";
 export { analyzeIndexUsage } from "./performance-indexes";
-
+export type {
+	BudgetState,
+	CreateBudgetData,
+	UpdateBudgetData,
+} from "./repositories/budget.repository";
+export { ClaudeLogsRepository } from "./repositories/claude-logs.repository";
+export type { CreateClientKeyData } from "./repositories/client-key.repository";
 // Re-export repository types
 export type { StatsRepository } from "./repositories/stats.repository";
-export { ClaudeLogsRepository } from "./repositories/claude-logs.repository";
 
 // Re-export retry utilities for external use (from your improvements)
 export { withDatabaseRetry, withDatabaseRetrySync } from "./retry";
+export { getReportRange, REPORT_MATCH_WINDOW_MS } from "./usage-report";
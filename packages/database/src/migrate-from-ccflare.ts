@@ -9,6 +9,9 @@ import { getLegacyDbPath, resolveDbPath } from "./paths";
  * 2. Checks if legacy ccflare.db exists
  * 3. Copies ccflare.db and related files to better-ccflare.db location
  *
+ * The legacy database stores credentials in plaintext. If a master key is
+ * configured they are encrypted when DatabaseOperations first opens the copy.
+ *
  * @returns true if migration was performed, false otherwise
  */
 export function migrateFromCcflare(): boolean {
@@ -1,5 +1,14 @@
 import type { Database } from "bun:sqlite";
+import { EncryptionError } from "@better-ccflare/core";
 import { Logger } from "@better-ccflare/logger";
+import {
+	CREDENTIAL_COLUMNS,
+	type CredentialCipher,
+	type CredentialColumn,
+	getCredentialKeyId,
+	MASTER_KEY_ENV,
+	MASTER_KEY_FILE_ENV,
+} from "./credential-cipher";
 import { addPerformanceIndexes } from "./performance-indexes";
 
 const log = new Logger("DatabaseMigrations");
@@ -47,7 +56,11 @@ export function ensureSchema(db: Database): void {
 			cache_read_input_tokens INTEGER DEFAULT 0,
 			cache_creation_input_tokens INTEGER DEFAULT 0,
 			output_tokens INTEGER DEFAULT 0,
-			agent_used TEXT
+			agent_used TEXT,
+			api_format TEXT DEFAULT 'anthropic',
+			client_key_id TEXT,
+			replay_of TEXT,
+			session_id TEXT
 		)
 	`);
 
@@ -148,6 +161,46 @@ export function ensureSchema(db: Database): void {
 			processed_at INTEGER NOT NULL
 		)
 	`);
+
+	// Create client_keys table for API keys issued to proxy clients.
+	// Only a SHA-256 hash of each key is stored.
+	db.run(`
+		CREATE TABLE IF NOT EXISTS client_keys (
+			id TEXT PRIMARY KEY,
+			name TEXT NOT NULL UNIQUE,
+			key_hash TEXT NOT NULL UNIQUE,
+			key_prefix TEXT NOT NULL,
+			allowed_models TEXT,
+			daily_request_limit INTEGER,
+			daily_token_limit INTEGER,
+			daily_cost_limit REAL,
+			expires_at INTEGER,
+			created_at INTEGER NOT NULL,
+			last_used INTEGER,
+			revoked_at INTEGER
+		)
+	`);
+
+	// Create budgets table. The window_start, notified_threshold and
+	// paused_account_ids columns hold evaluation state across restarts.
+	db.run(`
+		CREATE TABLE IF NOT EXISTS budgets (
+			id TEXT PRIMARY KEY,
+			name TEXT NOT NULL UNIQUE,
+			scope TEXT NOT NULL,
+			target TEXT,
+			period TEXT NOT NULL,
+			limit_usd REAL NOT NULL,
+			thresholds TEXT NOT NULL,
+			webhook_urls TEXT,
+			auto_pause INTEGER NOT NULL DEFAULT 0,
+			enabled INTEGER NOT NULL DEFAULT 1,
+			created_at INTEGER NOT NULL,
+			window_start INTEGER,
+			notified_threshold REAL NOT NULL DEFAULT 0,
+			paused_account_ids TEXT
+		)
+	`);
 }
 
 export function runMigrations(db: Database): void {
@@ -384,6 +437,111 @@ export function runMigrations(db: Database): void {
 		log.info("Added output_tokens_per_second column to requests table");
 	}
 
+	// Add api_format column if it doesn't exist
+	if (!requestsColumnNames.includes("api_format")) {
+		db.prepare(
+			"ALTER TABLE requests ADD COLUMN api_format TEXT DEFAULT 'anthropic'",
+		).run();
+		log.info("Added api_format column to requests table");
+	}
+
+	// Add client_key_id column if it doesn't exist
+	if (!requestsColumnNames.includes("client_key_id")) {
+		db.prepare("ALTER TABLE requests ADD COLUMN client_key_id TEXT").run();
+		log.info("Added client_key_id column to requests table");
+	}
+
+	// Index for per-key quota lookups
+	db.run(
+		`CREATE INDEX IF NOT EXISTS idx_requests_client_key_timestamp ON requests(client_key_id, timestamp DESC)`,
+	);
+
+	// Add replay_of column if it doesn't exist; replays are excluded from stats
+	if (!requestsColumnNames.includes("replay_of")) {
+		db.prepare("ALTER TABLE requests ADD COLUMN replay_of TEXT").run();
+		log.info("Added replay_of column to requests table");
+	}
+
+	db.run(
+		`CREATE INDEX IF NOT EXISTS idx_requests_replay_of ON requests(replay_of)`,
+	);
+
+	// Add session_id column if it doesn't exist; correlates requests with
+	// imported Claude Code session logs
+	if (!requestsColumnNames.includes("session_id")) {
+		db.prepare("ALTER TABLE requests ADD COLUMN session_id TEXT").run();
+		log.info("Added session_id column to requests table");
+	}
+
+	db.run(
+		`CREATE INDEX IF NOT EXISTS idx_requests_session_id ON requests(session_id)`,
+	);
+
 	// Add performance indexes
 	addPerformanceIndexes(db);
 }
+
+/**
+ * Encrypt account credentials that are still stored in plaintext, e.g. after
+ * a master key is configured for the first time or a legacy ccflare database
+ * was copied over. Fails when stored credentials were encrypted with a key
+ * that is not configured, rather than serving requests with unusable tokens.
+ */
+export function migrateCredentialEncryption(
+	db: Database,
+	cipher: CredentialCipher | null,
+): void {
+	const rows = db
+		.query<Record<string, string | null>, []>(
+			`SELECT id, ${CREDENTIAL_COLUMNS.join(", ")} FROM accounts`,
+		)
+		.all();
+
+	const plaintextRows: typeof rows = [];
+	for (const row of rows) {
+		let hasPlaintext = false;
+		for (const column of CREDENTIAL_COLUMNS) {
+			const value = row[column];
+			if (!value) continue;
+			const keyId = getCredentialKeyId(value);
+			if (keyId === null) {
+				hasPlaintext = true;
+			} else if (!cipher) {
+				throw new EncryptionError(
+					`Account credentials are encrypted but no master key is configured. Set ${MASTER_KEY_ENV} or ${MASTER_KEY_FILE_ENV}`,
+				);
+			} else if (keyId !== cipher.keyId) {
+				throw new EncryptionError(
+					`Account credentials were encrypted with master key ${keyId}, but the configured key is ${cipher.keyId}`,
+					{ keyId },
+				);
+			}
+		}
+		if (hasPlaintext) plaintextRows.push(row);
+	}
+
+	if (!cipher || plaintextRows.length === 0) return;
+
+	const encrypt = (row: (typeof rows)[number], column: CredentialColumn) => {
+		const value = row[column];
+		return value && getCredentialKeyId(value) === null
+			? cipher.encrypt(value, { accountId: row.id as string, column })
+			: value;
+	};
+	db.transaction(() => {
+		for (const row of plaintextRows) {
+			db.run(
+				"UPDATE accounts SET api_key = ?, refresh_token = ?, access_token = ? WHERE id = ?",
+				[
+					encrypt(row, "api_key"),
+					encrypt(row, "refresh_token"),
+					encrypt(row, "access_token"),
+					row.id,
+				],
+			);
+		}
+	})();
+	log.info(
+		`Encrypted stored credentials for ${plaintextRows.length} account(s) with master key ${cipher.keyId}`,
+	);
+}
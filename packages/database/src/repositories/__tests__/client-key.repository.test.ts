@@ -0,0 +1,139 @@
+import type { Database } from "bun:sqlite";
+import { generateClientKey, hashClientKey } from "@better-ccflare/core";
+import { ensureSchema, runMigrations } from "../../migrations";
+import {
+	ClientKeyRepository,
+	type CreateClientKeyData,
+} from "../client-key.repository";
+
+// Repositories run against bun:sqlite
+describe.skipIf(!("Bun" in globalThis))("ClientKeyRepository", () => {
+	let db: Database;
+	let repo: ClientKeyRepository;
+
+	const create = (overrides: Partial<CreateClientKeyData> = {}) => {
+		const { key, hash, prefix } = generateClientKey();
+		const clientKey = repo.create({
+			id: crypto.randomUUID(),
+			name: "ci",
+			keyHash: hash,
+			keyPrefix: prefix,
+			allowedModels: null,
+			dailyRequestLimit: null,
+			dailyTokenLimit: null,
+			dailyCostLimit: null,
+			expiresAt: null,
+			...overrides,
+		});
+		return { key, clientKey };
+	};
+
+	const addRequest = (
+		clientKeyId: string | null,
+		timestamp: number,
+		totalTokens: number,
+		costUsd: number,
+	) => {
+		const id = crypto.randomUUID();
+		db.run(
+			`INSERT INTO requests (id, timestamp, method, path, client_key_id, total_tokens, cost_usd)
+			 VALUES (?, ?, 'POST', '/v1/messages', ?, ?, ?)`,
+			[id, timestamp, clientKeyId, totalTokens, costUsd],
+		);
+		return id;
+	};
+
+	beforeEach(async () => {
+		const { Database } = await import("bun:sqlite");
+		db = new Database(":memory:");
+		ensureSchema(db);
+		runMigrations(db);
+		repo = new ClientKeyRepository(db);
+	});
+
+	afterEach(() => db.close());
+
+	it("stores keys hashed and finds them by hash", () => {
+		const { key, clientKey } = create({
+			allowedModels: ["claude-sonnet-*"],
+			dailyCostLimit: 5,
+		});
+
+		const stored = db
+			.query<{ key_hash: string }, []>("SELECT key_hash FROM client_keys")
+			.get();
+		expect(stored?.key_hash).toBe(hashClientKey(key));
+		expect(JSON.stringify(stored)).not.toContain(key);
+
+		const found = repo.findByHash(hashClientKey(key));
+		expect(found).toEqual(clientKey);
+		expect(found?.allowedModels).toEqual(["claude-sonnet-*"]);
+		expect(found?.dailyCostLimit).toBe(5);
+		expect(repo.findByHash(hashClientKey("bccf_other"))).toBeNull();
+		expect(repo.findByName("ci")?.id).toBe(clientKey.id);
+	});
+
+	it("tracks whether any key exists", () => {
+		expect(repo.hasAny()).toBe(false);
+		const { clientKey } = create();
+		expect(repo.hasAny()).toBe(true);
+		expect(repo.delete(clientKey.id)).toBe(true);
+		expect(repo.hasAny()).toBe(false);
+	});
+
+	it("caches whether any key exists", () => {
+		vi.useFakeTimers({ toFake: ["Date"] });
+		try {
+			expect(repo.hasAny()).toBe(false);
+
+			// A key written by another process is noticed once the cache expires
+			db.run(
+				`INSERT INTO client_keys (id, name, key_hash, key_prefix, created_at)
+				 VALUES ('other', 'cli', 'hash', 'bccf_cli', 0)`,
+			);
+			expect(repo.hasAny()).toBe(false);
+			vi.advanceTimersByTime(5000);
+			expect(repo.hasAny()).toBe(true);
+
+			// Changes made through the repository apply immediately
+			expect(repo.delete("other")).toBe(true);
+			expect(repo.hasAny()).toBe(false);
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it("revokes a key once and keeps it listed", () => {
+		const { clientKey } = create();
+
+		expect(repo.revoke(clientKey.id)).toBe(true);
+		expect(repo.revoke(clientKey.id)).toBe(false);
+		expect(repo.findById(clientKey.id)?.revokedAt).toEqual(expect.any(Number));
+		expect(repo.findAll()).toHaveLength(1);
+	});
+
+	it("sums the key's usage since a timestamp", () => {
+		const { clientKey } = create();
+		const dayStart = Date.UTC(2025, 0, 2);
+		addRequest(clientKey.id, dayStart - 1, 1000, 1);
+		addRequest(clientKey.id, dayStart, 100, 0.25);
+		const inFlight = addRequest(clientKey.id, dayStart + 1000, 50, 0.5);
+		addRequest(null, dayStart + 1000, 999, 9);
+
+		expect(repo.getUsageSince(clientKey.id, dayStart)).toEqual({
+			requests: 2,
+			tokens: 150,
+			costUsd: 0.75,
+		});
+		expect(repo.getUsageSince(clientKey.id, dayStart, [inFlight])).toEqual({
+			requests: 1,
+			tokens: 100,
+			costUsd: 0.25,
+		});
+		expect(repo.getUsageSince("unknown", dayStart)).toEqual({
+			requests: 0,
+			tokens: 0,
+			costUsd: 0,
+		});
+	});
+});
@@ -1,11 +1,52 @@
+import type { Database } from "bun:sqlite";
 import {
 	type Account,
 	type AccountRow,
 	toAccount,
 } from "@better-ccflare/types";
+import {
+	CREDENTIAL_COLUMNS,
+	type CredentialCipher,
+	type CredentialColumn,
+	decryptCredential,
+	encryptCredential,
+} from "../credential-cipher";
 import { BaseRepository } from "./base.repository";
 
+type CredentialRow = {
+	id: string;
+} & Record<CredentialColumn, string | null>;
+
 export class AccountRepository extends BaseRepository<Account> {
+	constructor(
+		db: Database,
+		private cipher: CredentialCipher | null,
+	) {
+		super(db);
+	}
+
+	setCipher(cipher: CredentialCipher | null): void {
+		this.cipher = cipher;
+	}
+
+	private reveal(row: AccountRow): Account {
+		return toAccount({
+			...row,
+			api_key: decryptCredential(this.cipher, row.api_key, {
+				accountId: row.id,
+				column: "api_key",
+			}),
+			refresh_token: decryptCredential(this.cipher, row.refresh_token, {
+				accountId: row.id,
+				column: "refresh_token",
+			}),
+			access_token: decryptCredential(this.cipher, row.access_token, {
+				accountId: row.id,
+				column: "access_token",
+			}),
+		});
+	}
+
 	findAll(): Account[] {
 		const rows = this.query<AccountRow>(`
 			SELECT
@@ -23,7 +64,7 @@ export class AccountRepository extends BaseRepository<Account> {
 			FROM accounts
 			ORDER BY priority DESC
 		`);
-		return rows.map(toAccount);
+		return rows.map((row) => this.reveal(row));
 	}
 
 	findById(accountId: string): Account | null {
@@ -47,7 +88,7 @@ export class AccountRepository extends BaseRepository<Account> {
 			[accountId],
 		);
 
-		return row ? toAccount(row) : null;
+		return row ? this.reveal(row) : null;
 	}
 
 	updateTokens(
@@ -59,12 +100,30 @@ export class AccountRepository extends BaseRepository<Account> {
 		if (refreshToken) {
 			this.run(
 				`UPDATE accounts SET access_token = ?, expires_at = ?, refresh_token = ? WHERE id = ?`,
-				[accessToken, expiresAt, refreshToken, accountId],
+				[
+					encryptCredential(this.cipher, accessToken, {
+						accountId,
+						column: "access_token",
+					}),
+					expiresAt,
+					encryptCredential(this.cipher, refreshToken, {
+						accountId,
+						column: "refresh_token",
+					}),
+					accountId,
+				],
 			);
 		} else {
 			this.run(
 				`UPDATE accounts SET access_token = ?, expires_at = ? WHERE id = ?`,
-				[accessToken, expiresAt, accountId],
+				[
+					encryptCredential(this.cipher, accessToken, {
+						accountId,
+						column: "access_token",
+					}),
+					expiresAt,
+					accountId,
+				],
 			);
 		}
 	}
@@ -169,4 +228,96 @@ export class AccountRepository extends BaseRepository<Account> {
 			[now],
 		);
 	}
+
+	/**
+	 * Re-wrap every stored credential under a new master key in a single
+	 * transaction. Plaintext values are encrypted with the new key.
+	 * @returns Number of accounts updated
+	 */
+	rotateCredentials(
+		current: CredentialCipher | null,
+		next: CredentialCipher,
+	): number {
+		const rows = this.query<CredentialRow>(
+			`SELECT id, ${CREDENTIAL_COLUMNS.join(", ")} FROM accounts`,
+		);
+		const rewrap = (row: CredentialRow, column: CredentialColumn) => {
+			const value = row[column];
+			if (!value) return value;
+			const location = { accountId: row.id, column };
+			if (current) return current.rewrap(value, next, location);
+			// Throws if the value is encrypted with a key we do not have
+			return next.encrypt(decryptCredential(null, value, location), location);
+		};
+
+		this.db.transaction(() => {
+			for (const row of rows) {
+				this.run(
+					`UPDATE accounts SET api_key = ?, refresh_token = ?, access_token = ? WHERE id = ?`,
+					[
+						rewrap(row, "api_key"),
+						rewrap(row, "refresh_token"),
+						rewrap(row, "access_token"),
+						row.id,
+					],
+				);
+			}
+		})();
+		return rows.length;
+	}
+
+	/**
+	 * All account rows with every column and decrypted credentials, for
+	 * backup bundles
+	 */
+	exportRows(): Array<Record<string, unknown>> {
+		const rows = this.query<Record<string, unknown>>(
+			"SELECT * FROM accounts ORDER BY created_at",
+		);
+		return rows.map((row) => {
+			const exported = { ...row };
+			for (const column of CREDENTIAL_COLUMNS) {
+				exported[column] = decryptCredential(
+					this.cipher,
+					row[column] as string | null,
+					{ accountId: String(row.id), column },
+				);
+			}
+			return exported;
+		});
+	}
+
+	/**
+	 * Insert an account row from a backup bundle, encrypting its credentials.
+	 * Columns this database does not know are dropped.
+	 * @returns false if an account with the same id or name already exists
+	 */
+	importRow(row: Record<string, unknown>): boolean {
+		const existing = this.get<{ id: string }>(
+			"SELECT id FROM accounts WHERE id = ? OR name = ?",
+			[String(row.id), String(row.name)],
+		);
+		if (existing) return false;
+
+		const known = new Set(
+			this.query<{ name: string }>("PRAGMA table_info(accounts)").map(
+				(col) => col.name,
+			),
+		);
+		const columns = Object.keys(row).filter((column) => known.has(column));
+		const values = columns.map((column) => {
+			const value = row[column] as string | number | null;
+			return (CREDENTIAL_COLUMNS as readonly string[]).includes(column)
+				? encryptCredential(this.cipher, value as string | null, {
+						accountId: String(row.id),
+						column: column as CredentialColumn,
+					})
+				: value;
+		});
+		this.run(
+			`INSERT INTO accounts (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`,
+			values,
+		);
+		return true;
+	}
 }
@@ -0,0 +1,166 @@
+import {
+	type Budget,
+	type BudgetPeriod,
+	type BudgetRow,
+	type BudgetScope,
+	toBudget,
+} from "@better-ccflare/types";
+import { BaseRepository } from "./base.repository";
+
+export interface CreateBudgetData {
+	id: string;
+	name: string;
+	scope: BudgetScope;
+	target: string | null;
+	period: BudgetPeriod;
+	limitUsd: number;
+	thresholds: number[];
+	webhookUrls: string[];
+	autoPause: boolean;
+}
+
+export interface UpdateBudgetData {
+	limitUsd?: number;
+	thresholds?: number[];
+	webhookUrls?: string[];
+	autoPause?: boolean;
+	enabled?: boolean;
+}
+
+export interface BudgetState {
+	windowStart: number;
+	notifiedThreshold: number;
+	pausedAccountIds: string[];
+}
+
+export class BudgetRepository extends BaseRepository<Budget> {
+	create(data: CreateBudgetData): Budget {
+		this.run(
+			`INSERT INTO budgets (
+				id, name, scope, target, period, limit_usd, thresholds,
+				webhook_urls, auto_pause, enabled, created_at
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)`,
+			[
+				data.id,
+				data.name,
+				data.scope,
+				data.target,
+				data.period,
+				data.limitUsd,
+				JSON.stringify(data.thresholds),
+				data.webhookUrls.length > 0 ? JSON.stringify(data.webhookUrls) : null,
+				data.autoPause ? 1 : 0,
+				Date.now(),
+			],
+		);
+
+		const created = this.findById(data.id);
+		if (!created) {
+			throw new Error(`Failed to read back budget ${data.id}`);
+		}
+		return created;
+	}
+
+	findAll(): Budget[] {
+		const rows = this.query<BudgetRow>(
+			`SELECT * FROM budgets ORDER BY created_at ASC`,
+		);
+		return rows.map(toBudget);
+	}
+
+	findById(id: string): Budget | null {
+		const row = this.get<BudgetRow>(`SELECT * FROM budgets WHERE id = ?`, [id]);
+		return row ? toBudget(row) : null;
+	}
+
+	findByName(name: string): Budget | null {
+		const row = this.get<BudgetRow>(`SELECT * FROM budgets WHERE name = ?`, [
+			name,
+		]);
+		return row ? toBudget(row) : null;
+	}
+
+	update(id: string, data: UpdateBudgetData): boolean {
+		const sets: string[] = [];
+		const params: Array<string | number | null> = [];
+
+		if (data.limitUsd !== undefined) {
+			sets.push("limit_usd = ?");
+			params.push(data.limitUsd);
+		}
+		if (data.thresholds !== undefined) {
+			sets.push("thresholds = ?");
+			params.push(JSON.stringify(data.thresholds));
+		}
+		if (data.webhookUrls !== undefined) {
+			sets.push("webhook_urls = ?");
+			params.push(
+				data.webhookUrls.length > 0 ? JSON.stringify(data.webhookUrls) : null,
+			);
+		}
+		if (data.autoPause !== undefined) {
+			sets.push("auto_pause = ?");
+			params.push(data.autoPause ? 1 : 0);
+		}
+		if (data.enabled !== undefined) {
+			sets.push("enabled = ?");
+			params.push(data.enabled ? 1 : 0);
+		}
+		if (sets.length === 0) return false;
+
+		return (
+			this.runWithChanges(
+				`UPDATE budgets SET ${sets.join(", ")} WHERE id = ?`,
+				[...params, id],
+			) > 0
+		);
+	}
+
+	delete(id: string): boolean {
+		return this.runWithChanges(`DELETE FROM budgets WHERE id = ?`, [id]) > 0;
+	}
+
+	saveState(id: string, state: BudgetState): void {
+		this.run(
+			`UPDATE budgets
+			SET window_start = ?, notified_threshold = ?, paused_account_ids = ?
+			WHERE id = ?`,
+			[
+				state.windowStart,
+				state.notifiedThreshold,
+				state.pausedAccountIds.length > 0
+					? JSON.stringify(state.pausedAccountIds)
+					: null,
+				id,
+			],
+		);
+	}
+
+	/**
+	 * Estimated spend counted against a budget since the given timestamp.
+	 * Global and account budgets use proxied requests; project budgets use
+	 * the imported Claude Code logs, the only source that knows the project.
+	 */
+	getSpendSince(budget: Budget, since: number): number {
+		let row: { total: number | null } | null;
+		if (budget.scope === "project") {
+			row = this.get<{ total: number | null }>(
+				`SELECT SUM(cost_usd) as total FROM claude_log_entries
+				WHERE project_path = ? AND timestamp >= ?`,
+				[budget.target ?? "", since],
+			);
+		} else if (budget.scope === "account") {
+			row = this.get<{ total: number | null }>(
+				`SELECT SUM(cost_usd) as total FROM requests
+				WHERE account_used = ? AND timestamp >= ?`,
+				[budget.target ?? "", since],
+			);
+		} else {
+			row = this.get<{ total: number | null }>(
+				`SELECT SUM(cost_usd) as total FROM requests WHERE timestamp >= ?`,
+				[since],
+			);
+		}
+		return row?.total ?? 0;
+	}
+}
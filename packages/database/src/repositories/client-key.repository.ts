@@ -0,0 +1,170 @@
+import {
+	type ClientKey,
+	type ClientKeyRow,
+	type ClientKeyUsage,
+	toClientKey,
+} from "@better-ccflare/types";
+import { BaseRepository } from "./base.repository";
+
+export interface CreateClientKeyData {
+	id: string;
+	name: string;
+	keyHash: string;
+	keyPrefix: string;
+	allowedModels: string[] | null;
+	dailyRequestLimit: number | null;
+	dailyTokenLimit: number | null;
+	dailyCostLimit: number | null;
+	expiresAt: number | null;
+}
+
+// How long hasAny() trusts its cached answer. Changes made through this
+// repository clear it at once; this bounds how long keys created or deleted
+// by another process (e.g. the CLI) go unnoticed.
+const HAS_ANY_CACHE_TTL_MS = 5000;
+
+export class ClientKeyRepository extends BaseRepository<ClientKey> {
+	private hasAnyCache: { value: boolean; checkedAt: number } | null = null;
+
+	create(data: CreateClientKeyData): ClientKey {
+		this.hasAnyCache = null;
+		const now = Date.now();
+		this.run(
+			`INSERT INTO client_keys (
+				id, name, key_hash, key_prefix, allowed_models,
+				daily_request_limit, daily_token_limit, daily_cost_limit,
+				expires_at, created_at
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+			[
+				data.id,
+				data.name,
+				data.keyHash,
+				data.keyPrefix,
+				data.allowedModels ? JSON.stringify(data.allowedModels) : null,
+				data.dailyRequestLimit,
+				data.dailyTokenLimit,
+				data.dailyCostLimit,
+				data.expiresAt,
+				now,
+			],
+		);
+
+		const created = this.findById(data.id);
+		if (!created) {
+			throw new Error(`Failed to read back client key ${data.id}`);
+		}
+		return created;
+	}
+
+	findAll(): ClientKey[] {
+		const rows = this.query<ClientKeyRow>(
+			`SELECT * FROM client_keys ORDER BY created_at DESC`,
+		);
+		return rows.map(toClientKey);
+	}
+
+	findById(id: string): ClientKey | null {
+		const row = this.get<ClientKeyRow>(
+			`SELECT * FROM client_keys WHERE id = ?`,
+			[id],
+		);
+		return row ? toClientKey(row) : null;
+	}
+
+	findByName(name: string): ClientKey | null {
+		const row = this.get<ClientKeyRow>(
+			`SELECT * FROM client_keys WHERE name = ?`,
+			[name],
+		);
+		return row ? toClientKey(row) : null;
+	}
+
+	findByHash(keyHash: string): ClientKey | null {
+		const row = this.get<ClientKeyRow>(
+			`SELECT * FROM client_keys WHERE key_hash = ?`,
+			[keyHash],
+		);
+		return row ? toClientKey(row) : null;
+	}
+
+	/**
+	 * Whether any client key has been issued. Once one exists the proxy
+	 * requires a key on every request.
+	 */
+	/**
+	 * Whether any key has been issued. Checked on every proxied request, so
+	 * the answer is cached.
+	 */
+	hasAny(): boolean {
+		const now = Date.now();
+		if (
+			this.hasAnyCache &&
+			now - this.hasAnyCache.checkedAt < HAS_ANY_CACHE_TTL_MS
+		) {
+			return this.hasAnyCache.value;
+		}
+		const row = this.get<{ found: number }>(
+			`SELECT 1 as found FROM client_keys LIMIT 1`,
+		);
+		this.hasAnyCache = { value: !!row, checkedAt: now };
+		return !!row;
+	}
+
+	revoke(id: string): boolean {
+		this.hasAnyCache = null;
+		const changes = this.runWithChanges(
+			`UPDATE client_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`,
+			[Date.now(), id],
+		);
+		return changes > 0;
+	}
+
+	delete(id: string): boolean {
+		this.hasAnyCache = null;
+		const changes = this.runWithChanges(
+			`DELETE FROM client_keys WHERE id = ?`,
+			[id],
+		);
+		return changes > 0;
+	}
+
+	updateLastUsed(id: string, timestamp = Date.now()): void {
+		this.run(`UPDATE client_keys SET last_used = ? WHERE id = ?`, [
+			timestamp,
+			id,
+		]);
+	}
+
+	/**
+	 * Usage attributed to a key since the given timestamp
+	 * @param excludeIds - Requests to leave out, e.g. ones still being written
+	 */
+	getUsageSince(
+		id: string,
+		since: number,
+		excludeIds: string[] = [],
+	): ClientKeyUsage {
+		const exclude =
+			excludeIds.length > 0
+				? ` AND id NOT IN (${excludeIds.map(() => "?").join(", ")})`
+				: "";
+		const row = this.get<{
+			requests: number;
+			tokens: number | null;
+			cost_usd: number | null;
+		}>(
+			`SELECT
+				COUNT(*) as requests,
+				SUM(COALESCE(total_tokens, 0)) as tokens,
+				SUM(COALESCE(cost_usd, 0)) as cost_usd
+			FROM requests
+			WHERE client_key_id = ? AND timestamp >= ?${exclude}`,
+			[id, since, ...excludeIds],
+		);
+		return {
+			requests: row?.requests ?? 0,
+			tokens: row?.tokens ?? 0,
+			costUsd: row?.cost_usd ?? 0,
+		};
+	}
+}
@@ -0,0 +1,60 @@
+import type {
+	ReportLogEntryRow,
+	ReportRequestRow,
+} from "@better-ccflare/types";
+import { BaseRepository } from "./base.repository";
+
+export class ReportRepository extends BaseRepository<ReportRequestRow> {
+	/**
+	 * Proxied requests that started in [start, end). Replays are left out so
+	 * they are not billed twice.
+	 */
+	getRequests(start: number, end: number): ReportRequestRow[] {
+		return this.query<ReportRequestRow>(
+			`SELECT
+				r.id, r.timestamp, r.response_time_ms, r.model,
+				r.account_used, a.name as account_name, r.agent_used, r.session_id,
+				r.input_tokens, r.output_tokens,
+				r.cache_read_input_tokens, r.cache_creation_input_tokens, r.cost_usd
+			FROM requests r
+			LEFT JOIN accounts a ON a.id = r.account_used
+			WHERE r.timestamp >= ? AND r.timestamp < ? AND r.replay_of IS NULL
+			ORDER BY r.timestamp ASC`,
+			[start, end],
+		);
+	}
+
+	/**
+	 * Assistant messages from imported session logs in [start, end). Only
+	 * assistant messages carry usage.
+	 */
+	getAssistantEntries(start: number, end: number): ReportLogEntryRow[] {
+		return this.query<ReportLogEntryRow>(
+			`SELECT
+				uuid, session_id, project_path, timestamp, model,
+				input_tokens, output_tokens,
+				cache_read_input_tokens, cache_creation_input_tokens, cost_usd
+			FROM claude_log_entries
+			WHERE role = 'assistant' AND timestamp >= ? AND timestamp < ?
+			ORDER BY timestamp ASC`,
+			[start, end],
+		);
+	}
+
+	/**
+	 * Project of every logged session that sent a proxied request in
+	 * [start, end), whether or not the session's entries fall in the range
+	 */
+	getSessionProjects(start: number, end: number): Map<string, string> {
+		const rows = this.query<{ session_id: string; project_path: string }>(
+			`SELECT DISTINCT session_id, project_path
+			FROM claude_log_entries
+			WHERE session_id IN (
+				SELECT DISTINCT session_id FROM requests
+				WHERE timestamp >= ? AND timestamp < ? AND session_id IS NOT NULL
+			)`,
+			[start, end],
+		);
+		return new Map(rows.map((row) => [row.session_id, row.project_path]));
+	}
+}
@@ -1,3 +1,9 @@
+import {
+	type ApiFormat,
+	type Request,
+	type RequestRow,
+	toRequest,
+} from "@better-ccflare/types";
 import { BaseRepository } from "./base.repository";
 
 export interface RequestData {
@@ -11,6 +17,10 @@ export interface RequestData {
 	responseTime: number;
 	failoverAttempts: number;
 	agentUsed?: string;
+	apiFormat?: ApiFormat;
+	clientKeyId?: string | null;
+	replayOf?: string | null;
+	sessionId?: string | null;
 	usage?: {
 		model?: string;
 		promptTokens?: number;
@@ -33,16 +43,32 @@ export class RequestRepository extends BaseRepository<RequestData> {
 		accountUsed: string | null,
 		statusCode: number | null,
 		timestamp?: number,
+		apiFormat: ApiFormat = "anthropic",
+		clientKeyId: string | null = null,
+		replayOf: string | null = null,
+		sessionId: string | null = null,
 	): void {
 		this.run(
 			`
 			INSERT INTO requests (
 				id, timestamp, method, path, account_used, 
-				status_code, success, error_message, response_time_ms, failover_attempts
+				status_code, success, error_message, response_time_ms, failover_attempts,
+				api_format, client_key_id, replay_of, session_id
 			)
-			VALUES (?, ?, ?, ?, ?, ?, 0, NULL, 0, 0)
+			VALUES (?, ?, ?, ?, ?, ?, 0, NULL, 0, 0, ?, ?, ?, ?)
 		`,
-			[id, timestamp || Date.now(), method, path, accountUsed, statusCode],
+			[
+				id,
+				timestamp || Date.now(),
+				method,
+				path,
+				accountUsed,
+				statusCode,
+				apiFormat,
+				clientKeyId,
+				replayOf,
+				sessionId,
+			],
 		);
 	}
 
@@ -55,9 +81,10 @@ export class RequestRepository extends BaseRepository<RequestData> {
 				status_code, success, error_message, response_time_ms, failover_attempts,
 				model, prompt_tokens, completion_tokens, total_tokens, cost_usd,
 				input_tokens, cache_read_input_tokens, cache_creation_input_tokens, output_tokens,
-				agent_used, output_tokens_per_second
+				agent_used, output_tokens_per_second, api_format, client_key_id, replay_of,
+				session_id
 			)
-			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 		`,
 			[
 				data.id,
@@ -81,6 +108,10 @@ export class RequestRepository extends BaseRepository<RequestData> {
 				usage?.outputTokens || null,
 				data.agentUsed || null,
 				usage?.tokensPerSecond || null,
+				data.apiFormat || "anthropic",
+				data.clientKeyId || null,
+				data.replayOf || null,
+				data.sessionId || null,
 			],
 		);
 	}
@@ -120,6 +151,13 @@ export class RequestRepository extends BaseRepository<RequestData> {
 		);
 	}
 
+	findById(id: string): Request | null {
+		const row = this.get<RequestRow>(`SELECT * FROM requests WHERE id = ?`, [
+			id,
+		]);
+		return row ? toRequest(row) : null;
+	}
+
 	// Payload management
 	savePayload(id: string, data: unknown): void {
 		const json = JSON.stringify(data);
@@ -217,7 +255,9 @@ export class RequestRepository extends BaseRepository<RequestData> {
 		failedRequests: number;
 		avgResponseTime: number | null;
 	} {
-		const whereClause = since ? "WHERE timestamp > ?" : "";
+		const whereClause = since
+			? "WHERE timestamp > ? AND replay_of IS NULL"
+			: "WHERE replay_of IS NULL";
 		const params = since ? [since] : [];
 
 		const result = this.get<{
@@ -262,7 +302,9 @@ export class RequestRepository extends BaseRepository<RequestData> {
 		cacheCreationInputTokens: number;
 		avgTokensPerSecond: number | null;
 	} {
-		const whereClause = rangeMs ? "WHERE timestamp > ?" : "";
+		const whereClause = rangeMs
+			? "WHERE timestamp > ? AND replay_of IS NULL"
+			: "WHERE replay_of IS NULL";
 		const params = rangeMs ? [Date.now() - rangeMs] : [];
 
 		const result = this.get<{
@@ -317,7 +359,7 @@ export class RequestRepository extends BaseRepository<RequestData> {
 			`
 			SELECT model, COUNT(*) as count
 			FROM requests
-			WHERE model IS NOT NULL
+			WHERE model IS NOT NULL AND replay_of IS NULL
 			GROUP BY model
 			ORDER BY count DESC
 			LIMIT ?
@@ -334,7 +376,7 @@ export class RequestRepository extends BaseRepository<RequestData> {
 			`
 			SELECT error_message
 			FROM requests
-			WHERE success = 0 AND error_message IS NOT NULL
+			WHERE success = 0 AND error_message IS NOT NULL AND replay_of IS NULL
 			ORDER BY timestamp DESC
 			LIMIT ?
 		`,
@@ -349,7 +391,9 @@ export class RequestRepository extends BaseRepository<RequestData> {
 		requestCount: number;
 		successRate: number;
 	}> {
-		const whereClause = since ? "WHERE r.timestamp > ?" : "";
+		const whereClause = since
+			? "WHERE r.timestamp > ? AND r.replay_of IS NULL"
+			: "WHERE r.replay_of IS NULL";
 		const params = since ? [since] : [];
 
 		return this.query<{
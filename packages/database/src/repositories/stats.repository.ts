@@ -43,7 +43,8 @@ export class StatsRepository {
 					SUM(cache_read_input_tokens) as cacheReadInputTokens,
 					SUM(cost_usd) as totalCostUsd,
 					AVG(output_tokens_per_second) as avgTokensPerSecond
-				FROM requests`,
+				FROM requests
+				WHERE replay_of IS NULL`,
 			)
 			.get() as AggregatedStats;
 
@@ -77,6 +78,7 @@ export class StatsRepository {
 					COALESCE(a.total_requests, 0) as totalRequests
 				FROM requests r
 				LEFT JOIN accounts a ON a.id = r.account_used
+				WHERE r.replay_of IS NULL
 				GROUP BY COALESCE(a.id, ?), COALESCE(a.name, ?)
 				HAVING requestCount > 0
 				ORDER BY requestCount DESC
@@ -121,6 +123,7 @@ export class StatsRepository {
 					SUM(CASE WHEN success = 1 THEN 1 ELSE 0 END) as successful
 				FROM requests
 				WHERE account_used IN (${placeholders})
+					AND replay_of IS NULL
 				GROUP BY account_used`,
 			)
 			.all(...accountIds) as Array<{
@@ -166,6 +169,7 @@ export class StatsRepository {
 				FROM requests
 				WHERE error_message IS NOT NULL
 					AND error_message != ''
+					AND replay_of IS NULL
 				ORDER BY timestamp DESC
 				LIMIT ?`,
 			)
@@ -187,11 +191,11 @@ export class StatsRepository {
 						model,
 						COUNT(*) as count
 					FROM requests
-					WHERE model IS NOT NULL
+					WHERE model IS NOT NULL AND replay_of IS NULL
 					GROUP BY model
 				),
 				total AS (
-					SELECT COUNT(*) as total FROM requests WHERE model IS NOT NULL
+					SELECT COUNT(*) as total FROM requests WHERE model IS NOT NULL AND replay_of IS NULL
 				)
 				SELECT 
 					mc.model,
@@ -0,0 +1,353 @@
+import { TIME_CONSTANTS } from "@better-ccflare/core";
+import {
+	REPORT_DIRECT_ACCOUNT,
+	REPORT_NO_AGENT,
+	REPORT_UNKNOWN,
+	type ReportGroupBy,
+	type ReportLogEntryRow,
+	type ReportRequestRow,
+	type UsageReport,
+	type UsageReportCorrelation,
+	type UsageReportOptions,
+	type UsageReportRow,
+	type UsageReportTotals,
+} from "@better-ccflare/types";
+import type { ReportRepository } from "./repositories/report.repository";
+
+/** How far a log entry may be from a proxied request and still match it */
+export const REPORT_MATCH_WINDOW_MS = TIME_CONSTANTS.MINUTE;
+
+// One API response as written to a session log. Claude Code writes a
+// separate entry per content block, each repeating the response's usage.
+interface LoggedResponse {
+	sessionId: string;
+	projectPath: string;
+	model: string | null;
+	timestamp: number;
+	lastTimestamp: number;
+	inputTokens: number;
+	outputTokens: number;
+	cacheReadInputTokens: number;
+	cacheCreationInputTokens: number;
+	costUsd: number;
+	matched: boolean;
+}
+
+interface Attributed {
+	dimensions: Record<ReportGroupBy, string>;
+	inputTokens: number;
+	outputTokens: number;
+	cacheReadInputTokens: number;
+	cacheCreationInputTokens: number;
+	costUsd: number;
+}
+
+/**
+ * Millisecond range covered by an inclusive YYYY-MM-DD date range (UTC)
+ */
+export function getReportRange(
+	from: string,
+	to: string,
+): { start: number; end: number } {
+	return {
+		start: Date.parse(`${from}T00:00:00Z`),
+		end: Date.parse(`${to}T00:00:00Z`) + TIME_CONSTANTS.DAY,
+	};
+}
+
+function toDay(timestamp: number): string {
+	return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function collapseEntries(entries: ReportLogEntryRow[]): LoggedResponse[] {
+	const responses: LoggedResponse[] = [];
+	const latest = new Map<string, LoggedResponse>();
+
+	for (const entry of entries) {
+		// Entries of the same response share the prompt side of the usage
+		const key = [
+			entry.session_id,
+			entry.model,
+			entry.input_tokens,
+			entry.cache_read_input_tokens,
+			entry.cache_creation_input_tokens,
+		].join("|");
+		const previous = latest.get(key);
+		if (
+			previous &&
+			entry.timestamp - previous.lastTimestamp <= REPORT_MATCH_WINDOW_MS
+		) {
+			previous.lastTimestamp = entry.timestamp;
+			previous.outputTokens = Math.max(
+				previous.outputTokens,
+				entry.output_tokens,
+			);
+			previous.costUsd = Math.max(previous.costUsd, entry.cost_usd);
+			continue;
+		}
+
+		const response: LoggedResponse = {
+			sessionId: entry.session_id,
+			projectPath: entry.project_path,
+			model: entry.model,
+			timestamp: entry.timestamp,
+			lastTimestamp: entry.timestamp,
+			inputTokens: entry.input_tokens,
+			outputTokens: entry.output_tokens,
+			cacheReadInputTokens: entry.cache_read_input_tokens,
+			cacheCreationInputTokens: entry.cache_creation_input_tokens,
+			costUsd: entry.cost_usd,
+			matched: false,
+		};
+		responses.push(response);
+		latest.set(key, response);
+	}
+
+	return responses;
+}
+
+// First index whose timestamp is >= target
+function lowerBound(responses: LoggedResponse[], target: number): number {
+	let low = 0;
+	let high = responses.length;
+	while (low < high) {
+		const mid = (low + high) >> 1;
+		if (responses[mid].timestamp < target) {
+			low = mid + 1;
+		} else {
+			high = mid;
+		}
+	}
+	return low;
+}
+
+/**
+ * Nearest unmatched response with the request's model, logged while the
+ * request was in flight or within REPORT_MATCH_WINDOW_MS of it. A request
+ * that identified its session only matches that session's responses.
+ */
+function findMatch(
+	request: ReportRequestRow,
+	byModel: Map<string, LoggedResponse[]>,
+): LoggedResponse | null {
+	if (!request.model) return null;
+	const candidates = byModel.get(request.model);
+	if (!candidates) return null;
+
+	// Requests are stamped when they arrive; the response is logged once it
+	// has been streamed back
+	const start = request.timestamp;
+	const end = start + (request.response_time_ms ?? 0);
+	let best: LoggedResponse | null = null;
+	let bestDistance = Number.POSITIVE_INFINITY;
+
+	for (
+		let i = lowerBound(candidates, start - REPORT_MATCH_WINDOW_MS);
+		i < candidates.length &&
+		candidates[i].timestamp <= end + REPORT_MATCH_WINDOW_MS;
+		i++
+	) {
+		const candidate = candidates[i];
+		if (candidate.matched) continue;
+		if (request.session_id && candidate.sessionId !== request.session_id) {
+			continue;
+		}
+		const distance =
+			candidate.timestamp < start
+				? start - candidate.timestamp
+				: candidate.timestamp > end
+					? candidate.timestamp - end
+					: 0;
+		if (distance < bestDistance) {
+			best = candidate;
+			bestDistance = distance;
+		}
+	}
+
+	return best;
+}
+
+function emptyTotals(): UsageReportTotals {
+	return {
+		requests: 0,
+		inputTokens: 0,
+		outputTokens: 0,
+		cacheReadInputTokens: 0,
+		cacheCreationInputTokens: 0,
+		totalTokens: 0,
+		costUsd: 0,
+	};
+}
+
+function addTo(totals: UsageReportTotals, item: Attributed): void {
+	totals.requests++;
+	totals.inputTokens += item.inputTokens;
+	totals.outputTokens += item.outputTokens;
+	totals.cacheReadInputTokens += item.cacheReadInputTokens;
+	totals.cacheCreationInputTokens += item.cacheCreationInputTokens;
+	totals.totalTokens +=
+		item.inputTokens +
+		item.outputTokens +
+		item.cacheReadInputTokens +
+		item.cacheCreationInputTokens;
+	totals.costUsd += item.costUsd;
+}
+
+// Avoid floating point noise such as 0.30000000000000004 in exports
+function roundCost<T extends UsageReportTotals>(totals: T): T {
+	return { ...totals, costUsd: Math.round(totals.costUsd * 1e6) / 1e6 };
+}
+
+/**
+ * Build a usage report from proxied requests, attributing each to a project
+ * by correlating it with the imported Claude Code session logs.
+ *
+ * A request is matched to the logged response with the same model closest
+ * in time, restricted to its own session when the client sent a session id.
+ * Matched requests take the project of the log entry. Unmatched requests
+ * fall back to the project of their session, if it was logged at all, and
+ * otherwise count as REPORT_UNKNOWN. Token counts and cost always come from
+ * the proxy, which saw the request and knows the account that served it.
+ *
+ * With includeLogOnly, logged responses that matched no request are added
+ * under REPORT_DIRECT_ACCOUNT, covering sessions that bypassed the proxy.
+ */
+export function buildUsageReport(
+	repository: ReportRepository,
+	options: UsageReportOptions,
+): UsageReport {
+	const { start, end } = getReportRange(options.from, options.to);
+	const requests = repository.getRequests(start, end);
+	// Requests still running at the end of the range are logged after it
+	const lastFinish = requests.reduce(
+		(latest, request) =>
+			Math.max(latest, request.timestamp + (request.response_time_ms ?? 0)),
+		end,
+	);
+	const responses = collapseEntries(
+		repository.getAssistantEntries(
+			start - REPORT_MATCH_WINDOW_MS,
+			lastFinish + REPORT_MATCH_WINDOW_MS,
+		),
+	);
+	const sessionProjects = repository.getSessionProjects(start, end);
+
+	const byModel = new Map<string, LoggedResponse[]>();
+	for (const response of responses) {
+		if (!response.model) continue;
+		const list = byModel.get(response.model);
+		if (list) {
+			list.push(response);
+		} else {
+			byModel.set(response.model, [response]);
+		}
+	}
+
+	const correlation: UsageReportCorrelation = {
+		matchedBySession: 0,
+		matchedByTimestamp: 0,
+		sessionOnly: 0,
+		unmatched: 0,
+		logOnly: 0,
+	};
+	const attributed: Attributed[] = [];
+
+	for (const request of requests) {
+		const match = findMatch(request, byModel);
+		let project: string;
+		if (match) {
+			match.matched = true;
+			project = match.projectPath;
+			if (request.session_id) {
+				correlation.matchedBySession++;
+			} else {
+				correlation.matchedByTimestamp++;
+			}
+		} else if (request.session_id && sessionProjects.has(request.session_id)) {
+			project = sessionProjects.get(request.session_id) as string;
+			correlation.sessionOnly++;
+		} else {
+			project = REPORT_UNKNOWN;
+			correlation.unmatched++;
+		}
+
+		attributed.push({
+			dimensions: {
+				project,
+				account: request.account_name ?? request.account_used ?? REPORT_UNKNOWN,
+				agent: request.agent_used ?? REPORT_NO_AGENT,
+				day: toDay(request.timestamp),
+			},
+			inputTokens: request.input_tokens ?? 0,
+			outputTokens: request.output_tokens ?? 0,
+			cacheReadInputTokens: request.cache_read_input_tokens ?? 0,
+			cacheCreationInputTokens: request.cache_creation_input_tokens ?? 0,
+			costUsd: request.cost_usd ?? 0,
+		});
+	}
+
+	if (options.includeLogOnly) {
+		for (const response of responses) {
+			if (
+				response.matched ||
+				response.timestamp < start ||
+				response.timestamp >= end
+			) {
+				continue;
+			}
+			correlation.logOnly++;
+			attributed.push({
+				dimensions: {
+					project: response.projectPath,
+					account: REPORT_DIRECT_ACCOUNT,
+					agent: REPORT_NO_AGENT,
+					day: toDay(response.timestamp),
+				},
+				inputTokens: response.inputTokens,
+				outputTokens: response.outputTokens,
+				cacheReadInputTokens: response.cacheReadInputTokens,
+				cacheCreationInputTokens: response.cacheCreationInputTokens,
+				costUsd: response.costUsd,
+			});
+		}
+	}
+
+	const groups = new Map<string, UsageReportRow>();
+	const totals = emptyTotals();
+	for (const item of attributed) {
+		const key = options.groupBy
+			.map((dimension) => item.dimensions[dimension])
+			.join("\u0000");
+		let row = groups.get(key);
+		if (!row) {
+			const dimensions: Partial<Record<ReportGroupBy, string>> = {};
+			for (const dimension of options.groupBy) {
+				dimensions[dimension] = item.dimensions[dimension];
+			}
+			row = { ...dimensions, ...emptyTotals() };
+			groups.set(key, row);
+		}
+		addTo(row, item);
+		addTo(totals, item);
+	}
+
+	const rows = [...groups.values()]
+		.sort((a, b) => {
+			for (const dimension of options.groupBy) {
+				const order = (a[dimension] ?? "").localeCompare(b[dimension] ?? "");
+				if (order !== 0) return order;
+			}
+			return 0;
+		})
+		.map(roundCost);
+
+	return {
+		from: options.from,
+		to: options.to,
+		groupBy: options.groupBy,
+		generatedAt: new Date().toISOString(),
+		rows,
+		totals: roundCost(totals),
+		correlation,
+	};
+}
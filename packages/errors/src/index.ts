@@ -1,5 +1,6 @@
 // Re-export core errors that are available
 export {
+	EncryptionError,
 	OAuthError,
 	ProviderError,
 	RateLimitError,
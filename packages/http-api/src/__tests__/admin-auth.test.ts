@@ -0,0 +1,169 @@
+import { ADMIN_TOKEN_ENV } from "@better-ccflare/core";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import { HttpError } from "@better-ccflare/http-common";
+import { authorizeAdmin, isClientKeyReplay } from "../utils/admin-auth";
+
+const TOKEN = "admin-secret";
+
+function dbOpsWithKeys(hasKeys: boolean) {
+	return { hasClientKeys: () => hasKeys } as unknown as DatabaseOperations;
+}
+
+function request(headers: Record<string, string> = {}) {
+	return new Request("http://localhost/api/stats", { headers });
+}
+
+function statusOf(fn: () => void): number | null {
+	try {
+		fn();
+		return null;
+	} catch (error) {
+		if (error instanceof HttpError) return error.status;
+		throw error;
+	}
+}
+
+describe("authorizeAdmin", () => {
+	afterEach(() => {
+		vi.unstubAllEnvs();
+	});
+
+	describe("without an admin token", () => {
+		beforeEach(() => {
+			vi.stubEnv(ADMIN_TOKEN_ENV, "");
+		});
+
+		it("leaves the API open while no client keys exist", () => {
+			expect(
+				statusOf(() =>
+					authorizeAdmin(request(), "/api/stats", dbOpsWithKeys(false)),
+				),
+			).toBeNull();
+		});
+
+		it("refuses key management", () => {
+			const dbOps = dbOpsWithKeys(false);
+			expect(
+				statusOf(() => authorizeAdmin(request(), "/api/keys", dbOps)),
+			).toBe(403);
+			expect(
+				statusOf(() =>
+					authorizeAdmin(request(), "/api/keys/abc/revoke", dbOps),
+				),
+			).toBe(403);
+		});
+
+		it("locks the API once client keys exist", () => {
+			expect(
+				statusOf(() =>
+					authorizeAdmin(request(), "/api/accounts", dbOpsWithKeys(true)),
+				),
+			).toBe(403);
+		});
+	});
+
+	describe("with an admin token", () => {
+		beforeEach(() => {
+			vi.stubEnv(ADMIN_TOKEN_ENV, TOKEN);
+		});
+
+		it("requires the token on every route", () => {
+			const dbOps = dbOpsWithKeys(false);
+			expect(
+				statusOf(() => authorizeAdmin(request(), "/api/stats", dbOps)),
+			).toBe(401);
+			expect(
+				statusOf(() =>
+					authorizeAdmin(
+						request({ authorization: "Bearer wrong" }),
+						"/api/keys",
+						dbOps,
+					),
+				),
+			).toBe(401);
+		});
+
+		it("accepts a bearer token", () => {
+			expect(
+				statusOf(() =>
+					authorizeAdmin(
+						request({ authorization: `Bearer ${TOKEN}` }),
+						"/api/keys",
+						dbOpsWithKeys(true),
+					),
+				),
+			).toBeNull();
+		});
+
+		it("accepts the dashboard cookie", () => {
+			expect(
+				statusOf(() =>
+					authorizeAdmin(
+						request({
+							cookie: `theme=dark; better_ccflare_admin=${encodeURIComponent(TOKEN)}`,
+						}),
+						"/api/requests/stream",
+						dbOpsWithKeys(true),
+					),
+				),
+			).toBeNull();
+		});
+
+		it("does not accept client keys", () => {
+			expect(
+				statusOf(() =>
+					authorizeAdmin(
+						request({ "x-api-key": TOKEN }),
+						"/api/stats",
+						dbOpsWithKeys(true),
+					),
+				),
+			).toBe(401);
+		});
+	});
+});
+
+describe("isClientKeyReplay", () => {
+	const replayPath = "/api/requests/abc/replay";
+	const replay = (headers: Record<string, string>) =>
+		new Request(`http://localhost${replayPath}`, { method: "POST", headers });
+
+	it("recognises replays made with a client key", () => {
+		const dbOps = dbOpsWithKeys(true);
+		expect(
+			isClientKeyReplay(replay({ "x-api-key": "bccf_abc" }), replayPath, dbOps),
+		).toBe(true);
+		expect(
+			isClientKeyReplay(
+				replay({ authorization: "Bearer bccf_abc" }),
+				replayPath,
+				dbOps,
+			),
+		).toBe(true);
+	});
+
+	it("leaves other callers and routes to the admin check", () => {
+		expect(
+			isClientKeyReplay(
+				replay({ authorization: `Bearer ${TOKEN}` }),
+				replayPath,
+				dbOpsWithKeys(true),
+			),
+		).toBe(false);
+		expect(
+			isClientKeyReplay(
+				replay({ "x-api-key": "bccf_abc" }),
+				"/api/accounts",
+				dbOpsWithKeys(true),
+			),
+		).toBe(false);
+		// Without issued keys a prefixed value proves nothing
+		expect(
+			isClientKeyReplay(
+				replay({ "x-api-key": "bccf_abc" }),
+				replayPath,
+				dbOpsWithKeys(false),
+			),
+		).toBe(false);
+	});
+});
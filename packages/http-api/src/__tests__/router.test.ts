@@ -0,0 +1,63 @@
+import { ADMIN_TOKEN_ENV } from "@better-ccflare/core";
+import type { MetricsCollector } from "@better-ccflare/metrics";
+import type { APIRouterContext } from "../router";
+
+const TOKEN = "admin-secret";
+
+function makeContext(hasKeys: boolean) {
+	return {
+		db: {},
+		config: {},
+		dbOps: {
+			hasClientKeys: () => hasKeys,
+			getClaudeLogsRepository: () => ({}),
+		},
+		metrics: {
+			render: () => "better_ccflare_requests_total 1\n",
+		} as unknown as MetricsCollector,
+	} as unknown as APIRouterContext;
+}
+
+// The handlers pull in packages that only resolve under the Bun runtime
+describe.skipIf(!("Bun" in globalThis))("APIRouter /metrics", () => {
+	let APIRouter: typeof import("../router").APIRouter;
+
+	beforeAll(async () => {
+		({ APIRouter } = await import("../router"));
+	});
+
+	afterEach(() => {
+		vi.unstubAllEnvs();
+	});
+
+	const scrape = (hasKeys: boolean, headers: Record<string, string> = {}) => {
+		const url = new URL("http://localhost/metrics");
+		return new APIRouter(makeContext(hasKeys)).handleRequest(
+			url,
+			new Request(url, { headers }),
+		);
+	};
+
+	it("stays open while no token or client keys are configured", async () => {
+		vi.stubEnv(ADMIN_TOKEN_ENV, "");
+		const response = await scrape(false);
+		expect(response?.status).toBe(200);
+		expect(await response?.text()).toContain("better_ccflare_requests_total");
+	});
+
+	it("refuses scrapes once client keys exist without an admin token", async () => {
+		vi.stubEnv(ADMIN_TOKEN_ENV, "");
+		expect((await scrape(true))?.status).toBe(403);
+	});
+
+	it("requires the admin token once one is configured", async () => {
+		vi.stubEnv(ADMIN_TOKEN_ENV, TOKEN);
+		expect((await scrape(false))?.status).toBe(401);
+		expect(
+			(await scrape(false, { authorization: "Bearer wrong" }))?.status,
+		).toBe(401);
+		expect(
+			(await scrape(false, { authorization: `Bearer ${TOKEN}` }))?.status,
+		).toBe(200);
+	});
+});
@@ -4,6 +4,7 @@ import type { Config } from "@better-ccflare/config";
 import {
 	patterns,
 	sanitizers,
+	ValidationError,
 	validateNumber,
 	validateString,
 } from "@better-ccflare/core";
@@ -21,6 +22,12 @@ import {
 	getRepresentativeWindow,
 	usageCache,
 } from "@better-ccflare/providers";
+import {
+	type BedrockAccountAddRequest,
+	isCloudProvider,
+	supportsModelMappings,
+	type VertexAccountAddRequest,
+} from "@better-ccflare/types";
 import type { AccountResponse } from "../types";
 
 const log = new Logger("AccountsHandler");
@@ -134,9 +141,13 @@ export function createAccountsListHandler(db: Database) {
 			// Include full usage data for Anthropic accounts to show multiple windows
 			const fullUsageData = account.provider === "anthropic" ? usageData : null;
 
-			// Parse model mappings for OpenAI-compatible providers
+			// Parse model mappings for providers that support them
 			let modelMappings: { [key: string]: string } | null = null;
-			if (account.provider === "openai-compatible" && account.model_mappings) {
+			if (
+				account.provider &&
+				supportsModelMappings(account.provider) &&
+				account.model_mappings
+			) {
 				try {
 					const parsed = JSON.parse(account.model_mappings);
 					// Handle both formats: direct mappings or wrapped in modelMappings
@@ -365,8 +376,8 @@ export function createAccountAddHandler(
 						accountId,
 						name,
 						provider,
-						refreshToken,
-						accessToken,
+						dbOps.encryptCredential(refreshToken, accountId, "refresh_token"),
+						dbOps.encryptCredential(accessToken, accountId, "access_token"),
 						now,
 						tier,
 						priority,
@@ -653,9 +664,11 @@ export function createZaiAccountAddHandler(dbOps: DatabaseOperations) {
 					accountId,
 					name,
 					"zai",
-					apiKey,
-					apiKey, // Use API key as refresh token for consistency with CLI
-					apiKey, // Use API key as access token
+					dbOps.encryptCredential(apiKey, accountId, "api_key"),
+					// Use API key as refresh token for consistency with CLI
+					dbOps.encryptCredential(apiKey, accountId, "refresh_token"),
+					// Use API key as access token
+					dbOps.encryptCredential(apiKey, accountId, "access_token"),
 					now + 365 * 24 * 60 * 60 * 1000, // 1 year from now
 					now,
 					tier,
@@ -823,9 +836,11 @@ export function createOpenAIAccountAddHandler(dbOps: DatabaseOperations) {
 					accountId,
 					name,
 					"openai-compatible",
-					apiKey,
-					apiKey, // Use API key as refresh token for consistency
-					apiKey, // Use API key as access token
+					dbOps.encryptCredential(apiKey, accountId, "api_key"),
+					// Use API key as refresh token for consistency
+					dbOps.encryptCredential(apiKey, accountId, "refresh_token"),
+					// Use API key as access token
+					dbOps.encryptCredential(apiKey, accountId, "access_token"),
 					now + 365 * 24 * 60 * 60 * 1000, // 1 year from now
 					now,
 					tier,
@@ -905,6 +920,155 @@ export function createOpenAIAccountAddHandler(dbOps: DatabaseOperations) {
 	};
 }
 
+// Priority and tier as accepted by every account add handler
+function parseAccountOrdering(body: { priority?: unknown; tier?: unknown }) {
+	return {
+		priority:
+			validateNumber(body.priority, "priority", {
+				min: 0,
+				max: 100,
+				integer: true,
+			}) || 0,
+		tier:
+			validateNumber(body.tier, "tier", {
+				allowedValues: [1, 5, 20] as const,
+			}) || 1,
+	};
+}
+
+// Respond with a newly created Bedrock or Vertex AI account
+function cloudAccountAddedResponse(
+	dbOps: DatabaseOperations,
+	accountId: string,
+	label: string,
+): Response {
+	const account = dbOps
+		.getDatabase()
+		.query<
+			{
+				id: string;
+				name: string;
+				provider: string;
+				created_at: number;
+				account_tier: number;
+				priority: number;
+				custom_endpoint: string | null;
+				model_mappings: string | null;
+			},
+			[string]
+		>(
+			`SELECT
+				id, name, provider, created_at, account_tier, priority,
+				custom_endpoint, model_mappings
+			FROM accounts WHERE id = ?`,
+		)
+		.get(accountId);
+
+	if (!account) {
+		return errorResponse(
+			InternalServerError("Failed to retrieve created account"),
+		);
+	}
+
+	log.info(
+		`Successfully added ${label} account: ${account.name} (Priority ${account.priority})`,
+	);
+
+	return jsonResponse({
+		message: `${label} account '${account.name}' added successfully`,
+		account: {
+			id: account.id,
+			name: account.name,
+			provider: account.provider,
+			requestCount: 0,
+			totalRequests: 0,
+			lastUsed: null,
+			created: new Date(account.created_at).toISOString(),
+			tier: account.account_tier,
+			paused: false,
+			priority: account.priority,
+			tokenStatus: "valid" as const,
+			tokenExpiresAt: null,
+			rateLimitStatus: "OK",
+			rateLimitReset: null,
+			rateLimitRemaining: null,
+			sessionInfo: "No active session",
+			customEndpoint: account.custom_endpoint,
+			modelMappings: account.model_mappings
+				? JSON.parse(account.model_mappings)
+				: null,
+		},
+	});
+}
+
+/**
+ * Create an Amazon Bedrock account add handler
+ */
+export function createBedrockAccountAddHandler(dbOps: DatabaseOperations) {
+	return async (req: Request): Promise<Response> => {
+		try {
+			const body = (await req.json()) as BedrockAccountAddRequest;
+
+			const accountId = cliCommands.createBedrockAccount(dbOps, {
+				name: body.name,
+				accessKeyId: body.accessKeyId,
+				secretAccessKey: body.secretAccessKey,
+				sessionToken: body.sessionToken,
+				region: body.region,
+				inferenceProfile: body.inferenceProfile,
+				endpoint: body.endpoint,
+				modelMappings: body.modelMappings,
+				...parseAccountOrdering(body),
+			});
+
+			return cloudAccountAddedResponse(dbOps, accountId, "Amazon Bedrock");
+		} catch (error) {
+			if (error instanceof ValidationError) {
+				return errorResponse(BadRequest(error.message));
+			}
+			log.error("Bedrock account creation error:", error);
+			return errorResponse(
+				error instanceof Error
+					? error
+					: new Error("Failed to create Bedrock account"),
+			);
+		}
+	};
+}
+
+/**
+ * Create a Google Vertex AI account add handler
+ */
+export function createVertexAccountAddHandler(dbOps: DatabaseOperations) {
+	return async (req: Request): Promise<Response> => {
+		try {
+			const body = (await req.json()) as VertexAccountAddRequest;
+
+			const accountId = cliCommands.createVertexAccount(dbOps, {
+				name: body.name,
+				serviceAccountKey: body.serviceAccountKey,
+				region: body.region,
+				projectId: body.projectId,
+				endpoint: body.endpoint,
+				modelMappings: body.modelMappings,
+				...parseAccountOrdering(body),
+			});
+
+			return cloudAccountAddedResponse(dbOps, accountId, "Google Vertex AI");
+		} catch (error) {
+			if (error instanceof ValidationError) {
+				return errorResponse(BadRequest(error.message));
+			}
+			log.error("Vertex AI account creation error:", error);
+			return errorResponse(
+				error instanceof Error
+					? error
+					: new Error("Failed to create Vertex AI account"),
+			);
+		}
+	};
+}
+
 /**
  * Create an account auto-fallback toggle handler
  */
@@ -1055,8 +1219,22 @@ export function createAccountCustomEndpointUpdateHandler(
 				},
 			);
 
-			// Update account custom endpoint
+			// Bedrock and Vertex AI keep their region settings in custom_endpoint
 			const db = dbOps.getDatabase();
+			const account = db
+				.query<{ provider: string | null }, [string]>(
+					"SELECT provider FROM accounts WHERE id = ?",
+				)
+				.get(accountId);
+			if (account?.provider && isCloudProvider(account.provider)) {
+				return errorResponse(
+					BadRequest(
+						"Custom endpoints cannot be changed for Bedrock or Vertex AI accounts",
+					),
+				);
+			}
+
+			// Update account custom endpoint
 			db.run("UPDATE accounts SET custom_endpoint = ? WHERE id = ?", [
 				customEndpoint || null,
 				accountId,
@@ -1089,7 +1267,7 @@ export function createAccountModelMappingsUpdateHandler(
 		try {
 			const body = await req.json();
 
-			// Get account to verify it's OpenAI-compatible
+			// Get account to verify it supports model mappings
 			const db = dbOps.getDatabase();
 			const account = db
 				.query<{ provider: string; custom_endpoint: string | null }, [string]>(
@@ -1101,10 +1279,10 @@ export function createAccountModelMappingsUpdateHandler(
 				return errorResponse(NotFound("Account not found"));
 			}
 
-			if (account.provider !== "openai-compatible") {
+			if (!supportsModelMappings(account.provider)) {
 				return errorResponse(
 					BadRequest(
-						"Model mappings are only available for OpenAI-compatible accounts",
+						"Model mappings are only available for OpenAI-compatible, Bedrock and Vertex AI accounts",
 					),
 				);
 			}
@@ -71,7 +71,8 @@ export function createAnalyticsHandler(context: APIContext) {
 		const statusFilter = params.get("status") || "all";
 
 		// Build filter conditions
-		const conditions: string[] = ["timestamp > ?"];
+		// Replays are comparisons, not traffic, so they stay out of analytics
+		const conditions: string[] = ["timestamp > ?", "r.replay_of IS NULL"];
 		const queryParams: (string | number)[] = [startMs];
 
 		if (accountsFilter.length > 0) {
@@ -322,6 +323,25 @@ export function createAnalyticsHandler(context: APIContext) {
 					ORDER BY cost_usd DESC
 					LIMIT 10
 				)
+
+				UNION ALL
+
+				SELECT * FROM (
+					SELECT
+						'client_key_usage' as data_type,
+						COALESCE(ck.name, r.client_key_id) as name,
+						NULL as count,
+						COUNT(r.id) as requests,
+						SUM(CASE WHEN r.success = 1 THEN 1 ELSE 0 END) * 100.0 / NULLIF(COUNT(r.id), 0) as success_rate,
+						SUM(COALESCE(r.cost_usd, 0)) as cost_usd,
+						SUM(COALESCE(r.total_tokens, 0)) as total_tokens
+					FROM requests r
+					LEFT JOIN client_keys ck ON ck.id = r.client_key_id
+					WHERE ${whereClause} AND r.client_key_id IS NOT NULL
+					GROUP BY r.client_key_id
+					ORDER BY requests DESC
+					LIMIT 10
+				)
 			`);
 
 			const additionalData = additionalDataQuery.all(
@@ -329,6 +349,7 @@ export function createAnalyticsHandler(context: APIContext) {
 				NO_ACCOUNT_ID,
 				...queryParams, // Second subquery params (account performance)
 				...queryParams, // Third subquery params
+				...queryParams, // Fourth subquery params (client keys)
 			) as Array<{
 				data_type: string;
 				name: string;
@@ -364,6 +385,16 @@ export function createAnalyticsHandler(context: APIContext) {
 					totalTokens: row.total_tokens || 0,
 				}));
 
+			const clientKeyUsage = additionalData
+				.filter((row) => row.data_type === "client_key_usage")
+				.map((row) => ({
+					name: row.name,
+					requests: row.requests || 0,
+					successRate: row.success_rate || 0,
+					costUsd: row.cost_usd || 0,
+					totalTokens: row.total_tokens || 0,
+				}));
+
 			// Finalize prepared statement
 			additionalDataQuery.finalize();
 
@@ -527,6 +558,7 @@ export function createAnalyticsHandler(context: APIContext) {
 				},
 				modelDistribution,
 				accountPerformance,
+				clientKeyUsage,
 				costByModel,
 				modelPerformance,
 			};
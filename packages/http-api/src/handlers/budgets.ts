@@ -0,0 +1,98 @@
+import * as cliCommands from "@better-ccflare/cli-commands";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import {
+	BadRequest,
+	Conflict,
+	errorResponse,
+	jsonResponse,
+	NotFound,
+} from "@better-ccflare/http-common";
+import type {
+	BudgetCreateRequest,
+	BudgetUpdateRequest,
+} from "@better-ccflare/types";
+
+async function readJsonObject<T>(req: Request): Promise<T | Response> {
+	let body: unknown;
+	try {
+		body = await req.json();
+	} catch {
+		return errorResponse(BadRequest("Invalid JSON body"));
+	}
+	if (!body || typeof body !== "object" || Array.isArray(body)) {
+		return errorResponse(BadRequest("Request body must be a JSON object"));
+	}
+	return body as T;
+}
+
+/**
+ * Create a budgets list handler. Each budget includes its spend in the
+ * current window.
+ */
+export function createBudgetsListHandler(dbOps: DatabaseOperations) {
+	return (): Response => {
+		return jsonResponse(cliCommands.listBudgets(dbOps));
+	};
+}
+
+/**
+ * Create a budget creation handler
+ */
+export function createBudgetCreateHandler(dbOps: DatabaseOperations) {
+	return async (req: Request): Promise<Response> => {
+		const body = await readJsonObject<BudgetCreateRequest>(req);
+		if (body instanceof Response) return body;
+
+		if (
+			typeof body.name === "string" &&
+			dbOps.getBudgetByName(body.name.trim())
+		) {
+			return errorResponse(
+				Conflict(`Budget with name '${body.name.trim()}' already exists`),
+			);
+		}
+
+		const result = cliCommands.createBudget(dbOps, body);
+		if (!result.success || !result.budget) {
+			return errorResponse(BadRequest(result.message));
+		}
+		return jsonResponse(result.budget, 201);
+	};
+}
+
+/**
+ * Create a budget update handler
+ */
+export function createBudgetUpdateHandler(dbOps: DatabaseOperations) {
+	return async (req: Request, budgetId: string): Promise<Response> => {
+		if (!dbOps.getBudget(budgetId)) {
+			return errorResponse(NotFound("Budget not found"));
+		}
+
+		const body = await readJsonObject<BudgetUpdateRequest>(req);
+		if (body instanceof Response) return body;
+
+		const result = cliCommands.updateBudget(dbOps, budgetId, body);
+		if (!result.success || !result.budget) {
+			return errorResponse(BadRequest(result.message));
+		}
+		return jsonResponse(result.budget);
+	};
+}
+
+/**
+ * Create a budget delete handler
+ */
+export function createBudgetDeleteHandler(dbOps: DatabaseOperations) {
+	return (_req: Request, budgetId: string): Response => {
+		if (!dbOps.getBudget(budgetId)) {
+			return errorResponse(NotFound("Budget not found"));
+		}
+
+		const result = cliCommands.deleteBudget(dbOps, budgetId);
+		if (!result.success) {
+			return errorResponse(BadRequest(result.message));
+		}
+		return jsonResponse({ success: true, message: result.message });
+	};
+}
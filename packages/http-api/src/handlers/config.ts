@@ -5,6 +5,9 @@ import {
 	STRATEGIES,
 	type StrategyName,
 	TIME_CONSTANTS,
+	UTILIZATION_WINDOWS,
+	type UtilizationWindow,
+	ValidationError,
 	validateNumber,
 	validateString,
 } from "@better-ccflare/core";
@@ -13,7 +16,12 @@ import {
 	errorResponse,
 	jsonResponse,
 } from "@better-ccflare/http-common";
-import type { ConfigResponse, RetentionSetRequest } from "../types";
+import type {
+	ConfigResponse,
+	RetentionSetRequest,
+	StrategyResponse,
+	StrategyUpdateRequest,
+} from "../types";
 
 /**
  * Create config handlers
@@ -41,15 +49,18 @@ export function createConfigHandlers(config: Config) {
 		 * Get current strategy
 		 */
 		getStrategy: (): Response => {
-			const strategy = config.getStrategy();
-			return jsonResponse({ strategy });
+			const response: StrategyResponse = {
+				strategy: config.getStrategy(),
+				options: config.getStrategyOptions(),
+			};
+			return jsonResponse(response);
 		},
 
 		/**
-		 * Update strategy
+		 * Update strategy and, optionally, its tunables
 		 */
 		setStrategy: async (req: Request): Promise<Response> => {
-			const body = await req.json();
+			const body = (await req.json()) as StrategyUpdateRequest;
 
 			// Validate strategy input
 			const strategyValidation = validateString(body.strategy, "strategy", {
@@ -62,9 +73,34 @@ export function createConfigHandlers(config: Config) {
 			}
 
 			const strategy = strategyValidation as StrategyName;
-			config.setStrategy(strategy);
+			try {
+				const options = body.options
+					? {
+							utilizationWindow: validateString(
+								body.options.utilizationWindow,
+								"utilizationWindow",
+								{ allowedValues: UTILIZATION_WINDOWS },
+							) as UtilizationWindow | undefined,
+							maxUtilization: validateNumber(
+								body.options.maxUtilization,
+								"maxUtilization",
+								{ min: 0, max: 100 },
+							),
+						}
+					: undefined;
+				config.setStrategy(strategy, options);
+			} catch (error) {
+				if (error instanceof ValidationError) {
+					return errorResponse(BadRequest(error.message));
+				}
+				throw error;
+			}
 
-			return jsonResponse({ success: true, strategy });
+			return jsonResponse({
+				success: true,
+				strategy,
+				options: config.getStrategyOptions(),
+			});
 		},
 
 		/**
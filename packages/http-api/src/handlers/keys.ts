@@ -0,0 +1,105 @@
+import * as cliCommands from "@better-ccflare/cli-commands";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import {
+	BadRequest,
+	Conflict,
+	errorResponse,
+	jsonResponse,
+	NotFound,
+} from "@better-ccflare/http-common";
+import type {
+	ClientKeyCreateRequest,
+	ClientKeyCreateResponse,
+} from "@better-ccflare/types";
+
+/**
+ * Create a client keys list handler
+ */
+export function createClientKeysListHandler(dbOps: DatabaseOperations) {
+	return (): Response => {
+		return jsonResponse(cliCommands.listClientKeys(dbOps));
+	};
+}
+
+/**
+ * Create a client key creation handler. The plaintext key is part of this
+ * response only.
+ */
+export function createClientKeyCreateHandler(dbOps: DatabaseOperations) {
+	return async (req: Request): Promise<Response> => {
+		let body: ClientKeyCreateRequest;
+		try {
+			body = (await req.json()) as ClientKeyCreateRequest;
+		} catch {
+			return errorResponse(BadRequest("Invalid JSON body"));
+		}
+
+		if (!body || typeof body !== "object") {
+			return errorResponse(BadRequest("Request body must be a JSON object"));
+		}
+		if (
+			body.allowedModels !== undefined &&
+			body.allowedModels !== null &&
+			!Array.isArray(body.allowedModels)
+		) {
+			return errorResponse(
+				BadRequest("allowedModels must be an array of model names"),
+			);
+		}
+		if (
+			typeof body.name === "string" &&
+			dbOps.getClientKeyByName(body.name.trim())
+		) {
+			return errorResponse(
+				Conflict(`Client key with name '${body.name.trim()}' already exists`),
+			);
+		}
+
+		const result = cliCommands.createClientKey(dbOps, body);
+		if (!result.success || !result.key || !result.clientKey) {
+			return errorResponse(BadRequest(result.message));
+		}
+
+		const response: ClientKeyCreateResponse = {
+			key: result.key,
+			clientKey: result.clientKey,
+		};
+		return jsonResponse(response, 201);
+	};
+}
+
+/**
+ * Create a client key revoke handler
+ */
+export function createClientKeyRevokeHandler(dbOps: DatabaseOperations) {
+	return (_req: Request, keyId: string): Response => {
+		if (!dbOps.getClientKey(keyId)) {
+			return errorResponse(NotFound("Client key not found"));
+		}
+
+		const result = cliCommands.revokeClientKey(dbOps, keyId);
+		if (!result.success) {
+			return errorResponse(BadRequest(result.message));
+		}
+
+		return jsonResponse({ success: true, message: result.message });
+	};
+}
+
+/**
+ * Create a client key delete handler
+ */
+export function createClientKeyDeleteHandler(dbOps: DatabaseOperations) {
+	return (_req: Request, keyId: string): Response => {
+		if (!dbOps.getClientKey(keyId)) {
+			return errorResponse(NotFound("Client key not found"));
+		}
+
+		const result = cliCommands.deleteClientKey(dbOps, keyId);
+		if (!result.success) {
+			return errorResponse(BadRequest(result.message));
+		}
+
+		return jsonResponse({ success: true, message: result.message });
+	};
+}
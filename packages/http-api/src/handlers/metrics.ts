@@ -0,0 +1,15 @@
+import {
+	type MetricsCollector,
+	PROMETHEUS_CONTENT_TYPE,
+} from "@better-ccflare/metrics";
+
+/**
+ * Create the Prometheus scrape handler
+ */
+export function createMetricsHandler(metrics: MetricsCollector) {
+	return (): Response => {
+		return new Response(metrics.render(), {
+			headers: { "Content-Type": PROMETHEUS_CONTENT_TYPE },
+		});
+	};
+}
@@ -0,0 +1,42 @@
+import * as cliCommands from "@better-ccflare/cli-commands";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import {
+	BadRequest,
+	errorResponse,
+	jsonResponse,
+} from "@better-ccflare/http-common";
+
+/**
+ * Create the usage report handler
+ * GET /api/reports?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=project,day&format=csv
+ *
+ * JSON is returned inline; CSV and Markdown are sent as file downloads.
+ */
+export function createReportsHandler(dbOps: DatabaseOperations) {
+	return (url: URL): Response => {
+		const params = url.searchParams;
+		const result = cliCommands.generateReport(dbOps, {
+			from: params.get("from") ?? undefined,
+			to: params.get("to") ?? undefined,
+			groupBy: params.get("groupBy") ?? undefined,
+			format: params.get("format") ?? undefined,
+			includeLogOnly: params.get("includeLogOnly") === "true",
+		});
+		if (!result.success || !result.report || !result.format) {
+			return errorResponse(BadRequest(result.message));
+		}
+
+		if (result.format === "json") {
+			return jsonResponse(result.report);
+		}
+		return new Response(
+			cliCommands.formatReport(result.report, result.format),
+			{
+				headers: {
+					"Content-Type": cliCommands.REPORT_CONTENT_TYPES[result.format],
+					"Content-Disposition": `attachment; filename="${cliCommands.getReportFilename(result.report, result.format)}"`,
+				},
+			},
+		);
+	};
+}
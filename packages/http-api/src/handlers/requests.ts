@@ -1,7 +1,12 @@
 import type { Database } from "bun:sqlite";
 import type { DatabaseOperations } from "@better-ccflare/database";
-import { jsonResponse } from "@better-ccflare/http-common";
-import type { RequestResponse } from "../types";
+import {
+	BadRequest,
+	errorResponse,
+	jsonResponse,
+} from "@better-ccflare/http-common";
+import type { ReplayRequest, ReplayResult } from "@better-ccflare/types";
+import type { ApiFormat, RequestResponse } from "../types";
 
 const MAX_BODY_PREVIEW_BYTES = 32 * 1024; // 32KB preview to keep responses lightweight
 const MAX_REQUEST_DETAILS_LIMIT = 50;
@@ -36,9 +41,10 @@ export function createRequestsSummaryHandler(db: Database) {
 		const requests = db
 			.query(
 				`
-				SELECT r.*, a.name as account_name
+				SELECT r.*, a.name as account_name, ck.name as client_key_name
 				FROM requests r
 				LEFT JOIN accounts a ON r.account_used = a.id
+				LEFT JOIN client_keys ck ON r.client_key_id = ck.id
 				ORDER BY r.timestamp DESC
 				LIMIT ?1
 			`,
@@ -66,6 +72,11 @@ export function createRequestsSummaryHandler(db: Database) {
 			cost_usd: number | null;
 			agent_used: string | null;
 			output_tokens_per_second: number | null;
+			api_format: string | null;
+			client_key_id: string | null;
+			client_key_name: string | null;
+			replay_of: string | null;
+			session_id: string | null;
 		}>;
 
 		const response: RequestResponse[] = requests.map((request) => ({
@@ -91,6 +102,11 @@ export function createRequestsSummaryHandler(db: Database) {
 			costUsd: request.cost_usd || undefined,
 			agentUsed: request.agent_used || undefined,
 			tokensPerSecond: request.output_tokens_per_second || undefined,
+			apiFormat: (request.api_format as ApiFormat | null) || undefined,
+			clientKeyId: request.client_key_id || undefined,
+			clientKeyName: request.client_key_name || undefined,
+			replayOf: request.replay_of || undefined,
+			sessionId: request.session_id || undefined,
 		}));
 
 		return jsonResponse(response);
@@ -177,3 +193,52 @@ export function createRequestPayloadHandler(dbOps: DatabaseOperations) {
 		return jsonResponse(payload);
 	};
 }
+
+/**
+ * Create a handler that replays a stored request against another account or
+ * model and returns both responses for comparison. When the caller used a
+ * client key, its request is passed on so the key's checks apply.
+ */
+export function createRequestReplayHandler(
+	replay: (
+		requestId: string,
+		options: ReplayRequest,
+		clientRequest: Request | null,
+	) => Promise<ReplayResult>,
+) {
+	return async (
+		req: Request,
+		requestId: string,
+		clientRequest: Request | null = null,
+	): Promise<Response> => {
+		let body: ReplayRequest = {};
+		const text = await req.text();
+		if (text.trim()) {
+			try {
+				body = JSON.parse(text) as ReplayRequest;
+			} catch {
+				return errorResponse(BadRequest("Invalid JSON body"));
+			}
+		}
+
+		if (!body || typeof body !== "object") {
+			return errorResponse(BadRequest("Request body must be a JSON object"));
+		}
+		for (const field of ["account", "model"] as const) {
+			const value = body[field];
+			if (value !== undefined && (typeof value !== "string" || !value.trim())) {
+				return errorResponse(BadRequest(`${field} must be a non-empty string`));
+			}
+		}
+
+		const result = await replay(
+			requestId,
+			{
+				account: body.account?.trim(),
+				model: body.model?.trim(),
+			},
+			clientRequest,
+		);
+		return jsonResponse(result);
+	};
+}
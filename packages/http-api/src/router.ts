@@ -1,5 +1,7 @@
 import type { ClaudeLogsService } from "@better-ccflare/claude-logs";
 import { validateNumber } from "@better-ccflare/core";
+import type { MetricsCollector } from "@better-ccflare/metrics";
+import type { ReplayRequest, ReplayResult } from "@better-ccflare/types";
 import {
 	createAccountAddHandler,
 	createAccountAutoFallbackHandler,
@@ -13,7 +15,9 @@ import {
 	createAccountResumeHandler,
 	createAccountsListHandler,
 	createAccountTierUpdateHandler,
+	createBedrockAccountAddHandler,
 	createOpenAIAccountAddHandler,
+	createVertexAccountAddHandler,
 	createZaiAccountAddHandler,
 } from "./handlers/accounts";
 import {
@@ -24,20 +28,35 @@ import {
 } from "./handlers/agents";
 import { createAgentUpdateHandler } from "./handlers/agents-update";
 import { createAnalyticsHandler } from "./handlers/analytics";
+import {
+	createBudgetCreateHandler,
+	createBudgetDeleteHandler,
+	createBudgetsListHandler,
+	createBudgetUpdateHandler,
+} from "./handlers/budgets";
 import { createConfigHandlers } from "./handlers/config";
 import { createHealthHandler } from "./handlers/health";
+import {
+	createClientKeyCreateHandler,
+	createClientKeyDeleteHandler,
+	createClientKeyRevokeHandler,
+	createClientKeysListHandler,
+} from "./handlers/keys";
 import { createLogsStreamHandler } from "./handlers/logs";
 import { createLogsHistoryHandler } from "./handlers/logs-history";
 import {
 	createCleanupHandler,
 	createCompactHandler,
 } from "./handlers/maintenance";
+import { createMetricsHandler } from "./handlers/metrics";
 import {
 	createOAuthCallbackHandler,
 	createOAuthInitHandler,
 } from "./handlers/oauth";
+import { createReportsHandler } from "./handlers/reports";
 import {
 	createRequestPayloadHandler,
+	createRequestReplayHandler,
 	createRequestsDetailHandler,
 	createRequestsSummaryHandler,
 } from "./handlers/requests";
@@ -54,13 +73,21 @@ import {
 	createUsageSummaryHandler,
 } from "./handlers/usage";
 import type { APIContext } from "./types";
+import { authorizeAdmin, isClientKeyReplay } from "./utils/admin-auth";
 import { errorResponse } from "./utils/http-error";
 
 /**
- * Extended context with optional Claude logs service
+ * Extended context with optional Claude logs service, metrics collector and
+ * request replay
  */
 export interface APIRouterContext extends APIContext {
 	claudeLogsService?: ClaudeLogsService;
+	metrics?: MetricsCollector;
+	replayRequest?: (
+		requestId: string,
+		options: ReplayRequest,
+		clientRequest: Request | null,
+	) => Promise<ReplayResult>;
 }
 
 /**
@@ -90,6 +117,8 @@ export class APIRouter {
 		const accountAddHandler = createAccountAddHandler(dbOps, config);
 		const zaiAccountAddHandler = createZaiAccountAddHandler(dbOps);
 		const openaiAccountAddHandler = createOpenAIAccountAddHandler(dbOps);
+		const bedrockAccountAddHandler = createBedrockAccountAddHandler(dbOps);
+		const vertexAccountAddHandler = createVertexAccountAddHandler(dbOps);
 		const _accountRemoveHandler = createAccountRemoveHandler(dbOps);
 		const _accountTierHandler = createAccountTierUpdateHandler(dbOps);
 		const requestsSummaryHandler = createRequestsSummaryHandler(db);
@@ -106,6 +135,11 @@ export class APIRouter {
 		const cleanupHandler = createCleanupHandler(dbOps, config);
 		const compactHandler = createCompactHandler(dbOps);
 		const systemInfoHandler = createSystemInfoHandler();
+		const clientKeysListHandler = createClientKeysListHandler(dbOps);
+		const clientKeyCreateHandler = createClientKeyCreateHandler(dbOps);
+		const budgetsListHandler = createBudgetsListHandler(dbOps);
+		const budgetCreateHandler = createBudgetCreateHandler(dbOps);
+		const reportsHandler = createReportsHandler(dbOps);
 
 		// Register routes
 		this.handlers.set("GET:/health", () => healthHandler());
@@ -119,6 +153,16 @@ export class APIRouter {
 		this.handlers.set("POST:/api/accounts/openai-compatible", (req) =>
 			openaiAccountAddHandler(req),
 		);
+		this.handlers.set("POST:/api/accounts/bedrock", (req) =>
+			bedrockAccountAddHandler(req),
+		);
+		this.handlers.set("POST:/api/accounts/vertex", (req) =>
+			vertexAccountAddHandler(req),
+		);
+		this.handlers.set("GET:/api/keys", () => clientKeysListHandler());
+		this.handlers.set("POST:/api/keys", (req) => clientKeyCreateHandler(req));
+		this.handlers.set("GET:/api/budgets", () => budgetsListHandler());
+		this.handlers.set("POST:/api/budgets", (req) => budgetCreateHandler(req));
 		this.handlers.set("POST:/api/oauth/init", (req) => oauthInitHandler(req));
 		this.handlers.set("POST:/api/oauth/callback", (req) =>
 			oauthCallbackHandler(req),
@@ -176,6 +220,7 @@ export class APIRouter {
 		this.handlers.set("GET:/api/analytics", (_req, url) => {
 			return analyticsHandler(url.searchParams);
 		});
+		this.handlers.set("GET:/api/reports", (_req, url) => reportsHandler(url));
 		this.handlers.set("GET:/api/agents", () => agentsHandler());
 		this.handlers.set("POST:/api/agents/bulk-preference", (req) => {
 			const bulkHandler = createBulkAgentPreferenceUpdateHandler(
@@ -214,6 +259,12 @@ export class APIRouter {
 			const scanHandler = createScanHandler(this.context.claudeLogsService);
 			this.handlers.set("POST:/api/usage/scan", () => scanHandler());
 		}
+
+		// Prometheus scrape endpoint, registered when metrics are collected
+		if (this.context.metrics) {
+			const metricsHandler = createMetricsHandler(this.context.metrics);
+			this.handlers.set("GET:/metrics", () => metricsHandler());
+		}
 	}
 
 	/**
@@ -239,6 +290,18 @@ export class APIRouter {
 		const method = req.method;
 		const key = `${method}:${path}`;
 
+		// The management API and the metrics, which expose account names and
+		// spend, may require the admin token. Replays may use a client key
+		// instead, which the proxy authenticates.
+		const clientKeyReplay = isClientKeyReplay(req, path, this.context.dbOps);
+		if ((path.startsWith("/api/") || path === "/metrics") && !clientKeyReplay) {
+			try {
+				authorizeAdmin(req, path, this.context.dbOps);
+			} catch (error) {
+				return errorResponse(error);
+			}
+		}
+
 		// Check for exact match
 		const handler = this.handlers.get(key);
 		if (handler) {
@@ -258,6 +321,25 @@ export class APIRouter {
 			}
 		}
 
+		// Check for dynamic request replay endpoint
+		if (
+			path.startsWith("/api/requests/") &&
+			path.endsWith("/replay") &&
+			method === "POST" &&
+			this.context.replayRequest
+		) {
+			const parts = path.split("/");
+			const requestId = parts[3];
+			if (requestId && parts.length === 5) {
+				const replayHandler = createRequestReplayHandler(
+					this.context.replayRequest,
+				);
+				return await this.wrapHandler((req) =>
+					replayHandler(req, requestId, clientKeyReplay ? req : null),
+				)(req, url);
+			}
+		}
+
 		// Check for dynamic account endpoints
 		if (path.startsWith("/api/accounts/")) {
 			const parts = path.split("/");
@@ -359,6 +441,51 @@ export class APIRouter {
 			}
 		}
 
+		// Check for dynamic client key endpoints
+		if (path.startsWith("/api/keys/")) {
+			const parts = path.split("/");
+			const keyId = parts[3];
+
+			// Client key revoke
+			if (path.endsWith("/revoke") && method === "POST") {
+				const revokeHandler = createClientKeyRevokeHandler(this.context.dbOps);
+				return await this.wrapHandler((req) => revokeHandler(req, keyId))(
+					req,
+					url,
+				);
+			}
+
+			// Client key removal
+			if (parts.length === 4 && method === "DELETE") {
+				const deleteHandler = createClientKeyDeleteHandler(this.context.dbOps);
+				return await this.wrapHandler((req) => deleteHandler(req, keyId))(
+					req,
+					url,
+				);
+			}
+		}
+
+		if (path.startsWith("/api/budgets/")) {
+			const parts = path.split("/");
+			const budgetId = parts[3];
+
+			if (parts.length === 4 && method === "PATCH") {
+				const updateHandler = createBudgetUpdateHandler(this.context.dbOps);
+				return await this.wrapHandler((req) => updateHandler(req, budgetId))(
+					req,
+					url,
+				);
+			}
+
+			if (parts.length === 4 && method === "DELETE") {
+				const deleteHandler = createBudgetDeleteHandler(this.context.dbOps);
+				return await this.wrapHandler((req) => deleteHandler(req, budgetId))(
+					req,
+					url,
+				);
+			}
+		}
+
 		// Check for dynamic agent endpoints
 		if (path.startsWith("/api/agents/")) {
 			const parts = path.split("/");
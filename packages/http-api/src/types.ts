@@ -4,6 +4,7 @@ export type {
 	AccountResponse,
 	AnalyticsResponse,
 	APIContext,
+	ApiFormat,
 	CleanupResponse,
 	CompactResponse,
 	ConfigResponse,
@@ -13,6 +14,7 @@ export type {
 	RetentionGetResponse,
 	RetentionSetRequest,
 	StatsResponse,
+	StrategyResponse,
 	StrategyUpdateRequest,
 	TierUpdateRequest,
 	TimePoint,
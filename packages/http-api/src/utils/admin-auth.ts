@@ -0,0 +1,81 @@
+import {
+	ADMIN_TOKEN_ENV,
+	getAdminToken,
+	isAdminToken,
+	isClientKey,
+} from "@better-ccflare/core";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import { ADMIN_TOKEN_COOKIE } from "@better-ccflare/types";
+import { Forbidden, Unauthorized } from "./http-error";
+
+/**
+ * Reads the admin token from an Authorization bearer header, or from the
+ * cookie the dashboard sets
+ */
+function extractAdminToken(req: Request): string | null {
+	const authorization = req.headers.get("authorization");
+	if (authorization && /^Bearer\s+/i.test(authorization)) {
+		return authorization.replace(/^Bearer\s+/i, "");
+	}
+
+	for (const cookie of req.headers.get("cookie")?.split(";") ?? []) {
+		const [name, ...value] = cookie.trim().split("=");
+		if (name === ADMIN_TOKEN_COOKIE) {
+			return decodeURIComponent(value.join("="));
+		}
+	}
+	return null;
+}
+
+/**
+ * Whether a replay is made with a client key rather than the admin token.
+ * Only counts once keys have been issued, so the key is then checked by the
+ * proxy like any other request instead of being waved through.
+ */
+export function isClientKeyReplay(
+	req: Request,
+	path: string,
+	dbOps: DatabaseOperations,
+): boolean {
+	if (req.method !== "POST" || !/^\/api\/requests\/[^/]+\/replay$/.test(path)) {
+		return false;
+	}
+	const bearer = req.headers.get("authorization")?.replace(/^Bearer\s+/i, "");
+	return (
+		(isClientKey(req.headers.get("x-api-key")) || isClientKey(bearer)) &&
+		dbOps.hasClientKeys()
+	);
+}
+
+/**
+ * Guards the management API and /metrics. Client key management always needs
+ * the admin token; other routes need it once a token is configured or client keys
+ * have been issued, since otherwise anyone who can reach the server could
+ * read requests or add accounts past the key checks.
+ *
+ * @throws {HttpError} 401 if the token is missing or wrong
+ * @throws {HttpError} 403 if the route needs a token but none is configured
+ */
+export function authorizeAdmin(
+	req: Request,
+	path: string,
+	dbOps: DatabaseOperations,
+): void {
+	const token = getAdminToken();
+	const isKeyManagement = path === "/api/keys" || path.startsWith("/api/keys/");
+	if (!token && !isKeyManagement && !dbOps.hasClientKeys()) {
+		return;
+	}
+
+	if (!token) {
+		throw Forbidden(
+			isKeyManagement
+				? `Managing client keys over HTTP requires an admin token. Set ${ADMIN_TOKEN_ENV}, or use the CLI (--create-key)`
+				: `Client keys are in use, so the management API requires an admin token. Set ${ADMIN_TOKEN_ENV}`,
+		);
+	}
+
+	if (!isAdminToken(extractAdminToken(req), token)) {
+		throw Unauthorized("Missing or invalid admin token");
+	}
+}
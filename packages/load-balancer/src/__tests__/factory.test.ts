@@ -0,0 +1,32 @@
+import { StrategyName } from "@better-ccflare/core";
+import { createStrategy } from "../factory";
+import {
+	DrainToResetStrategy,
+	LeastUtilizationStrategy,
+	SessionStrategy,
+	TierWeightedStrategy,
+} from "../strategies";
+import { makeAccount, makeUsage, meta } from "../strategies/__tests__/fixtures";
+
+describe("createStrategy", () => {
+	it.each([
+		[StrategyName.Session, SessionStrategy],
+		[StrategyName.LeastUtilization, LeastUtilizationStrategy],
+		[StrategyName.TierWeighted, TierWeightedStrategy],
+		[StrategyName.DrainToReset, DrainToResetStrategy],
+	])("builds the %s strategy", (name, expected) => {
+		expect(createStrategy(name)).toBeInstanceOf(expected);
+	});
+
+	it("passes the options and usage provider through", () => {
+		const strategy = createStrategy(StrategyName.LeastUtilization, {
+			options: { utilizationWindow: "five_hour", maxUtilization: 50 },
+			getUsage: (id) => (id === "busy" ? makeUsage(60) : makeUsage(10)),
+		});
+		const accounts = [makeAccount("busy"), makeAccount("idle")];
+		expect(strategy.select(accounts, meta).map((a) => a.id)).toEqual([
+			"idle",
+			"busy",
+		]);
+	});
+});
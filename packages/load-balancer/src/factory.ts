@@ -0,0 +1,43 @@
+import { DEFAULT_STRATEGY_OPTIONS, TIME_CONSTANTS } from "@better-ccflare/core";
+import {
+	type LoadBalancingStrategy,
+	StrategyName,
+	type StrategyOptions,
+	type UsageDataProvider,
+} from "@better-ccflare/types";
+import {
+	DrainToResetStrategy,
+	LeastUtilizationStrategy,
+	SessionStrategy,
+	TierWeightedStrategy,
+} from "./strategies";
+
+export interface StrategyDependencies {
+	sessionDurationMs?: number;
+	options?: StrategyOptions;
+	getUsage?: UsageDataProvider;
+}
+
+/**
+ * Build the load balancing strategy registered under the given name
+ */
+export function createStrategy(
+	name: StrategyName,
+	deps: StrategyDependencies = {},
+): LoadBalancingStrategy {
+	const options = deps.options ?? DEFAULT_STRATEGY_OPTIONS;
+	const getUsage = deps.getUsage ?? (() => null);
+
+	switch (name) {
+		case StrategyName.LeastUtilization:
+			return new LeastUtilizationStrategy(getUsage, options);
+		case StrategyName.TierWeighted:
+			return new TierWeightedStrategy();
+		case StrategyName.DrainToReset:
+			return new DrainToResetStrategy(getUsage, options);
+		default:
+			return new SessionStrategy(
+				deps.sessionDurationMs ?? TIME_CONSTANTS.SESSION_DURATION_DEFAULT,
+			);
+	}
+}
@@ -1 +1,7 @@
-export { SessionStrategy } from "./strategies";
+export { createStrategy, type StrategyDependencies } from "./factory";
+export {
+	DrainToResetStrategy,
+	LeastUtilizationStrategy,
+	SessionStrategy,
+	TierWeightedStrategy,
+} from "./strategies";
@@ -0,0 +1,97 @@
+import type { FullUsageData } from "@better-ccflare/types";
+import { DrainToResetStrategy } from "../drain-to-reset";
+import { makeAccount, makeUsage, meta } from "./fixtures";
+
+const NOW = Date.UTC(2025, 5, 1, 12);
+
+function select(
+	accounts: ReturnType<typeof makeAccount>[],
+	usage: Record<string, FullUsageData | null>,
+) {
+	const strategy = new DrainToResetStrategy((id) => usage[id] ?? null, {
+		utilizationWindow: "five_hour",
+		maxUtilization: 90,
+	});
+	return strategy.select(accounts, meta).map((account) => account.id);
+}
+
+const inHours = (hours: number) =>
+	new Date(NOW + hours * 60 * 60 * 1000).toISOString();
+
+describe("DrainToResetStrategy", () => {
+	beforeEach(() => {
+		vi.useFakeTimers({ now: NOW });
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it("prefers the account whose window resets soonest", () => {
+		const accounts = [makeAccount("late"), makeAccount("soon")];
+		expect(
+			select(accounts, {
+				late: makeUsage(10, null, { fiveHour: inHours(4) }),
+				soon: makeUsage(60, null, { fiveHour: inHours(1) }),
+			}),
+		).toEqual(["soon", "late"]);
+	});
+
+	it("uses a rate limit reset before the usage endpoint's figure", () => {
+		const accounts = [
+			makeAccount("header", { rate_limit_reset: NOW + 30 * 60 * 1000 }),
+			makeAccount("usage"),
+		];
+		expect(
+			select(accounts, {
+				header: makeUsage(10, null, { fiveHour: inHours(4) }),
+				usage: makeUsage(10, null, { fiveHour: inHours(1) }),
+			}),
+		).toEqual(["header", "usage"]);
+	});
+
+	it("keeps exhausted accounts as fallbacks only", () => {
+		const accounts = [makeAccount("exhausted"), makeAccount("fresh")];
+		expect(
+			select(accounts, {
+				exhausted: makeUsage(95, null, { fiveHour: inHours(0.5) }),
+				fresh: makeUsage(10, null, { fiveHour: inHours(4) }),
+			}),
+		).toEqual(["fresh", "exhausted"]);
+	});
+
+	it("ranks accounts without a reset time last, by priority", () => {
+		const accounts = [
+			makeAccount("api-2", { priority: 2 }),
+			makeAccount("api-1", { priority: 1 }),
+			makeAccount("oauth"),
+		];
+		expect(
+			select(accounts, {
+				oauth: makeUsage(50, null, { fiveHour: inHours(2) }),
+			}),
+		).toEqual(["oauth", "api-1", "api-2"]);
+	});
+
+	it("ignores reset times in the past", () => {
+		const accounts = [
+			makeAccount("stale", { priority: 1 }),
+			makeAccount("future", { priority: 2 }),
+		];
+		expect(
+			select(accounts, {
+				stale: makeUsage(10, null, { fiveHour: inHours(-1) }),
+				future: makeUsage(10, null, { fiveHour: inHours(3) }),
+			}),
+		).toEqual(["future", "stale"]);
+	});
+
+	it("skips paused and rate-limited accounts", () => {
+		const accounts = [
+			makeAccount("paused", { paused: true }),
+			makeAccount("limited", { rate_limited_until: NOW + 1000 }),
+			makeAccount("ok"),
+		];
+		expect(select(accounts, {})).toEqual(["ok"]);
+	});
+});
@@ -0,0 +1,56 @@
+import type {
+	Account,
+	FullUsageData,
+	RequestMeta,
+} from "@better-ccflare/types";
+
+export function makeAccount(
+	id: string,
+	overrides: Partial<Account> = {},
+): Account {
+	return {
+		id,
+		name: id,
+		provider: "anthropic",
+		api_key: null,
+		refresh_token: "refresh",
+		access_token: "access",
+		expires_at: null,
+		request_count: 0,
+		total_requests: 0,
+		last_used: null,
+		created_at: 0,
+		rate_limited_until: null,
+		session_start: null,
+		session_request_count: 0,
+		account_tier: 1,
+		paused: false,
+		rate_limit_reset: null,
+		rate_limit_status: null,
+		rate_limit_remaining: null,
+		priority: 0,
+		auto_fallback_enabled: false,
+		auto_refresh_enabled: false,
+		custom_endpoint: null,
+		model_mappings: null,
+		...overrides,
+	};
+}
+
+export function makeUsage(
+	fiveHour: number | null,
+	sevenDay: number | null = null,
+	resetsAt: { fiveHour?: string; sevenDay?: string } = {},
+): FullUsageData {
+	return {
+		five_hour: { utilization: fiveHour, resets_at: resetsAt.fiveHour ?? null },
+		seven_day: { utilization: sevenDay, resets_at: resetsAt.sevenDay ?? null },
+	};
+}
+
+export const meta: RequestMeta = {
+	id: "req-1",
+	method: "POST",
+	path: "/v1/messages",
+	timestamp: 0,
+};
@@ -0,0 +1,93 @@
+import type { FullUsageData, StrategyOptions } from "@better-ccflare/types";
+import { LeastUtilizationStrategy } from "../least-utilization";
+import { makeAccount, makeUsage, meta } from "./fixtures";
+
+function select(
+	accounts: ReturnType<typeof makeAccount>[],
+	usage: Record<string, FullUsageData | null>,
+	options: StrategyOptions = { utilizationWindow: "max", maxUtilization: 90 },
+) {
+	const strategy = new LeastUtilizationStrategy(
+		(id) => usage[id] ?? null,
+		options,
+	);
+	return strategy.select(accounts, meta).map((account) => account.id);
+}
+
+describe("LeastUtilizationStrategy", () => {
+	it("orders accounts by utilization in the configured window", () => {
+		const accounts = [makeAccount("a"), makeAccount("b"), makeAccount("c")];
+		const usage = {
+			a: makeUsage(50, 10),
+			b: makeUsage(20, 70),
+			c: makeUsage(30, 30),
+		};
+
+		expect(select(accounts, usage)).toEqual(["c", "a", "b"]);
+		expect(
+			select(accounts, usage, {
+				utilizationWindow: "five_hour",
+				maxUtilization: 90,
+			}),
+		).toEqual(["b", "c", "a"]);
+		expect(
+			select(accounts, usage, {
+				utilizationWindow: "seven_day",
+				maxUtilization: 90,
+			}),
+		).toEqual(["a", "c", "b"]);
+	});
+
+	it("breaks ties by priority", () => {
+		const accounts = [
+			makeAccount("low", { priority: 10 }),
+			makeAccount("high", { priority: 1 }),
+		];
+		expect(
+			select(accounts, { low: makeUsage(40), high: makeUsage(40) }),
+		).toEqual(["high", "low"]);
+	});
+
+	it("ranks accounts without usage data after known ones, by priority", () => {
+		const accounts = [
+			makeAccount("api-2", { priority: 2 }),
+			makeAccount("api-1", { priority: 1 }),
+			makeAccount("oauth"),
+		];
+		expect(select(accounts, { oauth: makeUsage(80) })).toEqual([
+			"oauth",
+			"api-1",
+			"api-2",
+		]);
+	});
+
+	it("demotes accounts at or above maxUtilization below unknown usage", () => {
+		const accounts = [
+			makeAccount("full"),
+			makeAccount("at-limit"),
+			makeAccount("unknown"),
+			makeAccount("busy"),
+		];
+		const usage = {
+			full: makeUsage(99),
+			"at-limit": makeUsage(90),
+			busy: makeUsage(89),
+		};
+
+		expect(select(accounts, usage)).toEqual([
+			"busy",
+			"unknown",
+			"at-limit",
+			"full",
+		]);
+	});
+
+	it("skips paused and rate-limited accounts", () => {
+		const accounts = [
+			makeAccount("paused", { paused: true }),
+			makeAccount("limited", { rate_limited_until: Date.now() + 60_000 }),
+			makeAccount("recovered", { rate_limited_until: Date.now() - 1 }),
+		];
+		expect(select(accounts, {})).toEqual(["recovered"]);
+	});
+});
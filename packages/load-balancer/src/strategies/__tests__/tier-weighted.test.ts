@@ -0,0 +1,82 @@
+import { TierWeightedStrategy } from "../tier-weighted";
+import { makeAccount, meta } from "./fixtures";
+
+function countPicks(
+	strategy: TierWeightedStrategy,
+	accounts: ReturnType<typeof makeAccount>[],
+	rounds: number,
+): Record<string, number> {
+	const counts: Record<string, number> = {};
+	for (let i = 0; i < rounds; i++) {
+		const [chosen] = strategy.select(accounts, meta);
+		counts[chosen.id] = (counts[chosen.id] ?? 0) + 1;
+	}
+	return counts;
+}
+
+describe("TierWeightedStrategy", () => {
+	it("spreads traffic in proportion to the account tier", () => {
+		const accounts = [
+			makeAccount("tier-1", { account_tier: 1 }),
+			makeAccount("tier-5", { account_tier: 5 }),
+			makeAccount("tier-20", { account_tier: 20 }),
+		];
+		expect(countPicks(new TierWeightedStrategy(), accounts, 26 * 4)).toEqual({
+			"tier-1": 4,
+			"tier-5": 20,
+			"tier-20": 80,
+		});
+	});
+
+	it("interleaves picks instead of sending bursts", () => {
+		const strategy = new TierWeightedStrategy();
+		const accounts = [
+			makeAccount("a", { account_tier: 1 }),
+			makeAccount("b", { account_tier: 1 }),
+		];
+		const picks = Array.from(
+			{ length: 4 },
+			() => strategy.select(accounts, meta)[0].id,
+		);
+		expect(picks).toEqual(["a", "b", "a", "b"]);
+	});
+
+	it("returns the other accounts as fallbacks, higher tiers first", () => {
+		const accounts = [
+			makeAccount("tier-1", { account_tier: 1 }),
+			makeAccount("tier-5-low", { account_tier: 5, priority: 2 }),
+			makeAccount("tier-5-high", { account_tier: 5, priority: 1 }),
+			makeAccount("tier-20", { account_tier: 20 }),
+		];
+		const selected = new TierWeightedStrategy()
+			.select(accounts, meta)
+			.map((account) => account.id);
+		expect(selected).toEqual([
+			"tier-20",
+			"tier-5-high",
+			"tier-5-low",
+			"tier-1",
+		]);
+	});
+
+	it("treats a missing tier as weight one", () => {
+		const accounts = [
+			makeAccount("unset", { account_tier: 0 }),
+			makeAccount("tier-1", { account_tier: 1 }),
+		];
+		expect(countPicks(new TierWeightedStrategy(), accounts, 4)).toEqual({
+			unset: 2,
+			"tier-1": 2,
+		});
+	});
+
+	it("skips unavailable accounts", () => {
+		const accounts = [
+			makeAccount("paused", { account_tier: 20, paused: true }),
+			makeAccount("ok"),
+		];
+		const strategy = new TierWeightedStrategy();
+		expect(strategy.select(accounts, meta).map((a) => a.id)).toEqual(["ok"]);
+		expect(strategy.select([accounts[0]], meta)).toEqual([]);
+	});
+});
@@ -0,0 +1,62 @@
+import { getResetTime, getWindowUtilization } from "../usage";
+import { makeAccount, makeUsage } from "./fixtures";
+
+const NOW = Date.UTC(2025, 5, 1, 12);
+const at = (hours: number) => new Date(NOW + hours * 60 * 60 * 1000);
+
+describe("getWindowUtilization", () => {
+	it("reads the configured window", () => {
+		const usage = makeUsage(30, 60);
+		expect(getWindowUtilization(usage, "five_hour")).toBe(30);
+		expect(getWindowUtilization(usage, "seven_day")).toBe(60);
+		expect(getWindowUtilization(usage, "max")).toBe(60);
+	});
+
+	it("returns null when nothing is known", () => {
+		expect(getWindowUtilization(null, "max")).toBeNull();
+		expect(getWindowUtilization({}, "five_hour")).toBeNull();
+		expect(getWindowUtilization(makeUsage(null, null), "max")).toBeNull();
+		expect(getWindowUtilization(makeUsage(null, 40), "max")).toBe(40);
+	});
+});
+
+describe("getResetTime", () => {
+	const usage = makeUsage(10, 10, {
+		fiveHour: at(2).toISOString(),
+		sevenDay: at(48).toISOString(),
+	});
+
+	it("prefers a future rate limit reset", () => {
+		const account = makeAccount("a", { rate_limit_reset: at(3).getTime() });
+		expect(getResetTime(account, usage, "five_hour", NOW)).toBe(
+			at(3).getTime(),
+		);
+	});
+
+	it("falls back to the window's resets_at", () => {
+		const account = makeAccount("a", { rate_limit_reset: at(-1).getTime() });
+		expect(getResetTime(account, usage, "five_hour", NOW)).toBe(
+			at(2).getTime(),
+		);
+		expect(getResetTime(account, usage, "seven_day", NOW)).toBe(
+			at(48).getTime(),
+		);
+		expect(getResetTime(account, usage, "max", NOW)).toBe(at(2).getTime());
+	});
+
+	it("ignores past and invalid reset times", () => {
+		const account = makeAccount("a");
+		expect(
+			getResetTime(
+				account,
+				makeUsage(10, 10, {
+					fiveHour: at(-1).toISOString(),
+					sevenDay: "not a date",
+				}),
+				"max",
+				NOW,
+			),
+		).toBeNull();
+		expect(getResetTime(account, null, "max", NOW)).toBeNull();
+	});
+});
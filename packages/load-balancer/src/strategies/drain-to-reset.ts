@@ -0,0 +1,64 @@
+import {
+	DEFAULT_STRATEGY_OPTIONS,
+	isAccountAvailable,
+} from "@better-ccflare/core";
+import { Logger } from "@better-ccflare/logger";
+import type {
+	Account,
+	LoadBalancingStrategy,
+	RequestMeta,
+	StrategyOptions,
+	UsageDataProvider,
+} from "@better-ccflare/types";
+import { getResetTime, getWindowUtilization } from "./usage";
+
+/**
+ * Prefers the account whose usage window resets soonest, so quota that is
+ * about to be refilled anyway gets used up first. Accounts at or above
+ * maxUtilization are kept as fallbacks only.
+ */
+export class DrainToResetStrategy implements LoadBalancingStrategy {
+	private log = new Logger("DrainToResetStrategy");
+
+	constructor(
+		private getUsage: UsageDataProvider,
+		private options: StrategyOptions = DEFAULT_STRATEGY_OPTIONS,
+	) {}
+
+	select(accounts: Account[], _meta: RequestMeta): Account[] {
+		const now = Date.now();
+		const { utilizationWindow, maxUtilization } = this.options;
+
+		const ranked = accounts
+			.filter((account) => isAccountAvailable(account, now))
+			.map((account) => {
+				const usage = this.getUsage(account.id);
+				const utilization = getWindowUtilization(usage, utilizationWindow);
+				return {
+					account,
+					resetAt: getResetTime(account, usage, utilizationWindow, now),
+					exhausted: utilization !== null && utilization >= maxUtilization,
+				};
+			})
+			.sort((a, b) => {
+				if (a.exhausted !== b.exhausted) return a.exhausted ? 1 : -1;
+				if (a.resetAt !== b.resetAt) {
+					if (a.resetAt === null) return 1;
+					if (b.resetAt === null) return -1;
+					return a.resetAt - b.resetAt;
+				}
+				return a.account.priority - b.account.priority;
+			});
+
+		if (ranked.length > 0) {
+			const first = ranked[0];
+			this.log.info(
+				first.resetAt
+					? `Selected account ${first.account.name} (resets at ${new Date(first.resetAt).toISOString()})`
+					: `Selected account ${first.account.name} (no reset time known)`,
+			);
+		}
+
+		return ranked.map((entry) => entry.account);
+	}
+}
@@ -7,6 +7,10 @@ import type {
 	StrategyStore,
 } from "@better-ccflare/types";
 
+export { DrainToResetStrategy } from "./drain-to-reset";
+export { LeastUtilizationStrategy } from "./least-utilization";
+export { TierWeightedStrategy } from "./tier-weighted";
+
 export class SessionStrategy implements LoadBalancingStrategy {
 	private sessionDurationMs: number;
 	private store: StrategyStore | null = null;
@@ -0,0 +1,68 @@
+import {
+	DEFAULT_STRATEGY_OPTIONS,
+	isAccountAvailable,
+} from "@better-ccflare/core";
+import { Logger } from "@better-ccflare/logger";
+import type {
+	Account,
+	LoadBalancingStrategy,
+	RequestMeta,
+	StrategyOptions,
+	UsageDataProvider,
+} from "@better-ccflare/types";
+import { getWindowUtilization } from "./usage";
+
+/**
+ * Routes each request to the account with the lowest reported utilization.
+ * Accounts without usage data (e.g. API key accounts) are ranked after
+ * accounts with known figures, ordered by priority. Accounts at or above
+ * maxUtilization come last, as fallbacks only.
+ */
+export class LeastUtilizationStrategy implements LoadBalancingStrategy {
+	private log = new Logger("LeastUtilizationStrategy");
+
+	constructor(
+		private getUsage: UsageDataProvider,
+		private options: StrategyOptions = DEFAULT_STRATEGY_OPTIONS,
+	) {}
+
+	select(accounts: Account[], _meta: RequestMeta): Account[] {
+		const now = Date.now();
+		const { utilizationWindow, maxUtilization } = this.options;
+
+		const ranked = accounts
+			.filter((account) => isAccountAvailable(account, now))
+			.map((account) => {
+				const utilization = getWindowUtilization(
+					this.getUsage(account.id),
+					utilizationWindow,
+				);
+				return {
+					account,
+					utilization,
+					exhausted: utilization !== null && utilization >= maxUtilization,
+				};
+			})
+			.sort((a, b) => {
+				if (a.exhausted !== b.exhausted) return a.exhausted ? 1 : -1;
+				if (a.utilization === null && b.utilization === null) {
+					return a.account.priority - b.account.priority;
+				}
+				if (a.utilization === null) return 1;
+				if (b.utilization === null) return -1;
+				if (a.utilization !== b.utilization) {
+					return a.utilization - b.utilization;
+				}
+				return a.account.priority - b.account.priority;
+			});
+
+		if (ranked.length > 0) {
+			const first = ranked[0];
+			this.log.info(
+				`Selected account ${first.account.name} (${first.utilization ?? "unknown"}% ${utilizationWindow} utilization)`,
+			);
+		}
+
+		return ranked.map((entry) => entry.account);
+	}
+}
@@ -0,0 +1,65 @@
+import { isAccountAvailable } from "@better-ccflare/core";
+import { Logger } from "@better-ccflare/logger";
+import type {
+	Account,
+	LoadBalancingStrategy,
+	RequestMeta,
+} from "@better-ccflare/types";
+
+/**
+ * Smooth weighted round-robin where each account's weight is its
+ * account_tier, so a tier-20 account receives twenty times the traffic
+ * of a tier-1 account over time.
+ */
+export class TierWeightedStrategy implements LoadBalancingStrategy {
+	private currentWeights = new Map<string, number>();
+	private log = new Logger("TierWeightedStrategy");
+
+	select(accounts: Account[], _meta: RequestMeta): Account[] {
+		const now = Date.now();
+		const available = accounts.filter((account) =>
+			isAccountAvailable(account, now),
+		);
+
+		if (available.length === 0) return [];
+
+		// Forget accounts that are no longer in rotation
+		const availableIds = new Set(available.map((account) => account.id));
+		for (const id of this.currentWeights.keys()) {
+			if (!availableIds.has(id)) {
+				this.currentWeights.delete(id);
+			}
+		}
+
+		let totalWeight = 0;
+		let chosen: Account | null = null;
+		let chosenWeight = Number.NEGATIVE_INFINITY;
+
+		for (const account of available) {
+			const weight = Math.max(1, account.account_tier || 1);
+			const current = (this.currentWeights.get(account.id) ?? 0) + weight;
+			this.currentWeights.set(account.id, current);
+			totalWeight += weight;
+
+			if (current > chosenWeight) {
+				chosen = account;
+				chosenWeight = current;
+			}
+		}
+
+		if (!chosen) return [];
+
+		this.currentWeights.set(chosen.id, chosenWeight - totalWeight);
+		this.log.info(
+			`Selected account ${chosen.name} (tier ${chosen.account_tier})`,
+		);
+
+		// Fallbacks: higher tiers first, then by priority
+		const others = available
+			.filter((account) => account.id !== chosen.id)
+			.sort(
+				(a, b) => b.account_tier - a.account_tier || a.priority - b.priority,
+			);
+		return [chosen, ...others];
+	}
+}
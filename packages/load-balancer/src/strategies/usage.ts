@@ -0,0 +1,61 @@
+import type {
+	Account,
+	FullUsageData,
+	UtilizationWindow,
+} from "@better-ccflare/types";
+
+/**
+ * Read the utilization percentage for the configured window.
+ * Returns null when no usage figures are known for the account.
+ */
+export function getWindowUtilization(
+	usage: FullUsageData | null,
+	window: UtilizationWindow,
+): number | null {
+	if (!usage) return null;
+
+	const fiveHour = usage.five_hour?.utilization ?? null;
+	const sevenDay = usage.seven_day?.utilization ?? null;
+
+	if (window === "five_hour") return fiveHour;
+	if (window === "seven_day") return sevenDay;
+
+	if (fiveHour === null && sevenDay === null) return null;
+	return Math.max(fiveHour ?? 0, sevenDay ?? 0);
+}
+
+/**
+ * Determine when the account's usage window resets (ms since epoch).
+ * Prefers the reset time reported in rate limit headers and falls back to
+ * the resets_at figure from the usage endpoint.
+ */
+export function getResetTime(
+	account: Account,
+	usage: FullUsageData | null,
+	window: UtilizationWindow,
+	now: number,
+): number | null {
+	if (account.rate_limit_reset && account.rate_limit_reset > now) {
+		return account.rate_limit_reset;
+	}
+
+	if (!usage) return null;
+
+	const candidates =
+		window === "five_hour"
+			? [usage.five_hour]
+			: window === "seven_day"
+				? [usage.seven_day]
+				: [usage.five_hour, usage.seven_day];
+
+	let soonest: number | null = null;
+	for (const candidate of candidates) {
+		if (!candidate?.resets_at) continue;
+		const resetAt = Date.parse(candidate.resets_at);
+		if (Number.isNaN(resetAt) || resetAt <= now) continue;
+		if (soonest === null || resetAt < soonest) {
+			soonest = resetAt;
+		}
+	}
+	return soonest;
+}
@@ -0,0 +1,188 @@
+import { type RequestEvt, requestEvents } from "@better-ccflare/core";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import type { Account, RequestResponse } from "@better-ccflare/types";
+import { MetricsCollector } from "../collector";
+
+function account(id: string, overrides: Partial<Account> = {}): Account {
+	return {
+		id,
+		name: `${id}-name`,
+		provider: "anthropic",
+		paused: false,
+		rate_limited_until: null,
+		rate_limit_status: null,
+		rate_limit_remaining: null,
+		rate_limit_reset: null,
+		...overrides,
+	} as Account;
+}
+
+function summary(overrides: Partial<RequestResponse> = {}): RequestEvt {
+	return {
+		type: "summary",
+		payload: {
+			id: crypto.randomUUID(),
+			timestamp: new Date().toISOString(),
+			method: "POST",
+			path: "/v1/messages",
+			accountUsed: "acc-1",
+			statusCode: 200,
+			success: true,
+			errorMessage: null,
+			responseTimeMs: 1500,
+			failoverAttempts: 0,
+			model: "claude-sonnet-4",
+			inputTokens: 10,
+			outputTokens: 20,
+			cacheReadInputTokens: 0,
+			costUsd: 0.25,
+			...overrides,
+		},
+	};
+}
+
+// Lines for one metric, without HELP and TYPE
+function series(output: string, name: string): string[] {
+	return output
+		.split("\n")
+		.filter(
+			(line) => line.startsWith(`${name}{`) || line.startsWith(`${name} `),
+		);
+}
+
+describe("MetricsCollector", () => {
+	let accounts: Account[];
+	let collector: MetricsCollector;
+
+	beforeEach(() => {
+		accounts = [account("acc-1")];
+		const dbOps = {
+			getAllAccounts: () => accounts,
+		} as unknown as DatabaseOperations;
+		collector = new MetricsCollector({
+			dbOps,
+			getUsage: (id) =>
+				id === "acc-1"
+					? {
+							five_hour: { utilization: 42, resets_at: null },
+							seven_day: { utilization: null, resets_at: null },
+						}
+					: null,
+			asyncWriter: {
+				getStats: () => ({ queueDepth: 3, droppedJobs: 1 }),
+			} as never,
+		});
+		collector.render(); // loads account labels
+		collector.start();
+	});
+
+	afterEach(() => {
+		collector.stop();
+	});
+
+	it("counts requests, tokens and cost from summaries", () => {
+		requestEvents.emit("event", summary());
+		requestEvents.emit("event", summary({ agentUsed: "reviewer" }));
+		requestEvents.emit("event", summary({ replayOf: "original" }));
+
+		const output = collector.render();
+		expect(series(output, "better_ccflare_requests_total")).toEqual([
+			'better_ccflare_requests_total{account="acc-1-name",provider="anthropic",model="claude-sonnet-4",status="200",agent="none"} 1',
+			'better_ccflare_requests_total{account="acc-1-name",provider="anthropic",model="claude-sonnet-4",status="200",agent="reviewer"} 1',
+		]);
+		expect(series(output, "better_ccflare_tokens_total")).toEqual([
+			'better_ccflare_tokens_total{account="acc-1-name",provider="anthropic",model="claude-sonnet-4",type="input"} 20',
+			'better_ccflare_tokens_total{account="acc-1-name",provider="anthropic",model="claude-sonnet-4",type="output"} 40',
+		]);
+		expect(series(output, "better_ccflare_cost_usd_total")).toEqual([
+			'better_ccflare_cost_usd_total{account="acc-1-name",provider="anthropic",model="claude-sonnet-4"} 0.5',
+		]);
+		expect(output).toContain(
+			'better_ccflare_request_duration_seconds_bucket{account="acc-1-name",provider="anthropic",model="claude-sonnet-4",status="200",agent="none",le="2.5"} 1',
+		);
+	});
+
+	it("counts failovers and refresh failures", () => {
+		requestEvents.emit("event", {
+			type: "failover",
+			requestId: "r1",
+			accountId: "acc-1",
+			attempt: 0,
+			reason: "rate_limited",
+			error: null,
+			startTime: 0,
+			endTime: 1,
+		});
+		requestEvents.emit("event", {
+			type: "token_refresh_failed",
+			accountId: "deleted",
+			provider: "anthropic",
+			error: "invalid_grant",
+			timestamp: 0,
+		});
+
+		const output = collector.render();
+		expect(series(output, "better_ccflare_failovers_total")).toEqual([
+			'better_ccflare_failovers_total{account="acc-1-name",provider="anthropic",reason="rate_limited"} 1',
+		]);
+		expect(
+			series(output, "better_ccflare_token_refresh_failures_total"),
+		).toEqual([
+			'better_ccflare_token_refresh_failures_total{account="deleted",provider="anthropic"} 1',
+		]);
+	});
+
+	it("reads account state on each scrape", () => {
+		accounts = [
+			account("acc-1", {
+				rate_limited_until: Date.now() + 60_000,
+				rate_limit_status: "rate_limited",
+				rate_limit_remaining: 0,
+				rate_limit_reset: 1_750_000_000_500,
+			}),
+			account("acc-2", { paused: true }),
+		];
+
+		const output = collector.render();
+		expect(series(output, "better_ccflare_account_rate_limited")).toEqual([
+			'better_ccflare_account_rate_limited{account="acc-1-name",provider="anthropic"} 1',
+			'better_ccflare_account_rate_limited{account="acc-2-name",provider="anthropic"} 0',
+		]);
+		expect(series(output, "better_ccflare_account_paused")).toContain(
+			'better_ccflare_account_paused{account="acc-2-name",provider="anthropic"} 1',
+		);
+		expect(
+			series(
+				output,
+				"better_ccflare_account_rate_limit_reset_timestamp_seconds",
+			),
+		).toEqual([
+			'better_ccflare_account_rate_limit_reset_timestamp_seconds{account="acc-1-name",provider="anthropic"} 1750000000',
+		]);
+		expect(
+			series(output, "better_ccflare_account_usage_utilization_percent"),
+		).toEqual([
+			'better_ccflare_account_usage_utilization_percent{account="acc-1-name",provider="anthropic",window="five_hour"} 42',
+		]);
+
+		// Removed accounts stop being reported
+		accounts = [];
+		expect(series(collector.render(), "better_ccflare_account_paused")).toEqual(
+			[],
+		);
+	});
+
+	it("reports both database writers", () => {
+		requestEvents.emit("event", {
+			...summary(),
+			writer: { queueDepth: 7, droppedJobs: 0 },
+		} as RequestEvt);
+
+		expect(
+			series(collector.render(), "better_ccflare_db_writer_queue_depth"),
+		).toEqual([
+			'better_ccflare_db_writer_queue_depth{writer="main"} 3',
+			'better_ccflare_db_writer_queue_depth{writer="post_processor"} 7',
+		]);
+	});
+});
@@ -0,0 +1,255 @@
+import { type RequestEvt, requestEvents } from "@better-ccflare/core";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import type { RequestResponse } from "@better-ccflare/types";
+import { OtlpTraceExporter } from "../otlp";
+
+const dbOps = {
+	getAllAccounts: () => [
+		{ id: "acc-1", name: "primary", provider: "anthropic" },
+		{ id: "acc-2", name: "backup", provider: "anthropic" },
+	],
+} as unknown as DatabaseOperations;
+
+const START = Date.UTC(2025, 5, 1);
+
+function failover(
+	accountId: string,
+	attempt: number,
+	reason: "rate_limited" | "error" | "exhausted",
+): RequestEvt {
+	return {
+		type: "failover",
+		requestId: "req-1",
+		accountId,
+		attempt,
+		reason,
+		error: reason === "exhausted" ? "All accounts failed" : null,
+		startTime: START + attempt * 100,
+		endTime: START + attempt * 100 + 50,
+	};
+}
+
+function summary(overrides: Partial<RequestResponse> = {}): RequestEvt {
+	return {
+		type: "summary",
+		payload: {
+			id: "req-1",
+			timestamp: new Date(START).toISOString(),
+			method: "POST",
+			path: "/v1/messages",
+			accountUsed: "acc-2",
+			statusCode: 200,
+			success: true,
+			errorMessage: null,
+			responseTimeMs: 1500,
+			failoverAttempts: 1,
+			model: "claude-sonnet-4",
+			inputTokens: 10,
+			costUsd: 0.25,
+			...overrides,
+		},
+	};
+}
+
+interface ExportedSpan {
+	traceId: string;
+	spanId: string;
+	parentSpanId?: string;
+	name: string;
+	kind: number;
+	startTimeUnixNano: string;
+	endTimeUnixNano: string;
+	attributes: { key: string; value: Record<string, unknown> }[];
+	status: { code: number; message?: string };
+}
+
+function attribute(span: ExportedSpan, key: string) {
+	return span.attributes.find((a) => a.key === key)?.value;
+}
+
+describe("OtlpTraceExporter", () => {
+	let fetchMock: ReturnType<typeof vi.fn>;
+
+	beforeEach(() => {
+		fetchMock = vi.fn(async () => new Response(null, { status: 200 }));
+		vi.stubGlobal("fetch", fetchMock);
+	});
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	async function exportSpans(
+		events: RequestEvt[],
+		exporter = new OtlpTraceExporter(dbOps, {
+			endpoint: "http://collector:4318/v1/traces",
+		}),
+	) {
+		exporter.start();
+		for (const evt of events) requestEvents.emit("event", evt);
+		await exporter.stop();
+
+		expect(fetchMock).toHaveBeenCalledTimes(1);
+		const [url, init] = fetchMock.mock.calls[0] as [string, RequestInit];
+		const body = JSON.parse(init.body as string);
+		return {
+			url,
+			init,
+			body,
+			spans: body.resourceSpans[0].scopeSpans[0].spans as ExportedSpan[],
+		};
+	}
+
+	it("exports a server span with a child span per attempt", async () => {
+		const { url, init, body, spans } = await exportSpans([
+			failover("acc-1", 0, "rate_limited"),
+			summary(),
+		]);
+
+		expect(url).toBe("http://collector:4318/v1/traces");
+		expect(init.headers).toMatchObject({ "content-type": "application/json" });
+		expect(body.resourceSpans[0].resource.attributes).toEqual([
+			{ key: "service.name", value: { stringValue: "better-ccflare" } },
+		]);
+		expect(body.resourceSpans[0].scopeSpans[0].scope).toEqual({
+			name: "better-ccflare",
+		});
+
+		const [server, failed, final] = spans;
+		expect(spans).toHaveLength(3);
+		expect(server).toMatchObject({
+			name: "POST /v1/messages",
+			kind: 2,
+			startTimeUnixNano: `${START}000000`,
+			endTimeUnixNano: `${START + 1500}000000`,
+			status: { code: 1 },
+		});
+		expect(server.traceId).toMatch(/^[0-9a-f]{32}$/);
+		expect(server.spanId).toMatch(/^[0-9a-f]{16}$/);
+		expect(server.parentSpanId).toBeUndefined();
+		expect(attribute(server, "http.response.status_code")).toEqual({
+			intValue: "200",
+		});
+		expect(attribute(server, "better_ccflare.cost_usd")).toEqual({
+			doubleValue: 0.25,
+		});
+		expect(attribute(server, "better_ccflare.account.name")).toEqual({
+			stringValue: "backup",
+		});
+		// Unset fields are left out rather than sent as empty values
+		expect(attribute(server, "better_ccflare.agent")).toBeUndefined();
+
+		expect(failed).toMatchObject({
+			traceId: server.traceId,
+			parentSpanId: server.spanId,
+			name: "attempt 1",
+			kind: 3,
+			status: { code: 2, message: "rate_limited" },
+		});
+		expect(attribute(failed, "better_ccflare.account.name")).toEqual({
+			stringValue: "primary",
+		});
+
+		expect(final).toMatchObject({
+			traceId: server.traceId,
+			parentSpanId: server.spanId,
+			name: "attempt 2",
+			startTimeUnixNano: `${START + 50}000000`,
+			status: { code: 1 },
+		});
+	});
+
+	it("marks failed requests as errors", async () => {
+		const { spans } = await exportSpans([
+			summary({
+				statusCode: 500,
+				success: false,
+				errorMessage: "upstream failed",
+				failoverAttempts: 0,
+			}),
+		]);
+
+		expect(spans[0].status).toEqual({ code: 2, message: "upstream failed" });
+		expect(spans[1]).toMatchObject({
+			name: "attempt 1",
+			startTimeUnixNano: `${START}000000`,
+			status: { code: 2 },
+		});
+	});
+
+	it("exports requests that exhausted every account", async () => {
+		const { spans } = await exportSpans([
+			failover("acc-1", 0, "error"),
+			failover("acc-2", 1, "exhausted"),
+		]);
+
+		expect(spans).toHaveLength(2);
+		expect(spans[0]).toMatchObject({
+			name: "proxy request",
+			status: { code: 2, message: "All accounts failed" },
+		});
+		expect(attribute(spans[0], "http.response.status_code")).toEqual({
+			intValue: "503",
+		});
+		expect(spans[1]).toMatchObject({
+			parentSpanId: spans[0].spanId,
+			name: "attempt 1",
+		});
+	});
+
+	it("does not export when nothing was recorded", async () => {
+		const exporter = new OtlpTraceExporter(dbOps, {
+			endpoint: "http://collector:4318/v1/traces",
+		});
+		exporter.start();
+		await exporter.stop();
+		expect(fetchMock).not.toHaveBeenCalled();
+	});
+
+	describe("fromEnv", () => {
+		it("stays off without an endpoint or when disabled", () => {
+			expect(OtlpTraceExporter.fromEnv(dbOps, {})).toBeNull();
+			expect(
+				OtlpTraceExporter.fromEnv(dbOps, {
+					OTEL_EXPORTER_OTLP_ENDPOINT: "http://collector:4318",
+					OTEL_TRACES_EXPORTER: "none",
+				}),
+			).toBeNull();
+		});
+
+		it("reads the endpoint, headers and service name", async () => {
+			const exporter = OtlpTraceExporter.fromEnv(dbOps, {
+				OTEL_EXPORTER_OTLP_ENDPOINT: "http://collector:4318/",
+				OTEL_EXPORTER_OTLP_HEADERS: "authorization=Bearer%20abc,x-team=a",
+				OTEL_EXPORTER_OTLP_TRACES_HEADERS: "x-team=b",
+				OTEL_SERVICE_NAME: "proxy",
+			});
+			expect(exporter).not.toBeNull();
+
+			const { url, init, body } = await exportSpans(
+				[summary()],
+				exporter as OtlpTraceExporter,
+			);
+			expect(url).toBe("http://collector:4318/v1/traces");
+			expect(init.headers).toMatchObject({
+				authorization: "Bearer abc",
+				"x-team": "b",
+			});
+			expect(body.resourceSpans[0].resource.attributes[0].value).toEqual({
+				stringValue: "proxy",
+			});
+		});
+
+		it("prefers the traces-specific endpoint", async () => {
+			const exporter = OtlpTraceExporter.fromEnv(dbOps, {
+				OTEL_EXPORTER_OTLP_ENDPOINT: "http://collector:4318",
+				OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: "http://traces:4318/custom",
+			});
+			const { url } = await exportSpans(
+				[summary()],
+				exporter as OtlpTraceExporter,
+			);
+			expect(url).toBe("http://traces:4318/custom");
+		});
+	});
+});
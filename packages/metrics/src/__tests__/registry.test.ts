@@ -0,0 +1,69 @@
+import { Counter, Gauge, Histogram, MetricsRegistry } from "../registry";
+
+describe("Prometheus registry", () => {
+	it("renders counters with HELP, TYPE and escaped labels", () => {
+		const registry = new MetricsRegistry();
+		const counter = registry.register(
+			new Counter("requests_total", "Requests\nby status", ["status", "note"]),
+		);
+		counter.inc({ status: "200", note: 'say "hi"\\' });
+		counter.inc({ status: "200", note: 'say "hi"\\' }, 2);
+		counter.inc({ status: "500" });
+
+		expect(registry.render()).toBe(
+			[
+				"# HELP requests_total Requests\\nby status",
+				"# TYPE requests_total counter",
+				'requests_total{status="200",note="say \\"hi\\"\\\\"} 3',
+				'requests_total{status="500",note=""} 1',
+				"",
+			].join("\n"),
+		);
+		expect(counter.get({ status: "500" })).toBe(1);
+	});
+
+	it("refuses to decrease a counter", () => {
+		expect(() => new Counter("c", "c").inc({}, -1)).toThrow();
+	});
+
+	it("renders gauges without labels and forgets them on reset", () => {
+		const gauge = new Gauge("queue_depth", "Queue depth");
+		gauge.set({}, Number.POSITIVE_INFINITY);
+		expect(gauge.render()).toEqual([
+			"# HELP queue_depth Queue depth",
+			"# TYPE queue_depth gauge",
+			"queue_depth +Inf",
+		]);
+
+		gauge.reset();
+		expect(gauge.render()).toHaveLength(2);
+	});
+
+	it("renders cumulative histogram buckets", () => {
+		const histogram = new Histogram(
+			"duration_seconds",
+			"Duration",
+			["model"],
+			[0.5, 1],
+		);
+		histogram.observe({ model: "sonnet" }, 0.2);
+		histogram.observe({ model: "sonnet" }, 0.7);
+		histogram.observe({ model: "sonnet" }, 3);
+
+		expect(histogram.render().slice(2)).toEqual([
+			'duration_seconds_bucket{model="sonnet",le="0.5"} 1',
+			'duration_seconds_bucket{model="sonnet",le="1"} 2',
+			'duration_seconds_bucket{model="sonnet",le="+Inf"} 3',
+			'duration_seconds_sum{model="sonnet"} 3.9',
+			'duration_seconds_count{model="sonnet"} 3',
+		]);
+	});
+
+	it("rejects duplicate metric names", () => {
+		const registry = new MetricsRegistry();
+		registry.register(new Counter("dup", "first"));
+		expect(() => registry.register(new Gauge("dup", "second"))).toThrow(
+			"already registered",
+		);
+	});
+});
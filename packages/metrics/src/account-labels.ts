@@ -0,0 +1,52 @@
+import type { DatabaseOperations } from "@better-ccflare/database";
+import { type Account, NO_ACCOUNT_ID } from "@better-ccflare/types";
+
+export interface AccountLabel {
+	account: string;
+	provider: string;
+}
+
+const UNKNOWN_ACCOUNT: AccountLabel = { account: "none", provider: "unknown" };
+
+// Accounts that are missing from the cache trigger a reload at most this often
+const RELOAD_INTERVAL_MS = 30000;
+
+/**
+ * Resolves account ids from request events to the account name and
+ * provider used as metric labels and span attributes, without a database
+ * lookup per request.
+ */
+export class AccountLabels {
+	private labels = new Map<string, AccountLabel>();
+	private lastReload = 0;
+
+	constructor(private dbOps: DatabaseOperations) {}
+
+	/**
+	 * Refresh the cache from an account list the caller already loaded
+	 */
+	update(accounts: Account[]): void {
+		this.labels = new Map(
+			accounts.map((account) => [
+				account.id,
+				{ account: account.name, provider: account.provider },
+			]),
+		);
+		this.lastReload = Date.now();
+	}
+
+	resolve(accountId: string | null | undefined): AccountLabel {
+		if (!accountId || accountId === NO_ACCOUNT_ID) return UNKNOWN_ACCOUNT;
+
+		const cached = this.labels.get(accountId);
+		if (cached) return cached;
+
+		if (Date.now() - this.lastReload >= RELOAD_INTERVAL_MS) {
+			this.update(this.dbOps.getAllAccounts());
+			const reloaded = this.labels.get(accountId);
+			if (reloaded) return reloaded;
+		}
+		// Deleted account: keep the id so its series stay distinguishable
+		return { account: accountId, provider: "unknown" };
+	}
+}
@@ -0,0 +1,334 @@
+import {
+	type FailoverEvt,
+	type RequestEvt,
+	type RequestSummaryEvt,
+	requestEvents,
+	type TokenRefreshFailedEvt,
+} from "@better-ccflare/core";
+import type {
+	AsyncDbWriter,
+	DatabaseOperations,
+} from "@better-ccflare/database";
+import { Logger } from "@better-ccflare/logger";
+import type {
+	Account,
+	FullUsageData,
+	UsageDataProvider,
+} from "@better-ccflare/types";
+import { AccountLabels } from "./account-labels";
+import { Counter, Gauge, Histogram, MetricsRegistry } from "./registry";
+
+const log = new Logger("MetricsCollector");
+
+const PREFIX = "better_ccflare";
+
+// Proxied requests range from quick token counts to long streamed responses
+const DURATION_BUCKETS = [
+	0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300, 600,
+];
+
+const REQUEST_LABELS = [
+	"account",
+	"provider",
+	"model",
+	"status",
+	"agent",
+] as const;
+
+const USAGE_WINDOWS: Array<keyof FullUsageData> = [
+	"five_hour",
+	"seven_day",
+	"seven_day_oauth_apps",
+	"seven_day_opus",
+];
+
+export interface MetricsCollectorOptions {
+	dbOps: DatabaseOperations;
+	/** Main thread writer; the post-processor reports its own with each summary */
+	asyncWriter?: AsyncDbWriter;
+	getUsage?: UsageDataProvider;
+}
+
+/**
+ * Collects Prometheus metrics for the proxy. Request, token and cost
+ * counters are fed from the requestEvents stream, so nothing is added to
+ * the proxy hot path; account state gauges are read when /metrics is
+ * scraped.
+ */
+export class MetricsCollector {
+	private dbOps: DatabaseOperations;
+	private asyncWriter?: AsyncDbWriter;
+	private getUsage?: UsageDataProvider;
+	private accounts: AccountLabels;
+	private registry = new MetricsRegistry();
+	private started = false;
+	private workerWriter: { queueDepth: number; droppedJobs: number } | null =
+		null;
+
+	private requests = this.registry.register(
+		new Counter(
+			`${PREFIX}_requests_total`,
+			"Proxied requests by account, provider, model, status code and agent",
+			REQUEST_LABELS,
+		),
+	);
+	private duration = this.registry.register(
+		new Histogram(
+			`${PREFIX}_request_duration_seconds`,
+			"Time from receiving a request until its response completed",
+			REQUEST_LABELS,
+			DURATION_BUCKETS,
+		),
+	);
+	private tokens = this.registry.register(
+		new Counter(
+			`${PREFIX}_tokens_total`,
+			"Tokens processed by account, provider, model and token type",
+			["account", "provider", "model", "type"],
+		),
+	);
+	private cost = this.registry.register(
+		new Counter(
+			`${PREFIX}_cost_usd_total`,
+			"Estimated cost in USD by account, provider and model",
+			["account", "provider", "model"],
+		),
+	);
+	private failovers = this.registry.register(
+		new Counter(
+			`${PREFIX}_failovers_total`,
+			'Account attempts that did not produce a response; reason "exhausted" counts requests rejected after every account failed',
+			["account", "provider", "reason"],
+		),
+	);
+	private refreshFailures = this.registry.register(
+		new Counter(
+			`${PREFIX}_token_refresh_failures_total`,
+			"Failed OAuth token refreshes by account",
+			["account", "provider"],
+		),
+	);
+	private rateLimited = this.registry.register(
+		new Gauge(
+			`${PREFIX}_account_rate_limited`,
+			"Whether the account is currently rate limited (1) or not (0)",
+			["account", "provider"],
+		),
+	);
+	private rateLimitStatus = this.registry.register(
+		new Gauge(
+			`${PREFIX}_account_rate_limit_status`,
+			"Last rate limit status reported by the provider for the account",
+			["account", "provider", "status"],
+		),
+	);
+	private rateLimitRemaining = this.registry.register(
+		new Gauge(
+			`${PREFIX}_account_rate_limit_remaining`,
+			"Requests remaining in the account's current rate limit window",
+			["account", "provider"],
+		),
+	);
+	private rateLimitReset = this.registry.register(
+		new Gauge(
+			`${PREFIX}_account_rate_limit_reset_timestamp_seconds`,
+			"Unix time at which the account's rate limit window resets",
+			["account", "provider"],
+		),
+	);
+	private paused = this.registry.register(
+		new Gauge(
+			`${PREFIX}_account_paused`,
+			"Whether the account is paused (1) or active (0)",
+			["account", "provider"],
+		),
+	);
+	private utilization = this.registry.register(
+		new Gauge(
+			`${PREFIX}_account_usage_utilization_percent`,
+			"Usage window utilization reported by the provider",
+			["account", "provider", "window"],
+		),
+	);
+	private writerQueueDepth = this.registry.register(
+		new Gauge(
+			`${PREFIX}_db_writer_queue_depth`,
+			"Database jobs waiting in the async writer queue; the post-processor value is sampled with each request summary",
+			["writer"],
+		),
+	);
+	private writerDroppedJobs = this.registry.register(
+		new Gauge(
+			`${PREFIX}_db_writer_dropped_jobs`,
+			"Database jobs dropped since startup because the async writer queue was full",
+			["writer"],
+		),
+	);
+
+	private onRequestEvent = (evt: RequestEvt) => {
+		try {
+			if (evt.type === "summary") {
+				this.recordSummary(evt);
+			} else if (evt.type === "failover") {
+				this.recordFailover(evt);
+			} else if (evt.type === "token_refresh_failed") {
+				this.recordRefreshFailure(evt);
+			}
+		} catch (error) {
+			log.error("Failed to record metrics for request event:", error);
+		}
+	};
+
+	constructor(options: MetricsCollectorOptions) {
+		this.dbOps = options.dbOps;
+		this.asyncWriter = options.asyncWriter;
+		this.getUsage = options.getUsage;
+		this.accounts = new AccountLabels(options.dbOps);
+	}
+
+	start(): void {
+		if (this.started) return;
+		this.started = true;
+		requestEvents.on("event", this.onRequestEvent);
+	}
+
+	stop(): void {
+		requestEvents.off("event", this.onRequestEvent);
+		this.started = false;
+	}
+
+	/**
+	 * Render all metrics in the Prometheus text exposition format
+	 */
+	render(): string {
+		this.collectAccountState();
+		this.collectWriterState();
+		return this.registry.render();
+	}
+
+	private recordSummary(evt: RequestSummaryEvt): void {
+		if (evt.writer) {
+			this.workerWriter = evt.writer;
+		}
+
+		const summary = evt.payload;
+		// Replays are comparisons rather than client traffic
+		if (summary.replayOf) return;
+
+		const { account, provider } = this.accounts.resolve(summary.accountUsed);
+		const model = summary.model ?? "unknown";
+		const labels = {
+			account,
+			provider,
+			model,
+			status: String(summary.statusCode),
+			agent: summary.agentUsed ?? "none",
+		};
+
+		this.requests.inc(labels);
+		if (summary.responseTimeMs !== null) {
+			this.duration.observe(labels, summary.responseTimeMs / 1000);
+		}
+
+		const tokenLabels = { account, provider, model };
+		const tokenCounts: Record<string, number | undefined> = {
+			input: summary.inputTokens,
+			output: summary.outputTokens,
+			cache_read: summary.cacheReadInputTokens,
+			cache_creation: summary.cacheCreationInputTokens,
+		};
+		for (const [type, count] of Object.entries(tokenCounts)) {
+			if (count) {
+				this.tokens.inc({ ...tokenLabels, type }, count);
+			}
+		}
+		if (summary.costUsd) {
+			this.cost.inc(tokenLabels, summary.costUsd);
+		}
+	}
+
+	private recordFailover(evt: FailoverEvt): void {
+		const { account, provider } = this.accounts.resolve(evt.accountId);
+		this.failovers.inc({ account, provider, reason: evt.reason });
+	}
+
+	private recordRefreshFailure(evt: TokenRefreshFailedEvt): void {
+		const { account } = this.accounts.resolve(evt.accountId);
+		this.refreshFailures.inc({ account, provider: evt.provider });
+	}
+
+	private collectAccountState(): void {
+		const gauges = [
+			this.rateLimited,
+			this.rateLimitStatus,
+			this.rateLimitRemaining,
+			this.rateLimitReset,
+			this.paused,
+			this.utilization,
+		];
+		for (const gauge of gauges) {
+			gauge.reset();
+		}
+
+		let accounts: Account[];
+		try {
+			accounts = this.dbOps.getAllAccounts();
+		} catch (error) {
+			log.error("Failed to load accounts for metrics:", error);
+			return;
+		}
+		this.accounts.update(accounts);
+
+		const now = Date.now();
+		for (const account of accounts) {
+			const labels = { account: account.name, provider: account.provider };
+			this.rateLimited.set(
+				labels,
+				account.rate_limited_until && account.rate_limited_until > now ? 1 : 0,
+			);
+			this.paused.set(labels, account.paused ? 1 : 0);
+			if (account.rate_limit_status) {
+				this.rateLimitStatus.set(
+					{ ...labels, status: account.rate_limit_status },
+					1,
+				);
+			}
+			if (account.rate_limit_remaining !== null) {
+				this.rateLimitRemaining.set(labels, account.rate_limit_remaining);
+			}
+			if (account.rate_limit_reset) {
+				this.rateLimitReset.set(
+					labels,
+					Math.floor(account.rate_limit_reset / 1000),
+				);
+			}
+
+			const usage = this.getUsage?.(account.id);
+			if (!usage) continue;
+			for (const window of USAGE_WINDOWS) {
+				const utilization = usage[window]?.utilization;
+				if (typeof utilization === "number") {
+					this.utilization.set({ ...labels, window }, utilization);
+				}
+			}
+		}
+	}
+
+	private collectWriterState(): void {
+		if (this.asyncWriter) {
+			const stats = this.asyncWriter.getStats();
+			this.writerQueueDepth.set({ writer: "main" }, stats.queueDepth);
+			this.writerDroppedJobs.set({ writer: "main" }, stats.droppedJobs);
+		}
+		if (this.workerWriter) {
+			this.writerQueueDepth.set(
+				{ writer: "post_processor" },
+				this.workerWriter.queueDepth,
+			);
+			this.writerDroppedJobs.set(
+				{ writer: "post_processor" },
+				this.workerWriter.droppedJobs,
+			);
+		}
+	}
+}
@@ -0,0 +1,10 @@
+export { MetricsCollector, type MetricsCollectorOptions } from "./collector";
+export { OtlpTraceExporter, type OtlpTraceExporterOptions } from "./otlp";
+export {
+	Counter,
+	Gauge,
+	Histogram,
+	type Labels,
+	MetricsRegistry,
+	PROMETHEUS_CONTENT_TYPE,
+} from "./registry";
@@ -0,0 +1,394 @@
+import {
+	type FailoverEvt,
+	type RequestEvt,
+	type RequestSummaryEvt,
+	requestEvents,
+} from "@better-ccflare/core";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import { Logger } from "@better-ccflare/logger";
+import { AccountLabels } from "./account-labels";
+
+const log = new Logger("OtlpTraceExporter");
+
+const FLUSH_INTERVAL_MS = 5000;
+const MAX_BATCH_SIZE = 512;
+const MAX_QUEUE_SIZE = 4096;
+const EXPORT_TIMEOUT_MS = 10000;
+// Failed attempts wait for the request's summary, which arrives once the
+// response has finished streaming
+const PENDING_ATTEMPT_TTL_MS = 30 * 60 * 1000;
+const MAX_PENDING_REQUESTS = 10000;
+
+// OTLP enum values, see opentelemetry/proto/trace/v1/trace.proto
+const SPAN_KIND_SERVER = 2;
+const SPAN_KIND_CLIENT = 3;
+const STATUS_CODE_OK = 1;
+const STATUS_CODE_ERROR = 2;
+
+type AttributeValue = string | number | boolean | null | undefined;
+
+interface OtlpAttribute {
+	key: string;
+	value:
+		| { stringValue: string }
+		| { intValue: string }
+		| { doubleValue: number }
+		| { boolValue: boolean };
+}
+
+interface OtlpSpan {
+	traceId: string;
+	spanId: string;
+	parentSpanId?: string;
+	name: string;
+	kind: number;
+	startTimeUnixNano: string;
+	endTimeUnixNano: string;
+	attributes: OtlpAttribute[];
+	status: { code: number; message?: string };
+}
+
+export interface OtlpTraceExporterOptions {
+	/** Full URL of the OTLP/HTTP traces endpoint, e.g. http://collector:4318/v1/traces */
+	endpoint: string;
+	headers?: Record<string, string>;
+	serviceName?: string;
+}
+
+function randomHex(bytes: number): string {
+	const buffer = crypto.getRandomValues(new Uint8Array(bytes));
+	return Array.from(buffer, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function toUnixNano(ms: number): string {
+	return (BigInt(Math.round(ms)) * 1000000n).toString();
+}
+
+function toAttributes(values: Record<string, AttributeValue>): OtlpAttribute[] {
+	const attributes: OtlpAttribute[] = [];
+	for (const [key, value] of Object.entries(values)) {
+		if (value === null || value === undefined) continue;
+		if (typeof value === "string") {
+			attributes.push({ key, value: { stringValue: value } });
+		} else if (typeof value === "boolean") {
+			attributes.push({ key, value: { boolValue: value } });
+		} else if (Number.isInteger(value)) {
+			attributes.push({ key, value: { intValue: String(value) } });
+		} else {
+			attributes.push({ key, value: { doubleValue: value } });
+		}
+	}
+	return attributes;
+}
+
+/**
+ * Parse OTEL_EXPORTER_OTLP_HEADERS style "key=value,key2=value2" lists
+ */
+function parseHeaders(value: string | undefined): Record<string, string> {
+	const headers: Record<string, string> = {};
+	if (!value) return headers;
+	for (const pair of value.split(",")) {
+		const index = pair.indexOf("=");
+		if (index <= 0) continue;
+		const key = decodeURIComponent(pair.slice(0, index).trim());
+		headers[key] = decodeURIComponent(pair.slice(index + 1).trim());
+	}
+	return headers;
+}
+
+/**
+ * Exports one span per proxied request to an OTLP/HTTP (JSON) collector.
+ * Spans are built from the requestEvents stream: the request summary gives
+ * the server span and every failed account attempt becomes a child span,
+ * followed by the attempt that produced the response. Requests rejected
+ * after all accounts failed are exported with an error status.
+ */
+export class OtlpTraceExporter {
+	private endpoint: string;
+	private headers: Record<string, string>;
+	private serviceName: string;
+	private accounts: AccountLabels;
+	private queue: OtlpSpan[] = [];
+	private pendingAttempts = new Map<string, FailoverEvt[]>();
+	private flushTimer: Timer | null = null;
+	private isFlushing = false;
+	private droppedSpans = 0;
+	private onRequestEvent = (evt: RequestEvt) => {
+		try {
+			if (evt.type === "failover") {
+				this.recordFailover(evt);
+			} else if (evt.type === "summary") {
+				this.recordSummary(evt);
+			}
+		} catch (error) {
+			log.error("Failed to build span for request event:", error);
+		}
+	};
+
+	constructor(dbOps: DatabaseOperations, options: OtlpTraceExporterOptions) {
+		this.endpoint = options.endpoint;
+		this.headers = options.headers ?? {};
+		this.serviceName = options.serviceName ?? "better-ccflare";
+		this.accounts = new AccountLabels(dbOps);
+	}
+
+	/**
+	 * Create an exporter from the standard OpenTelemetry environment
+	 * variables, or return null when no OTLP endpoint is configured
+	 */
+	static fromEnv(
+		dbOps: DatabaseOperations,
+		env: Record<string, string | undefined> = process.env,
+	): OtlpTraceExporter | null {
+		if (env.OTEL_TRACES_EXPORTER === "none") return null;
+
+		let endpoint = env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+		if (!endpoint && env.OTEL_EXPORTER_OTLP_ENDPOINT) {
+			endpoint = `${env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, "")}/v1/traces`;
+		}
+		if (!endpoint) return null;
+
+		return new OtlpTraceExporter(dbOps, {
+			endpoint,
+			headers: {
+				...parseHeaders(env.OTEL_EXPORTER_OTLP_HEADERS),
+				...parseHeaders(env.OTEL_EXPORTER_OTLP_TRACES_HEADERS),
+			},
+			serviceName: env.OTEL_SERVICE_NAME,
+		});
+	}
+
+	start(): void {
+		if (this.flushTimer) return;
+		log.info(`Exporting request traces to ${this.endpoint}`);
+		requestEvents.on("event", this.onRequestEvent);
+		this.flushTimer = setInterval(() => {
+			this.expirePendingAttempts();
+			void this.flush();
+		}, FLUSH_INTERVAL_MS);
+	}
+
+	/**
+	 * Stop listening and export the spans still queued
+	 */
+	async stop(): Promise<void> {
+		requestEvents.off("event", this.onRequestEvent);
+		if (this.flushTimer) {
+			clearInterval(this.flushTimer);
+			this.flushTimer = null;
+		}
+		await this.flush();
+	}
+
+	private recordFailover(evt: FailoverEvt): void {
+		const attempts = this.pendingAttempts.get(evt.requestId) ?? [];
+		if (evt.reason !== "exhausted") {
+			if (
+				attempts.length === 0 &&
+				this.pendingAttempts.size >= MAX_PENDING_REQUESTS
+			) {
+				return;
+			}
+			attempts.push(evt);
+			this.pendingAttempts.set(evt.requestId, attempts);
+			return;
+		}
+
+		// Every account failed, so no summary will follow
+		this.pendingAttempts.delete(evt.requestId);
+		const traceId = randomHex(16);
+		const spanId = randomHex(8);
+		this.enqueue({
+			traceId,
+			spanId,
+			name: "proxy request",
+			kind: SPAN_KIND_SERVER,
+			startTimeUnixNano: toUnixNano(evt.startTime),
+			endTimeUnixNano: toUnixNano(evt.endTime),
+			attributes: toAttributes({
+				"better_ccflare.request_id": evt.requestId,
+				"better_ccflare.failover_attempts": attempts.length,
+				"http.response.status_code": 503,
+			}),
+			status: { code: STATUS_CODE_ERROR, message: evt.error ?? undefined },
+		});
+		for (const attempt of attempts) {
+			this.enqueue(this.buildAttemptSpan(traceId, spanId, attempt));
+		}
+	}
+
+	private recordSummary(evt: RequestSummaryEvt): void {
+		const summary = evt.payload;
+		const attempts = this.pendingAttempts.get(summary.id) ?? [];
+		this.pendingAttempts.delete(summary.id);
+
+		const startTime = new Date(summary.timestamp).getTime();
+		const endTime = startTime + (summary.responseTimeMs ?? 0);
+		const { account, provider } = this.accounts.resolve(summary.accountUsed);
+		const traceId = randomHex(16);
+		const spanId = randomHex(8);
+
+		this.enqueue({
+			traceId,
+			spanId,
+			name: `${summary.method} ${summary.path}`,
+			kind: SPAN_KIND_SERVER,
+			startTimeUnixNano: toUnixNano(startTime),
+			endTimeUnixNano: toUnixNano(endTime),
+			attributes: toAttributes({
+				"http.request.method": summary.method,
+				"url.path": summary.path,
+				"http.response.status_code": summary.statusCode,
+				"better_ccflare.request_id": summary.id,
+				"better_ccflare.account.id": summary.accountUsed,
+				"better_ccflare.account.name": account,
+				"better_ccflare.provider": provider,
+				"better_ccflare.agent": summary.agentUsed,
+				"better_ccflare.api_format": summary.apiFormat,
+				"better_ccflare.client_key_id": summary.clientKeyId,
+				"better_ccflare.replay_of": summary.replayOf,
+				"better_ccflare.failover_attempts": summary.failoverAttempts,
+				"better_ccflare.cost_usd": summary.costUsd,
+				"gen_ai.request.model": summary.model,
+				"gen_ai.usage.input_tokens": summary.inputTokens,
+				"gen_ai.usage.output_tokens": summary.outputTokens,
+				"gen_ai.usage.cache_read_input_tokens": summary.cacheReadInputTokens,
+				"gen_ai.usage.cache_creation_input_tokens":
+					summary.cacheCreationInputTokens,
+			}),
+			status: summary.success
+				? { code: STATUS_CODE_OK }
+				: {
+						code: STATUS_CODE_ERROR,
+						message: summary.errorMessage ?? undefined,
+					},
+		});
+
+		for (const attempt of attempts) {
+			this.enqueue(this.buildAttemptSpan(traceId, spanId, attempt));
+		}
+
+		// The attempt that produced the response runs from the last failure
+		// until the response completed
+		const lastFailure = attempts[attempts.length - 1];
+		this.enqueue({
+			traceId,
+			spanId: randomHex(8),
+			parentSpanId: spanId,
+			name: `attempt ${summary.failoverAttempts + 1}`,
+			kind: SPAN_KIND_CLIENT,
+			startTimeUnixNano: toUnixNano(lastFailure?.endTime ?? startTime),
+			endTimeUnixNano: toUnixNano(endTime),
+			attributes: toAttributes({
+				"better_ccflare.account.id": summary.accountUsed,
+				"better_ccflare.account.name": account,
+				"better_ccflare.provider": provider,
+				"http.response.status_code": summary.statusCode,
+			}),
+			status: summary.success
+				? { code: STATUS_CODE_OK }
+				: { code: STATUS_CODE_ERROR },
+		});
+	}
+
+	private buildAttemptSpan(
+		traceId: string,
+		parentSpanId: string,
+		attempt: FailoverEvt,
+	): OtlpSpan {
+		const { account, provider } = this.accounts.resolve(attempt.accountId);
+		return {
+			traceId,
+			spanId: randomHex(8),
+			parentSpanId,
+			name: `attempt ${attempt.attempt + 1}`,
+			kind: SPAN_KIND_CLIENT,
+			startTimeUnixNano: toUnixNano(attempt.startTime),
+			endTimeUnixNano: toUnixNano(attempt.endTime),
+			attributes: toAttributes({
+				"better_ccflare.account.id": attempt.accountId,
+				"better_ccflare.account.name": account,
+				"better_ccflare.provider": provider,
+				"better_ccflare.failover_reason": attempt.reason,
+			}),
+			status: {
+				code: STATUS_CODE_ERROR,
+				message: attempt.error ?? attempt.reason,
+			},
+		};
+	}
+
+	private enqueue(span: OtlpSpan): void {
+		if (this.queue.length >= MAX_QUEUE_SIZE) {
+			this.droppedSpans++;
+			if (this.droppedSpans % 100 === 1) {
+				log.warn(
+					`Span queue at capacity (${MAX_QUEUE_SIZE}), dropping spans. Total dropped: ${this.droppedSpans}`,
+				);
+			}
+			return;
+		}
+		this.queue.push(span);
+		if (this.queue.length >= MAX_BATCH_SIZE) {
+			void this.flush();
+		}
+	}
+
+	private expirePendingAttempts(): void {
+		const cutoff = Date.now() - PENDING_ATTEMPT_TTL_MS;
+		for (const [requestId, attempts] of this.pendingAttempts) {
+			if (attempts[0].endTime < cutoff) {
+				this.pendingAttempts.delete(requestId);
+			}
+		}
+	}
+
+	/**
+	 * Send queued spans in batches. Failed exports are logged and dropped
+	 * rather than retried so a missing collector cannot grow the queue.
+	 */
+	async flush(): Promise<void> {
+		if (this.isFlushing) return;
+
+		this.isFlushing = true;
+		try {
+			while (this.queue.length > 0) {
+				const batch = this.queue.splice(0, MAX_BATCH_SIZE);
+				await this.export(batch);
+			}
+		} finally {
+			this.isFlushing = false;
+		}
+	}
+
+	private async export(spans: OtlpSpan[]): Promise<void> {
+		const body = {
+			resourceSpans: [
+				{
+					resource: {
+						attributes: toAttributes({ "service.name": this.serviceName }),
+					},
+					scopeSpans: [{ scope: { name: "better-ccflare" }, spans }],
+				},
+			],
+		};
+
+		try {
+			const response = await fetch(this.endpoint, {
+				method: "POST",
+				headers: { ...this.headers, "content-type": "application/json" },
+				body: JSON.stringify(body),
+				signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS),
+			});
+			if (!response.ok) {
+				log.warn(
+					`OTLP export of ${spans.length} span(s) failed with ${response.status}`,
+				);
+			}
+		} catch (error) {
+			log.error(
+				`OTLP export of ${spans.length} span(s) failed: ${error instanceof Error ? error.message : String(error)}`,
+			);
+		}
+	}
+}
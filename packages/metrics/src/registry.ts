@@ -0,0 +1,181 @@
+// Minimal Prometheus metric types rendered in the text exposition format
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+
+export type Labels = Record<string, string>;
+
+export const PROMETHEUS_CONTENT_TYPE =
+	"text/plain; version=0.0.4; charset=utf-8";
+
+function escapeHelp(value: string): string {
+	return value.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
+
+function escapeLabelValue(value: string): string {
+	return value
+		.replace(/\\/g, "\\\\")
+		.replace(/\n/g, "\\n")
+		.replace(/"/g, '\\"');
+}
+
+function formatValue(value: number): string {
+	if (Number.isNaN(value)) return "NaN";
+	if (value === Number.POSITIVE_INFINITY) return "+Inf";
+	if (value === Number.NEGATIVE_INFINITY) return "-Inf";
+	return String(value);
+}
+
+function formatLabels(names: readonly string[], values: string[]): string {
+	if (names.length === 0) return "";
+	const pairs = names.map(
+		(name, i) => `${name}="${escapeLabelValue(values[i] ?? "")}"`,
+	);
+	return `{${pairs.join(",")}}`;
+}
+
+export abstract class Metric {
+	constructor(
+		readonly name: string,
+		readonly help: string,
+		readonly labelNames: readonly string[] = [],
+	) {}
+
+	abstract readonly type: "counter" | "gauge" | "histogram";
+
+	protected key(labels: Labels): string {
+		return JSON.stringify(this.labelNames.map((name) => labels[name] ?? ""));
+	}
+
+	protected header(): string[] {
+		return [
+			`# HELP ${this.name} ${escapeHelp(this.help)}`,
+			`# TYPE ${this.name} ${this.type}`,
+		];
+	}
+
+	abstract render(): string[];
+}
+
+/**
+ * Value per label set, shared by counters and gauges
+ */
+abstract class ValueMetric extends Metric {
+	protected values = new Map<string, number>();
+
+	get(labels: Labels = {}): number {
+		return this.values.get(this.key(labels)) ?? 0;
+	}
+
+	render(): string[] {
+		const lines = this.header();
+		for (const [key, value] of this.values) {
+			const labelValues = JSON.parse(key) as string[];
+			lines.push(
+				`${this.name}${formatLabels(this.labelNames, labelValues)} ${formatValue(value)}`,
+			);
+		}
+		return lines;
+	}
+}
+
+export class Counter extends ValueMetric {
+	readonly type = "counter";
+
+	inc(labels: Labels = {}, amount = 1): void {
+		if (amount < 0) {
+			throw new Error(`Counter ${this.name} cannot be decreased`);
+		}
+		const key = this.key(labels);
+		this.values.set(key, (this.values.get(key) ?? 0) + amount);
+	}
+}
+
+export class Gauge extends ValueMetric {
+	readonly type = "gauge";
+
+	set(labels: Labels, value: number): void {
+		this.values.set(this.key(labels), value);
+	}
+
+	/**
+	 * Drop every label set, used by gauges rebuilt on each scrape so that
+	 * removed accounts stop being reported
+	 */
+	reset(): void {
+		this.values.clear();
+	}
+}
+
+interface HistogramSeries {
+	buckets: number[];
+	sum: number;
+	count: number;
+}
+
+export class Histogram extends Metric {
+	readonly type = "histogram";
+	private series = new Map<string, HistogramSeries>();
+
+	constructor(
+		name: string,
+		help: string,
+		labelNames: readonly string[],
+		readonly buckets: readonly number[],
+	) {
+		super(name, help, labelNames);
+	}
+
+	observe(labels: Labels, value: number): void {
+		const key = this.key(labels);
+		let series = this.series.get(key);
+		if (!series) {
+			series = { buckets: this.buckets.map(() => 0), sum: 0, count: 0 };
+			this.series.set(key, series);
+		}
+		for (let i = 0; i < this.buckets.length; i++) {
+			if (value <= this.buckets[i]) {
+				series.buckets[i]++;
+			}
+		}
+		series.sum += value;
+		series.count++;
+	}
+
+	render(): string[] {
+		const lines = this.header();
+		const bucketLabels = [...this.labelNames, "le"];
+		for (const [key, series] of this.series) {
+			const labelValues = JSON.parse(key) as string[];
+			for (let i = 0; i < this.buckets.length; i++) {
+				lines.push(
+					`${this.name}_bucket${formatLabels(bucketLabels, [...labelValues, formatValue(this.buckets[i])])} ${series.buckets[i]}`,
+				);
+			}
+			lines.push(
+				`${this.name}_bucket${formatLabels(bucketLabels, [...labelValues, "+Inf"])} ${series.count}`,
+			);
+			const labels = formatLabels(this.labelNames, labelValues);
+			lines.push(`${this.name}_sum${labels} ${formatValue(series.sum)}`);
+			lines.push(`${this.name}_count${labels} ${series.count}`);
+		}
+		return lines;
+	}
+}
+
+/**
+ * Holds a set of metrics and renders them in registration order
+ */
+export class MetricsRegistry {
+	private metrics: Metric[] = [];
+
+	register<T extends Metric>(metric: T): T {
+		if (this.metrics.some((m) => m.name === metric.name)) {
+			throw new Error(`Metric ${metric.name} is already registered`);
+		}
+		this.metrics.push(metric);
+		return metric;
+	}
+
+	render(): string {
+		return `${this.metrics.flatMap((metric) => metric.render()).join("\n")}\n`;
+	}
+}
@@ -240,8 +240,12 @@ export class OAuthFlow {
 				id,
 				name,
 				"anthropic",
-				tokens.refreshToken || "",
-				tokens.accessToken,
+				this.dbOps.encryptCredential(
+					tokens.refreshToken || "",
+					id,
+					"refresh_token",
+				),
+				this.dbOps.encryptCredential(tokens.accessToken, id, "access_token"),
 				tokens.expiresAt,
 				Date.now(),
 				tier,
@@ -294,7 +298,7 @@ export class OAuthFlow {
 				id,
 				name,
 				"anthropic",
-				apiKey,
+				this.dbOps.encryptCredential(apiKey, id, "api_key"),
 				Date.now(),
 				tier,
 				priority,
@@ -0,0 +1,428 @@
+import {
+	BUFFER_SIZES,
+	type CloudProviderSettings,
+	estimateCostUSD,
+	parseCloudProviderSettings,
+	toAnthropicModelName,
+} from "@better-ccflare/core";
+import { sanitizeProxyHeaders } from "@better-ccflare/http-common";
+import { Logger } from "@better-ccflare/logger";
+import type { Account } from "@better-ccflare/types";
+import { BaseProvider } from "./base";
+import type { TokenRefreshResult } from "./types";
+
+const log = new Logger("CloudProvider");
+
+/**
+ * Retry-After applied to throttled responses that carry none. Bedrock and
+ * Vertex AI quotas are per minute, so the proxy's multi-hour default for
+ * rate limits without a reset time would sideline the account for too long.
+ */
+export const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+// Anthropic error types for the statuses the cloud providers return
+const ERROR_TYPES: Record<number, string> = {
+	400: "invalid_request_error",
+	401: "authentication_error",
+	403: "permission_error",
+	404: "not_found_error",
+	413: "request_too_large",
+	429: "rate_limit_error",
+	503: "overloaded_error",
+	529: "overloaded_error",
+};
+
+export interface UsageInfo {
+	model?: string;
+	promptTokens?: number;
+	completionTokens?: number;
+	totalTokens?: number;
+	costUsd?: number;
+	inputTokens?: number;
+	cacheReadInputTokens?: number;
+	cacheCreationInputTokens?: number;
+	outputTokens?: number;
+}
+
+interface MessageUsage {
+	input_tokens?: number;
+	output_tokens?: number;
+	cache_creation_input_tokens?: number;
+	cache_read_input_tokens?: number;
+}
+
+/**
+ * Anthropic error type for an HTTP status
+ */
+export function getErrorType(status: number): string {
+	return ERROR_TYPES[status] ?? "api_error";
+}
+
+/**
+ * Serialise an Anthropic Messages event as a server-sent event
+ */
+export function formatServerSentEvent(event: Record<string, unknown>): string {
+	return `event: ${String(event.type)}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Base class for clouds that serve Claude through the Anthropic Messages
+ * API shape, such as Amazon Bedrock and Google Vertex AI. Both take the
+ * model in the URL rather than the body, so the target URL is only final
+ * once transformRequestBody has read the request.
+ *
+ * Responses are normalised for the rest of the proxy: model IDs are turned
+ * back into Anthropic model names so usage is priced, errors use the
+ * Anthropic error shape, and throttled responses always carry Retry-After.
+ */
+export abstract class CloudProvider extends BaseProvider {
+	/** anthropic_version sent in request bodies */
+	protected abstract readonly anthropicVersion: string;
+
+	/** Regional endpoint, unless the account's settings replace it */
+	protected abstract getDefaultEndpoint(
+		settings: CloudProviderSettings,
+	): string;
+
+	/**
+	 * Build the provider request for a Messages call once the model is known.
+	 * The body has anthropic_version set and the model removed.
+	 */
+	protected abstract buildModelRequest(
+		account: Account,
+		model: string,
+		stream: boolean,
+		body: Record<string, unknown>,
+		headers: Headers,
+	): Promise<Request>;
+
+	canHandle(path: string): boolean {
+		// Bedrock and Vertex AI only offer the Messages API
+		return path === "/v1/messages";
+	}
+
+	abstract refreshToken(
+		account: Account,
+		clientId: string,
+	): Promise<TokenRefreshResult>;
+
+	/**
+	 * Settings of an account, read from custom_endpoint
+	 */
+	protected getSettings(account: Account): CloudProviderSettings {
+		return parseCloudProviderSettings(account.custom_endpoint);
+	}
+
+	protected getEndpoint(account: Account): string {
+		const settings = this.getSettings(account);
+		return (settings.endpoint || this.getDefaultEndpoint(settings)).replace(
+			/\/$/,
+			"",
+		);
+	}
+
+	buildUrl(path: string, query: string, account?: Account): string {
+		if (!account) {
+			throw new Error(`${this.name} requests need an account`);
+		}
+		// Replaced by the model's URL in transformRequestBody
+		return `${this.getEndpoint(account)}${path}${query}`;
+	}
+
+	prepareHeaders(
+		headers: Headers,
+		accessToken?: string,
+		_apiKey?: string,
+	): Headers {
+		const newHeaders = new Headers(headers);
+
+		// Client credentials are for the proxy, not the cloud provider
+		newHeaders.delete("authorization");
+		newHeaders.delete("x-api-key");
+		if (accessToken) {
+			newHeaders.set("Authorization", `Bearer ${accessToken}`);
+		}
+
+		newHeaders.delete("host");
+		newHeaders.delete("accept-encoding");
+		newHeaders.delete("content-encoding");
+
+		return newHeaders;
+	}
+
+	async transformRequestBody(
+		request: Request,
+		account?: Account,
+	): Promise<Request> {
+		if (!account) {
+			throw new Error(`${this.name} requests need an account`);
+		}
+
+		const body = (await request.json()) as Record<string, unknown>;
+		const model = typeof body.model === "string" ? body.model : "";
+		if (!model) {
+			throw new Error("Request body does not name a model");
+		}
+		const stream = body.stream === true;
+		delete body.model;
+		body.anthropic_version = this.anthropicVersion;
+
+		const headers = new Headers(request.headers);
+		headers.set("content-type", "application/json");
+		headers.delete("content-length");
+		headers.delete("anthropic-version");
+
+		return this.buildModelRequest(account, model, stream, body, headers);
+	}
+
+	/**
+	 * Rewrite the provider's model ID in a response message or stream event
+	 */
+	protected normaliseEvent(
+		event: Record<string, unknown>,
+	): Record<string, unknown> {
+		const message =
+			event.type === "message_start"
+				? (event.message as Record<string, unknown> | undefined)
+				: event;
+		if (message && typeof message.model === "string") {
+			message.model = toAnthropicModelName(message.model);
+		}
+		return event;
+	}
+
+	/**
+	 * Rewrite message_start events of an Anthropic server-sent event stream
+	 */
+	protected normaliseEventStream(): TransformStream<Uint8Array, Uint8Array> {
+		const decoder = new TextDecoder();
+		const encoder = new TextEncoder();
+		let buffered = "";
+		const rewrite = (line: string) => {
+			if (!line.startsWith("data: ") || !line.includes("message_start")) {
+				return line;
+			}
+			try {
+				const event = JSON.parse(line.slice(6)) as Record<string, unknown>;
+				return `data: ${JSON.stringify(this.normaliseEvent(event))}`;
+			} catch {
+				return line;
+			}
+		};
+
+		return new TransformStream({
+			transform(chunk, controller) {
+				buffered += decoder.decode(chunk, { stream: true });
+				const lines = buffered.split("\n");
+				buffered = lines.pop() ?? "";
+				if (lines.length > 0) {
+					controller.enqueue(
+						encoder.encode(`${lines.map(rewrite).join("\n")}\n`),
+					);
+				}
+			},
+			flush(controller) {
+				buffered += decoder.decode();
+				if (buffered) {
+					controller.enqueue(encoder.encode(rewrite(buffered)));
+				}
+			},
+		});
+	}
+
+	/**
+	 * Rebuild an error response in the Anthropic error shape. Errors the
+	 * model returned are already in that shape; errors from the cloud
+	 * platform itself are not.
+	 */
+	protected async normaliseError(
+		response: Response,
+		headers: Headers,
+	): Promise<Response> {
+		const text = await response.text();
+		let message = text || response.statusText;
+		try {
+			const body = JSON.parse(text) as unknown;
+			const error = (Array.isArray(body) ? body[0] : body) as {
+				type?: string;
+				message?: string;
+				Message?: string;
+				error?: { message?: string };
+			};
+			if (error?.type === "error") {
+				return new Response(text, {
+					status: response.status,
+					statusText: response.statusText,
+					headers,
+				});
+			}
+			message =
+				error?.message ?? error?.Message ?? error?.error?.message ?? message;
+		} catch {
+			// Not JSON, keep the text as the message
+		}
+
+		headers.set("content-type", "application/json");
+		return new Response(
+			JSON.stringify({
+				type: "error",
+				error: { type: getErrorType(response.status), message },
+			}),
+			{ status: response.status, statusText: response.statusText, headers },
+		);
+	}
+
+	async processResponse(
+		response: Response,
+		_account: Account | null,
+	): Promise<Response> {
+		const headers = sanitizeProxyHeaders(response.headers);
+
+		if (response.status === 429 && !headers.has("retry-after")) {
+			headers.set("retry-after", String(DEFAULT_RETRY_AFTER_SECONDS));
+		}
+
+		if (!response.ok) {
+			return this.normaliseError(response, headers);
+		}
+
+		const contentType = headers.get("content-type") ?? "";
+		if (contentType.includes("text/event-stream") && response.body) {
+			return new Response(
+				response.body.pipeThrough(this.normaliseEventStream()),
+				{ status: response.status, statusText: response.statusText, headers },
+			);
+		}
+
+		if (contentType.includes("application/json")) {
+			let body = await response.text();
+			try {
+				body = JSON.stringify(
+					this.normaliseEvent(JSON.parse(body) as Record<string, unknown>),
+				);
+			} catch {
+				// Pass bodies that are not a JSON object through unchanged
+			}
+			return new Response(body, {
+				status: response.status,
+				statusText: response.statusText,
+				headers,
+			});
+		}
+
+		return new Response(response.body, {
+			status: response.status,
+			statusText: response.statusText,
+			headers,
+		});
+	}
+
+	async extractUsageInfo(response: Response): Promise<UsageInfo | null> {
+		try {
+			const clone = response.clone();
+			const contentType = response.headers.get("content-type") ?? "";
+
+			if (!contentType.includes("text/event-stream")) {
+				const json = (await clone.json()) as {
+					model?: string;
+					usage?: MessageUsage;
+				};
+				return json.usage ? this.toUsageInfo(json.model, json.usage) : null;
+			}
+
+			// Usage arrives in message_start and, with final output tokens,
+			// in message_delta
+			const reader = clone.body?.getReader();
+			if (!reader) return null;
+			const decoder = new TextDecoder();
+			let buffered = "";
+			let read = 0;
+			let model: string | undefined;
+			let usage: MessageUsage | null = null;
+			let done = false;
+
+			try {
+				while (!done && read < BUFFER_SIZES.ANTHROPIC_STREAM_CAP_BYTES) {
+					const chunk = await reader.read();
+					if (chunk.done) break;
+					read += chunk.value.byteLength;
+					buffered += decoder.decode(chunk.value, { stream: true });
+					const lines = buffered.split("\n");
+					buffered = lines.pop() ?? "";
+
+					for (const line of lines) {
+						if (!line.startsWith("data: ")) continue;
+						try {
+							const event = JSON.parse(line.slice(6)) as {
+								type?: string;
+								message?: { model?: string; usage?: MessageUsage };
+								usage?: MessageUsage;
+							};
+							if (event.type === "message_start" && event.message) {
+								model = event.message.model;
+								usage = { ...event.message.usage };
+							} else if (event.type === "message_delta" && event.usage) {
+								usage = { ...(usage ?? {}), ...event.usage };
+								done = true;
+							}
+						} catch {
+							// Ignore partial or non-JSON data lines
+						}
+					}
+				}
+			} finally {
+				reader.cancel().catch(() => {});
+			}
+
+			return usage ? this.toUsageInfo(model, usage) : null;
+		} catch {
+			return null;
+		}
+	}
+
+	private async toUsageInfo(
+		modelId: string | undefined,
+		usage: MessageUsage,
+	): Promise<UsageInfo> {
+		const model = modelId ? toAnthropicModelName(modelId) : undefined;
+		const inputTokens = usage.input_tokens || 0;
+		const cacheCreationInputTokens = usage.cache_creation_input_tokens || 0;
+		const cacheReadInputTokens = usage.cache_read_input_tokens || 0;
+		const outputTokens = usage.output_tokens || 0;
+		const promptTokens =
+			inputTokens + cacheCreationInputTokens + cacheReadInputTokens;
+
+		let costUsd: number | undefined;
+		if (model) {
+			try {
+				costUsd = await estimateCostUSD(model, {
+					inputTokens,
+					outputTokens,
+					cacheReadInputTokens,
+					cacheCreationInputTokens,
+				});
+			} catch (error) {
+				log.warn(`Failed to calculate cost for model ${model}:`, error);
+			}
+		}
+
+		return {
+			model,
+			promptTokens,
+			completionTokens: outputTokens,
+			totalTokens: promptTokens + outputTokens,
+			costUsd,
+			inputTokens,
+			cacheReadInputTokens,
+			cacheCreationInputTokens,
+			outputTokens,
+		};
+	}
+
+	/**
+	 * Cloud accounts authenticate with cloud credentials, not Anthropic OAuth
+	 */
+	supportsOAuth(): boolean {
+		return false;
+	}
+}
@@ -2,6 +2,7 @@
 
 // Export base provider class
 export { BaseProvider } from "./base";
+export { CloudProvider } from "./cloud-provider";
 // Export OAuth utilities
 export * from "./oauth";
 // Export providers
@@ -19,7 +20,9 @@ export * from "./types";
 export * from "./usage-fetcher";
 
 import { AnthropicProvider } from "./providers/anthropic/provider";
+import { BedrockProvider } from "./providers/bedrock/provider";
 import { OpenAICompatibleProvider } from "./providers/openai/provider";
+import { VertexProvider } from "./providers/vertex/provider";
 import { ZaiProvider } from "./providers/zai/provider";
 // Auto-register built-in providers
 import { registry } from "./registry";
@@ -27,3 +30,5 @@ import { registry } from "./registry";
 registry.registerProvider(new AnthropicProvider());
 registry.registerProvider(new ZaiProvider());
 registry.registerProvider(new OpenAICompatibleProvider());
+registry.registerProvider(new BedrockProvider());
+registry.registerProvider(new VertexProvider());
@@ -0,0 +1,46 @@
+import { AnthropicProvider } from "../provider";
+
+describe("AnthropicProvider.prepareHeaders", () => {
+	const provider = new AnthropicProvider();
+
+	it("adds the OAuth beta for access tokens", () => {
+		const headers = provider.prepareHeaders(
+			new Headers({ "anthropic-version": "2023-06-01" }),
+			"access-token",
+		);
+		expect(headers.get("authorization")).toBe("Bearer access-token");
+		expect(headers.get("anthropic-beta")).toBe("oauth-2025-04-20");
+	});
+
+	it("keeps the client's betas without repeating the OAuth beta", () => {
+		expect(
+			provider
+				.prepareHeaders(
+					new Headers({ "anthropic-beta": "context-1m-2025-08-07" }),
+					"access-token",
+				)
+				.get("anthropic-beta"),
+		).toBe("context-1m-2025-08-07,oauth-2025-04-20");
+		expect(
+			provider
+				.prepareHeaders(
+					new Headers({
+						"anthropic-beta": "oauth-2025-04-20, context-1m-2025-08-07",
+					}),
+					"access-token",
+				)
+				.get("anthropic-beta"),
+		).toBe("oauth-2025-04-20, context-1m-2025-08-07");
+	});
+
+	it("leaves API key requests without the OAuth beta", () => {
+		const headers = provider.prepareHeaders(
+			new Headers({ "anthropic-version": "2023-06-01" }),
+			undefined,
+			"api-key",
+		);
+		expect(headers.get("x-api-key")).toBe("api-key");
+		expect(headers.has("authorization")).toBe(false);
+		expect(headers.has("anthropic-beta")).toBe(false);
+	});
+});
@@ -16,6 +16,9 @@ const HARD_LIMIT_STATUSES = new Set([
 // Soft warning statuses that should not block account usage
 const _SOFT_WARNING_STATUSES = new Set(["allowed_warning", "queueing_soft"]);
 
+// Beta the API requires for requests made with OAuth access tokens
+const OAUTH_BETA = "oauth-2025-04-20";
+
 const log = new Logger("AnthropicProvider");
 
 export class AnthropicProvider extends BaseProvider {
@@ -149,6 +152,14 @@ export class AnthropicProvider extends BaseProvider {
 		// Set authentication header
 		if (accessToken) {
 			newHeaders.set("Authorization", `Bearer ${accessToken}`);
+			// Keep the client's own betas, which usually include this one already
+			const betas = (newHeaders.get("anthropic-beta") ?? "")
+				.split(",")
+				.map((beta) => beta.trim())
+				.filter(Boolean);
+			if (!betas.includes(OAUTH_BETA)) {
+				newHeaders.set("anthropic-beta", [...betas, OAUTH_BETA].join(","));
+			}
 		} else if (apiKey) {
 			newHeaders.set("x-api-key", apiKey);
 		}
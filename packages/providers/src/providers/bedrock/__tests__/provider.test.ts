@@ -0,0 +1,440 @@
+import { createServer, type IncomingMessage, type Server } from "node:http";
+import type { AddressInfo } from "node:net";
+import type { Account } from "@better-ccflare/types";
+import { BedrockProvider } from "../provider";
+import { signRequest } from "../sigv4";
+
+interface ReceivedRequest {
+	method?: string;
+	url?: string;
+	headers: IncomingMessage["headers"];
+	body: string;
+}
+
+type StubResponse = {
+	status?: number;
+	headers?: Record<string, string>;
+	body: string | Uint8Array[];
+};
+
+const credentials = {
+	accessKeyId: "AKIDEXAMPLE",
+	secretAccessKey: "wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY",
+	sessionToken: "session-token",
+};
+
+// Encode one AWS event stream message with string headers. Checksums are
+// left as zero because the decoder does not verify them.
+function encodeMessage(headers: Record<string, string>, payload: string) {
+	const headerBytes = Buffer.concat(
+		Object.entries(headers).map(([name, value]) => {
+			const nameBytes = Buffer.from(name);
+			const valueBytes = Buffer.from(value);
+			const header = Buffer.alloc(4 + nameBytes.length + valueBytes.length);
+			header.writeUInt8(nameBytes.length, 0);
+			nameBytes.copy(header, 1);
+			header.writeUInt8(7, 1 + nameBytes.length);
+			header.writeUInt16BE(valueBytes.length, 2 + nameBytes.length);
+			valueBytes.copy(header, 4 + nameBytes.length);
+			return header;
+		}),
+	);
+	const payloadBytes = Buffer.from(payload);
+	const totalLength = 12 + headerBytes.length + payloadBytes.length + 4;
+	const message = Buffer.alloc(totalLength);
+	message.writeUInt32BE(totalLength, 0);
+	message.writeUInt32BE(headerBytes.length, 4);
+	headerBytes.copy(message, 12);
+	payloadBytes.copy(message, 12 + headerBytes.length);
+	return message;
+}
+
+function chunk(event: Record<string, unknown>) {
+	return encodeMessage(
+		{
+			":event-type": "chunk",
+			":content-type": "application/json",
+			":message-type": "event",
+		},
+		JSON.stringify({
+			bytes: Buffer.from(JSON.stringify(event)).toString("base64"),
+		}),
+	);
+}
+
+function parseAmzDate(value: string): Date {
+	return new Date(
+		value.replace(
+			/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+			"$1-$2-$3T$4:$5:$6Z",
+		),
+	);
+}
+
+describe("BedrockProvider", () => {
+	let server: Server;
+	let baseUrl: string;
+	let received: ReceivedRequest[];
+	let stubResponse: StubResponse;
+	let provider: BedrockProvider;
+	let account: Account;
+
+	beforeAll(async () => {
+		server = createServer((req, res) => {
+			let body = "";
+			req.on("data", (data) => {
+				body += data;
+			});
+			req.on("end", async () => {
+				received.push({
+					method: req.method,
+					url: req.url,
+					headers: req.headers,
+					body,
+				});
+				res.writeHead(stubResponse.status ?? 200, {
+					"content-type": "application/json",
+					...stubResponse.headers,
+				});
+				if (typeof stubResponse.body === "string") {
+					res.end(stubResponse.body);
+					return;
+				}
+				// Send stream parts separately to exercise reassembly
+				for (const part of stubResponse.body) {
+					res.write(part);
+					await new Promise((resolve) => setTimeout(resolve, 5));
+				}
+				res.end();
+			});
+		});
+		await new Promise<void>((resolve) =>
+			server.listen(0, "127.0.0.1", resolve),
+		);
+		baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+	});
+
+	afterAll(async () => {
+		await new Promise<void>((resolve) => server.close(() => resolve()));
+	});
+
+	beforeEach(() => {
+		received = [];
+		stubResponse = { body: "{}" };
+		provider = new BedrockProvider();
+		account = {
+			id: "bedrock-id",
+			name: "bedrock-account",
+			provider: "bedrock",
+			refresh_token: "",
+			access_token: null,
+			expires_at: null,
+			api_key: JSON.stringify(credentials),
+			account_tier: 1,
+			custom_endpoint: JSON.stringify({
+				region: "us-east-1",
+				endpoint: baseUrl,
+			}),
+			model_mappings: null,
+			rate_limited_until: null,
+			rate_limit_status: null,
+			rate_limit_reset: null,
+			rate_limit_remaining: null,
+			created_at: Date.now(),
+			last_used: null,
+			request_count: 0,
+			total_requests: 0,
+			session_start: null,
+			session_request_count: 0,
+			paused: false,
+			priority: 0,
+			auto_fallback_enabled: false,
+			auto_refresh_enabled: false,
+		};
+	});
+
+	// Send a Messages request the way the proxy does
+	async function send(body: Record<string, unknown>): Promise<Response> {
+		const headers = provider.prepareHeaders(
+			new Headers({
+				"content-type": "application/json",
+				"anthropic-version": "2023-06-01",
+				"anthropic-beta":
+					"interleaved-thinking-2025-05-14, context-1m-2025-08-07",
+				"x-api-key": "client-key",
+				host: "localhost:8080",
+			}),
+			"",
+			account.api_key ?? undefined,
+		);
+		const request = new Request(
+			provider.buildUrl("/v1/messages", "", account),
+			{
+				method: "POST",
+				headers,
+				body: JSON.stringify(body),
+			},
+		);
+		const transformed = await provider.transformRequestBody(request, account);
+		return provider.processResponse(await fetch(transformed), account);
+	}
+
+	describe("signRequest", () => {
+		it("should match the AWS SigV4 get-vanilla test vector", () => {
+			const headers = signRequest({
+				method: "GET",
+				url: "https://example.amazonaws.com/",
+				headers: new Headers(),
+				body: "",
+				credentials: {
+					accessKeyId: credentials.accessKeyId,
+					secretAccessKey: credentials.secretAccessKey,
+				},
+				region: "us-east-1",
+				service: "service",
+				date: new Date("2015-08-30T12:36:00Z"),
+			});
+
+			expect(headers.get("x-amz-date")).toBe("20150830T123600Z");
+			expect(headers.get("authorization")).toBe(
+				"AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, SignedHeaders=host;x-amz-date, Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31",
+			);
+		});
+	});
+
+	describe("canHandle", () => {
+		it("should only handle the Messages API", () => {
+			expect(provider.canHandle("/v1/messages")).toBe(true);
+			expect(provider.canHandle("/v1/messages/count_tokens")).toBe(false);
+		});
+	});
+
+	describe("invoke", () => {
+		it("should send a signed request in the Bedrock request shape", async () => {
+			stubResponse = {
+				body: JSON.stringify({
+					id: "msg_1",
+					type: "message",
+					role: "assistant",
+					model: "anthropic.claude-sonnet-4-5-20250929-v1:0",
+					content: [{ type: "text", text: "Hello" }],
+					usage: { input_tokens: 12, output_tokens: 3 },
+				}),
+			};
+
+			const response = await send({
+				model: "claude-sonnet-4-5-20250929",
+				max_tokens: 100,
+				stream: false,
+				messages: [{ role: "user", content: "Hi" }],
+			});
+
+			expect(response.status).toBe(200);
+			const [request] = received;
+			expect(request.url).toBe(
+				"/model/anthropic.claude-sonnet-4-5-20250929-v1%3A0/invoke",
+			);
+			expect(JSON.parse(request.body)).toEqual({
+				max_tokens: 100,
+				messages: [{ role: "user", content: "Hi" }],
+				anthropic_version: "bedrock-2023-05-31",
+				anthropic_beta: [
+					"interleaved-thinking-2025-05-14",
+					"context-1m-2025-08-07",
+				],
+			});
+			expect(request.headers["x-api-key"]).toBeUndefined();
+			expect(request.headers["anthropic-beta"]).toBeUndefined();
+			expect(request.headers["x-amz-security-token"]).toBe("session-token");
+
+			// The signature must cover the request exactly as it arrived
+			const amzDate = request.headers["x-amz-date"] as string;
+			const expected = signRequest({
+				method: "POST",
+				url: `${baseUrl}${request.url}`,
+				headers: new Headers({
+					"content-type": request.headers["content-type"] as string,
+				}),
+				body: request.body,
+				credentials,
+				region: "us-east-1",
+				service: "bedrock",
+				date: parseAmzDate(amzDate),
+			});
+			expect(request.headers.authorization).toBe(expected.get("authorization"));
+			expect(request.headers.authorization).toContain(
+				"SignedHeaders=content-type;host;x-amz-date;x-amz-security-token",
+			);
+
+			const usage = await provider.extractUsageInfo(response.clone());
+			expect(usage).toMatchObject({
+				model: "claude-sonnet-4-5-20250929",
+				inputTokens: 12,
+				outputTokens: 3,
+				totalTokens: 15,
+			});
+			const message = await response.json();
+			expect(message.model).toBe("claude-sonnet-4-5-20250929");
+		});
+
+		it("should apply model mappings and the inference profile", async () => {
+			account.model_mappings = JSON.stringify({
+				haiku: "claude-3-5-haiku-20241022",
+			});
+			account.custom_endpoint = JSON.stringify({
+				region: "us-east-1",
+				endpoint: baseUrl,
+				inferenceProfile: "us",
+			});
+
+			await send({
+				model: "claude-haiku-4-5-20251001",
+				max_tokens: 10,
+				messages: [{ role: "user", content: "Hi" }],
+			});
+
+			expect(received[0].url).toBe(
+				"/model/us.anthropic.claude-3-5-haiku-20241022-v1%3A0/invoke",
+			);
+		});
+	});
+
+	describe("invoke-with-response-stream", () => {
+		it("should convert the event stream to server-sent events", async () => {
+			const stream = Buffer.concat([
+				chunk({
+					type: "message_start",
+					message: {
+						id: "msg_1",
+						type: "message",
+						role: "assistant",
+						model: "claude-sonnet-4-5-20250929",
+						content: [],
+						usage: { input_tokens: 20, output_tokens: 1 },
+					},
+				}),
+				chunk({
+					type: "content_block_delta",
+					index: 0,
+					delta: { type: "text_delta", text: "Hello" },
+				}),
+				chunk({
+					type: "message_delta",
+					delta: { stop_reason: "end_turn" },
+					usage: { output_tokens: 7 },
+				}),
+				chunk({
+					type: "message_stop",
+					"amazon-bedrock-invocationMetrics": { inputTokenCount: 20 },
+				}),
+			]);
+			stubResponse = {
+				headers: { "content-type": "application/vnd.amazon.eventstream" },
+				// Split mid-message
+				body: [stream.subarray(0, 50), stream.subarray(50)],
+			};
+
+			const response = await send({
+				model: "claude-sonnet-4-5-20250929",
+				max_tokens: 100,
+				stream: true,
+				messages: [{ role: "user", content: "Hi" }],
+			});
+
+			expect(received[0].url).toBe(
+				"/model/anthropic.claude-sonnet-4-5-20250929-v1%3A0/invoke-with-response-stream",
+			);
+			expect(received[0].headers.accept).toBe(
+				"application/vnd.amazon.eventstream",
+			);
+			expect(JSON.parse(received[0].body).stream).toBeUndefined();
+			expect(response.headers.get("content-type")).toBe("text/event-stream");
+
+			const [usage, text] = await Promise.all([
+				provider.extractUsageInfo(response),
+				response.text(),
+			]);
+			expect(text).toContain("event: message_start\ndata: ");
+			expect(text).toContain('"text":"Hello"');
+			expect(text).toContain(
+				'event: message_stop\ndata: {"type":"message_stop"}',
+			);
+			expect(text).not.toContain("invocationMetrics");
+			expect(usage).toMatchObject({
+				model: "claude-sonnet-4-5-20250929",
+				inputTokens: 20,
+				outputTokens: 7,
+			});
+		});
+
+		it("should turn stream exceptions into Anthropic error events", async () => {
+			stubResponse = {
+				headers: { "content-type": "application/vnd.amazon.eventstream" },
+				body: [
+					encodeMessage(
+						{
+							":exception-type": "throttlingException",
+							":content-type": "application/json",
+							":message-type": "exception",
+						},
+						JSON.stringify({ message: "Too many tokens" }),
+					),
+				],
+			};
+
+			const response = await send({
+				model: "claude-sonnet-4-5-20250929",
+				max_tokens: 100,
+				stream: true,
+				messages: [{ role: "user", content: "Hi" }],
+			});
+
+			expect(await response.text()).toBe(
+				'event: error\ndata: {"type":"error","error":{"type":"rate_limit_error","message":"Too many tokens"}}\n\n',
+			);
+		});
+	});
+
+	describe("rate limits", () => {
+		it("should normalise throttling errors and add a retry time", async () => {
+			stubResponse = {
+				status: 429,
+				headers: { "x-amzn-errortype": "ThrottlingException" },
+				body: JSON.stringify({ message: "Too many requests" }),
+			};
+
+			const before = Date.now();
+			const response = await send({
+				model: "claude-sonnet-4-5-20250929",
+				max_tokens: 100,
+				messages: [{ role: "user", content: "Hi" }],
+			});
+
+			expect(response.status).toBe(429);
+			expect(response.headers.get("retry-after")).toBe("60");
+			const rateLimit = provider.parseRateLimit(response);
+			expect(rateLimit.isRateLimited).toBe(true);
+			expect(rateLimit.resetTime).toBeGreaterThanOrEqual(before + 60_000);
+			expect(await response.json()).toEqual({
+				type: "error",
+				error: { type: "rate_limit_error", message: "Too many requests" },
+			});
+		});
+
+		it("should keep a Retry-After sent by Bedrock", async () => {
+			stubResponse = {
+				status: 429,
+				headers: { "retry-after": "5" },
+				body: JSON.stringify({ message: "Too many requests" }),
+			};
+
+			const response = await send({
+				model: "claude-sonnet-4-5-20250929",
+				max_tokens: 100,
+				messages: [{ role: "user", content: "Hi" }],
+			});
+
+			expect(response.headers.get("retry-after")).toBe("5");
+		});
+	});
+});
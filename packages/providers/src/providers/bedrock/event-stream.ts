@@ -0,0 +1,109 @@
+/**
+ * Decoder for the AWS event stream encoding
+ * (application/vnd.amazon.eventstream) that Bedrock streams responses in.
+ *
+ * Each message is framed as
+ *   total length (4) | headers length (4) | prelude CRC (4)
+ *   headers | payload | message CRC (4)
+ * with lengths in big-endian bytes. Checksums are not verified; the stream
+ * is already protected by TLS.
+ */
+
+export interface EventStreamMessage {
+	/** String headers such as :event-type and :message-type */
+	headers: Record<string, string>;
+	payload: Uint8Array;
+}
+
+const PRELUDE_LENGTH = 12;
+const CHECKSUM_LENGTH = 4;
+
+// Header value types and the size of the fixed-size ones
+const STRING_TYPE = 7;
+const BYTES_TYPE = 6;
+const FIXED_SIZES: Record<number, number> = {
+	0: 0, // true
+	1: 0, // false
+	2: 1, // byte
+	3: 2, // short
+	4: 4, // integer
+	5: 8, // long
+	8: 8, // timestamp
+	9: 16, // uuid
+};
+
+const decoder = new TextDecoder();
+
+function decodeHeaders(bytes: Uint8Array): Record<string, string> {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	const headers: Record<string, string> = {};
+	let offset = 0;
+
+	while (offset < bytes.length) {
+		const nameLength = bytes[offset];
+		offset += 1;
+		const name = decoder.decode(bytes.subarray(offset, offset + nameLength));
+		offset += nameLength;
+		const type = bytes[offset];
+		offset += 1;
+
+		if (type === STRING_TYPE || type === BYTES_TYPE) {
+			const valueLength = view.getUint16(offset);
+			offset += 2;
+			if (type === STRING_TYPE) {
+				headers[name] = decoder.decode(
+					bytes.subarray(offset, offset + valueLength),
+				);
+			}
+			offset += valueLength;
+		} else if (type in FIXED_SIZES) {
+			if (type === 0 || type === 1) {
+				headers[name] = String(type === 0);
+			}
+			offset += FIXED_SIZES[type];
+		} else {
+			throw new Error(`Unknown event stream header type ${type}`);
+		}
+	}
+
+	return headers;
+}
+
+/**
+ * Split a byte stream into event stream messages
+ */
+export function createEventStreamDecoder(): TransformStream<
+	Uint8Array,
+	EventStreamMessage
+> {
+	let buffer = new Uint8Array(0);
+
+	return new TransformStream({
+		transform(chunk, controller) {
+			const joined = new Uint8Array(buffer.length + chunk.length);
+			joined.set(buffer);
+			joined.set(chunk, buffer.length);
+			buffer = joined;
+
+			while (buffer.length >= PRELUDE_LENGTH) {
+				const view = new DataView(
+					buffer.buffer,
+					buffer.byteOffset,
+					buffer.byteLength,
+				);
+				const totalLength = view.getUint32(0);
+				if (totalLength < PRELUDE_LENGTH + CHECKSUM_LENGTH) {
+					throw new Error("Malformed event stream message");
+				}
+				if (buffer.length < totalLength) break;
+
+				const headersEnd = PRELUDE_LENGTH + view.getUint32(4);
+				controller.enqueue({
+					headers: decodeHeaders(buffer.subarray(PRELUDE_LENGTH, headersEnd)),
+					payload: buffer.slice(headersEnd, totalLength - CHECKSUM_LENGTH),
+				});
+				buffer = buffer.slice(totalLength);
+			}
+		},
+	});
+}
@@ -0,0 +1 @@
+export { BedrockProvider } from "./provider";
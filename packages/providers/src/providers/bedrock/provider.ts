@@ -0,0 +1,184 @@
+import {
+	type CloudProviderSettings,
+	mapBedrockModelId,
+	parseAwsCredentials,
+} from "@better-ccflare/core";
+import { sanitizeProxyHeaders } from "@better-ccflare/http-common";
+import { Logger } from "@better-ccflare/logger";
+import type { Account } from "@better-ccflare/types";
+import {
+	CloudProvider,
+	formatServerSentEvent,
+	getErrorType,
+} from "../../cloud-provider";
+import type { TokenRefreshResult } from "../../types";
+import {
+	createEventStreamDecoder,
+	type EventStreamMessage,
+} from "./event-stream";
+import { signRequest } from "./sigv4";
+
+const log = new Logger("BedrockProvider");
+
+const EVENT_STREAM_CONTENT_TYPE = "application/vnd.amazon.eventstream";
+
+// Anthropic error types for exceptions Bedrock reports inside a stream
+const EXCEPTION_ERROR_TYPES: Record<string, string> = {
+	throttlingException: "rate_limit_error",
+	serviceUnavailableException: "overloaded_error",
+	modelNotReadyException: "overloaded_error",
+	validationException: "invalid_request_error",
+	accessDeniedException: "permission_error",
+	resourceNotFoundException: "not_found_error",
+};
+
+export class BedrockProvider extends CloudProvider {
+	name = "bedrock";
+	protected readonly anthropicVersion = "bedrock-2023-05-31";
+
+	protected getDefaultEndpoint(settings: CloudProviderSettings): string {
+		return `https://bedrock-runtime.${settings.region}.amazonaws.com`;
+	}
+
+	async refreshToken(
+		account: Account,
+		_clientId: string,
+	): Promise<TokenRefreshResult> {
+		// Requests are signed with the account's AWS keys, so there is no
+		// token to refresh
+		log.debug(`Bedrock account ${account.name} signs requests directly`);
+		return {
+			accessToken: "",
+			expiresAt: Date.now() + 365 * 24 * 60 * 60 * 1000, // 1 year from now
+			refreshToken: account.refresh_token,
+		};
+	}
+
+	protected async buildModelRequest(
+		account: Account,
+		model: string,
+		stream: boolean,
+		body: Record<string, unknown>,
+		headers: Headers,
+	): Promise<Request> {
+		const settings = this.getSettings(account);
+		const credentials = parseAwsCredentials(account.api_key, "api_key");
+		const modelId = mapBedrockModelId(
+			model,
+			account,
+			settings.inferenceProfile,
+		);
+
+		// Bedrock takes betas in the body and rejects the stream flag
+		delete body.stream;
+		const betas = headers.get("anthropic-beta");
+		headers.delete("anthropic-beta");
+		if (betas) {
+			body.anthropic_beta = betas
+				.split(",")
+				.map((beta) => beta.trim())
+				.filter(Boolean);
+		}
+		headers.set(
+			"accept",
+			stream ? EVENT_STREAM_CONTENT_TYPE : "application/json",
+		);
+
+		const url = `${this.getEndpoint(account)}/model/${encodeURIComponent(modelId)}/${
+			stream ? "invoke-with-response-stream" : "invoke"
+		}`;
+		const payload = JSON.stringify(body);
+		const signedHeaders = signRequest({
+			method: "POST",
+			url,
+			headers,
+			body: payload,
+			credentials,
+			region: settings.region,
+			service: "bedrock",
+		});
+
+		return new Request(url, {
+			method: "POST",
+			headers: signedHeaders,
+			body: payload,
+		});
+	}
+
+	/**
+	 * Turn Bedrock stream messages into Anthropic server-sent events
+	 */
+	private toServerSentEvents(): TransformStream<
+		EventStreamMessage,
+		Uint8Array
+	> {
+		const encoder = new TextEncoder();
+		const decoder = new TextDecoder();
+
+		return new TransformStream({
+			transform: (message, controller) => {
+				const payload = JSON.parse(decoder.decode(message.payload)) as {
+					bytes?: string;
+					message?: string;
+				};
+
+				if (message.headers[":message-type"] !== "event") {
+					const exception =
+						message.headers[":exception-type"] ??
+						message.headers[":error-code"] ??
+						"";
+					controller.enqueue(
+						encoder.encode(
+							formatServerSentEvent({
+								type: "error",
+								error: {
+									type: EXCEPTION_ERROR_TYPES[exception] ?? getErrorType(500),
+									message:
+										payload.message ??
+										message.headers[":error-message"] ??
+										exception,
+								},
+							}),
+						),
+					);
+					return;
+				}
+
+				if (message.headers[":event-type"] !== "chunk" || !payload.bytes) {
+					return;
+				}
+				const event = JSON.parse(
+					Buffer.from(payload.bytes, "base64").toString("utf-8"),
+				) as Record<string, unknown>;
+				// Bedrock's own latency and token metrics, added to message_stop
+				delete event["amazon-bedrock-invocationMetrics"];
+				controller.enqueue(
+					encoder.encode(formatServerSentEvent(this.normaliseEvent(event))),
+				);
+			},
+		});
+	}
+
+	async processResponse(
+		response: Response,
+		account: Account | null,
+	): Promise<Response> {
+		const contentType = response.headers.get("content-type") ?? "";
+		if (
+			!response.ok ||
+			!response.body ||
+			!contentType.includes(EVENT_STREAM_CONTENT_TYPE)
+		) {
+			return super.processResponse(response, account);
+		}
+
+		const headers = sanitizeProxyHeaders(response.headers);
+		headers.set("content-type", "text/event-stream");
+		return new Response(
+			response.body
+				.pipeThrough(createEventStreamDecoder())
+				.pipeThrough(this.toServerSentEvents()),
+			{ status: response.status, statusText: response.statusText, headers },
+		);
+	}
+}
@@ -0,0 +1,106 @@
+import { createHash, createHmac } from "node:crypto";
+import type { AwsCredentials } from "@better-ccflare/core";
+
+export interface SignRequestOptions {
+	method: string;
+	url: string;
+	headers: Headers;
+	body: string;
+	credentials: AwsCredentials;
+	region: string;
+	service: string;
+	/** Signing time, defaults to now */
+	date?: Date;
+}
+
+function sha256Hex(data: string): string {
+	return createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key: string | Buffer, data: string): Buffer {
+	return createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding, which unlike encodeURIComponent also escapes !'()*
+function encodeRfc3986(value: string): string {
+	return encodeURIComponent(value).replace(
+		/[!'()*]/g,
+		(char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+	);
+}
+
+/**
+ * Sign a request with AWS Signature Version 4. The host, content-type and
+ * all x-amz-* headers are signed. Returns a copy of the headers with
+ * x-amz-date, x-amz-security-token (for temporary credentials) and
+ * authorization set.
+ */
+export function signRequest(options: SignRequestOptions): Headers {
+	const { credentials, region, service } = options;
+	const url = new URL(options.url);
+	const headers = new Headers(options.headers);
+
+	// 20150830T123600Z
+	const amzDate = (options.date ?? new Date())
+		.toISOString()
+		.replace(/[:-]|\.\d{3}/g, "");
+	const dateStamp = amzDate.slice(0, 8);
+	headers.set("x-amz-date", amzDate);
+	if (credentials.sessionToken) {
+		headers.set("x-amz-security-token", credentials.sessionToken);
+	}
+
+	const signed = new Map<string, string>([["host", url.host]]);
+	for (const [name, value] of headers) {
+		if (name === "content-type" || name.startsWith("x-amz-")) {
+			signed.set(name, value.trim().replace(/\s+/g, " "));
+		}
+	}
+	const names = [...signed.keys()].sort();
+	const signedHeaders = names.join(";");
+
+	// Every service but S3 expects the already encoded path encoded again
+	const canonicalUri =
+		url.pathname.split("/").map(encodeRfc3986).join("/") || "/";
+	const canonicalQuery = [...url.searchParams]
+		.map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+		.sort(([keyA, valueA], [keyB, valueB]) =>
+			keyA === keyB ? (valueA < valueB ? -1 : 1) : keyA < keyB ? -1 : 1,
+		)
+		.map(([key, value]) => `${key}=${value}`)
+		.join("&");
+
+	const canonicalRequest = [
+		options.method.toUpperCase(),
+		canonicalUri,
+		canonicalQuery,
+		names.map((name) => `${name}:${signed.get(name)}\n`).join(""),
+		signedHeaders,
+		sha256Hex(options.body),
+	].join("\n");
+
+	const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+	const stringToSign = [
+		"AWS4-HMAC-SHA256",
+		amzDate,
+		scope,
+		sha256Hex(canonicalRequest),
+	].join("\n");
+
+	const signingKey = hmac(
+		hmac(
+			hmac(hmac(`AWS4${credentials.secretAccessKey}`, dateStamp), region),
+			service,
+		),
+		"aws4_request",
+	);
+	const signature = createHmac("sha256", signingKey)
+		.update(stringToSign)
+		.digest("hex");
+
+	headers.set(
+		"authorization",
+		`AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+	);
+	return headers;
+}
@@ -2,5 +2,7 @@ export {
 	AnthropicOAuthProvider,
 	AnthropicProvider,
 } from "./anthropic/index";
+export { BedrockProvider } from "./bedrock/index";
 export { OpenAICompatibleProvider } from "./openai/index";
+export { VertexProvider } from "./vertex/index";
 export { ZaiProvider } from "./zai/index";
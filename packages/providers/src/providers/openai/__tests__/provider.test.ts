@@ -412,6 +412,40 @@ describe("OpenAICompatibleProvider", () => {
 			const transformed = await provider.transformRequestBody(request);
 			const body = await transformed.json();
 
+			expect(body.messages[0].content).toEqual([
+				{ type: "text", text: "Hello" },
+				{
+					type: "image_url",
+					image_url: { url: "data:image/png;base64,..." },
+				},
+				{ type: "text", text: "world!" },
+			]);
+		});
+
+		it("should join text-only content arrays into a string", async () => {
+			const anthropicRequest = {
+				model: "claude-3-sonnet-20240229",
+				max_tokens: 1000,
+				messages: [
+					{
+						role: "user",
+						content: [
+							{ type: "text", text: "Hello" },
+							{ type: "text", text: "world!" },
+						],
+					},
+				],
+			};
+
+			const request = new Request("https://example.com/v1/messages", {
+				method: "POST",
+				headers: { "content-type": "application/json" },
+				body: JSON.stringify(anthropicRequest),
+			});
+
+			const transformed = await provider.transformRequestBody(request);
+			const body = await transformed.json();
+
 			expect(body.messages[0].content).toBe("Helloworld!");
 		});
 
@@ -446,4 +480,660 @@ describe("OpenAICompatibleProvider", () => {
 			expect(body.model).toBe("custom/haiku-model");
 		});
 	});
+
+	describe("tool, image and thinking translation", () => {
+		const transform = async (anthropicRequest: Record<string, unknown>) => {
+			const request = new Request("https://example.com/v1/messages", {
+				method: "POST",
+				headers: { "content-type": "application/json" },
+				body: JSON.stringify(anthropicRequest),
+			});
+			const transformed = await provider.transformRequestBody(
+				request,
+				mockAccount,
+			);
+			return transformed.json();
+		};
+
+		it("should convert tools to OpenAI functions", async () => {
+			const body = await transform({
+				model: "claude-3-5-sonnet-20241022",
+				max_tokens: 1000,
+				messages: [{ role: "user", content: "What's the weather?" }],
+				tools: [
+					{
+						name: "get_weather",
+						description: "Get the weather for a city",
+						input_schema: {
+							type: "object",
+							properties: { city: { type: "string" } },
+							required: ["city"],
+						},
+					},
+					{ type: "web_search_20250305", name: "web_search" },
+				],
+			});
+
+			expect(body.tools).toEqual([
+				{
+					type: "function",
+					function: {
+						name: "get_weather",
+						description: "Get the weather for a city",
+						parameters: {
+							type: "object",
+							properties: { city: { type: "string" } },
+							required: ["city"],
+						},
+					},
+				},
+			]);
+		});
+
+		it("should map tool_choice variants", async () => {
+			const tools = [
+				{ name: "lookup", input_schema: { type: "object", properties: {} } },
+			];
+			const base = {
+				model: "claude-3-5-sonnet-20241022",
+				max_tokens: 1000,
+				messages: [{ role: "user", content: "Hi" }],
+				tools,
+			};
+
+			expect(
+				(await transform({ ...base, tool_choice: { type: "auto" } }))
+					.tool_choice,
+			).toBe("auto");
+			expect(
+				(await transform({ ...base, tool_choice: { type: "any" } }))
+					.tool_choice,
+			).toBe("required");
+			expect(
+				(await transform({ ...base, tool_choice: { type: "none" } }))
+					.tool_choice,
+			).toBe("none");
+
+			const forced = await transform({
+				...base,
+				tool_choice: {
+					type: "tool",
+					name: "lookup",
+					disable_parallel_tool_use: true,
+				},
+			});
+			expect(forced.tool_choice).toEqual({
+				type: "function",
+				function: { name: "lookup" },
+			});
+			expect(forced.parallel_tool_calls).toBe(false);
+		});
+
+		it("should convert tool_use and tool_result blocks", async () => {
+			const body = await transform({
+				model: "claude-3-5-sonnet-20241022",
+				max_tokens: 1000,
+				messages: [
+					{ role: "user", content: "What's the weather in Paris?" },
+					{
+						role: "assistant",
+						content: [
+							{ type: "thinking", thinking: "Need weather", signature: "sig" },
+							{ type: "text", text: "Let me check." },
+							{
+								type: "tool_use",
+								id: "toolu_1",
+								name: "get_weather",
+								input: { city: "Paris" },
+							},
+						],
+					},
+					{
+						role: "user",
+						content: [
+							{
+								type: "tool_result",
+								tool_use_id: "toolu_1",
+								content: [{ type: "text", text: "18C and sunny" }],
+							},
+							{ type: "text", text: "Thanks!" },
+						],
+					},
+				],
+			});
+
+			expect(body.messages).toEqual([
+				{ role: "user", content: "What's the weather in Paris?" },
+				{
+					role: "assistant",
+					content: "Let me check.",
+					tool_calls: [
+						{
+							id: "toolu_1",
+							type: "function",
+							function: {
+								name: "get_weather",
+								arguments: JSON.stringify({ city: "Paris" }),
+							},
+						},
+					],
+				},
+				{ role: "tool", tool_call_id: "toolu_1", content: "18C and sunny" },
+				{ role: "user", content: "Thanks!" },
+			]);
+		});
+
+		it("should flag errored tool results", async () => {
+			const body = await transform({
+				model: "claude-3-5-sonnet-20241022",
+				max_tokens: 1000,
+				messages: [
+					{
+						role: "user",
+						content: [
+							{
+								type: "tool_result",
+								tool_use_id: "toolu_2",
+								content: "command not found",
+								is_error: true,
+							},
+						],
+					},
+				],
+			});
+
+			expect(body.messages).toEqual([
+				{
+					role: "tool",
+					tool_call_id: "toolu_2",
+					content: "Error: command not found",
+				},
+			]);
+		});
+
+		it("should convert URL images and system blocks", async () => {
+			const body = await transform({
+				model: "claude-3-5-sonnet-20241022",
+				max_tokens: 1000,
+				system: [
+					{ type: "text", text: "You are helpful." },
+					{ type: "text", text: "Be brief." },
+				],
+				messages: [
+					{
+						role: "user",
+						content: [
+							{
+								type: "image",
+								source: { type: "url", url: "https://example.com/cat.png" },
+							},
+						],
+					},
+				],
+			});
+
+			expect(body.messages[0]).toEqual({
+				role: "system",
+				content: "You are helpful.\nBe brief.",
+			});
+			expect(body.messages[1].content).toEqual([
+				{
+					type: "image_url",
+					image_url: { url: "https://example.com/cat.png" },
+				},
+			]);
+		});
+
+		it("should request usage in streaming mode", async () => {
+			const body = await transform({
+				model: "claude-3-5-sonnet-20241022",
+				max_tokens: 1000,
+				stream: true,
+				messages: [{ role: "user", content: "Hi" }],
+			});
+
+			expect(body.stream).toBe(true);
+			expect(body.stream_options).toEqual({ include_usage: true });
+		});
+
+		it("should map the thinking budget to reasoning_effort", async () => {
+			const effortFor = async (thinking: Record<string, unknown>) => {
+				const body = await transform({
+					model: "claude-3-5-sonnet-20241022",
+					max_tokens: 32000,
+					thinking,
+					messages: [{ role: "user", content: "Hi" }],
+				});
+				expect(body.thinking).toBeUndefined();
+				return body.reasoning_effort;
+			};
+
+			expect(await effortFor({ type: "enabled", budget_tokens: 1024 })).toBe(
+				"low",
+			);
+			expect(await effortFor({ type: "enabled", budget_tokens: 4096 })).toBe(
+				"medium",
+			);
+			expect(await effortFor({ type: "enabled", budget_tokens: 16384 })).toBe(
+				"high",
+			);
+			expect(await effortFor({ type: "disabled" })).toBeUndefined();
+		});
+	});
+
+	describe("response conversion", () => {
+		it("should convert tool_calls into tool_use blocks", async () => {
+			const openaiResponse = {
+				id: "chatcmpl-1",
+				model: "openai/gpt-5",
+				choices: [
+					{
+						message: {
+							role: "assistant",
+							content: "Checking.",
+							reasoning_content: "The user wants weather.",
+							tool_calls: [
+								{
+									id: "call_1",
+									type: "function",
+									function: {
+										name: "get_weather",
+										arguments: '{"city":"Paris"}',
+									},
+								},
+							],
+						},
+						finish_reason: "tool_calls",
+					},
+				],
+				usage: {
+					prompt_tokens: 120,
+					completion_tokens: 30,
+					prompt_tokens_details: { cached_tokens: 20 },
+				},
+			};
+
+			const response = await provider.processResponse(
+				new Response(JSON.stringify(openaiResponse), {
+					headers: { "content-type": "application/json" },
+				}),
+				mockAccount,
+			);
+			const body = await response.json();
+
+			expect(body.stop_reason).toBe("tool_use");
+			expect(body.content).toEqual([
+				{
+					type: "thinking",
+					thinking: "The user wants weather.",
+					signature: "",
+				},
+				{ type: "text", text: "Checking." },
+				{
+					type: "tool_use",
+					id: "call_1",
+					name: "get_weather",
+					input: { city: "Paris" },
+				},
+			]);
+			expect(body.usage).toEqual({
+				input_tokens: 100,
+				output_tokens: 30,
+				cache_read_input_tokens: 20,
+			});
+		});
+
+		it("should extract usage from the converted response", async () => {
+			const response = await provider.processResponse(
+				new Response(
+					JSON.stringify({
+						model: "gpt-4o",
+						choices: [{ message: { content: "Hi" }, finish_reason: "stop" }],
+						usage: { prompt_tokens: 10, completion_tokens: 5 },
+					}),
+					{ headers: { "content-type": "application/json" } },
+				),
+				mockAccount,
+			);
+
+			const usage = await provider.extractUsageInfo(response);
+
+			expect(usage?.promptTokens).toBe(10);
+			expect(usage?.completionTokens).toBe(5);
+			expect(usage?.totalTokens).toBe(15);
+		});
+	});
+
+	describe("streaming conversion", () => {
+		const streamFrom = (chunks: unknown[]) => {
+			const encoder = new TextEncoder();
+			const body = new ReadableStream({
+				start(controller) {
+					for (const chunk of chunks) {
+						controller.enqueue(
+							encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`),
+						);
+					}
+					controller.enqueue(encoder.encode("data: [DONE]\n\n"));
+					controller.close();
+				},
+			});
+			return new Response(body, {
+				headers: { "content-type": "text/event-stream" },
+			});
+		};
+
+		const readEvents = async (response: Response) => {
+			const text = await response.text();
+			return text
+				.split("\n")
+				.filter((line) => line.startsWith("data: "))
+				.map((line) => JSON.parse(line.slice(6)));
+		};
+
+		it("should stream text deltas with a final message_delta", async () => {
+			const response = await provider.processResponse(
+				streamFrom([
+					{
+						id: "chatcmpl-2",
+						model: "gpt-4o",
+						choices: [{ delta: { content: "Hel" } }],
+					},
+					{ choices: [{ delta: { content: "lo" } }] },
+					{ choices: [{ delta: {}, finish_reason: "stop" }] },
+					{ choices: [], usage: { prompt_tokens: 7, completion_tokens: 2 } },
+				]),
+				mockAccount,
+			);
+			const events = await readEvents(response);
+
+			expect(events.map((event) => event.type)).toEqual([
+				"message_start",
+				"content_block_start",
+				"content_block_delta",
+				"content_block_delta",
+				"content_block_stop",
+				"message_delta",
+				"message_stop",
+			]);
+			expect(events[0].message.model).toBe("gpt-4o");
+			expect(events[2].delta).toEqual({ type: "text_delta", text: "Hel" });
+			expect(events[5].delta.stop_reason).toBe("end_turn");
+			expect(events[5].usage).toEqual({ input_tokens: 7, output_tokens: 2 });
+		});
+
+		it("should stream tool call arguments as input_json_delta", async () => {
+			const response = await provider.processResponse(
+				streamFrom([
+					{ choices: [{ delta: { reasoning_content: "Thinking..." } }] },
+					{ choices: [{ delta: { content: "Let me check." } }] },
+					{
+						choices: [
+							{
+								delta: {
+									tool_calls: [
+										{
+											index: 0,
+											id: "call_1",
+											type: "function",
+											function: { name: "get_weather", arguments: "" },
+										},
+									],
+								},
+							},
+						],
+					},
+					{
+						choices: [
+							{
+								delta: {
+									tool_calls: [
+										{ index: 0, function: { arguments: '{"city":' } },
+									],
+								},
+							},
+						],
+					},
+					{
+						choices: [
+							{
+								delta: {
+									tool_calls: [
+										{ index: 0, function: { arguments: '"Paris"}' } },
+									],
+								},
+							},
+						],
+					},
+					{
+						choices: [
+							{
+								delta: {
+									tool_calls: [
+										{
+											index: 1,
+											id: "call_2",
+											function: { name: "get_time", arguments: "{}" },
+										},
+									],
+								},
+							},
+						],
+					},
+					{ choices: [{ delta: {}, finish_reason: "tool_calls" }] },
+				]),
+				mockAccount,
+			);
+			const events = await readEvents(response);
+
+			const starts = events.filter(
+				(event) => event.type === "content_block_start",
+			);
+			expect(starts.map((event) => event.content_block)).toEqual([
+				{ type: "thinking", thinking: "" },
+				{ type: "text", text: "" },
+				{ type: "tool_use", id: "call_1", name: "get_weather", input: {} },
+				{ type: "tool_use", id: "call_2", name: "get_time", input: {} },
+			]);
+			expect(starts.map((event) => event.index)).toEqual([0, 1, 2, 3]);
+
+			const jsonDeltas = events
+				.filter(
+					(event) =>
+						event.type === "content_block_delta" &&
+						event.delta.type === "input_json_delta",
+				)
+				.map((event) => [event.index, event.delta.partial_json]);
+			expect(jsonDeltas).toEqual([
+				[2, '{"city":'],
+				[2, '"Paris"}'],
+				[3, "{}"],
+			]);
+
+			expect(
+				events.filter((event) => event.type === "content_block_stop"),
+			).toHaveLength(4);
+			const messageDelta = events.find(
+				(event) => event.type === "message_delta",
+			);
+			expect(messageDelta.delta.stop_reason).toBe("tool_use");
+		});
+
+		it("should keep interleaved tool call arguments with their call", async () => {
+			const toolDelta = (
+				index: number,
+				args: string,
+				start?: { id: string; name: string },
+			) => ({
+				choices: [
+					{
+						delta: {
+							tool_calls: [
+								{
+									index,
+									...(start ? { id: start.id } : {}),
+									function: {
+										...(start ? { name: start.name } : {}),
+										arguments: args,
+									},
+								},
+							],
+						},
+					},
+				],
+			});
+			const response = await provider.processResponse(
+				streamFrom([
+					toolDelta(0, '{"city":', { id: "call_1", name: "get_weather" }),
+					toolDelta(1, '{"zone":', { id: "call_2", name: "get_time" }),
+					toolDelta(0, '"Paris"}'),
+					toolDelta(1, '"CET"}'),
+					{ choices: [{ delta: {}, finish_reason: "tool_calls" }] },
+				]),
+				mockAccount,
+			);
+			const events = await readEvents(response);
+
+			expect(
+				events
+					.filter((event) => event.type === "content_block_start")
+					.map((event) => [event.index, event.content_block.id]),
+			).toEqual([
+				[0, "call_1"],
+				[1, "call_2"],
+			]);
+			expect(
+				events
+					.filter((event) => event.type === "content_block_delta")
+					.map((event) => [event.index, event.delta.partial_json]),
+			).toEqual([
+				[0, '{"city":'],
+				[1, '{"zone":'],
+				[0, '"Paris"}'],
+				[1, '"CET"}'],
+			]);
+			// Both blocks stay open until the message ends
+			expect(
+				events.slice(-4).map((event) => [event.type, event.index]),
+			).toEqual([
+				["content_block_stop", 0],
+				["content_block_stop", 1],
+				["message_delta", undefined],
+				["message_stop", undefined],
+			]);
+		});
+
+		it("should key tool calls without an index by their id", async () => {
+			const toolDelta = (
+				args: string,
+				start?: { id: string; name: string },
+			) => ({
+				choices: [
+					{
+						delta: {
+							tool_calls: [
+								start
+									? {
+											id: start.id,
+											function: { name: start.name, arguments: args },
+										}
+									: { function: { arguments: args } },
+							],
+						},
+					},
+				],
+			});
+			const response = await provider.processResponse(
+				streamFrom([
+					toolDelta('{"city":', { id: "call_1", name: "get_weather" }),
+					toolDelta('"Paris"}'),
+					toolDelta('{"zone":', { id: "call_2", name: "get_time" }),
+					toolDelta('"CET"}'),
+					{ choices: [{ delta: {}, finish_reason: "tool_calls" }] },
+				]),
+				mockAccount,
+			);
+			const events = await readEvents(response);
+
+			expect(
+				events
+					.filter((event) => event.type === "content_block_start")
+					.map((event) => [event.index, event.content_block.id]),
+			).toEqual([
+				[0, "call_1"],
+				[1, "call_2"],
+			]);
+			// Argument-only deltas continue the latest call
+			expect(
+				events
+					.filter((event) => event.type === "content_block_delta")
+					.map((event) => [event.index, event.delta.partial_json]),
+			).toEqual([
+				[0, '{"city":'],
+				[0, '"Paris"}'],
+				[1, '{"zone":'],
+				[1, '"CET"}'],
+			]);
+		});
+
+		it("should end the message after an upstream error chunk", async () => {
+			const response = await provider.processResponse(
+				streamFrom([
+					{ choices: [{ delta: { content: "Hel" } }] },
+					{ error: { message: "Provider overloaded", type: "overloaded" } },
+					{ choices: [{ delta: { content: "lo" } }] },
+				]),
+				mockAccount,
+			);
+			const events = await readEvents(response);
+
+			expect(events.map((event) => event.type)).toEqual([
+				"message_start",
+				"content_block_start",
+				"content_block_delta",
+				"content_block_stop",
+				"error",
+				"message_stop",
+			]);
+			expect(events[4].error).toEqual({
+				type: "overloaded",
+				message: "Provider overloaded",
+			});
+		});
+
+		it("should end the message when the upstream stream fails", async () => {
+			const encoder = new TextEncoder();
+			let sent = false;
+			const body = new ReadableStream({
+				pull(controller) {
+					if (sent) {
+						controller.error(new Error("socket hang up"));
+						return;
+					}
+					sent = true;
+					controller.enqueue(
+						encoder.encode(
+							`data: ${JSON.stringify({ choices: [{ delta: { content: "Hi" } }] })}\n\n`,
+						),
+					);
+				},
+			});
+			const response = await provider.processResponse(
+				new Response(body, {
+					headers: { "content-type": "text/event-stream" },
+				}),
+				mockAccount,
+			);
+			const events = await readEvents(response);
+
+			expect(events.slice(-3)).toEqual([
+				{ type: "content_block_stop", index: 0 },
+				{
+					type: "error",
+					error: { type: "api_error", message: "socket hang up" },
+				},
+				{ type: "message_stop" },
+			]);
+		});
+	});
 });
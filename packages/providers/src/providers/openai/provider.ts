@@ -10,12 +10,57 @@ import type { RateLimitInfo, TokenRefreshResult } from "../../types";
 
 const log = new Logger("OpenAICompatibleProvider");
 
+// Smallest thinking budgets that map to the medium and high reasoning_effort
+const MEDIUM_REASONING_BUDGET = 4096;
+const HIGH_REASONING_BUDGET = 16384;
+
 // OpenAI API Request/Response Types
-interface OpenAIMessage {
-	role: "system" | "user" | "assistant";
-	content: string;
+interface OpenAITextPart {
+	type: "text";
+	text: string;
+}
+
+interface OpenAIImagePart {
+	type: "image_url";
+	image_url: { url: string };
 }
 
+type OpenAIContentPart = OpenAITextPart | OpenAIImagePart;
+
+interface OpenAIToolCall {
+	id: string;
+	type: "function";
+	function: {
+		name: string;
+		arguments: string;
+	};
+}
+
+type OpenAIMessage =
+	| { role: "system"; content: string }
+	| { role: "user"; content: string | OpenAIContentPart[] }
+	| {
+			role: "assistant";
+			content: string | null;
+			tool_calls?: OpenAIToolCall[];
+	  }
+	| { role: "tool"; tool_call_id: string; content: string };
+
+interface OpenAITool {
+	type: "function";
+	function: {
+		name: string;
+		description?: string;
+		parameters: Record<string, unknown>;
+	};
+}
+
+type OpenAIToolChoice =
+	| "auto"
+	| "none"
+	| "required"
+	| { type: "function"; function: { name: string } };
+
 interface OpenAIRequest {
 	model: string;
 	messages: OpenAIMessage[];
@@ -24,29 +69,112 @@ interface OpenAIRequest {
 	top_p?: number;
 	stop?: string | string[];
 	stream?: boolean;
+	stream_options?: { include_usage: boolean };
+	tools?: OpenAITool[];
+	tool_choice?: OpenAIToolChoice;
+	parallel_tool_calls?: boolean;
+	reasoning_effort?: OpenAIReasoningEffort;
+}
+
+type OpenAIReasoningEffort = "low" | "medium" | "high";
+
+// Anthropic content blocks understood by the converter
+interface AnthropicTextBlock {
+	type: "text";
+	text: string;
+}
+
+interface AnthropicImageBlock {
+	type: "image";
+	source:
+		| { type: "base64"; media_type: string; data: string }
+		| { type: "url"; url: string };
+}
+
+interface AnthropicToolUseBlock {
+	type: "tool_use";
+	id: string;
+	name: string;
+	input: unknown;
+}
+
+interface AnthropicToolResultBlock {
+	type: "tool_result";
+	tool_use_id: string;
+	content?: string | Array<AnthropicTextBlock | AnthropicImageBlock>;
+	is_error?: boolean;
+}
+
+interface AnthropicThinkingBlock {
+	type: "thinking";
+	thinking: string;
+	signature?: string;
+}
+
+interface AnthropicRedactedThinkingBlock {
+	type: "redacted_thinking";
+	data: string;
 }
 
+type AnthropicContentBlock =
+	| AnthropicTextBlock
+	| AnthropicImageBlock
+	| AnthropicToolUseBlock
+	| AnthropicToolResultBlock
+	| AnthropicThinkingBlock
+	| AnthropicRedactedThinkingBlock;
+
 interface AnthropicMessage {
 	role: "user" | "assistant";
-	content: string | Array<{ type: "text"; text: string }>;
+	content: string | AnthropicContentBlock[];
+}
+
+interface AnthropicTool {
+	name: string;
+	description?: string;
+	input_schema?: Record<string, unknown>;
+	type?: string;
 }
 
+type AnthropicToolChoice =
+	| { type: "auto"; disable_parallel_tool_use?: boolean }
+	| { type: "any"; disable_parallel_tool_use?: boolean }
+	| { type: "tool"; name: string; disable_parallel_tool_use?: boolean }
+	| { type: "none" };
+
+type AnthropicThinkingConfig =
+	| { type: "enabled"; budget_tokens: number }
+	| { type: "disabled" };
+
 interface AnthropicRequest {
 	model: string;
 	max_tokens: number;
 	messages: AnthropicMessage[];
-	system?: string;
+	system?: string | AnthropicTextBlock[];
 	temperature?: number;
 	top_p?: number;
 	stop_sequences?: string[];
 	stream?: boolean;
+	tools?: AnthropicTool[];
+	tool_choice?: AnthropicToolChoice;
+	thinking?: AnthropicThinkingConfig;
 }
 
 interface OpenAIUsage {
 	prompt_tokens?: number;
 	completion_tokens?: number;
 	total_tokens?: number;
-	prompt_tokens_details?: Record<string, unknown>;
+	prompt_tokens_details?: { cached_tokens?: number } & Record<string, unknown>;
+}
+
+interface OpenAIToolCallDelta {
+	index?: number;
+	id?: string;
+	type?: "function";
+	function?: {
+		name?: string;
+		arguments?: string;
+	};
 }
 
 interface OpenAIResponse {
@@ -55,13 +183,19 @@ interface OpenAIResponse {
 	model?: string;
 	choices?: Array<{
 		message?: {
-			content?: string;
+			content?: string | null;
 			role?: string;
+			tool_calls?: OpenAIToolCall[];
+			reasoning_content?: string | null;
+			reasoning?: string | null;
 		};
 		delta?: {
-			content?: string;
+			content?: string | null;
+			tool_calls?: OpenAIToolCallDelta[];
+			reasoning_content?: string | null;
+			reasoning?: string | null;
 		};
-		finish_reason?: string;
+		finish_reason?: string | null;
 	}>;
 	usage?: OpenAIUsage;
 	error?: {
@@ -71,20 +205,23 @@ interface OpenAIResponse {
 	};
 }
 
+type AnthropicResponseBlock =
+	| AnthropicTextBlock
+	| AnthropicToolUseBlock
+	| { type: "thinking"; thinking: string; signature: string };
+
 interface AnthropicResponse {
 	type: "message" | "error";
 	id?: string;
 	role?: string;
-	content?: Array<{
-		type: "text";
-		text: string;
-	}>;
+	content?: AnthropicResponseBlock[];
 	model?: string;
 	stop_reason?: string;
 	stop_sequence?: string;
 	usage?: {
 		input_tokens: number;
 		output_tokens: number;
+		cache_read_input_tokens?: number;
 	};
 	error?: {
 		type: string;
@@ -290,21 +427,28 @@ export class OpenAICompatibleProvider extends BaseProvider {
 				// In a full implementation, we'd need to buffer the entire stream
 				return null;
 			} else {
-				// Handle non-streaming JSON responses
+				// Handle non-streaming JSON responses. processResponse has usually
+				// converted the body to Anthropic format already, so accept both shapes.
 				const json = (await clone.json()) as {
 					model?: string;
-					usage?: {
-						prompt_tokens?: number;
-						completion_tokens?: number;
-						total_tokens?: number;
-						prompt_tokens_details?: Record<string, unknown>;
+					usage?: OpenAIUsage & {
+						input_tokens?: number;
+						output_tokens?: number;
+						cache_read_input_tokens?: number;
 					};
 				};
 
 				if (!json.usage) return null;
 
-				const promptTokens = json.usage.prompt_tokens || 0;
-				const completionTokens = json.usage.completion_tokens || 0;
+				const cacheReadTokens =
+					json.usage.cache_read_input_tokens ||
+					json.usage.prompt_tokens_details?.cached_tokens ||
+					0;
+				const promptTokens =
+					json.usage.prompt_tokens ??
+					(json.usage.input_tokens || 0) + cacheReadTokens;
+				const completionTokens =
+					json.usage.completion_tokens ?? (json.usage.output_tokens || 0);
 				const totalTokens =
 					json.usage.total_tokens || promptTokens + completionTokens;
 
@@ -321,9 +465,9 @@ export class OpenAICompatibleProvider extends BaseProvider {
 					completionTokens,
 					totalTokens,
 					costUsd,
-					inputTokens: promptTokens,
+					inputTokens: promptTokens - cacheReadTokens,
 					outputTokens: completionTokens,
-					cacheReadInputTokens: 0,
+					cacheReadInputTokens: cacheReadTokens,
 					cacheCreationInputTokens: 0,
 				};
 			}
@@ -430,41 +574,100 @@ export class OpenAICompatibleProvider extends BaseProvider {
 		}
 		if (anthropicData.stream !== undefined) {
 			openaiRequest.stream = anthropicData.stream;
+			if (anthropicData.stream) {
+				// Ask for a final usage chunk so token counts survive streaming
+				openaiRequest.stream_options = { include_usage: true };
+			}
+		}
+
+		// OpenAI-compatible APIs take a reasoning level instead of a token budget
+		if (anthropicData.thinking?.type === "enabled") {
+			openaiRequest.reasoning_effort = this.mapThinkingBudget(
+				anthropicData.thinking.budget_tokens,
+			);
+		}
+
+		// Map tools to OpenAI functions. Server tools (web search etc.) have no
+		// input schema and cannot be expressed as functions, so they are skipped.
+		if (anthropicData.tools && Array.isArray(anthropicData.tools)) {
+			const tools = anthropicData.tools
+				.filter((tool) => tool.input_schema)
+				.map(
+					(tool): OpenAITool => ({
+						type: "function",
+						function: {
+							name: tool.name,
+							...(tool.description ? { description: tool.description } : {}),
+							parameters: tool.input_schema ?? {},
+						},
+					}),
+				);
+			if (tools.length > 0) {
+				openaiRequest.tools = tools;
+			}
+		}
+
+		if (anthropicData.tool_choice && openaiRequest.tools) {
+			const choice = anthropicData.tool_choice;
+			switch (choice.type) {
+				case "auto":
+					openaiRequest.tool_choice = "auto";
+					break;
+				case "any":
+					openaiRequest.tool_choice = "required";
+					break;
+				case "tool":
+					openaiRequest.tool_choice = {
+						type: "function",
+						function: { name: choice.name },
+					};
+					break;
+				case "none":
+					openaiRequest.tool_choice = "none";
+					break;
+			}
+			if (
+				"disable_parallel_tool_use" in choice &&
+				choice.disable_parallel_tool_use
+			) {
+				openaiRequest.parallel_tool_calls = false;
+			}
 		}
 
 		// Handle system message (Anthropic has it as top-level, OpenAI has it in messages array)
 		const messages: OpenAIMessage[] = [];
 		if (anthropicData.system) {
-			messages.push({
-				role: "system",
-				content: anthropicData.system,
-			});
+			const systemText = Array.isArray(anthropicData.system)
+				? anthropicData.system
+						.filter((block) => block.type === "text")
+						.map((block) => block.text)
+						.join("\n")
+				: anthropicData.system;
+			if (systemText) {
+				messages.push({
+					role: "system",
+					content: systemText,
+				});
+			}
 		}
 
 		// Add user/assistant messages
 		if (anthropicData.messages && Array.isArray(anthropicData.messages)) {
 			for (const message of anthropicData.messages) {
-				const openaiMessage: OpenAIMessage = {
-					role: message.role,
-					content: Array.isArray(message.content)
-						? message.content
-								.filter((part) => part.type === "text")
-								.map((part) => part.text)
-								.join("")
-						: message.content,
-				};
-
-				// Handle content arrays (Anthropic supports rich content)
-				if (Array.isArray(message.content)) {
-					// Convert Anthropic content array to OpenAI string format
-					const textParts = message.content
-						.filter((part: { type: string }) => part.type === "text")
-						.map((part: { text: string }) => part.text)
-						.join("");
-					openaiMessage.content = textParts;
+				if (!Array.isArray(message.content)) {
+					messages.push(
+						message.role === "assistant"
+							? { role: "assistant", content: message.content }
+							: { role: "user", content: message.content },
+					);
+					continue;
 				}
 
-				messages.push(openaiMessage);
+				if (message.role === "assistant") {
+					messages.push(this.convertAssistantContent(message.content));
+				} else {
+					messages.push(...this.convertUserContent(message.content));
+				}
 			}
 		}
 
@@ -472,6 +675,133 @@ export class OpenAICompatibleProvider extends BaseProvider {
 		return openaiRequest;
 	}
 
+	/**
+	 * Map an Anthropic thinking budget to the nearest reasoning_effort level
+	 */
+	private mapThinkingBudget(budgetTokens: number): OpenAIReasoningEffort {
+		if (budgetTokens >= HIGH_REASONING_BUDGET) return "high";
+		if (budgetTokens >= MEDIUM_REASONING_BUDGET) return "medium";
+		return "low";
+	}
+
+	/**
+	 * Convert an assistant content array. Text is concatenated and tool_use
+	 * blocks become tool_calls. Thinking blocks are dropped: OpenAI-compatible
+	 * APIs have no way to accept prior reasoning as input.
+	 */
+	private convertAssistantContent(
+		content: AnthropicContentBlock[],
+	): OpenAIMessage {
+		let text = "";
+		const toolCalls: OpenAIToolCall[] = [];
+
+		for (const block of content) {
+			if (block.type === "text") {
+				text += block.text;
+			} else if (block.type === "tool_use") {
+				toolCalls.push({
+					id: block.id,
+					type: "function",
+					function: {
+						name: block.name,
+						arguments: JSON.stringify(block.input ?? {}),
+					},
+				});
+			}
+		}
+
+		if (toolCalls.length > 0) {
+			return {
+				role: "assistant",
+				content: text || null,
+				tool_calls: toolCalls,
+			};
+		}
+		return { role: "assistant", content: text };
+	}
+
+	/**
+	 * Convert a user content array. tool_result blocks become "tool" messages,
+	 * which OpenAI requires to directly follow the assistant tool_calls, so they
+	 * are emitted before the remaining user content.
+	 */
+	private convertUserContent(
+		content: AnthropicContentBlock[],
+	): OpenAIMessage[] {
+		const toolMessages: OpenAIMessage[] = [];
+		const parts: OpenAIContentPart[] = [];
+
+		for (const block of content) {
+			switch (block.type) {
+				case "text":
+					parts.push({ type: "text", text: block.text });
+					break;
+				case "image":
+					parts.push(this.convertImageBlock(block));
+					break;
+				case "tool_result": {
+					let resultText = "";
+					if (typeof block.content === "string") {
+						resultText = block.content;
+					} else if (Array.isArray(block.content)) {
+						for (const item of block.content) {
+							if (item.type === "text") {
+								resultText += item.text;
+							} else if (item.type === "image") {
+								// Tool messages are text-only; forward images as user content
+								parts.push(this.convertImageBlock(item));
+							}
+						}
+					}
+					toolMessages.push({
+						role: "tool",
+						tool_call_id: block.tool_use_id,
+						content: block.is_error ? `Error: ${resultText}` : resultText,
+					});
+					break;
+				}
+			}
+		}
+
+		const messages = [...toolMessages];
+		if (parts.length > 0) {
+			const textOnly = parts.every((part) => part.type === "text");
+			messages.push({
+				role: "user",
+				content: textOnly
+					? parts.map((part) => (part as OpenAITextPart).text).join("")
+					: parts,
+			});
+		} else if (toolMessages.length === 0) {
+			messages.push({ role: "user", content: "" });
+		}
+		return messages;
+	}
+
+	/**
+	 * Convert an Anthropic image block to an OpenAI image_url part
+	 */
+	private convertImageBlock(block: AnthropicImageBlock): OpenAIImagePart {
+		const url =
+			block.source.type === "base64"
+				? `data:${block.source.media_type};base64,${block.source.data}`
+				: block.source.url;
+		return { type: "image_url", image_url: { url } };
+	}
+
+	/**
+	 * Parse tool call arguments, tolerating malformed JSON from the provider
+	 */
+	private parseToolArguments(args?: string): unknown {
+		if (!args) return {};
+		try {
+			return JSON.parse(args);
+		} catch {
+			log.warn(`Failed to parse tool call arguments: ${args}`);
+			return {};
+		}
+	}
+
 	/**
 	 * Convert OpenAI response format to Anthropic format
 	 */
@@ -501,23 +831,56 @@ export class OpenAICompatibleProvider extends BaseProvider {
 			};
 		}
 
+		const content: AnthropicResponseBlock[] = [];
+		const reasoning =
+			choice.message?.reasoning_content || choice.message?.reasoning;
+		if (reasoning) {
+			content.push({ type: "thinking", thinking: reasoning, signature: "" });
+		}
+		if (choice.message?.content) {
+			content.push({ type: "text", text: choice.message.content });
+		}
+		for (const toolCall of choice.message?.tool_calls ?? []) {
+			content.push({
+				type: "tool_use",
+				id: toolCall.id,
+				name: toolCall.function.name,
+				input: this.parseToolArguments(toolCall.function.arguments),
+			});
+		}
+		if (content.length === 0) {
+			content.push({ type: "text", text: "" });
+		}
+
 		return {
 			id: openaiData.id || `msg_${Date.now()}`,
 			type: "message",
 			role: "assistant",
-			content: [
-				{
-					type: "text",
-					text: choice.message?.content || "",
-				},
-			],
+			content,
 			model: openaiData.model,
-			stop_reason: this.mapOpenAIFinishReason(choice.finish_reason),
+			stop_reason: this.mapOpenAIFinishReason(
+				choice.finish_reason ?? undefined,
+			),
 			stop_sequence: undefined,
-			usage: {
-				input_tokens: openaiData.usage?.prompt_tokens || 0,
-				output_tokens: openaiData.usage?.completion_tokens || 0,
-			},
+			usage: this.convertUsage(openaiData.usage),
+		};
+	}
+
+	/**
+	 * Convert OpenAI usage to Anthropic usage. Cached prompt tokens are
+	 * reported separately, as Anthropic's input_tokens excludes cache reads.
+	 */
+	private convertUsage(usage?: OpenAIUsage): {
+		input_tokens: number;
+		output_tokens: number;
+		cache_read_input_tokens?: number;
+	} {
+		const promptTokens = usage?.prompt_tokens || 0;
+		const cachedTokens = usage?.prompt_tokens_details?.cached_tokens || 0;
+		return {
+			input_tokens: promptTokens - cachedTokens,
+			output_tokens: usage?.completion_tokens || 0,
+			...(cachedTokens > 0 ? { cache_read_input_tokens: cachedTokens } : {}),
 		};
 	}
 
@@ -541,7 +904,10 @@ export class OpenAICompatibleProvider extends BaseProvider {
 	}
 
 	/**
-	 * Transform streaming response from OpenAI to Anthropic format
+	 * Transform streaming response from OpenAI to Anthropic format.
+	 * Text, reasoning and tool call deltas each get their own content block;
+	 * tool call argument fragments are forwarded as input_json_delta events.
+	 * Upstream errors are sent as an error event followed by message_stop.
 	 */
 	private async transformStreamingResponse(
 		response: Response,
@@ -553,19 +919,44 @@ export class OpenAICompatibleProvider extends BaseProvider {
 
 		const encoder = new TextEncoder();
 		const decoder = new TextDecoder();
+		const mapFinishReason = this.mapOpenAIFinishReason.bind(this);
+		const convertUsage = this.convertUsage.bind(this);
 
 		const stream = new ReadableStream({
 			async start(controller) {
-				try {
-					// Send initial message_start event
-					const messageStart = {
+				const send = (event: string, data: unknown) => {
+					controller.enqueue(encoder.encode(`event: ${event}\n`));
+					controller.enqueue(
+						encoder.encode(`data: ${JSON.stringify(data)}\n\n`),
+					);
+				};
+
+				let started = false;
+				let blockCount = 0;
+				const openBlocks: number[] = [];
+				// Text and reasoning go to the latest block of their type, while
+				// each tool call keeps its own block so interleaved argument
+				// fragments stay with their call. Calls are keyed by their index,
+				// or by their id for providers that leave the index out.
+				let textBlock: { type: "text" | "thinking"; index: number } | null =
+					null;
+				const toolBlocks = new Map<number | string, number>();
+				let lastToolBlock: number | undefined;
+				let finishReason: string | undefined;
+				let usage: OpenAIUsage | undefined;
+				let errorType = "api_error";
+
+				const startMessage = (id?: string, model?: string) => {
+					if (started) return;
+					started = true;
+					send("message_start", {
 						type: "message_start",
 						message: {
-							id: `msg_${Date.now()}`,
+							id: id || `msg_${Date.now()}`,
 							type: "message",
 							role: "assistant",
 							content: [],
-							model: "unknown",
+							model: model || "unknown",
 							stop_reason: null,
 							stop_sequence: undefined,
 							usage: {
@@ -575,28 +966,119 @@ export class OpenAICompatibleProvider extends BaseProvider {
 								cache_read_input_tokens: 0,
 							},
 						},
-					};
-
-					controller.enqueue(encoder.encode(`event: message_start\n`));
-					controller.enqueue(
-						encoder.encode(`data: ${JSON.stringify(messageStart)}\n\n`),
-					);
+					});
+				};
 
-					// Send content_block_start event
-					const contentBlockStart = {
+				const openContentBlock = (contentBlock: Record<string, unknown>) => {
+					const index = blockCount++;
+					openBlocks.push(index);
+					send("content_block_start", {
 						type: "content_block_start",
-						index: 0,
-						content_block: {
-							type: "text",
-							text: "",
-						},
-					};
+						index,
+						content_block: contentBlock,
+					});
+					return index;
+				};
 
-					controller.enqueue(encoder.encode(`event: content_block_start\n`));
-					controller.enqueue(
-						encoder.encode(`data: ${JSON.stringify(contentBlockStart)}\n\n`),
-					);
+				const closeContentBlock = (index: number) => {
+					openBlocks.splice(openBlocks.indexOf(index), 1);
+					send("content_block_stop", { type: "content_block_stop", index });
+				};
+
+				const closeAllBlocks = () => {
+					for (const index of [...openBlocks]) {
+						closeContentBlock(index);
+					}
+				};
+
+				const sendTextDelta = (
+					type: "text" | "thinking",
+					delta: Record<string, unknown>,
+				) => {
+					if (textBlock?.type !== type) {
+						if (textBlock) closeContentBlock(textBlock.index);
+						textBlock = {
+							type,
+							index: openContentBlock(
+								type === "text"
+									? { type: "text", text: "" }
+									: { type: "thinking", thinking: "" },
+							),
+						};
+					}
+					send("content_block_delta", {
+						type: "content_block_delta",
+						index: textBlock.index,
+						delta,
+					});
+				};
+
+				const handleChunk = (data: OpenAIResponse) => {
+					if (data.error) {
+						errorType = data.error.type || errorType;
+						throw new Error(data.error.message || "An error occurred");
+					}
+
+					startMessage(data.id, data.model);
+					if (data.usage) {
+						usage = data.usage;
+					}
+
+					const choice = data.choices?.[0];
+					if (!choice) return;
+					if (choice.finish_reason) {
+						finishReason = choice.finish_reason;
+					}
+
+					const delta = choice.delta;
+					if (!delta) return;
+
+					const reasoning = delta.reasoning_content || delta.reasoning;
+					if (reasoning) {
+						sendTextDelta("thinking", {
+							type: "thinking_delta",
+							thinking: reasoning,
+						});
+					}
 
+					if (delta.content) {
+						sendTextDelta("text", { type: "text_delta", text: delta.content });
+					}
+
+					for (const toolCall of delta.tool_calls ?? []) {
+						const key = toolCall.index ?? toolCall.id;
+						// Argument fragments without an index or id continue the
+						// latest call
+						let index = key === undefined ? lastToolBlock : toolBlocks.get(key);
+						if (index === undefined) {
+							// Text after a tool call starts a new block
+							if (textBlock) {
+								closeContentBlock(textBlock.index);
+								textBlock = null;
+							}
+							index = openContentBlock({
+								type: "tool_use",
+								id: toolCall.id || `toolu_${Date.now()}_${blockCount}`,
+								name: toolCall.function?.name || "",
+								input: {},
+							});
+							if (key !== undefined) toolBlocks.set(key, index);
+						}
+						lastToolBlock = index;
+						if (toolCall.function?.arguments) {
+							send("content_block_delta", {
+								type: "content_block_delta",
+								index,
+								delta: {
+									type: "input_json_delta",
+									partial_json: toolCall.function.arguments,
+								},
+							});
+						}
+					}
+				};
+
+				try {
 					// Process OpenAI streaming chunks
 					let buffer = "";
 					while (true) {
@@ -607,60 +1089,52 @@ export class OpenAICompatibleProvider extends BaseProvider {
 						const lines = buffer.split("\n");
 						buffer = lines.pop() || ""; // Keep incomplete line in buffer
 
-						for (const line of lines) {
-							if (line.startsWith("data: ") && line !== "data: [DONE]") {
-								try {
-									const data = JSON.parse(line.slice(6));
-									const delta = data.choices?.[0]?.delta;
-
-									if (delta?.content) {
-										const contentBlockDelta = {
-											type: "content_block_delta",
-											index: 0,
-											delta: {
-												type: "text_delta",
-												text: delta.content,
-											},
-										};
-
-										controller.enqueue(
-											encoder.encode(`event: content_block_delta\n`),
-										);
-										controller.enqueue(
-											encoder.encode(
-												`data: ${JSON.stringify(contentBlockDelta)}\n\n`,
-											),
-										);
-									}
-								} catch {
-									// Ignore JSON parse errors
-								}
+						for (const rawLine of lines) {
+							const line = rawLine.trim();
+							if (!line.startsWith("data:")) continue;
+							const payload = line.slice(5).trim();
+							if (!payload || payload === "[DONE]") continue;
+							let chunk: OpenAIResponse;
+							try {
+								chunk = JSON.parse(payload) as OpenAIResponse;
+							} catch {
+								continue; // Ignore JSON parse errors
 							}
+							handleChunk(chunk);
 						}
 					}
 
-					// Send content_block_stop event
-					const contentBlockStop = {
-						type: "content_block_stop",
-						index: 0,
-					};
-
-					controller.enqueue(encoder.encode(`event: content_block_stop\n`));
-					controller.enqueue(
-						encoder.encode(`data: ${JSON.stringify(contentBlockStop)}\n\n`),
-					);
-
-					// Send message_stop event
-					const messageStop = {
-						type: "message_stop",
-					};
+					startMessage();
+					if (blockCount === 0) {
+						// Always emit at least one (empty) text block
+						openContentBlock({ type: "text", text: "" });
+					}
+					closeAllBlocks();
+
+					const finalUsage = convertUsage(usage);
+					send("message_delta", {
+						type: "message_delta",
+						delta: {
+							stop_reason: mapFinishReason(finishReason),
+							stop_sequence: null,
+						},
+						usage: finalUsage,
+					});
 
-					controller.enqueue(encoder.encode(`event: message_stop\n`));
-					controller.enqueue(
-						encoder.encode(`data: ${JSON.stringify(messageStop)}\n\n`),
-					);
+					send("message_stop", { type: "message_stop" });
 				} catch (error) {
 					log.error("Error transforming streaming response:", error);
+					// End the message so clients do not wait for more events
+					startMessage();
+					closeAllBlocks();
+					send("error", {
+						type: "error",
+						error: {
+							type: errorType,
+							message: error instanceof Error ? error.message : String(error),
+						},
+					});
+					send("message_stop", { type: "message_stop" });
 				} finally {
 					controller.close();
 				}
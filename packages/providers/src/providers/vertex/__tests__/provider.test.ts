@@ -0,0 +1,353 @@
+import { createVerify, generateKeyPairSync } from "node:crypto";
+import { createServer, type IncomingMessage, type Server } from "node:http";
+import type { AddressInfo } from "node:net";
+import type { Account } from "@better-ccflare/types";
+import { VertexProvider } from "../provider";
+
+interface ReceivedRequest {
+	method?: string;
+	url?: string;
+	headers: IncomingMessage["headers"];
+	body: string;
+}
+
+type StubResponse = {
+	status?: number;
+	headers?: Record<string, string>;
+	body: string;
+};
+
+const { privateKey, publicKey } = generateKeyPairSync("rsa", {
+	modulusLength: 2048,
+	privateKeyEncoding: { type: "pkcs8", format: "pem" },
+	publicKeyEncoding: { type: "spki", format: "pem" },
+});
+
+const CLIENT_EMAIL = "proxy@test-project.iam.gserviceaccount.com";
+
+function decodeSegment(segment: string) {
+	return JSON.parse(Buffer.from(segment, "base64url").toString("utf-8"));
+}
+
+describe("VertexProvider", () => {
+	let server: Server;
+	let baseUrl: string;
+	let received: ReceivedRequest[];
+	let tokenResponse: StubResponse;
+	let modelResponse: StubResponse;
+	let provider: VertexProvider;
+	let account: Account;
+
+	beforeAll(async () => {
+		server = createServer((req, res) => {
+			let body = "";
+			req.on("data", (data) => {
+				body += data;
+			});
+			req.on("end", () => {
+				received.push({
+					method: req.method,
+					url: req.url,
+					headers: req.headers,
+					body,
+				});
+				const stub = req.url === "/token" ? tokenResponse : modelResponse;
+				res.writeHead(stub.status ?? 200, {
+					"content-type": "application/json",
+					...stub.headers,
+				});
+				res.end(stub.body);
+			});
+		});
+		await new Promise<void>((resolve) =>
+			server.listen(0, "127.0.0.1", resolve),
+		);
+		baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+	});
+
+	afterAll(async () => {
+		await new Promise<void>((resolve) => server.close(() => resolve()));
+	});
+
+	beforeEach(() => {
+		received = [];
+		tokenResponse = {
+			body: JSON.stringify({
+				access_token: "ya29.test-token",
+				expires_in: 3599,
+				token_type: "Bearer",
+			}),
+		};
+		modelResponse = { body: "{}" };
+		provider = new VertexProvider();
+		account = {
+			id: "vertex-id",
+			name: "vertex-account",
+			provider: "vertex",
+			refresh_token: JSON.stringify({
+				type: "service_account",
+				client_email: CLIENT_EMAIL,
+				private_key: privateKey,
+				private_key_id: "key-1",
+				project_id: "test-project",
+				token_uri: `${baseUrl}/token`,
+			}),
+			access_token: null,
+			expires_at: null,
+			api_key: null,
+			account_tier: 1,
+			custom_endpoint: JSON.stringify({
+				region: "us-east5",
+				endpoint: baseUrl,
+			}),
+			model_mappings: null,
+			rate_limited_until: null,
+			rate_limit_status: null,
+			rate_limit_reset: null,
+			rate_limit_remaining: null,
+			created_at: Date.now(),
+			last_used: null,
+			request_count: 0,
+			total_requests: 0,
+			session_start: null,
+			session_request_count: 0,
+			paused: false,
+			priority: 0,
+			auto_fallback_enabled: false,
+			auto_refresh_enabled: false,
+		};
+	});
+
+	// Send a Messages request the way the proxy does
+	async function send(
+		body: Record<string, unknown>,
+		accessToken = "ya29.test-token",
+	): Promise<Response> {
+		const headers = provider.prepareHeaders(
+			new Headers({
+				"content-type": "application/json",
+				"anthropic-version": "2023-06-01",
+				"anthropic-beta": "context-1m-2025-08-07",
+				"x-api-key": "client-key",
+			}),
+			accessToken,
+		);
+		const request = new Request(
+			provider.buildUrl("/v1/messages", "", account),
+			{
+				method: "POST",
+				headers,
+				body: JSON.stringify(body),
+			},
+		);
+		const transformed = await provider.transformRequestBody(request, account);
+		return provider.processResponse(await fetch(transformed), account);
+	}
+
+	describe("refreshToken", () => {
+		it("should exchange a signed service account assertion for an access token", async () => {
+			const before = Date.now();
+			const result = await provider.refreshToken(account, "");
+
+			expect(result.accessToken).toBe("ya29.test-token");
+			expect(result.refreshToken).toBe(account.refresh_token);
+			expect(result.expiresAt).toBeGreaterThanOrEqual(before + 3599_000);
+
+			const form = new URLSearchParams(received[0].body);
+			expect(form.get("grant_type")).toBe(
+				"urn:ietf:params:oauth:grant-type:jwt-bearer",
+			);
+			const [header, claims, signature] = (form.get("assertion") ?? "").split(
+				".",
+			);
+			expect(decodeSegment(header)).toEqual({
+				alg: "RS256",
+				typ: "JWT",
+				kid: "key-1",
+			});
+			const payload = decodeSegment(claims);
+			expect(payload).toMatchObject({
+				iss: CLIENT_EMAIL,
+				scope: "https://www.googleapis.com/auth/cloud-platform",
+				aud: `${baseUrl}/token`,
+			});
+			expect(payload.exp - payload.iat).toBe(3600);
+			expect(
+				createVerify("RSA-SHA256")
+					.update(`${header}.${claims}`)
+					.verify(publicKey, Buffer.from(signature, "base64url")),
+			).toBe(true);
+		});
+
+		it("should report why a token exchange was rejected", async () => {
+			tokenResponse = {
+				status: 400,
+				body: JSON.stringify({
+					error: "invalid_grant",
+					error_description: "Invalid JWT Signature.",
+				}),
+			};
+
+			await expect(provider.refreshToken(account, "")).rejects.toThrow(
+				`Vertex AI token exchange failed for ${CLIENT_EMAIL}: Invalid JWT Signature.`,
+			);
+		});
+	});
+
+	describe("rawPredict", () => {
+		it("should send the Vertex request shape with the access token", async () => {
+			modelResponse = {
+				body: JSON.stringify({
+					id: "msg_1",
+					type: "message",
+					role: "assistant",
+					model: "claude-sonnet-4-5@20250929",
+					content: [{ type: "text", text: "Hello" }],
+					usage: { input_tokens: 8, output_tokens: 2 },
+				}),
+			};
+
+			const response = await send({
+				model: "claude-sonnet-4-5-20250929",
+				max_tokens: 100,
+				messages: [{ role: "user", content: "Hi" }],
+			});
+
+			const [request] = received;
+			expect(request.url).toBe(
+				"/v1/projects/test-project/locations/us-east5/publishers/anthropic/models/claude-sonnet-4-5@20250929:rawPredict",
+			);
+			expect(request.headers.authorization).toBe("Bearer ya29.test-token");
+			expect(request.headers["x-api-key"]).toBeUndefined();
+			expect(request.headers["anthropic-version"]).toBeUndefined();
+			expect(request.headers["anthropic-beta"]).toBe("context-1m-2025-08-07");
+			expect(JSON.parse(request.body)).toEqual({
+				max_tokens: 100,
+				messages: [{ role: "user", content: "Hi" }],
+				anthropic_version: "vertex-2023-10-16",
+			});
+
+			const usage = await provider.extractUsageInfo(response.clone());
+			expect(usage).toMatchObject({
+				model: "claude-sonnet-4-5-20250929",
+				inputTokens: 8,
+				outputTokens: 2,
+			});
+			expect((await response.json()).model).toBe("claude-sonnet-4-5-20250929");
+		});
+
+		it("should prefer the configured project and apply model mappings", async () => {
+			account.custom_endpoint = JSON.stringify({
+				region: "europe-west1",
+				projectId: "billing-project",
+				endpoint: baseUrl,
+			});
+			account.model_mappings = JSON.stringify({
+				opus: "claude-opus-4-1-20250805",
+			});
+
+			await send({
+				model: "claude-opus-4-5-20251101",
+				max_tokens: 10,
+				messages: [{ role: "user", content: "Hi" }],
+			});
+
+			expect(received[0].url).toBe(
+				"/v1/projects/billing-project/locations/europe-west1/publishers/anthropic/models/claude-opus-4-1@20250805:rawPredict",
+			);
+		});
+
+		it("should use the global endpoint for the global region", () => {
+			account.custom_endpoint = JSON.stringify({ region: "global" });
+
+			expect(provider.buildUrl("/v1/messages", "", account)).toBe(
+				"https://aiplatform.googleapis.com/v1/messages",
+			);
+		});
+	});
+
+	describe("streamRawPredict", () => {
+		it("should pass server-sent events through with Anthropic model names", async () => {
+			modelResponse = {
+				headers: { "content-type": "text/event-stream" },
+				body: [
+					'event: message_start\ndata: {"type":"message_start","message":{"id":"msg_1","type":"message","role":"assistant","model":"claude-sonnet-4-5@20250929","content":[],"usage":{"input_tokens":15,"output_tokens":1}}}\n\n',
+					'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hello"}}\n\n',
+					'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":4}}\n\n',
+					'event: message_stop\ndata: {"type":"message_stop"}\n\n',
+				].join(""),
+			};
+
+			const response = await send({
+				model: "claude-sonnet-4-5-20250929",
+				max_tokens: 100,
+				stream: true,
+				messages: [{ role: "user", content: "Hi" }],
+			});
+
+			expect(received[0].url).toMatch(/:streamRawPredict$/);
+			expect(JSON.parse(received[0].body).stream).toBe(true);
+
+			const [usage, text] = await Promise.all([
+				provider.extractUsageInfo(response),
+				response.text(),
+			]);
+			expect(text).toContain('"model":"claude-sonnet-4-5-20250929"');
+			expect(text).toContain('"text":"Hello"');
+			expect(usage).toMatchObject({
+				model: "claude-sonnet-4-5-20250929",
+				inputTokens: 15,
+				outputTokens: 4,
+			});
+		});
+	});
+
+	describe("errors", () => {
+		it("should normalise Google quota errors to Anthropic rate limit errors", async () => {
+			modelResponse = {
+				status: 429,
+				body: JSON.stringify({
+					error: {
+						code: 429,
+						message: "Quota exceeded for aiplatform.googleapis.com",
+						status: "RESOURCE_EXHAUSTED",
+					},
+				}),
+			};
+
+			const response = await send({
+				model: "claude-sonnet-4-5-20250929",
+				max_tokens: 100,
+				messages: [{ role: "user", content: "Hi" }],
+			});
+
+			expect(response.status).toBe(429);
+			expect(response.headers.get("retry-after")).toBe("60");
+			expect(provider.parseRateLimit(response).isRateLimited).toBe(true);
+			expect(await response.json()).toEqual({
+				type: "error",
+				error: {
+					type: "rate_limit_error",
+					message: "Quota exceeded for aiplatform.googleapis.com",
+				},
+			});
+		});
+
+		it("should pass Anthropic errors from the model through unchanged", async () => {
+			const error = {
+				type: "error",
+				error: { type: "overloaded_error", message: "Overloaded" },
+			};
+			modelResponse = { status: 529, body: JSON.stringify(error) };
+
+			const response = await send({
+				model: "claude-sonnet-4-5-20250929",
+				max_tokens: 100,
+				messages: [{ role: "user", content: "Hi" }],
+			});
+
+			expect(response.status).toBe(529);
+			expect(await response.json()).toEqual(error);
+		});
+	});
+});
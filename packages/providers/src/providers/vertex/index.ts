@@ -0,0 +1 @@
+export { VertexProvider } from "./provider";
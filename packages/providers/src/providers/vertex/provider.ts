@@ -0,0 +1,137 @@
+import { createSign } from "node:crypto";
+import {
+	type CloudProviderSettings,
+	mapVertexModelId,
+	parseServiceAccountKey,
+	type ServiceAccountKey,
+} from "@better-ccflare/core";
+import { Logger } from "@better-ccflare/logger";
+import type { Account } from "@better-ccflare/types";
+import { CloudProvider } from "../../cloud-provider";
+import type { TokenRefreshResult } from "../../types";
+
+const log = new Logger("VertexProvider");
+
+const DEFAULT_TOKEN_URI = "https://oauth2.googleapis.com/token";
+const TOKEN_SCOPE = "https://www.googleapis.com/auth/cloud-platform";
+const JWT_BEARER_GRANT = "urn:ietf:params:oauth:grant-type:jwt-bearer";
+// Google caps self-signed assertions at one hour
+const ASSERTION_LIFETIME_SECONDS = 60 * 60;
+
+function base64Url(value: string | Buffer): string {
+	return Buffer.from(value).toString("base64url");
+}
+
+/**
+ * Build the RS256 signed JWT that a service account exchanges for an
+ * access token
+ */
+export function createServiceAccountAssertion(
+	key: ServiceAccountKey,
+	audience: string,
+	now = Date.now(),
+): string {
+	const issuedAt = Math.floor(now / 1000);
+	const header = base64Url(
+		JSON.stringify({
+			alg: "RS256",
+			typ: "JWT",
+			...(key.private_key_id && { kid: key.private_key_id }),
+		}),
+	);
+	const claims = base64Url(
+		JSON.stringify({
+			iss: key.client_email,
+			scope: TOKEN_SCOPE,
+			aud: audience,
+			iat: issuedAt,
+			exp: issuedAt + ASSERTION_LIFETIME_SECONDS,
+		}),
+	);
+	const signature = createSign("RSA-SHA256")
+		.update(`${header}.${claims}`)
+		.sign(key.private_key);
+	return `${header}.${claims}.${base64Url(signature)}`;
+}
+
+export class VertexProvider extends CloudProvider {
+	name = "vertex";
+	protected readonly anthropicVersion = "vertex-2023-10-16";
+
+	protected getDefaultEndpoint(settings: CloudProviderSettings): string {
+		return settings.region === "global"
+			? "https://aiplatform.googleapis.com"
+			: `https://${settings.region}-aiplatform.googleapis.com`;
+	}
+
+	/**
+	 * Exchange the service account key kept in refresh_token for an access
+	 * token. The key itself never expires, so it is kept as the refresh token.
+	 */
+	async refreshToken(
+		account: Account,
+		_clientId: string,
+	): Promise<TokenRefreshResult> {
+		const key = parseServiceAccountKey(account.refresh_token, "refresh_token");
+		const tokenUri = key.token_uri ?? DEFAULT_TOKEN_URI;
+
+		const response = await fetch(tokenUri, {
+			method: "POST",
+			headers: { "content-type": "application/x-www-form-urlencoded" },
+			body: new URLSearchParams({
+				grant_type: JWT_BEARER_GRANT,
+				assertion: createServiceAccountAssertion(key, tokenUri),
+			}),
+		});
+
+		const json = (await response.json().catch(() => ({}))) as {
+			access_token?: string;
+			expires_in?: number;
+			error?: string;
+			error_description?: string;
+		};
+		if (!response.ok || !json.access_token) {
+			throw new Error(
+				`Vertex AI token exchange failed for ${key.client_email}: ${
+					json.error_description ?? json.error ?? response.statusText
+				}`,
+			);
+		}
+
+		log.info(`Issued Vertex AI access token for account ${account.name}`);
+		return {
+			accessToken: json.access_token,
+			expiresAt: Date.now() + (json.expires_in ?? 3600) * 1000,
+			refreshToken: account.refresh_token,
+		};
+	}
+
+	protected async buildModelRequest(
+		account: Account,
+		model: string,
+		stream: boolean,
+		body: Record<string, unknown>,
+		headers: Headers,
+	): Promise<Request> {
+		const settings = this.getSettings(account);
+		const projectId =
+			settings.projectId ??
+			parseServiceAccountKey(account.refresh_token, "refresh_token").project_id;
+		if (!projectId) {
+			throw new Error(`No Google Cloud project for account ${account.name}`);
+		}
+
+		// Vertex AI keeps the stream flag and reads betas from the header
+		const url = `${this.getEndpoint(account)}/v1/projects/${projectId}/locations/${
+			settings.region
+		}/publishers/anthropic/models/${mapVertexModelId(model, account)}:${
+			stream ? "streamRawPredict" : "rawPredict"
+		}`;
+
+		return new Request(url, {
+			method: "POST",
+			headers,
+			body: JSON.stringify(body),
+		});
+	}
+}
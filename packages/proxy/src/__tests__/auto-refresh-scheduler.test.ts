@@ -0,0 +1,84 @@
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import type { DatabaseOperations } from "@better-ccflare/database";
+import type { ProxyContext } from "../handlers";
+
+vi.mock("@better-ccflare/providers", async (importOriginal) => ({
+	...(await importOriginal<typeof import("@better-ccflare/providers")>()),
+	fetchUsageData: vi.fn(async () => null),
+}));
+
+// The database and providers need the Bun runtime, so they are imported lazily
+describe.skipIf(!("Bun" in globalThis))(
+	"AutoRefreshScheduler with encrypted credentials",
+	() => {
+		let dir: string;
+		let dbOps: DatabaseOperations;
+
+		beforeEach(async () => {
+			const { DatabaseOperations, generateMasterKey, MASTER_KEY_ENV } =
+				await import("@better-ccflare/database");
+			dir = mkdtempSync(join(tmpdir(), "ccflare-refresh-"));
+			vi.stubEnv(MASTER_KEY_ENV, generateMasterKey());
+			dbOps = new DatabaseOperations(join(dir, "test.db"));
+			dbOps.getDatabase().run(
+				`INSERT INTO accounts (id, name, provider, refresh_token, access_token, expires_at, created_at, auto_refresh_enabled)
+					 VALUES (?, ?, 'anthropic', ?, ?, ?, ?, 1)`,
+				[
+					"acc-1",
+					"encrypted",
+					dbOps.encryptCredential("refresh-secret", "acc-1", "refresh_token"),
+					dbOps.encryptCredential("access-secret", "acc-1", "access_token"),
+					Date.now() + 60 * 60 * 1000,
+					Date.now(),
+				],
+			);
+			vi.stubGlobal(
+				"fetch",
+				vi.fn(async () => new Response("{}", { status: 200 })),
+			);
+		});
+
+		afterEach(() => {
+			dbOps.close();
+			rmSync(dir, { recursive: true, force: true });
+			vi.unstubAllEnvs();
+			vi.unstubAllGlobals();
+			vi.clearAllMocks();
+		});
+
+		it("stores the tokens encrypted", () => {
+			const row = dbOps
+				.getDatabase()
+				.query<{ access_token: string }, []>(
+					"SELECT access_token FROM accounts",
+				)
+				.get();
+			expect(row?.access_token).toMatch(/^enc:v1:/);
+		});
+
+		it("polls usage with the decrypted access token", async () => {
+			const { fetchUsageData } = await import("@better-ccflare/providers");
+			const { AutoRefreshScheduler } = await import(
+				"../auto-refresh-scheduler"
+			);
+			const ctx = {
+				dbOps,
+				runtime: { port: 8080 },
+				refreshInFlight: new Map(),
+			} as unknown as ProxyContext;
+			const scheduler = new AutoRefreshScheduler(dbOps.getDatabase(), ctx);
+
+			scheduler.start();
+			try {
+				await vi.waitFor(() => expect(fetchUsageData).toHaveBeenCalled());
+			} finally {
+				scheduler.stop();
+			}
+
+			expect(fetch).toHaveBeenCalledOnce();
+			expect(fetchUsageData).toHaveBeenCalledWith("access-secret");
+		});
+	},
+);
@@ -0,0 +1,186 @@
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { type RequestEvt, requestEvents } from "@better-ccflare/core";
+import type {
+	CreateBudgetData,
+	DatabaseOperations,
+} from "@better-ccflare/database";
+import type { BudgetAlert } from "@better-ccflare/types";
+import { BudgetMonitor } from "../budget-monitor";
+
+const DAY = 24 * 60 * 60 * 1000;
+const DAY_START = Date.UTC(2025, 5, 2);
+
+// The database needs the Bun runtime, so it is imported lazily
+describe.skipIf(!("Bun" in globalThis))("BudgetMonitor", () => {
+	let dir: string;
+	let dbOps: DatabaseOperations;
+	let monitor: BudgetMonitor;
+	let alerts: BudgetAlert[];
+	const onEvent = (evt: RequestEvt) => {
+		if (evt.type === "budget") alerts.push(evt.payload);
+	};
+
+	const addAccount = (id: string, paused = false) => {
+		dbOps.getDatabase().run(
+			`INSERT INTO accounts (id, name, provider, refresh_token, created_at, paused)
+			 VALUES (?, ?, 'anthropic', 'refresh', ?, ?)`,
+			[id, id, DAY_START, paused ? 1 : 0],
+		);
+	};
+
+	const spend = (accountId: string, costUsd: number, timestamp = DAY_START) => {
+		dbOps.getDatabase().run(
+			`INSERT INTO requests (id, timestamp, method, path, account_used, cost_usd)
+			 VALUES (?, ?, 'POST', '/v1/messages', ?, ?)`,
+			[crypto.randomUUID(), timestamp, accountId, costUsd],
+		);
+	};
+
+	const createBudget = (overrides: Partial<CreateBudgetData> = {}) =>
+		dbOps.createBudget({
+			id: crypto.randomUUID(),
+			name: "daily",
+			scope: "global",
+			target: null,
+			period: "daily",
+			limitUsd: 10,
+			thresholds: [50, 80],
+			webhookUrls: [],
+			autoPause: true,
+			...overrides,
+		});
+
+	const isPaused = (id: string) => dbOps.getAccount(id)?.paused;
+
+	beforeEach(async () => {
+		const { DatabaseOperations } = await import("@better-ccflare/database");
+		dir = mkdtempSync(join(tmpdir(), "ccflare-budget-"));
+		dbOps = new DatabaseOperations(join(dir, "test.db"));
+		monitor = new BudgetMonitor(dbOps);
+		alerts = [];
+		requestEvents.on("event", onEvent);
+		addAccount("acc-1");
+		addAccount("acc-2");
+		vi.stubGlobal(
+			"fetch",
+			vi.fn(async () => new Response(null, { status: 204 })),
+		);
+	});
+
+	afterEach(() => {
+		requestEvents.off("event", onEvent);
+		dbOps.close();
+		rmSync(dir, { recursive: true, force: true });
+		vi.unstubAllGlobals();
+	});
+
+	it("alerts once per threshold as spend grows", async () => {
+		const budget = createBudget();
+		const now = DAY_START + 60 * 60 * 1000;
+
+		await monitor.evaluate(now);
+		expect(alerts).toHaveLength(0);
+
+		spend("acc-1", 6);
+		await monitor.evaluate(now);
+		await monitor.evaluate(now);
+		expect(alerts.map((a) => [a.event, a.threshold])).toEqual([
+			["budget.threshold", 50],
+		]);
+		expect(alerts[0]).toMatchObject({
+			spendUsd: 6,
+			percentUsed: 60,
+			windowStart: new Date(DAY_START).toISOString(),
+			resetsAt: new Date(DAY_START + DAY).toISOString(),
+			budget: { id: budget.id, limitUsd: 10 },
+		});
+
+		// Jumping past several thresholds reports the highest one
+		spend("acc-1", 3.5);
+		await monitor.evaluate(now);
+		expect(alerts.at(-1)?.threshold).toBe(80);
+		expect(dbOps.getBudget(budget.id)?.notifiedThreshold).toBe(80);
+		expect(isPaused("acc-1")).toBe(false);
+	});
+
+	it("pauses covered accounts at the limit and resumes them on rollover", async () => {
+		addAccount("already-paused", true);
+		const budget = createBudget();
+		spend("acc-1", 12);
+
+		await monitor.evaluate(DAY_START + 1000);
+		expect(alerts).toHaveLength(1);
+		expect(alerts[0]).toMatchObject({
+			event: "budget.threshold",
+			threshold: 100,
+			pausedAccountIds: ["acc-1", "acc-2"],
+		});
+		expect(isPaused("acc-1")).toBe(true);
+		expect(isPaused("acc-2")).toBe(true);
+
+		// Resumed by hand before the window ends
+		dbOps.resumeAccount("acc-2");
+
+		await monitor.evaluate(DAY_START + DAY + 1000);
+		expect(alerts).toHaveLength(2);
+		expect(alerts[1]).toMatchObject({
+			event: "budget.reset",
+			threshold: null,
+			spendUsd: 0,
+			resumedAccountIds: ["acc-1"],
+		});
+		expect(isPaused("acc-1")).toBe(false);
+		expect(isPaused("already-paused")).toBe(true);
+		expect(dbOps.getBudget(budget.id)).toMatchObject({
+			windowStart: DAY_START + DAY,
+			notifiedThreshold: 0,
+			pausedAccountIds: [],
+		});
+	});
+
+	it("only pauses the target of an account budget", async () => {
+		createBudget({ scope: "account", target: "acc-2", limitUsd: 1 });
+		spend("acc-1", 5);
+		spend("acc-2", 1);
+
+		await monitor.evaluate(DAY_START + 1000);
+		expect(alerts[0].pausedAccountIds).toEqual(["acc-2"]);
+		expect(isPaused("acc-1")).toBe(false);
+	});
+
+	it("alerts without pausing when auto-pause is off", async () => {
+		createBudget({ autoPause: false });
+		spend("acc-1", 20);
+
+		await monitor.evaluate(DAY_START + 1000);
+		expect(alerts[0]).toMatchObject({ threshold: 100, pausedAccountIds: [] });
+		expect(isPaused("acc-1")).toBe(false);
+	});
+
+	it("skips disabled budgets", async () => {
+		const budget = createBudget();
+		dbOps.updateBudget(budget.id, { enabled: false });
+		spend("acc-1", 20);
+
+		await monitor.evaluate(DAY_START + 1000);
+		expect(alerts).toHaveLength(0);
+	});
+
+	it("posts alerts to the budget's webhooks", async () => {
+		createBudget({ webhookUrls: ["https://hooks.example.com/budget"] });
+		spend("acc-1", 5);
+
+		await monitor.evaluate(DAY_START + 1000);
+		expect(fetch).toHaveBeenCalledWith(
+			"https://hooks.example.com/budget",
+			expect.objectContaining({ method: "POST" }),
+		);
+		const [, init] = vi.mocked(fetch).mock.calls[0];
+		expect(JSON.parse(init?.body as string)).toMatchObject({
+			event: "budget.threshold",
+			threshold: 50,
+		});
+	});
+});
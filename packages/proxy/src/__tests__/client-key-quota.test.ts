@@ -0,0 +1,165 @@
+import { hashClientKey } from "@better-ccflare/core";
+import { HttpError } from "@better-ccflare/errors";
+import type { ClientKey, RequestMeta } from "@better-ccflare/types";
+import { type ProxyContext, proxyWithAccount } from "../handlers";
+import {
+	recordPendingUsage,
+	releasePendingRequest,
+} from "../handlers/pending-client-usage";
+
+vi.mock("../handlers", async (importOriginal) => ({
+	...(await importOriginal<typeof import("../handlers")>()),
+	interceptAndModifyRequest: async () => ({
+		modifiedBody: null,
+		agentUsed: null,
+		originalModel: null,
+		appliedModel: null,
+	}),
+	selectAccountsForRequest: () => [{ id: "acc-1", name: "primary" }],
+	proxyWithAccount: vi.fn(),
+}));
+
+const RAW_KEY = "bccf_quota-key";
+
+const clientKey: ClientKey = {
+	id: "key-1",
+	name: "ci",
+	keyPrefix: "bccf_quot",
+	allowedModels: null,
+	dailyRequestLimit: 3,
+	dailyTokenLimit: null,
+	dailyCostLimit: null,
+	expiresAt: null,
+	createdAt: 0,
+	lastUsed: null,
+	revokedAt: null,
+};
+
+function makeContext() {
+	const dbOps = {
+		hasClientKeys: () => true,
+		getClientKeyByHash: (hash: string) =>
+			hash === hashClientKey(RAW_KEY) ? clientKey : null,
+		// The database has not seen any of the requests yet
+		getClientKeyUsageSince: vi.fn(() => ({
+			requests: 0,
+			tokens: 0,
+			costUsd: 0,
+		})),
+		updateClientKeyLastUsed: vi.fn(),
+	};
+	const ctx = {
+		dbOps,
+		asyncWriter: { enqueue: (job: () => void) => job() },
+		provider: { name: "anthropic", canHandle: () => true },
+	} as unknown as ProxyContext;
+	return { ctx, dbOps };
+}
+
+function request() {
+	return new Request("http://localhost/v1/messages", {
+		method: "POST",
+		headers: { "x-api-key": RAW_KEY },
+		body: JSON.stringify({ model: "claude-sonnet-4" }),
+	});
+}
+
+async function statusOf(promise: Promise<unknown>): Promise<number> {
+	try {
+		await promise;
+		return 200;
+	} catch (error) {
+		if (error instanceof HttpError) return error.status;
+		throw error;
+	}
+}
+
+// The proxy handlers pull in the providers, which need the Bun runtime
+describe.skipIf(!("Bun" in globalThis))("client key quotas in flight", () => {
+	let handleProxy: typeof import("../proxy").handleProxy;
+	let forwarded: RequestMeta[];
+	let finish: () => void;
+
+	beforeAll(async () => {
+		({ handleProxy } = await import("../proxy"));
+	});
+
+	beforeEach(() => {
+		forwarded = [];
+		let release: () => void = () => {};
+		const upstream = new Promise<void>((resolve) => {
+			release = resolve;
+		});
+		finish = release;
+		vi.mocked(proxyWithAccount).mockReset();
+		vi.mocked(proxyWithAccount).mockImplementation(
+			async (_req, _url, _account, requestMeta) => {
+				forwarded.push(requestMeta);
+				await upstream;
+				return new Response("ok");
+			},
+		);
+	});
+
+	afterEach(() => {
+		for (const meta of forwarded) releasePendingRequest(meta.id);
+	});
+
+	it("holds the request limit for concurrent requests", async () => {
+		const { ctx, dbOps } = makeContext();
+		const url = new URL("http://localhost/v1/messages");
+
+		const results = Array.from({ length: 5 }, () =>
+			statusOf(handleProxy(request(), url, ctx)),
+		);
+		finish();
+
+		expect(await Promise.all(results)).toEqual([200, 200, 200, 429, 429]);
+		expect(forwarded).toHaveLength(3);
+
+		// Still not written, so another request is refused as well
+		expect(await statusOf(handleProxy(request(), url, ctx))).toBe(429);
+		// The pending requests are left out of the database totals
+		expect(dbOps.getClientKeyUsageSince).toHaveBeenLastCalledWith(
+			"key-1",
+			expect.any(Number),
+			forwarded.map((meta) => meta.id),
+		);
+	});
+
+	it("counts usage reported before the request is recorded", async () => {
+		const { ctx } = makeContext();
+		const url = new URL("http://localhost/v1/messages");
+		clientKey.dailyRequestLimit = null;
+		clientKey.dailyTokenLimit = 100;
+		try {
+			finish();
+			await handleProxy(request(), url, ctx);
+			recordPendingUsage({
+				id: forwarded[0].id,
+				totalTokens: 100,
+			} as Parameters<typeof recordPendingUsage>[0]);
+			expect(await statusOf(handleProxy(request(), url, ctx))).toBe(429);
+
+			// Once written, the database alone accounts for the request
+			releasePendingRequest(forwarded[0].id);
+			expect(await statusOf(handleProxy(request(), url, ctx))).toBe(200);
+		} finally {
+			clientKey.dailyRequestLimit = 3;
+			clientKey.dailyTokenLimit = null;
+		}
+	});
+
+	it("stops counting requests that fail before they are forwarded", async () => {
+		const { ctx } = makeContext();
+		const url = new URL("http://localhost/v1/messages");
+		vi.mocked(proxyWithAccount).mockRejectedValue(new Error("upstream down"));
+
+		for (let i = 0; i < 4; i++) {
+			await expect(handleProxy(request(), url, ctx)).rejects.toThrow(
+				"upstream down",
+			);
+		}
+		expect(proxyWithAccount).toHaveBeenCalledTimes(4);
+	});
+});
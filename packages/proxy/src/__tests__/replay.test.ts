@@ -0,0 +1,155 @@
+import { hashClientKey, requestEvents } from "@better-ccflare/core";
+import { HttpError } from "@better-ccflare/errors";
+import type { ClientKey, RequestResponse } from "@better-ccflare/types";
+import type { ProxyContext } from "../handlers";
+import type { ProxyOptions } from "../handlers/proxy-types";
+import { handleProxy } from "../proxy";
+
+vi.mock("../proxy", () => ({
+	handleProxy: vi.fn(async (_req: Request, _url: URL, _ctx, options) => {
+		requestEvents.emit("event", {
+			type: "summary",
+			payload: {
+				id: (options as ProxyOptions).requestId,
+				timestamp: Date.now(),
+				accountUsed: "acc-1",
+				statusCode: 200,
+				success: true,
+			} as RequestResponse,
+		});
+		return new Response("replayed");
+	}),
+}));
+
+const RAW_KEY = "bccf_replay-key";
+
+const clientKey: ClientKey = {
+	id: "key-1",
+	name: "ci",
+	keyPrefix: "bccf_repl",
+	allowedModels: null,
+	dailyRequestLimit: 5,
+	dailyTokenLimit: null,
+	dailyCostLimit: null,
+	expiresAt: null,
+	createdAt: 0,
+	lastUsed: null,
+	revokedAt: null,
+};
+
+function makeContext(originalKeyId: string | null, usedRequests = 0) {
+	const dbOps = {
+		hasClientKeys: () => true,
+		getClientKeyByHash: (hash: string) =>
+			hash === hashClientKey(RAW_KEY) ? clientKey : null,
+		getClientKeyUsageSince: () => ({
+			requests: usedRequests,
+			tokens: 0,
+			costUsd: 0,
+		}),
+		updateClientKeyLastUsed: vi.fn(),
+		getRequest: (id: string) =>
+			id === "req-1"
+				? {
+						id,
+						timestamp: Date.now(),
+						method: "POST",
+						path: "/v1/messages",
+						accountUsed: "acc-1",
+						statusCode: 200,
+						success: true,
+						clientKeyId: originalKeyId ?? undefined,
+					}
+				: null,
+		getRequestPayload: () => ({
+			request: {
+				headers: { "x-api-key": RAW_KEY },
+				body: Buffer.from('{"model":"claude-sonnet-4"}').toString("base64"),
+			},
+			response: null,
+		}),
+		getAllAccounts: () => [{ id: "acc-1", name: "primary" }],
+	};
+	return {
+		dbOps,
+		asyncWriter: { enqueue: (job: () => void) => job() },
+		runtime: { port: 8080 },
+	} as unknown as ProxyContext;
+}
+
+function clientRequest() {
+	return new Request("http://localhost/api/requests/req-1/replay", {
+		method: "POST",
+		headers: { "x-api-key": RAW_KEY },
+	});
+}
+
+async function statusOf(promise: Promise<unknown>): Promise<number> {
+	try {
+		await promise;
+	} catch (error) {
+		if (error instanceof HttpError) return error.status;
+		throw error;
+	}
+	throw new Error("Expected an HttpError");
+}
+
+// The proxy handlers pull in the providers, which need the Bun runtime
+describe.skipIf(!("Bun" in globalThis))("replayRequest", () => {
+	let replayRequest: typeof import("../replay").replayRequest;
+
+	beforeAll(async () => {
+		({ replayRequest } = await import("../replay"));
+	});
+
+	beforeEach(() => {
+		vi.mocked(handleProxy).mockClear();
+	});
+
+	it("replays for the admin without a client key", async () => {
+		const result = await replayRequest("req-1", {}, makeContext("key-1"));
+
+		expect(result.replay.responseBody).toBe("replayed");
+		const [req, , , options] = vi.mocked(handleProxy).mock.calls[0];
+		expect(options).toMatchObject({ replayOf: "req-1", clientKey: null });
+		// The original caller's key is not forwarded
+		expect(req.headers.get("x-api-key")).toBeNull();
+	});
+
+	it("passes the caller's key on so its allow-list applies", async () => {
+		await replayRequest("req-1", {}, makeContext("key-1"), clientRequest());
+
+		const [, , , options] = vi.mocked(handleProxy).mock.calls[0];
+		expect(options?.clientKey?.id).toBe("key-1");
+	});
+
+	it("refuses requests made with another key or without one", async () => {
+		for (const owner of ["key-2", null]) {
+			expect(
+				await statusOf(
+					replayRequest("req-1", {}, makeContext(owner), clientRequest()),
+				),
+			).toBe(403);
+		}
+		expect(handleProxy).not.toHaveBeenCalled();
+	});
+
+	it("applies the key's quotas", async () => {
+		expect(
+			await statusOf(
+				replayRequest("req-1", {}, makeContext("key-1", 5), clientRequest()),
+			),
+		).toBe(429);
+		expect(handleProxy).not.toHaveBeenCalled();
+	});
+
+	it("rejects an unknown client key", async () => {
+		const req = new Request("http://localhost/api/requests/req-1/replay", {
+			method: "POST",
+			headers: { authorization: "Bearer bccf_unknown" },
+		});
+		expect(
+			await statusOf(replayRequest("req-1", {}, makeContext("key-1"), req)),
+		).toBe(401);
+	});
+});
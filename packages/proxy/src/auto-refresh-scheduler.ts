@@ -2,7 +2,6 @@ import type { Database } from "bun:sqlite";
 import { registerHeartbeat, requestEvents } from "@better-ccflare/core";
 import { Logger } from "@better-ccflare/logger";
 import { fetchUsageData, getProvider } from "@better-ccflare/providers";
-import type { Account } from "@better-ccflare/types";
 import { getValidAccessToken } from "./handlers";
 import type { ProxyContext } from "./proxy";
 
@@ -93,20 +92,12 @@ export class AutoRefreshScheduler {
 				{
 					id: string;
 					name: string;
-					provider: string;
-					refresh_token: string;
-					access_token: string | null;
-					expires_at: number | null;
 					rate_limit_reset: number | null;
-					account_tier: number;
-					custom_endpoint: string | null;
 				},
 				[number, number]
 			>(
 				`
-				SELECT
-					id, name, provider, refresh_token, access_token,
-					expires_at, rate_limit_reset, account_tier, custom_endpoint
+				SELECT id, name, rate_limit_reset
 				FROM accounts
 				WHERE
 					auto_refresh_enabled = 1
@@ -222,59 +213,32 @@ export class AutoRefreshScheduler {
 	private async sendDummyMessage(accountRow: {
 		id: string;
 		name: string;
-		provider: string;
-		refresh_token: string;
-		access_token: string | null;
-		expires_at: number | null;
-		rate_limit_reset: number | null;
-		account_tier: number;
-		custom_endpoint: string | null;
 	}): Promise<boolean> {
 		try {
 			log.info(`Sending auto-refresh message to account: ${accountRow.name}`);
 
-			const provider = getProvider(accountRow.provider);
+			// Load through DatabaseOperations so credentials are decrypted when
+			// a master key is configured
+			const account = this.proxyContext.dbOps.getAccount(accountRow.id);
+			if (!account) {
+				log.warn(`Account ${accountRow.name} no longer exists, skipping`);
+				return false;
+			}
+
+			const provider = getProvider(account.provider);
 			if (!provider) {
 				log.error(
-					`No provider found for ${accountRow.provider} (account: ${accountRow.name})`,
+					`No provider found for ${account.provider} (account: ${accountRow.name})`,
 				);
 				return false;
 			}
 
 			log.info(
-				`Current token expires at: ${accountRow.expires_at ? new Date(accountRow.expires_at).toISOString() : "null"}`,
+				`Current token expires at: ${account.expires_at ? new Date(account.expires_at).toISOString() : "null"}`,
 			);
 			log.info(`Current time: ${new Date().toISOString()}`);
-			log.info(`Access token available: ${!!accountRow.access_token}`);
-			log.info(`Refresh token available: ${!!accountRow.refresh_token}`);
-
-			// Create a minimal account object
-			const account: Account = {
-				id: accountRow.id,
-				name: accountRow.name,
-				provider: accountRow.provider,
-				api_key: null,
-				refresh_token: accountRow.refresh_token,
-				access_token: accountRow.access_token,
-				expires_at: accountRow.expires_at,
-				request_count: 0,
-				total_requests: 0,
-				last_used: null,
-				created_at: 0,
-				rate_limited_until: null,
-				session_start: null,
-				session_request_count: 0,
-				account_tier: accountRow.account_tier,
-				paused: false,
-				rate_limit_reset: accountRow.rate_limit_reset,
-				rate_limit_status: null,
-				rate_limit_remaining: null,
-				priority: 0,
-				auto_fallback_enabled: false,
-				auto_refresh_enabled: true,
-				custom_endpoint: accountRow.custom_endpoint,
-				model_mappings: null,
-			};
+			log.info(`Access token available: ${!!account.access_token}`);
+			log.info(`Refresh token available: ${!!account.refresh_token}`);
 
 			// Emit request start event for analytics
 			const requestId = crypto.randomUUID();
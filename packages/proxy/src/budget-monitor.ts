@@ -0,0 +1,260 @@
+import {
+	getBudgetWindow,
+	type RequestEvt,
+	registerHeartbeat,
+	requestEvents,
+} from "@better-ccflare/core";
+import type { BudgetState, DatabaseOperations } from "@better-ccflare/database";
+import { Logger } from "@better-ccflare/logger";
+import {
+	type Budget,
+	type BudgetAlert,
+	getCrossedBudgetThreshold,
+} from "@better-ccflare/types";
+
+const log = new Logger("BudgetMonitor");
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Watches cost budgets and acts when spend crosses a threshold: it emits a
+ * "budget" event on requestEvents, POSTs the alert to the budget's webhooks
+ * and, for budgets with auto-pause, pauses the affected accounts until the
+ * window rolls over. Progress is stored on the budget so a restart neither
+ * repeats alerts nor forgets which accounts to resume.
+ */
+export class BudgetMonitor {
+	private dbOps: DatabaseOperations;
+	private unregisterInterval: (() => void) | null = null;
+	private checkInterval = 60000; // Check every minute
+	// Re-check shortly after requests complete rather than on every one
+	private settleDelay = 5000;
+	private pendingCheck: Timer | null = null;
+	private isEvaluating = false;
+	private onRequestEvent = (evt: RequestEvt) => {
+		if (evt.type === "summary") {
+			this.scheduleCheck();
+		}
+	};
+
+	constructor(dbOps: DatabaseOperations) {
+		this.dbOps = dbOps;
+	}
+
+	/**
+	 * Start the budget monitor
+	 */
+	start(): void {
+		if (this.unregisterInterval) {
+			log.warn("Budget monitor already running");
+			return;
+		}
+
+		log.info("Starting budget monitor");
+		this.unregisterInterval = registerHeartbeat({
+			id: "budget-monitor",
+			callback: () => this.evaluate(),
+			seconds: Math.floor(this.checkInterval / 1000),
+			description: "Budget threshold and window rollover checks",
+		});
+		requestEvents.on("event", this.onRequestEvent);
+
+		// Run immediately on start so windows that rolled over while the
+		// server was down release their paused accounts
+		this.evaluate();
+	}
+
+	/**
+	 * Stop the budget monitor
+	 */
+	stop(): void {
+		if (this.unregisterInterval) {
+			this.unregisterInterval();
+			this.unregisterInterval = null;
+			log.info("Budget monitor stopped");
+		}
+		requestEvents.off("event", this.onRequestEvent);
+		if (this.pendingCheck) {
+			clearTimeout(this.pendingCheck);
+			this.pendingCheck = null;
+		}
+	}
+
+	private scheduleCheck(): void {
+		if (this.pendingCheck) return;
+		this.pendingCheck = setTimeout(() => {
+			this.pendingCheck = null;
+			this.evaluate();
+		}, this.settleDelay);
+	}
+
+	/**
+	 * Evaluate every budget against its current window
+	 */
+	async evaluate(now = Date.now()): Promise<void> {
+		if (this.isEvaluating) return;
+
+		this.isEvaluating = true;
+		try {
+			for (const budget of this.dbOps.getBudgets()) {
+				try {
+					this.evaluateBudget(budget, now);
+				} catch (error) {
+					log.error(`Failed to evaluate budget ${budget.name}:`, error);
+				}
+			}
+		} catch (error) {
+			log.error("Error loading budgets:", error);
+		} finally {
+			this.isEvaluating = false;
+		}
+	}
+
+	private evaluateBudget(budget: Budget, now: number): void {
+		const window = getBudgetWindow(budget.period, now);
+		const state: BudgetState = {
+			windowStart: budget.windowStart ?? window.start,
+			notifiedThreshold: budget.notifiedThreshold,
+			pausedAccountIds: budget.pausedAccountIds,
+		};
+		let changed = budget.windowStart === null;
+
+		if (state.windowStart !== window.start) {
+			const resumedAccountIds = this.dbOps.releaseBudgetPauses(budget);
+			if (state.notifiedThreshold > 0 || resumedAccountIds.length > 0) {
+				log.info(
+					`Budget ${budget.name} window rolled over, resumed ${resumedAccountIds.length} account(s)`,
+				);
+				this.notify(budget, {
+					event: "budget.reset",
+					threshold: null,
+					spendUsd: 0,
+					percentUsed: 0,
+					window,
+					pausedAccountIds: [],
+					resumedAccountIds,
+				});
+			}
+			state.windowStart = window.start;
+			state.notifiedThreshold = 0;
+			state.pausedAccountIds = [];
+			changed = true;
+		}
+
+		if (budget.enabled) {
+			const spendUsd = this.dbOps.getBudgetSpendSince(budget, window.start);
+			const percentUsed = (spendUsd / budget.limitUsd) * 100;
+			const crossed = getCrossedBudgetThreshold(budget, percentUsed);
+
+			if (crossed !== undefined && crossed > state.notifiedThreshold) {
+				let pausedAccountIds: string[] = [];
+				if (
+					budget.autoPause &&
+					crossed >= 100 &&
+					state.notifiedThreshold < 100
+				) {
+					pausedAccountIds = this.pauseAccounts(budget);
+					state.pausedAccountIds = [
+						...state.pausedAccountIds,
+						...pausedAccountIds,
+					];
+				}
+
+				log.warn(
+					`Budget ${budget.name} reached ${crossed}% ($${spendUsd.toFixed(2)} of $${budget.limitUsd.toFixed(2)})`,
+				);
+				this.notify(budget, {
+					event: "budget.threshold",
+					threshold: crossed,
+					spendUsd,
+					percentUsed,
+					window,
+					pausedAccountIds,
+					resumedAccountIds: [],
+				});
+				state.notifiedThreshold = crossed;
+				changed = true;
+			}
+		}
+
+		if (changed) {
+			this.dbOps.saveBudgetState(budget.id, state);
+		}
+	}
+
+	/**
+	 * Pause the accounts a budget covers through the regular pause path.
+	 * Accounts that are already paused are left out so they are not resumed
+	 * when the window rolls over.
+	 */
+	private pauseAccounts(budget: Budget): string[] {
+		const accounts = this.dbOps
+			.getAllAccounts()
+			.filter(
+				(account) =>
+					!account.paused &&
+					(budget.scope === "global" || account.id === budget.target),
+			);
+
+		for (const account of accounts) {
+			this.dbOps.pauseAccount(account.id);
+			log.warn(`Paused account ${account.name} for budget ${budget.name}`);
+		}
+		return accounts.map((account) => account.id);
+	}
+
+	private notify(
+		budget: Budget,
+		details: Pick<
+			BudgetAlert,
+			| "event"
+			| "threshold"
+			| "spendUsd"
+			| "percentUsed"
+			| "pausedAccountIds"
+			| "resumedAccountIds"
+		> & { window: { start: number; end: number } },
+	): void {
+		const { window, ...rest } = details;
+		const alert: BudgetAlert = {
+			...rest,
+			budget: {
+				id: budget.id,
+				name: budget.name,
+				scope: budget.scope,
+				target: budget.target,
+				period: budget.period,
+				limitUsd: budget.limitUsd,
+			},
+			windowStart: new Date(window.start).toISOString(),
+			resetsAt: new Date(window.end).toISOString(),
+			timestamp: new Date().toISOString(),
+		};
+
+		requestEvents.emit("event", { type: "budget", payload: alert });
+
+		for (const url of budget.webhookUrls) {
+			this.postWebhook(url, alert);
+		}
+	}
+
+	private async postWebhook(url: string, alert: BudgetAlert): Promise<void> {
+		try {
+			const response = await fetch(url, {
+				method: "POST",
+				headers: { "content-type": "application/json" },
+				body: JSON.stringify(alert),
+				signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+			});
+			if (!response.ok) {
+				log.warn(
+					`Budget webhook ${url} responded with ${response.status} for ${alert.budget.name}`,
+				);
+			}
+		} catch (error) {
+			log.error(
+				`Budget webhook ${url} failed for ${alert.budget.name}: ${error instanceof Error ? error.message : String(error)}`,
+			);
+		}
+	}
+}
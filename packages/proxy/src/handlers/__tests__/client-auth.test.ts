@@ -0,0 +1,273 @@
+import { hashClientKey } from "@better-ccflare/core";
+import { HttpError } from "@better-ccflare/errors";
+import type { ClientKey, ClientKeyUsage } from "@better-ccflare/types";
+import {
+	assertUnauthenticatedAllowed,
+	authenticateClient,
+	enforceClientKeyModel,
+	extractRequestModel,
+	stripClientKey,
+} from "../client-auth";
+import type { ProxyContext } from "../proxy-types";
+
+const RAW_KEY = "bccf_test-key";
+
+function makeKey(overrides: Partial<ClientKey> = {}): ClientKey {
+	return {
+		id: "key-1",
+		name: "ci",
+		keyPrefix: "bccf_test",
+		allowedModels: null,
+		dailyRequestLimit: null,
+		dailyTokenLimit: null,
+		dailyCostLimit: null,
+		expiresAt: null,
+		createdAt: 0,
+		lastUsed: null,
+		revokedAt: null,
+		...overrides,
+	};
+}
+
+function makeContext(
+	keys: ClientKey[],
+	usage: ClientKeyUsage = { requests: 0, tokens: 0, costUsd: 0 },
+) {
+	const dbOps = {
+		hasClientKeys: () => keys.length > 0,
+		getClientKeyByHash: vi.fn((hash: string) =>
+			hash === hashClientKey(RAW_KEY) ? (keys[0] ?? null) : null,
+		),
+		getClientKeyUsageSince: vi.fn(() => usage),
+		updateClientKeyLastUsed: vi.fn(),
+	};
+	const asyncWriter = { enqueue: vi.fn((job: () => void) => job()) };
+	return {
+		ctx: { dbOps, asyncWriter } as unknown as ProxyContext,
+		dbOps,
+	};
+}
+
+function request(headers: Record<string, string> = {}) {
+	return new Request("http://localhost/v1/messages", {
+		method: "POST",
+		headers,
+	});
+}
+
+function body(value: unknown): ArrayBuffer {
+	return new TextEncoder().encode(
+		typeof value === "string" ? value : JSON.stringify(value),
+	).buffer as ArrayBuffer;
+}
+
+function rejection(fn: () => void): { status: number; message: string } {
+	try {
+		fn();
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return { status: error.status, message: error.message };
+		}
+		throw error;
+	}
+	throw new Error("Expected an HttpError");
+}
+
+describe("authenticateClient", () => {
+	it("stays open until a key exists", () => {
+		const { ctx } = makeContext([]);
+		expect(authenticateClient(request(), ctx)).toBeNull();
+	});
+
+	it("accepts a key in x-api-key or as a bearer token", () => {
+		const { ctx, dbOps } = makeContext([makeKey()]);
+
+		expect(authenticateClient(request({ "x-api-key": RAW_KEY }), ctx)?.id).toBe(
+			"key-1",
+		);
+		expect(
+			authenticateClient(request({ authorization: `Bearer ${RAW_KEY}` }), ctx)
+				?.id,
+		).toBe("key-1");
+		expect(dbOps.getClientKeyByHash).toHaveBeenCalledWith(
+			hashClientKey(RAW_KEY),
+		);
+		expect(dbOps.updateClientKeyLastUsed).toHaveBeenCalledWith("key-1");
+	});
+
+	it("rejects missing and unknown keys", () => {
+		const { ctx } = makeContext([makeKey()]);
+
+		expect(rejection(() => authenticateClient(request(), ctx)).status).toBe(
+			401,
+		);
+		// Upstream credentials are not mistaken for client keys
+		expect(
+			rejection(() =>
+				authenticateClient(request({ "x-api-key": "sk-ant-api03-x" }), ctx),
+			).status,
+		).toBe(401);
+		expect(
+			rejection(() =>
+				authenticateClient(request({ "x-api-key": "bccf_unknown" }), ctx),
+			).status,
+		).toBe(401);
+	});
+
+	it("rejects revoked and expired keys", () => {
+		const revoked = makeContext([makeKey({ revokedAt: Date.now() })]);
+		expect(
+			rejection(() =>
+				authenticateClient(request({ "x-api-key": RAW_KEY }), revoked.ctx),
+			).message,
+		).toBe("Client API key has been revoked");
+
+		const expired = makeContext([makeKey({ expiresAt: Date.now() - 1000 })]);
+		expect(
+			rejection(() =>
+				authenticateClient(request({ "x-api-key": RAW_KEY }), expired.ctx),
+			).message,
+		).toBe("Client API key has been expired");
+	});
+
+	it("accepts a key that has not expired yet", () => {
+		const { ctx } = makeContext([
+			makeKey({ expiresAt: Date.now() + 60 * 60 * 1000 }),
+		]);
+		expect(
+			authenticateClient(request({ "x-api-key": RAW_KEY }), ctx),
+		).not.toBeNull();
+	});
+
+	describe("daily quotas", () => {
+		const usage = { requests: 10, tokens: 5000, costUsd: 1.5 };
+
+		it("allows requests below every limit", () => {
+			const { ctx, dbOps } = makeContext(
+				[
+					makeKey({
+						dailyRequestLimit: 11,
+						dailyTokenLimit: 5001,
+						dailyCostLimit: 2,
+					}),
+				],
+				usage,
+			);
+			expect(
+				authenticateClient(request({ "x-api-key": RAW_KEY }), ctx),
+			).not.toBeNull();
+			expect(dbOps.getClientKeyUsageSince).toHaveBeenCalledWith(
+				"key-1",
+				expect.any(Number),
+				[],
+			);
+		});
+
+		it.each([
+			["requests", { dailyRequestLimit: 10 }],
+			["tokens", { dailyTokenLimit: 5000 }],
+			["cost", { dailyCostLimit: 1.5 }],
+		])("rejects once the %s quota is used up", (quota, limits) => {
+			const { ctx, dbOps } = makeContext([makeKey(limits)], usage);
+			const error = rejection(() =>
+				authenticateClient(request({ "x-api-key": RAW_KEY }), ctx),
+			);
+			expect(error.status).toBe(429);
+			expect(error.message).toContain(`Daily ${quota} quota exceeded`);
+			expect(dbOps.updateClientKeyLastUsed).not.toHaveBeenCalled();
+		});
+
+		it("skips the usage query for keys without quotas", () => {
+			const { ctx, dbOps } = makeContext([makeKey()], usage);
+			authenticateClient(request({ "x-api-key": RAW_KEY }), ctx);
+			expect(dbOps.getClientKeyUsageSince).not.toHaveBeenCalled();
+		});
+	});
+});
+
+describe("extractRequestModel", () => {
+	it("reads the model from a JSON body", () => {
+		expect(extractRequestModel(body({ model: "claude-sonnet-4" }))).toBe(
+			"claude-sonnet-4",
+		);
+		expect(extractRequestModel(body({ messages: [] }))).toBeNull();
+		expect(extractRequestModel(body("not json"))).toBeNull();
+		expect(extractRequestModel(body([1, 2]))).toBeNull();
+	});
+
+	it("rejects a non-string model", () => {
+		expect(
+			rejection(() => extractRequestModel(body({ model: 123 }))).status,
+		).toBe(400);
+	});
+});
+
+describe("enforceClientKeyModel", () => {
+	const restricted = makeKey({ allowedModels: ["claude-sonnet-*"] });
+
+	it("does nothing without a key or allow-list", () => {
+		expect(() =>
+			enforceClientKeyModel(null, body({ model: 123 })),
+		).not.toThrow();
+		expect(() =>
+			enforceClientKeyModel(makeKey(), body({ model: "claude-opus-4" })),
+		).not.toThrow();
+	});
+
+	it("allows listed models and bodiless requests", () => {
+		expect(() =>
+			enforceClientKeyModel(restricted, body({ model: "claude-sonnet-4" })),
+		).not.toThrow();
+		expect(() => enforceClientKeyModel(restricted, null)).not.toThrow();
+	});
+
+	it("rejects models outside the allow-list", () => {
+		const error = rejection(() =>
+			enforceClientKeyModel(restricted, body({ model: "claude-opus-4" })),
+		);
+		expect(error.status).toBe(403);
+		expect(error.message).toContain("claude-opus-4");
+	});
+
+	it("rejects a non-string model with 400", () => {
+		expect(
+			rejection(() => enforceClientKeyModel(restricted, body({ model: 123 })))
+				.status,
+		).toBe(400);
+	});
+
+	it("denies when the model cannot be determined", () => {
+		expect(
+			rejection(() => enforceClientKeyModel(restricted, body({ messages: [] })))
+				.status,
+		).toBe(403);
+		expect(
+			rejection(() => enforceClientKeyModel(restricted, body("{not json")))
+				.status,
+		).toBe(403);
+	});
+});
+
+describe("stripClientKey", () => {
+	it("removes client keys but keeps upstream credentials", () => {
+		const stripped = stripClientKey(
+			request({ "x-api-key": RAW_KEY, authorization: "Bearer sk-upstream" }),
+		);
+		expect(stripped.headers.get("x-api-key")).toBeNull();
+		expect(stripped.headers.get("authorization")).toBe("Bearer sk-upstream");
+
+		const bearer = stripClientKey(
+			request({ authorization: `Bearer ${RAW_KEY}` }),
+		);
+		expect(bearer.headers.get("authorization")).toBeNull();
+	});
+});
+
+describe("assertUnauthenticatedAllowed", () => {
+	it("refuses to forward keyed callers without an account", () => {
+		expect(() => assertUnauthenticatedAllowed(null)).not.toThrow();
+		expect(
+			rejection(() => assertUnauthenticatedAllowed(makeKey())).status,
+		).toBe(503);
+	});
+});
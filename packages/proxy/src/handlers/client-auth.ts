@@ -0,0 +1,213 @@
+import {
+	getClientKeyQuotaWindowStart,
+	hashClientKey,
+	isClientKey,
+	isModelAllowed,
+	TIME_CONSTANTS,
+} from "@better-ccflare/core";
+import {
+	BadRequest,
+	Forbidden,
+	ServiceUnavailable,
+	TooManyRequests,
+	Unauthorized,
+} from "@better-ccflare/errors";
+import { Logger } from "@better-ccflare/logger";
+import { type ClientKey, getClientKeyStatus } from "@better-ccflare/types";
+import { getPendingUsage } from "./pending-client-usage";
+import { ERROR_MESSAGES, type ProxyContext } from "./proxy-types";
+
+const log = new Logger("ClientAuth");
+
+/**
+ * Reads a client key from the x-api-key header or an Authorization bearer
+ * token. Only values carrying the client key prefix are considered, so the
+ * headers can still hold upstream credentials when keys are not in use.
+ */
+function extractClientKey(headers: Headers): string | null {
+	const apiKey = headers.get("x-api-key");
+	if (isClientKey(apiKey)) return apiKey;
+
+	const authorization = headers.get("authorization");
+	const bearer = authorization?.replace(/^Bearer\s+/i, "");
+	if (isClientKey(bearer)) return bearer;
+
+	return null;
+}
+
+/**
+ * Authenticates the caller once client keys have been issued. Until the
+ * first key is created the proxy stays open, as it always has been.
+ *
+ * @param req - The incoming request
+ * @param ctx - The proxy context
+ * @returns The caller's key, or null if client keys are not in use
+ * @throws {HttpError} 401 if the key is missing, unknown, expired or revoked
+ * @throws {HttpError} 429 if a daily quota has been used up
+ */
+export function authenticateClient(
+	req: Request,
+	ctx: ProxyContext,
+): ClientKey | null {
+	if (!ctx.dbOps.hasClientKeys()) {
+		return null;
+	}
+
+	const rawKey = extractClientKey(req.headers);
+	if (!rawKey) {
+		throw Unauthorized(ERROR_MESSAGES.CLIENT_KEY_MISSING);
+	}
+
+	const clientKey = ctx.dbOps.getClientKeyByHash(hashClientKey(rawKey));
+	if (!clientKey) {
+		throw Unauthorized(ERROR_MESSAGES.CLIENT_KEY_INVALID);
+	}
+
+	const status = getClientKeyStatus(clientKey);
+	if (status !== "active") {
+		log.warn(`Rejected ${status} client key: ${clientKey.name}`);
+		throw Unauthorized(`Client API key has been ${status}`);
+	}
+
+	checkDailyQuotas(clientKey, ctx);
+
+	ctx.asyncWriter.enqueue(() =>
+		ctx.dbOps.updateClientKeyLastUsed(clientKey.id),
+	);
+	return clientKey;
+}
+
+function checkDailyQuotas(clientKey: ClientKey, ctx: ProxyContext): void {
+	const { dailyRequestLimit, dailyTokenLimit, dailyCostLimit } = clientKey;
+	if (
+		dailyRequestLimit === null &&
+		dailyTokenLimit === null &&
+		dailyCostLimit === null
+	) {
+		return;
+	}
+
+	// Requests still in flight or waiting to be written count from memory
+	const windowStart = getClientKeyQuotaWindowStart();
+	const pending = getPendingUsage(clientKey.id);
+	const recorded = ctx.dbOps.getClientKeyUsageSince(
+		clientKey.id,
+		windowStart,
+		pending.requestIds,
+	);
+	const usage = {
+		requests: recorded.requests + pending.usage.requests,
+		tokens: recorded.tokens + pending.usage.tokens,
+		costUsd: recorded.costUsd + pending.usage.costUsd,
+	};
+	const resetsAt = new Date(windowStart + TIME_CONSTANTS.DAY).toISOString();
+
+	const exceeded =
+		dailyRequestLimit !== null && usage.requests >= dailyRequestLimit
+			? { quota: "requests", limit: dailyRequestLimit, used: usage.requests }
+			: dailyTokenLimit !== null && usage.tokens >= dailyTokenLimit
+				? { quota: "tokens", limit: dailyTokenLimit, used: usage.tokens }
+				: dailyCostLimit !== null && usage.costUsd >= dailyCostLimit
+					? { quota: "cost", limit: dailyCostLimit, used: usage.costUsd }
+					: null;
+
+	if (exceeded) {
+		log.warn(
+			`Client key ${clientKey.name} exceeded its daily ${exceeded.quota} quota`,
+		);
+		throw TooManyRequests(
+			`Daily ${exceeded.quota} quota exceeded for client API key '${clientKey.name}'`,
+			{ ...exceeded, resetsAt },
+		);
+	}
+}
+
+/**
+ * Reads the model from a JSON request body
+ * @returns The model, or null if the body is not JSON or names no model
+ * @throws {HttpError} 400 if the model is not a string
+ */
+export function extractRequestModel(body: ArrayBuffer): string | null {
+	let parsed: unknown;
+	try {
+		parsed = JSON.parse(new TextDecoder().decode(body));
+	} catch {
+		return null;
+	}
+	if (!parsed || typeof parsed !== "object" || !("model" in parsed)) {
+		return null;
+	}
+	const { model } = parsed as { model: unknown };
+	if (model === null || model === undefined) return null;
+	if (typeof model !== "string") {
+		throw BadRequest(ERROR_MESSAGES.MODEL_NOT_STRING);
+	}
+	return model;
+}
+
+/**
+ * Rejects models outside the key's allow-list. The model is read from the
+ * body that will be forwarded, so agent model overrides are checked too.
+ * @param clientKey - The caller's key, or null if client keys are not in use
+ * @param body - The request body as it will be sent upstream
+ * @throws {HttpError} 400 if the model is not a string
+ * @throws {HttpError} 403 if the model is not allowed or cannot be determined
+ */
+export function enforceClientKeyModel(
+	clientKey: ClientKey | null,
+	body: ArrayBuffer | null,
+): void {
+	if (!clientKey?.allowedModels?.length) return;
+	// Requests without a body (e.g. model listing) are not restricted
+	if (!body || body.byteLength === 0) return;
+
+	const model = extractRequestModel(body);
+	if (!model) {
+		throw Forbidden(
+			`Client API key '${clientKey.name}' is limited to specific models, but the request does not name one`,
+			{ allowedModels: clientKey.allowedModels },
+		);
+	}
+
+	if (!isModelAllowed(clientKey.allowedModels, model)) {
+		throw Forbidden(
+			`Model '${model}' is not allowed for client API key '${clientKey.name}'`,
+			{ allowedModels: clientKey.allowedModels },
+		);
+	}
+}
+
+/**
+ * Keyed callers must never be forwarded upstream without an account
+ * @throws {HttpError} 503 when client keys are in use
+ */
+export function assertUnauthenticatedAllowed(
+	clientKey: ClientKey | null,
+): void {
+	if (clientKey) {
+		throw ServiceUnavailable(ERROR_MESSAGES.NO_ACCOUNTS_FOR_CLIENT);
+	}
+}
+
+/**
+ * Returns a copy of the request without the client key, which is meant for
+ * this proxy only and must not reach the upstream provider or the stored
+ * request payloads
+ */
+export function stripClientKey(req: Request): Request {
+	const headers = new Headers(req.headers);
+	if (isClientKey(headers.get("x-api-key"))) {
+		headers.delete("x-api-key");
+	}
+	const bearer = headers.get("authorization")?.replace(/^Bearer\s+/i, "");
+	if (isClientKey(bearer)) {
+		headers.delete("authorization");
+	}
+	// Built from the URL: Bun keeps the original headers when a request is
+	// cloned with an empty header set
+	return new Request(req.url, {
+		method: req.method,
+		headers,
+		body: req.body,
+	});
+}
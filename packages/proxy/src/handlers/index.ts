@@ -3,10 +3,26 @@ export {
 	type AgentInterceptResult,
 	interceptAndModifyRequest,
 } from "./agent-interceptor";
-export { proxyUnauthenticated, proxyWithAccount } from "./proxy-operations";
-export { ERROR_MESSAGES, type ProxyContext, TIMING } from "./proxy-types";
+export {
+	assertUnauthenticatedAllowed,
+	authenticateClient,
+	enforceClientKeyModel,
+	stripClientKey,
+} from "./client-auth";
+export {
+	emitFailover,
+	proxyUnauthenticated,
+	proxyWithAccount,
+} from "./proxy-operations";
+export {
+	ERROR_MESSAGES,
+	type ProxyContext,
+	type ProxyOptions,
+	TIMING,
+} from "./proxy-types";
 export {
 	createRequestMetadata,
+	extractSessionId,
 	prepareRequestBody,
 	validateProviderPath,
 } from "./request-handler";
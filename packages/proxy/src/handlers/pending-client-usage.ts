@@ -0,0 +1,79 @@
+import { TIME_CONSTANTS } from "@better-ccflare/core";
+import type { ClientKeyUsage, RequestResponse } from "@better-ccflare/types";
+
+// Entries whose completion was never reported are dropped after this long;
+// by then the request's row is in the database and counts from there
+const PENDING_TTL_MS = TIME_CONSTANTS.HOUR;
+
+interface PendingRequest {
+	clientKeyId: string;
+	reservedAt: number;
+	tokens: number;
+	costUsd: number;
+}
+
+/**
+ * Client key requests the database does not fully reflect yet. Requests are
+ * recorded by the post-processor worker once they complete, so quotas
+ * checked against the database alone would let concurrent requests, or
+ * requests still queued in its writer, slip past the daily limits.
+ */
+const pending = new Map<string, PendingRequest>();
+
+/**
+ * Count a request against its key from the moment it is authenticated
+ */
+export function reservePendingRequest(
+	clientKeyId: string,
+	requestId: string,
+): void {
+	pending.set(requestId, {
+		clientKeyId,
+		reservedAt: Date.now(),
+		tokens: 0,
+		costUsd: 0,
+	});
+}
+
+/**
+ * Keep a completed request's usage until its row has been written
+ */
+export function recordPendingUsage(summary: RequestResponse): void {
+	const request = pending.get(summary.id);
+	if (!request) return;
+	request.tokens = summary.totalTokens ?? 0;
+	request.costUsd = summary.costUsd ?? 0;
+}
+
+/**
+ * Stop counting a request, once the database has it or it will never be
+ * recorded
+ */
+export function releasePendingRequest(requestId: string): void {
+	pending.delete(requestId);
+}
+
+/**
+ * Usage of a key's pending requests, and their ids so the same requests can
+ * be left out of the database totals
+ */
+export function getPendingUsage(clientKeyId: string): {
+	usage: ClientKeyUsage;
+	requestIds: string[];
+} {
+	const cutoff = Date.now() - PENDING_TTL_MS;
+	const usage: ClientKeyUsage = { requests: 0, tokens: 0, costUsd: 0 };
+	const requestIds: string[] = [];
+	for (const [requestId, request] of pending) {
+		if (request.reservedAt < cutoff) {
+			pending.delete(requestId);
+			continue;
+		}
+		if (request.clientKeyId !== clientKeyId) continue;
+		usage.requests++;
+		usage.tokens += request.tokens;
+		usage.costUsd += request.costUsd;
+		requestIds.push(requestId);
+	}
+	return { usage, requestIds };
+}
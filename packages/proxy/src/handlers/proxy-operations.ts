@@ -1,4 +1,9 @@
-import { logError, ProviderError } from "@better-ccflare/core";
+import {
+	type FailoverReason,
+	logError,
+	ProviderError,
+	requestEvents,
+} from "@better-ccflare/core";
 import { Logger } from "@better-ccflare/logger";
 import { getProvider } from "@better-ccflare/providers";
 import type { Account, RequestMeta } from "@better-ccflare/types";
@@ -60,6 +65,10 @@ export async function proxyUnauthenticated(
 				retryAttempt: 0,
 				failoverAttempts: 0,
 				agentUsed: requestMeta.agentUsed,
+				apiFormat: requestMeta.apiFormat,
+				clientKeyId: requestMeta.clientKeyId,
+				replayOf: requestMeta.replayOf,
+				sessionId: requestMeta.sessionId,
 			},
 			ctx,
 		);
@@ -98,6 +107,7 @@ export async function proxyWithAccount(
 	failoverAttempts: number,
 	ctx: ProxyContext,
 ): Promise<Response | null> {
+	const attemptStart = Date.now();
 	try {
 		if (
 			process.env.DEBUG?.includes("proxy") ||
@@ -158,6 +168,14 @@ export async function proxyWithAccount(
 			requestMeta,
 		);
 		if (isRateLimited) {
+			emitFailover(
+				requestMeta,
+				account,
+				failoverAttempts,
+				"rate_limited",
+				null,
+				attemptStart,
+			);
 			return null; // Signal to try next account
 		}
 
@@ -175,11 +193,47 @@ export async function proxyWithAccount(
 				retryAttempt: 0,
 				failoverAttempts,
 				agentUsed: requestMeta.agentUsed,
+				apiFormat: requestMeta.apiFormat,
+				clientKeyId: requestMeta.clientKeyId,
+				replayOf: requestMeta.replayOf,
+				sessionId: requestMeta.sessionId,
 			},
 			{ ...ctx, provider },
 		);
 	} catch (err) {
 		handleProxyError(err, account, log);
+		emitFailover(
+			requestMeta,
+			account,
+			failoverAttempts,
+			"error",
+			err instanceof Error ? err.message : String(err),
+			attemptStart,
+		);
 		return null;
 	}
 }
+
+/**
+ * Reports an account attempt that did not produce a response to the
+ * request event stream, where metrics and tracing pick it up
+ */
+export function emitFailover(
+	requestMeta: RequestMeta,
+	account: Account | null,
+	attempt: number,
+	reason: FailoverReason,
+	error: string | null,
+	startTime: number,
+): void {
+	requestEvents.emit("event", {
+		type: "failover",
+		requestId: requestMeta.id,
+		accountId: account?.id ?? null,
+		attempt,
+		reason,
+		error,
+		startTime,
+		endTime: Date.now(),
+	});
+}
@@ -4,7 +4,11 @@ import type {
 	DatabaseOperations,
 } from "@better-ccflare/database";
 import type { Provider } from "@better-ccflare/providers";
-import type { LoadBalancingStrategy } from "@better-ccflare/types";
+import type {
+	ApiFormat,
+	ClientKey,
+	LoadBalancingStrategy,
+} from "@better-ccflare/types";
 
 export interface ProxyContext {
 	strategy: LoadBalancingStrategy;
@@ -16,6 +20,24 @@ export interface ProxyContext {
 	usageWorker: Worker;
 }
 
+/** Per-request options for handleProxy */
+export interface ProxyOptions {
+	/** Wire format the client used, recorded with the request (default "anthropic") */
+	apiFormat?: ApiFormat;
+	/**
+	 * Id of the stored request being replayed. Replays are issued in-process
+	 * by the server, which authenticates the caller beforehand and passes
+	 * their key as `clientKey`.
+	 */
+	replayOf?: string;
+	/** Client key a replay is made with; its allow-list still applies */
+	clientKey?: ClientKey | null;
+	/** Id to record the request under instead of a generated one */
+	requestId?: string;
+	/** Send the model in the body as-is instead of applying agent model preferences */
+	keepModel?: boolean;
+}
+
 /** Error messages used throughout the proxy module */
 export const ERROR_MESSAGES = {
 	NO_ACCOUNTS:
@@ -26,6 +48,10 @@ export const ERROR_MESSAGES = {
 	ALL_ACCOUNTS_FAILED: "All accounts failed to proxy the request",
 	TOKEN_REFRESH_FAILED: "Failed to refresh access token",
 	PROXY_REQUEST_FAILED: "Failed to proxy request with account",
+	CLIENT_KEY_MISSING: "Missing client API key",
+	CLIENT_KEY_INVALID: "Invalid client API key",
+	NO_ACCOUNTS_FOR_CLIENT: "No active accounts available to serve the request",
+	MODEL_NOT_STRING: "The model field must be a string",
 } as const;
 
 /** Timing constants */
@@ -39,6 +39,36 @@ export function validateProviderPath(
 	}
 }
 
+// Claude Code sends metadata.user_id as "user_<hash>_account_<uuid>_session_<uuid>"
+const USER_ID_SESSION_PATTERN = /_session_([0-9a-f-]{36})$/i;
+
+/**
+ * Extracts the Claude Code session id from a request, so proxied requests
+ * can be correlated with the session logs imported from ~/.claude
+ * @param headers - The incoming request headers
+ * @param body - The buffered request body
+ * @returns The session id, or null if the client did not send one
+ */
+export function extractSessionId(
+	headers: Headers,
+	body: ArrayBuffer | null,
+): string | null {
+	const header = headers.get("x-claude-code-session-id");
+	if (header) return header;
+	if (!body) return null;
+
+	try {
+		const parsed = JSON.parse(new TextDecoder().decode(body)) as {
+			metadata?: { user_id?: unknown };
+		};
+		const userId = parsed.metadata?.user_id;
+		if (typeof userId !== "string") return null;
+		return USER_ID_SESSION_PATTERN.exec(userId)?.[1] ?? null;
+	} catch {
+		return null;
+	}
+}
+
 /**
  * Prepares request body for analytics and creates body stream factory
  * @param req - The incoming request
@@ -1,5 +1,6 @@
 import {
 	registerDisposable,
+	requestEvents,
 	ServiceUnavailableError,
 	TokenRefreshError,
 } from "@better-ccflare/core";
@@ -256,6 +257,13 @@ export async function refreshAccessTokenSafe(
 				// Enforce size limit after adding a new entry
 				enforceMaxSize();
 				log.error(`Token refresh failed for account ${account.name}`, error);
+				requestEvents.emit("event", {
+					type: "token_refresh_failed",
+					accountId: account.id,
+					provider: account.provider,
+					error: error instanceof Error ? error.message : String(error),
+					timestamp: Date.now(),
+				});
 				throw new TokenRefreshError(account.id, error as Error);
 			})
 			.finally(() => {
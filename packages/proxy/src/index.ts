@@ -10,13 +10,17 @@ export {
 	registerProvider,
 } from "@better-ccflare/providers";
 export { AutoRefreshScheduler } from "./auto-refresh-scheduler";
+export { BudgetMonitor } from "./budget-monitor";
 export { getValidAccessToken } from "./handlers";
+export { handleOpenAIRequest, OPENAI_PATHS } from "./openai";
 export {
 	getUsageWorker,
 	handleProxy,
 	type ProxyContext,
+	type ProxyOptions,
 	terminateUsageWorker,
 } from "./proxy";
+export { replayRequest } from "./replay";
 export {
 	forwardToClient,
 	type ResponseHandlerOptions,
@@ -0,0 +1,330 @@
+import { ValidationError } from "@better-ccflare/core";
+import {
+	convertChatRequest,
+	convertErrorBody,
+	convertMessageResponse,
+	convertStopReason,
+	convertUsage,
+	DEFAULT_MAX_TOKENS,
+} from "../convert";
+import type { ChatCompletionRequest, MessagesResponse } from "../types";
+
+const MODEL = "claude-sonnet-4-20250514";
+
+function convert(overrides: Partial<ChatCompletionRequest> = {}) {
+	return convertChatRequest({
+		model: MODEL,
+		messages: [{ role: "user", content: "Hi" }],
+		...overrides,
+	});
+}
+
+describe("convertChatRequest", () => {
+	it("converts a minimal request", () => {
+		expect(convert()).toEqual({
+			model: MODEL,
+			messages: [{ role: "user", content: [{ type: "text", text: "Hi" }] }],
+			max_tokens: DEFAULT_MAX_TOKENS,
+		});
+	});
+
+	it.each([
+		["a missing model", { model: "" }],
+		["empty messages", { messages: [] }],
+		["n other than 1", { n: 2 }],
+		["an unknown role", { messages: [{ role: "function", content: "x" }] }],
+	])("rejects %s", (_name, overrides) => {
+		expect(() => convert(overrides as Partial<ChatCompletionRequest>)).toThrow(
+			ValidationError,
+		);
+	});
+
+	it("moves system and developer messages into the system prompt", () => {
+		const request = convert({
+			messages: [
+				{ role: "system", content: "Be brief." },
+				{ role: "developer", content: [{ type: "text", text: "Use JSON." }] },
+				{ role: "user", content: "Hi" },
+			],
+		});
+		expect(request.system).toBe("Be brief.\n\nUse JSON.");
+		expect(request.messages).toHaveLength(1);
+	});
+
+	it("converts tool calls and folds tool results into one user turn", () => {
+		const request = convert({
+			messages: [
+				{ role: "user", content: "Weather in Paris and Rome?" },
+				{
+					role: "assistant",
+					content: null,
+					tool_calls: [
+						{
+							id: "call_1",
+							type: "function",
+							function: { name: "weather", arguments: '{"city":"Paris"}' },
+						},
+						{
+							id: "call_2",
+							type: "function",
+							function: { name: "weather", arguments: "not json" },
+						},
+					],
+				},
+				{ role: "tool", tool_call_id: "call_1", content: "Sunny" },
+				{ role: "tool", tool_call_id: "call_2", content: "Rain" },
+			],
+		});
+
+		expect(request.messages).toEqual([
+			{
+				role: "user",
+				content: [{ type: "text", text: "Weather in Paris and Rome?" }],
+			},
+			{
+				role: "assistant",
+				content: [
+					{
+						type: "tool_use",
+						id: "call_1",
+						name: "weather",
+						input: { city: "Paris" },
+					},
+					{ type: "tool_use", id: "call_2", name: "weather", input: {} },
+				],
+			},
+			{
+				role: "user",
+				content: [
+					{ type: "tool_result", tool_use_id: "call_1", content: "Sunny" },
+					{ type: "tool_result", tool_use_id: "call_2", content: "Rain" },
+				],
+			},
+		]);
+	});
+
+	it("converts data URL and remote images", () => {
+		const request = convert({
+			messages: [
+				{
+					role: "user",
+					content: [
+						{ type: "text", text: "Compare" },
+						{
+							type: "image_url",
+							image_url: { url: "data:image/png;base64,aGVsbG8=" },
+						},
+						{
+							type: "image_url",
+							image_url: { url: "https://example.com/cat.jpg" },
+						},
+					],
+				},
+			],
+		});
+		expect(request.messages[0].content).toEqual([
+			{ type: "text", text: "Compare" },
+			{
+				type: "image",
+				source: { type: "base64", media_type: "image/png", data: "aGVsbG8=" },
+			},
+			{
+				type: "image",
+				source: { type: "url", url: "https://example.com/cat.jpg" },
+			},
+		]);
+	});
+
+	it("maps sampling and stop parameters", () => {
+		const request = convert({
+			max_tokens: 100,
+			max_completion_tokens: 200,
+			temperature: 1.5,
+			top_p: 0.9,
+			stop: "END",
+			stream: true,
+			user: "user-1",
+		});
+		expect(request).toMatchObject({
+			max_tokens: 200,
+			temperature: 1,
+			top_p: 0.9,
+			stop_sequences: ["END"],
+			stream: true,
+			metadata: { user_id: "user-1" },
+		});
+	});
+
+	it("turns reasoning_effort into a thinking budget without sampling params", () => {
+		const request = convert({
+			reasoning_effort: "medium",
+			max_tokens: 1000,
+			temperature: 0.5,
+		});
+		expect(request.thinking).toEqual({ type: "enabled", budget_tokens: 4096 });
+		expect(request.max_tokens).toBe(4096 + 1024);
+		expect(request.temperature).toBeUndefined();
+	});
+
+	it("converts tools and tool_choice", () => {
+		const request = convert({
+			tools: [
+				{
+					type: "function",
+					function: {
+						name: "weather",
+						description: "Current weather",
+						parameters: {
+							type: "object",
+							properties: { city: { type: "string" } },
+						},
+					},
+				},
+				{ type: "function", function: { name: "noop" } },
+			],
+			tool_choice: "required",
+			parallel_tool_calls: false,
+		});
+		expect(request.tools).toEqual([
+			{
+				name: "weather",
+				description: "Current weather",
+				input_schema: {
+					type: "object",
+					properties: { city: { type: "string" } },
+				},
+			},
+			{ name: "noop", input_schema: { type: "object", properties: {} } },
+		]);
+		expect(request.tool_choice).toEqual({
+			type: "any",
+			disable_parallel_tool_use: true,
+		});
+		expect(
+			convert({ tool_choice: { type: "function", function: { name: "x" } } })
+				.tool_choice,
+		).toEqual({ type: "tool", name: "x" });
+	});
+});
+
+describe("convertMessageResponse", () => {
+	it("converts text, thinking, tool use and usage", () => {
+		const response: MessagesResponse = {
+			id: "msg_1",
+			model: MODEL,
+			content: [
+				{ type: "thinking", thinking: "Let me check.", signature: "sig" },
+				{ type: "text", text: "Checking " },
+				{ type: "text", text: "now." },
+				{
+					type: "tool_use",
+					id: "toolu_1",
+					name: "weather",
+					input: { city: "Paris" },
+				},
+			],
+			stop_reason: "tool_use",
+			usage: {
+				input_tokens: 10,
+				output_tokens: 5,
+				cache_read_input_tokens: 100,
+				cache_creation_input_tokens: 20,
+			},
+		};
+
+		const completion = convertMessageResponse(response);
+		expect(completion).toMatchObject({
+			id: "chatcmpl-msg_1",
+			object: "chat.completion",
+			model: MODEL,
+			choices: [
+				{
+					index: 0,
+					message: {
+						role: "assistant",
+						content: "Checking now.",
+						reasoning_content: "Let me check.",
+						tool_calls: [
+							{
+								id: "toolu_1",
+								type: "function",
+								function: { name: "weather", arguments: '{"city":"Paris"}' },
+							},
+						],
+					},
+					finish_reason: "tool_calls",
+				},
+			],
+			usage: {
+				prompt_tokens: 130,
+				completion_tokens: 5,
+				total_tokens: 135,
+				prompt_tokens_details: { cached_tokens: 100 },
+			},
+		});
+	});
+
+	it("returns null content when there is no text", () => {
+		const completion = convertMessageResponse({
+			id: "msg_2",
+			model: MODEL,
+			content: [],
+			stop_reason: "end_turn",
+			usage: { input_tokens: 1, output_tokens: 0 },
+		});
+		expect(completion.choices[0].message.content).toBeNull();
+		expect(completion.choices[0].message.tool_calls).toBeUndefined();
+	});
+});
+
+describe("convertStopReason", () => {
+	it.each([
+		["end_turn", "stop"],
+		["stop_sequence", "stop"],
+		["max_tokens", "length"],
+		["tool_use", "tool_calls"],
+		["refusal", "content_filter"],
+		["something_new", "stop"],
+		[null, null],
+	])("maps %s to %s", (reason, expected) => {
+		expect(convertStopReason(reason)).toBe(expected);
+	});
+});
+
+describe("convertUsage", () => {
+	it("treats missing usage as zero", () => {
+		expect(convertUsage(undefined)).toEqual({
+			prompt_tokens: 0,
+			completion_tokens: 0,
+			total_tokens: 0,
+			prompt_tokens_details: { cached_tokens: 0 },
+		});
+	});
+});
+
+describe("convertErrorBody", () => {
+	it("converts Anthropic errors", () => {
+		expect(
+			convertErrorBody(
+				'{"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}',
+				529,
+			),
+		).toEqual({
+			error: {
+				message: "Overloaded",
+				type: "overloaded_error",
+				param: null,
+				code: null,
+			},
+		});
+	});
+
+	it("falls back to the raw text or the status", () => {
+		expect(convertErrorBody("Bad gateway", 502).error.message).toBe(
+			"Bad gateway",
+		);
+		expect(convertErrorBody("", 503).error.message).toBe(
+			"Upstream request failed with status 503",
+		);
+	});
+});
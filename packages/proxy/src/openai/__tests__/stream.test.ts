@@ -0,0 +1,256 @@
+import { createChatCompletionStream } from "../stream";
+import type { ChatCompletionChunk } from "../types";
+
+function sse(events: Array<Record<string, unknown>>): string {
+	return events
+		.map((event) => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+		.join("");
+}
+
+// Feeds the upstream text through the transform in pieces of the given size
+async function run(
+	upstream: string,
+	options = { model: "requested-model", includeUsage: false },
+	pieceSize = upstream.length,
+): Promise<string[]> {
+	const encoder = new TextEncoder();
+	const pieces: Uint8Array[] = [];
+	for (let i = 0; i < upstream.length; i += pieceSize) {
+		pieces.push(encoder.encode(upstream.slice(i, i + pieceSize)));
+	}
+	const source = new ReadableStream<Uint8Array>({
+		start(controller) {
+			for (const piece of pieces) controller.enqueue(piece);
+			controller.close();
+		},
+	});
+	const text = await new Response(
+		source.pipeThrough(createChatCompletionStream(options)),
+	).text();
+	return text
+		.split("\n\n")
+		.filter(Boolean)
+		.map((event) => event.replace(/^data: /, ""));
+}
+
+function chunks(events: string[]): ChatCompletionChunk[] {
+	return events
+		.filter((event) => event !== "[DONE]")
+		.map((event) => JSON.parse(event) as ChatCompletionChunk);
+}
+
+const messageStart = {
+	type: "message_start",
+	message: {
+		id: "msg_1",
+		model: "claude-sonnet-4-20250514",
+		usage: { input_tokens: 12, cache_read_input_tokens: 3 },
+	},
+};
+
+describe("createChatCompletionStream", () => {
+	it("converts a text stream", async () => {
+		const events = await run(
+			sse([
+				messageStart,
+				{
+					type: "content_block_start",
+					index: 0,
+					content_block: { type: "text", text: "" },
+				},
+				{
+					type: "content_block_delta",
+					index: 0,
+					delta: { type: "text_delta", text: "Hello" },
+				},
+				{
+					type: "content_block_delta",
+					index: 0,
+					delta: { type: "text_delta", text: " world" },
+				},
+				{ type: "content_block_stop", index: 0 },
+				{
+					type: "message_delta",
+					delta: { stop_reason: "end_turn" },
+					usage: { output_tokens: 2 },
+				},
+				{ type: "message_stop" },
+			]),
+		);
+
+		expect(events.at(-1)).toBe("[DONE]");
+		const converted = chunks(events);
+		expect(converted.every((c) => c.id === "chatcmpl-msg_1")).toBe(true);
+		expect(converted.every((c) => c.model === "claude-sonnet-4-20250514")).toBe(
+			true,
+		);
+		expect(converted.map((c) => c.choices[0].delta)).toEqual([
+			{ role: "assistant", content: "" },
+			{ content: "Hello" },
+			{ content: " world" },
+			{},
+		]);
+		expect(converted.at(-1)?.choices[0].finish_reason).toBe("stop");
+	});
+
+	it("streams tool calls with their own indexes", async () => {
+		const events = await run(
+			sse([
+				messageStart,
+				{
+					type: "content_block_start",
+					index: 0,
+					content_block: { type: "text", text: "" },
+				},
+				{
+					type: "content_block_delta",
+					index: 0,
+					delta: { type: "text_delta", text: "Checking" },
+				},
+				{
+					type: "content_block_start",
+					index: 1,
+					content_block: { type: "tool_use", id: "toolu_1", name: "weather" },
+				},
+				{
+					type: "content_block_delta",
+					index: 1,
+					delta: { type: "input_json_delta", partial_json: '{"city":' },
+				},
+				{
+					type: "content_block_delta",
+					index: 1,
+					delta: { type: "input_json_delta", partial_json: '"Paris"}' },
+				},
+				{
+					type: "content_block_start",
+					index: 2,
+					content_block: { type: "tool_use", id: "toolu_2", name: "time" },
+				},
+				{
+					type: "content_block_delta",
+					index: 2,
+					delta: { type: "input_json_delta", partial_json: "{}" },
+				},
+				{ type: "message_delta", delta: { stop_reason: "tool_use" } },
+				{ type: "message_stop" },
+			]),
+		);
+
+		const toolDeltas = chunks(events).flatMap(
+			(c) => c.choices[0]?.delta.tool_calls ?? [],
+		);
+		expect(toolDeltas).toEqual([
+			{
+				index: 0,
+				id: "toolu_1",
+				type: "function",
+				function: { name: "weather", arguments: "" },
+			},
+			{ index: 0, function: { arguments: '{"city":' } },
+			{ index: 0, function: { arguments: '"Paris"}' } },
+			{
+				index: 1,
+				id: "toolu_2",
+				type: "function",
+				function: { name: "time", arguments: "" },
+			},
+			{ index: 1, function: { arguments: "{}" } },
+		]);
+		expect(chunks(events).at(-1)?.choices[0].finish_reason).toBe("tool_calls");
+	});
+
+	it("forwards thinking as reasoning_content", async () => {
+		const events = await run(
+			sse([
+				messageStart,
+				{
+					type: "content_block_delta",
+					index: 0,
+					delta: { type: "thinking_delta", thinking: "Hmm" },
+				},
+				{ type: "message_stop" },
+			]),
+		);
+		expect(chunks(events)[1].choices[0].delta).toEqual({
+			reasoning_content: "Hmm",
+		});
+	});
+
+	it("adds a usage chunk when asked to", async () => {
+		const events = await run(
+			sse([
+				messageStart,
+				{
+					type: "message_delta",
+					delta: { stop_reason: "max_tokens" },
+					usage: { output_tokens: 7 },
+				},
+				{ type: "message_stop" },
+			]),
+			{ model: "requested-model", includeUsage: true },
+		);
+
+		const last = chunks(events).at(-1);
+		expect(last?.choices).toEqual([]);
+		expect(last?.usage).toEqual({
+			prompt_tokens: 15,
+			completion_tokens: 7,
+			total_tokens: 22,
+			prompt_tokens_details: { cached_tokens: 3 },
+		});
+		expect(chunks(events).at(-2)?.choices[0].finish_reason).toBe("length");
+	});
+
+	it("handles events split across reads and CRLF line endings", async () => {
+		const upstream = sse([
+			messageStart,
+			{
+				type: "content_block_delta",
+				index: 0,
+				delta: { type: "text_delta", text: "Hi" },
+			},
+			{ type: "message_stop" },
+		]).replace(/\n/g, "\r\n");
+
+		const events = await run(
+			upstream,
+			{ model: "requested-model", includeUsage: false },
+			7,
+		);
+		expect(chunks(events).map((c) => c.choices[0].delta)).toEqual([
+			{ role: "assistant", content: "" },
+			{ content: "Hi" },
+		]);
+		expect(events.at(-1)).toBe("[DONE]");
+	});
+
+	it("converts upstream errors and ends the stream", async () => {
+		const events = await run(
+			sse([
+				messageStart,
+				{
+					type: "error",
+					error: { type: "overloaded_error", message: "Overloaded" },
+				},
+			]),
+		);
+
+		expect(JSON.parse(events[1])).toEqual({
+			error: {
+				message: "Overloaded",
+				type: "overloaded_error",
+				param: null,
+				code: null,
+			},
+		});
+		expect(events.slice(2)).toEqual(["[DONE]"]);
+	});
+
+	it("terminates a stream that ends without message_stop", async () => {
+		const events = await run(sse([messageStart]));
+		expect(events).toHaveLength(2);
+		expect(chunks(events)[0].model).toBe("claude-sonnet-4-20250514");
+		expect(events[1]).toBe("[DONE]");
+	});
+});
@@ -0,0 +1,376 @@
+import crypto from "node:crypto";
+import { ValidationError } from "@better-ccflare/core";
+import type {
+	ChatCompletion,
+	ChatCompletionRequest,
+	ChatContentPart,
+	ChatFinishReason,
+	ChatMessage,
+	ChatToolCall,
+	ChatToolChoice,
+	ChatUsage,
+	MessagesContentBlock,
+	MessagesMessage,
+	MessagesRequest,
+	MessagesResponse,
+	MessagesUsage,
+	OpenAIErrorBody,
+} from "./types";
+
+/** Anthropic requires max_tokens; OpenAI clients usually omit it */
+export const DEFAULT_MAX_TOKENS = 4096;
+
+/** Thinking budgets used for OpenAI's reasoning_effort levels */
+const REASONING_BUDGETS = {
+	low: 1024,
+	medium: 4096,
+	high: 16384,
+} as const;
+
+/** Room left for the visible answer when a thinking budget is applied */
+const MIN_ANSWER_TOKENS = 1024;
+
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,(.*)$/s;
+
+// ===== REQUEST: OPENAI -> ANTHROPIC =====
+
+/**
+ * Converts an OpenAI Chat Completions request into an Anthropic Messages request
+ * @param body - The parsed OpenAI request body
+ * @returns The equivalent Anthropic request body
+ * @throws {ValidationError} If the request cannot be represented upstream
+ */
+export function convertChatRequest(
+	body: ChatCompletionRequest,
+): MessagesRequest {
+	if (!body || typeof body !== "object") {
+		throw new ValidationError("Request body must be a JSON object");
+	}
+	if (typeof body.model !== "string" || !body.model) {
+		throw new ValidationError("model is required", "model", body.model);
+	}
+	if (!Array.isArray(body.messages) || body.messages.length === 0) {
+		throw new ValidationError(
+			"messages must be a non-empty array",
+			"messages",
+			body.messages,
+		);
+	}
+	if (body.n !== undefined && body.n !== 1) {
+		throw new ValidationError("Only n=1 is supported", "n", body.n);
+	}
+
+	const systemParts: string[] = [];
+	const messages: MessagesMessage[] = [];
+
+	// Consecutive messages with the same role are merged, which also folds
+	// runs of tool results into the single user turn Anthropic expects
+	const push = (
+		role: MessagesMessage["role"],
+		blocks: MessagesContentBlock[],
+	) => {
+		if (blocks.length === 0) return;
+		const last = messages[messages.length - 1];
+		if (last && last.role === role) {
+			last.content.push(...blocks);
+		} else {
+			messages.push({ role, content: blocks });
+		}
+	};
+
+	for (const message of body.messages) {
+		switch (message.role) {
+			case "system":
+			case "developer": {
+				const text = contentToText(message.content);
+				if (text) systemParts.push(text);
+				break;
+			}
+			case "user":
+				push("user", convertUserContent(message.content));
+				break;
+			case "assistant":
+				push("assistant", convertAssistantMessage(message));
+				break;
+			case "tool":
+				push("user", [
+					{
+						type: "tool_result",
+						tool_use_id: message.tool_call_id ?? "",
+						content: contentToText(message.content),
+					},
+				]);
+				break;
+			default:
+				throw new ValidationError(
+					`Unsupported message role: ${(message as ChatMessage).role}`,
+					"messages",
+				);
+		}
+	}
+
+	const maxTokens =
+		body.max_completion_tokens ?? body.max_tokens ?? DEFAULT_MAX_TOKENS;
+	const request: MessagesRequest = {
+		model: body.model,
+		messages,
+		max_tokens: maxTokens,
+	};
+
+	if (systemParts.length > 0) request.system = systemParts.join("\n\n");
+	if (body.stream) request.stream = true;
+	if (body.stop !== undefined && body.stop !== null) {
+		request.stop_sequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+	}
+	if (body.user) request.metadata = { user_id: body.user };
+
+	const budget = body.reasoning_effort
+		? REASONING_BUDGETS[body.reasoning_effort]
+		: undefined;
+	if (budget) {
+		// Extended thinking rejects custom sampling parameters
+		request.thinking = { type: "enabled", budget_tokens: budget };
+		request.max_tokens = Math.max(maxTokens, budget + MIN_ANSWER_TOKENS);
+	} else {
+		// OpenAI allows temperatures up to 2, Anthropic caps at 1
+		if (typeof body.temperature === "number") {
+			request.temperature = Math.min(Math.max(body.temperature, 0), 1);
+		}
+		if (typeof body.top_p === "number") request.top_p = body.top_p;
+	}
+
+	if (Array.isArray(body.tools) && body.tools.length > 0) {
+		request.tools = body.tools
+			.filter((tool) => tool.type === "function" && tool.function?.name)
+			.map((tool) => ({
+				name: tool.function.name,
+				...(tool.function.description
+					? { description: tool.function.description }
+					: {}),
+				input_schema: tool.function.parameters ?? {
+					type: "object",
+					properties: {},
+				},
+			}));
+	}
+
+	const toolChoice = convertToolChoice(body.tool_choice);
+	if (toolChoice) request.tool_choice = toolChoice;
+	if (body.parallel_tool_calls === false && request.tools?.length) {
+		request.tool_choice = {
+			...(request.tool_choice ?? { type: "auto" }),
+			disable_parallel_tool_use: true,
+		};
+	}
+
+	return request;
+}
+
+function convertToolChoice(
+	choice: ChatToolChoice | undefined,
+): MessagesRequest["tool_choice"] | undefined {
+	if (!choice) return undefined;
+	if (choice === "auto") return { type: "auto" };
+	if (choice === "none") return { type: "none" };
+	if (choice === "required") return { type: "any" };
+	if (typeof choice === "object" && choice.function?.name) {
+		return { type: "tool", name: choice.function.name };
+	}
+	return undefined;
+}
+
+function contentToText(content: ChatMessage["content"]): string {
+	if (!content) return "";
+	if (typeof content === "string") return content;
+	return content
+		.filter((part): part is Extract<ChatContentPart, { type: "text" }> => {
+			return part.type === "text";
+		})
+		.map((part) => part.text)
+		.join("\n");
+}
+
+function convertUserContent(
+	content: ChatMessage["content"],
+): MessagesContentBlock[] {
+	if (!content) return [];
+	if (typeof content === "string") {
+		return content ? [{ type: "text", text: content }] : [];
+	}
+
+	const blocks: MessagesContentBlock[] = [];
+	for (const part of content) {
+		if (part.type === "text" && part.text) {
+			blocks.push({ type: "text", text: part.text });
+		} else if (part.type === "image_url" && part.image_url?.url) {
+			blocks.push(convertImagePart(part.image_url.url));
+		}
+	}
+	return blocks;
+}
+
+function convertImagePart(url: string): MessagesContentBlock {
+	const match = DATA_URL_PATTERN.exec(url);
+	if (match) {
+		return {
+			type: "image",
+			source: { type: "base64", media_type: match[1], data: match[2] },
+		};
+	}
+	return { type: "image", source: { type: "url", url } };
+}
+
+function convertAssistantMessage(message: ChatMessage): MessagesContentBlock[] {
+	const blocks: MessagesContentBlock[] = [];
+	const text = contentToText(message.content);
+	if (text) blocks.push({ type: "text", text });
+
+	for (const call of message.tool_calls ?? []) {
+		blocks.push({
+			type: "tool_use",
+			id: call.id,
+			name: call.function.name,
+			input: parseToolArguments(call.function.arguments),
+		});
+	}
+	return blocks;
+}
+
+function parseToolArguments(args: string | undefined): unknown {
+	if (!args) return {};
+	try {
+		return JSON.parse(args);
+	} catch {
+		return {};
+	}
+}
+
+// ===== RESPONSE: ANTHROPIC -> OPENAI =====
+
+/**
+ * Maps an Anthropic stop_reason onto an OpenAI finish_reason
+ */
+export function convertStopReason(
+	reason: string | null | undefined,
+): ChatFinishReason | null {
+	switch (reason) {
+		case "end_turn":
+		case "stop_sequence":
+		case "pause_turn":
+			return "stop";
+		case "max_tokens":
+			return "length";
+		case "tool_use":
+			return "tool_calls";
+		case "refusal":
+			return "content_filter";
+		default:
+			return reason ? "stop" : null;
+	}
+}
+
+/**
+ * Converts Anthropic usage into OpenAI usage. Cached prompt tokens are
+ * counted as prompt tokens and reported again under prompt_tokens_details.
+ */
+export function convertUsage(usage: MessagesUsage | undefined): ChatUsage {
+	const cacheRead = usage?.cache_read_input_tokens ?? 0;
+	const promptTokens =
+		(usage?.input_tokens ?? 0) +
+		cacheRead +
+		(usage?.cache_creation_input_tokens ?? 0);
+	const completionTokens = usage?.output_tokens ?? 0;
+	return {
+		prompt_tokens: promptTokens,
+		completion_tokens: completionTokens,
+		total_tokens: promptTokens + completionTokens,
+		prompt_tokens_details: { cached_tokens: cacheRead },
+	};
+}
+
+/**
+ * Builds an OpenAI completion id from an Anthropic message id
+ */
+export function toCompletionId(messageId: string | undefined): string {
+	return `chatcmpl-${messageId || crypto.randomUUID()}`;
+}
+
+/**
+ * Converts a non-streaming Anthropic Messages response into a chat completion
+ */
+export function convertMessageResponse(
+	response: MessagesResponse,
+): ChatCompletion {
+	const textParts: string[] = [];
+	const thinkingParts: string[] = [];
+	const toolCalls: ChatToolCall[] = [];
+
+	for (const block of response.content ?? []) {
+		if (block.type === "text") {
+			textParts.push(block.text);
+		} else if (block.type === "thinking") {
+			thinkingParts.push(block.thinking);
+		} else if (block.type === "tool_use") {
+			toolCalls.push({
+				id: block.id,
+				type: "function",
+				function: {
+					name: block.name,
+					arguments: JSON.stringify(block.input ?? {}),
+				},
+			});
+		}
+	}
+
+	return {
+		id: toCompletionId(response.id),
+		object: "chat.completion",
+		created: Math.floor(Date.now() / 1000),
+		model: response.model,
+		choices: [
+			{
+				index: 0,
+				message: {
+					role: "assistant",
+					content: textParts.length > 0 ? textParts.join("") : null,
+					...(thinkingParts.length > 0
+						? { reasoning_content: thinkingParts.join("") }
+						: {}),
+					...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+				},
+				finish_reason: convertStopReason(response.stop_reason),
+				logprobs: null,
+			},
+		],
+		usage: convertUsage(response.usage),
+	};
+}
+
+/**
+ * Builds an OpenAI error body
+ */
+export function toOpenAIError(
+	message: string,
+	type = "api_error",
+	code: string | null = null,
+): OpenAIErrorBody {
+	return { error: { message, type, param: null, code } };
+}
+
+/**
+ * Converts an upstream Anthropic error payload
+ * ({type: "error", error: {type, message}}) into OpenAI's error shape
+ */
+export function convertErrorBody(raw: string, status: number): OpenAIErrorBody {
+	try {
+		const parsed = JSON.parse(raw) as {
+			error?: { type?: string; message?: string };
+		};
+		if (parsed.error?.message) {
+			return toOpenAIError(parsed.error.message, parsed.error.type);
+		}
+	} catch {
+		// Fall through to a generic error
+	}
+	return toOpenAIError(raw || `Upstream request failed with status ${status}`);
+}
@@ -0,0 +1,260 @@
+import {
+	CLAUDE_MODEL_IDS,
+	isAppError,
+	isClientKey,
+	isValidModelId,
+	logError,
+	ValidationError,
+} from "@better-ccflare/core";
+import { HttpError } from "@better-ccflare/errors";
+import { jsonResponse } from "@better-ccflare/http-common";
+import { Logger } from "@better-ccflare/logger";
+import type { ProxyContext } from "../handlers";
+import { handleProxy } from "../proxy";
+import {
+	convertChatRequest,
+	convertErrorBody,
+	convertMessageResponse,
+	toOpenAIError,
+} from "./convert";
+import { createChatCompletionStream } from "./stream";
+import type { ChatCompletionRequest, MessagesResponse } from "./types";
+
+const log = new Logger("OpenAICompat");
+
+/** Paths served in OpenAI format */
+export const OPENAI_PATHS = {
+	CHAT_COMPLETIONS: "/v1/chat/completions",
+	MODELS: "/v1/models",
+} as const;
+
+/**
+ * Headers required upstream that OpenAI clients never send. Account specific
+ * headers, such as the OAuth beta, are added by the provider.
+ */
+const UPSTREAM_HEADERS = {
+	"anthropic-version": "2023-06-01",
+} as const;
+
+/** OpenAI error types for client key rejections */
+const HTTP_ERROR_TYPES: Record<number, string> = {
+	401: "authentication_error",
+	403: "permission_error",
+	429: "rate_limit_error",
+};
+
+/** Response headers worth passing back to OpenAI clients */
+const PASSTHROUGH_RESPONSE_HEADERS = ["retry-after", "request-id"];
+
+/**
+ * Handles requests to the OpenAI-compatible endpoints
+ *
+ * Anthropic SDKs also call GET /v1/models, so model listing is only answered
+ * here when the request carries no anthropic-version header; otherwise it is
+ * left to the regular proxy.
+ *
+ * @param req - The incoming request
+ * @param url - The parsed URL
+ * @param ctx - The proxy context
+ * @returns The response, or null if the request is not an OpenAI endpoint
+ */
+export async function handleOpenAIRequest(
+	req: Request,
+	url: URL,
+	ctx: ProxyContext,
+): Promise<Response | null> {
+	const path = url.pathname;
+
+	if (path === OPENAI_PATHS.CHAT_COMPLETIONS) {
+		if (req.method !== "POST") {
+			return openAIError(405, "Method not allowed", "invalid_request_error");
+		}
+		return handleChatCompletions(req, url, ctx);
+	}
+
+	const isModelsPath =
+		path === OPENAI_PATHS.MODELS || path.startsWith(`${OPENAI_PATHS.MODELS}/`);
+	if (
+		isModelsPath &&
+		req.method === "GET" &&
+		!req.headers.has("anthropic-version")
+	) {
+		const modelId = path.slice(OPENAI_PATHS.MODELS.length + 1);
+		return modelId ? getModel(decodeURIComponent(modelId)) : listModels();
+	}
+
+	return null;
+}
+
+/**
+ * Translates a chat completion into an Anthropic Messages request, runs it
+ * through the normal proxy flow and converts the result back
+ */
+async function handleChatCompletions(
+	req: Request,
+	url: URL,
+	ctx: ProxyContext,
+): Promise<Response> {
+	let body: ChatCompletionRequest;
+	try {
+		body = (await req.json()) as ChatCompletionRequest;
+	} catch {
+		return openAIError(400, "Invalid JSON body", "invalid_request_error");
+	}
+
+	let messagesRequest: ReturnType<typeof convertChatRequest>;
+	try {
+		messagesRequest = convertChatRequest(body);
+	} catch (error) {
+		if (error instanceof ValidationError) {
+			return openAIError(400, error.message, "invalid_request_error");
+		}
+		throw error;
+	}
+
+	const upstreamUrl = new URL("/v1/messages", url);
+	const upstreamRequest = new Request(upstreamUrl, {
+		method: "POST",
+		headers: buildUpstreamHeaders(req.headers),
+		body: JSON.stringify(messagesRequest),
+	});
+
+	let response: Response;
+	try {
+		response = await handleProxy(upstreamRequest, upstreamUrl, ctx, {
+			apiFormat: "openai",
+		});
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return openAIError(
+				error.status,
+				error.message,
+				HTTP_ERROR_TYPES[error.status] ?? "api_error",
+			);
+		}
+		logError(error, log);
+		if (isAppError(error)) {
+			return openAIError(
+				error.statusCode,
+				error.message,
+				error.code.toLowerCase(),
+			);
+		}
+		return openAIError(
+			502,
+			error instanceof Error ? error.message : String(error),
+		);
+	}
+
+	return convertProxyResponse(response, body);
+}
+
+/**
+ * Builds the headers for the internal Anthropic request. The client's
+ * Authorization header targets this proxy, not the upstream account, so it
+ * is only kept when it carries a client key for handleProxy to check.
+ */
+function buildUpstreamHeaders(incoming: Headers): Headers {
+	const headers = new Headers(incoming);
+	const bearer = headers.get("authorization")?.replace(/^Bearer\s+/i, "");
+	if (!isClientKey(bearer)) headers.delete("authorization");
+	headers.delete("content-length");
+	headers.set("content-type", "application/json");
+	for (const [name, value] of Object.entries(UPSTREAM_HEADERS)) {
+		if (!headers.has(name)) headers.set(name, value);
+	}
+	return headers;
+}
+
+async function convertProxyResponse(
+	response: Response,
+	body: ChatCompletionRequest,
+): Promise<Response> {
+	const headers: Record<string, string> = {};
+	for (const name of PASSTHROUGH_RESPONSE_HEADERS) {
+		const value = response.headers.get(name);
+		if (value) headers[name] = value;
+	}
+
+	if (!response.ok) {
+		const raw = await response.text();
+		return jsonResponse(
+			convertErrorBody(raw, response.status),
+			response.status,
+			headers,
+		);
+	}
+
+	const contentType = response.headers.get("content-type") ?? "";
+	if (contentType.includes("text/event-stream") && response.body) {
+		const stream = response.body.pipeThrough(
+			createChatCompletionStream({
+				model: body.model,
+				includeUsage: body.stream_options?.include_usage === true,
+			}),
+		);
+		return new Response(stream, {
+			status: response.status,
+			headers: {
+				...headers,
+				"Content-Type": "text/event-stream",
+				"Cache-Control": "no-cache",
+				Connection: "keep-alive",
+			},
+		});
+	}
+
+	try {
+		const message = (await response.json()) as MessagesResponse;
+		return jsonResponse(convertMessageResponse(message), 200, headers);
+	} catch (error) {
+		logError(error, log);
+		return openAIError(502, "Invalid response from upstream");
+	}
+}
+
+/** Creation timestamp (seconds) derived from the model id's date suffix */
+function modelCreated(modelId: string): number {
+	const match = /(\d{4})(\d{2})(\d{2})$/.exec(modelId);
+	if (!match) return 0;
+	return Math.floor(
+		Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / 1000,
+	);
+}
+
+function toModelObject(modelId: string) {
+	return {
+		id: modelId,
+		object: "model" as const,
+		created: modelCreated(modelId),
+		owned_by: "anthropic",
+	};
+}
+
+function listModels(): Response {
+	return jsonResponse({
+		object: "list",
+		data: Object.values(CLAUDE_MODEL_IDS).map(toModelObject),
+	});
+}
+
+function getModel(modelId: string): Response {
+	if (!isValidModelId(modelId)) {
+		return openAIError(
+			404,
+			`The model '${modelId}' does not exist`,
+			"invalid_request_error",
+			"model_not_found",
+		);
+	}
+	return jsonResponse(toModelObject(modelId));
+}
+
+function openAIError(
+	status: number,
+	message: string,
+	type?: string,
+	code?: string,
+): Response {
+	return jsonResponse(toOpenAIError(message, type, code ?? null), status);
+}
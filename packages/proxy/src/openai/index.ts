@@ -0,0 +1,7 @@
+export {
+	convertChatRequest,
+	convertMessageResponse,
+	DEFAULT_MAX_TOKENS,
+} from "./convert";
+export { handleOpenAIRequest, OPENAI_PATHS } from "./handler";
+export { createChatCompletionStream } from "./stream";
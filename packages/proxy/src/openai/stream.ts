@@ -0,0 +1,205 @@
+import {
+	convertStopReason,
+	convertUsage,
+	toCompletionId,
+	toOpenAIError,
+} from "./convert";
+import type {
+	ChatCompletionChunk,
+	ChatFinishReason,
+	MessagesUsage,
+} from "./types";
+
+interface StreamOptions {
+	/** Model name to report until message_start supplies the real one */
+	model: string;
+	/** Emit a final usage-only chunk (stream_options.include_usage) */
+	includeUsage: boolean;
+}
+
+/**
+ * Creates a transform that rewrites an Anthropic Messages SSE stream into
+ * OpenAI chat.completion.chunk events terminated by `data: [DONE]`.
+ */
+export function createChatCompletionStream(
+	options: StreamOptions,
+): TransformStream<Uint8Array, Uint8Array> {
+	const encoder = new TextEncoder();
+	const decoder = new TextDecoder();
+	const created = Math.floor(Date.now() / 1000);
+
+	let buffer = "";
+	let id = toCompletionId(undefined);
+	let model = options.model;
+	let usage: MessagesUsage = {};
+	let done = false;
+
+	// Anthropic content block index -> OpenAI tool_calls index
+	const toolIndexes = new Map<number, number>();
+
+	const chunk = (
+		delta: ChatCompletionChunk["choices"][number]["delta"],
+		finish: ChatFinishReason | null = null,
+	): ChatCompletionChunk => ({
+		id,
+		object: "chat.completion.chunk",
+		created,
+		model,
+		choices: [{ index: 0, delta, finish_reason: finish, logprobs: null }],
+	});
+
+	const send = (
+		controller: TransformStreamDefaultController<Uint8Array>,
+		payload: unknown,
+	) => {
+		controller.enqueue(encoder.encode(`data: ${JSON.stringify(payload)}\n\n`));
+	};
+
+	const finish = (controller: TransformStreamDefaultController<Uint8Array>) => {
+		if (done) return;
+		done = true;
+		if (options.includeUsage) {
+			send(controller, {
+				...chunk({}),
+				choices: [],
+				usage: convertUsage(usage),
+			});
+		}
+		controller.enqueue(encoder.encode("data: [DONE]\n\n"));
+	};
+
+	const handleEvent = (
+		data: string,
+		controller: TransformStreamDefaultController<Uint8Array>,
+	) => {
+		let event: {
+			type?: string;
+			index?: number;
+			message?: { id?: string; model?: string; usage?: MessagesUsage };
+			content_block?: { type?: string; id?: string; name?: string };
+			delta?: {
+				type?: string;
+				text?: string;
+				thinking?: string;
+				partial_json?: string;
+				stop_reason?: string | null;
+			};
+			usage?: MessagesUsage;
+			error?: { type?: string; message?: string };
+		};
+		try {
+			event = JSON.parse(data);
+		} catch {
+			return;
+		}
+
+		switch (event.type) {
+			case "message_start":
+				id = toCompletionId(event.message?.id);
+				model = event.message?.model || model;
+				usage = { ...event.message?.usage };
+				send(controller, chunk({ role: "assistant", content: "" }));
+				break;
+			case "content_block_start":
+				if (
+					event.content_block?.type === "tool_use" &&
+					event.index !== undefined
+				) {
+					const toolIndex = toolIndexes.size;
+					toolIndexes.set(event.index, toolIndex);
+					send(
+						controller,
+						chunk({
+							tool_calls: [
+								{
+									index: toolIndex,
+									id: event.content_block.id,
+									type: "function",
+									function: { name: event.content_block.name, arguments: "" },
+								},
+							],
+						}),
+					);
+				}
+				break;
+			case "content_block_delta":
+				if (event.delta?.type === "text_delta" && event.delta.text) {
+					send(controller, chunk({ content: event.delta.text }));
+				} else if (
+					event.delta?.type === "thinking_delta" &&
+					event.delta.thinking
+				) {
+					send(controller, chunk({ reasoning_content: event.delta.thinking }));
+				} else if (
+					event.delta?.type === "input_json_delta" &&
+					event.index !== undefined
+				) {
+					const toolIndex = toolIndexes.get(event.index);
+					if (toolIndex !== undefined && event.delta.partial_json) {
+						send(
+							controller,
+							chunk({
+								tool_calls: [
+									{
+										index: toolIndex,
+										function: { arguments: event.delta.partial_json },
+									},
+								],
+							}),
+						);
+					}
+				}
+				break;
+			case "message_delta":
+				if (event.usage) usage = { ...usage, ...event.usage };
+				send(
+					controller,
+					chunk({}, convertStopReason(event.delta?.stop_reason) ?? "stop"),
+				);
+				break;
+			case "message_stop":
+				finish(controller);
+				break;
+			case "error":
+				send(
+					controller,
+					toOpenAIError(
+						event.error?.message ?? "Upstream stream error",
+						event.error?.type,
+					),
+				);
+				finish(controller);
+				break;
+		}
+	};
+
+	const drain = (controller: TransformStreamDefaultController<Uint8Array>) => {
+		// SSE events are separated by blank lines; only data lines matter here
+		let boundary = buffer.indexOf("\n\n");
+		while (boundary !== -1) {
+			const rawEvent = buffer.slice(0, boundary);
+			buffer = buffer.slice(boundary + 2);
+			for (const line of rawEvent.split("\n")) {
+				if (line.startsWith("data:")) {
+					handleEvent(line.slice(5).trim(), controller);
+				}
+			}
+			boundary = buffer.indexOf("\n\n");
+		}
+	};
+
+	return new TransformStream({
+		transform(bytes, controller) {
+			buffer = (buffer + decoder.decode(bytes, { stream: true })).replace(
+				/\r\n/g,
+				"\n",
+			);
+			drain(controller);
+		},
+		flush(controller) {
+			buffer += `${decoder.decode()}\n\n`;
+			drain(controller);
+			finish(controller);
+		},
+	});
+}
@@ -0,0 +1,191 @@
+/**
+ * Wire types for the inbound OpenAI Chat Completions endpoint and the
+ * subset of the Anthropic Messages API it is translated to.
+ */
+
+// ===== OPENAI (INBOUND) =====
+
+export interface ChatTextPart {
+	type: "text";
+	text: string;
+}
+
+export interface ChatImagePart {
+	type: "image_url";
+	image_url: { url: string; detail?: string };
+}
+
+export type ChatContentPart = ChatTextPart | ChatImagePart;
+
+export interface ChatToolCall {
+	id: string;
+	type: "function";
+	function: { name: string; arguments: string };
+}
+
+export interface ChatMessage {
+	role: "system" | "developer" | "user" | "assistant" | "tool";
+	content?: string | ChatContentPart[] | null;
+	name?: string;
+	tool_calls?: ChatToolCall[];
+	tool_call_id?: string;
+}
+
+export interface ChatTool {
+	type: "function";
+	function: {
+		name: string;
+		description?: string;
+		parameters?: Record<string, unknown>;
+	};
+}
+
+export type ChatToolChoice =
+	| "auto"
+	| "none"
+	| "required"
+	| { type: "function"; function: { name: string } };
+
+export interface ChatCompletionRequest {
+	model: string;
+	messages: ChatMessage[];
+	max_tokens?: number;
+	max_completion_tokens?: number;
+	temperature?: number;
+	top_p?: number;
+	stop?: string | string[];
+	stream?: boolean;
+	stream_options?: { include_usage?: boolean };
+	tools?: ChatTool[];
+	tool_choice?: ChatToolChoice;
+	parallel_tool_calls?: boolean;
+	reasoning_effort?: "low" | "medium" | "high";
+	user?: string;
+	n?: number;
+}
+
+export interface ChatUsage {
+	prompt_tokens: number;
+	completion_tokens: number;
+	total_tokens: number;
+	prompt_tokens_details?: { cached_tokens: number };
+}
+
+export type ChatFinishReason =
+	| "stop"
+	| "length"
+	| "tool_calls"
+	| "content_filter";
+
+export interface ChatCompletion {
+	id: string;
+	object: "chat.completion";
+	created: number;
+	model: string;
+	choices: Array<{
+		index: number;
+		message: {
+			role: "assistant";
+			content: string | null;
+			reasoning_content?: string;
+			tool_calls?: ChatToolCall[];
+		};
+		finish_reason: ChatFinishReason | null;
+		logprobs: null;
+	}>;
+	usage: ChatUsage;
+}
+
+export interface ChatCompletionChunk {
+	id: string;
+	object: "chat.completion.chunk";
+	created: number;
+	model: string;
+	choices: Array<{
+		index: number;
+		delta: {
+			role?: "assistant";
+			content?: string;
+			reasoning_content?: string;
+			tool_calls?: Array<{
+				index: number;
+				id?: string;
+				type?: "function";
+				function: { name?: string; arguments: string };
+			}>;
+		};
+		finish_reason: ChatFinishReason | null;
+		logprobs: null;
+	}>;
+	usage?: ChatUsage | null;
+}
+
+export interface OpenAIErrorBody {
+	error: {
+		message: string;
+		type: string;
+		param: string | null;
+		code: string | null;
+	};
+}
+
+// ===== ANTHROPIC (UPSTREAM) =====
+
+export type MessagesContentBlock =
+	| { type: "text"; text: string }
+	| {
+			type: "image";
+			source:
+				| { type: "base64"; media_type: string; data: string }
+				| { type: "url"; url: string };
+	  }
+	| { type: "tool_use"; id: string; name: string; input: unknown }
+	| {
+			type: "tool_result";
+			tool_use_id: string;
+			content: string;
+	  }
+	| { type: "thinking"; thinking: string; signature?: string };
+
+export interface MessagesMessage {
+	role: "user" | "assistant";
+	content: MessagesContentBlock[];
+}
+
+export interface MessagesRequest {
+	model: string;
+	messages: MessagesMessage[];
+	max_tokens: number;
+	system?: string;
+	temperature?: number;
+	top_p?: number;
+	stop_sequences?: string[];
+	stream?: boolean;
+	tools?: Array<{
+		name: string;
+		description?: string;
+		input_schema: Record<string, unknown>;
+	}>;
+	tool_choice?: {
+		type: "auto" | "any" | "tool" | "none";
+		name?: string;
+		disable_parallel_tool_use?: boolean;
+	};
+	thinking?: { type: "enabled"; budget_tokens: number };
+	metadata?: { user_id: string };
+}
+
+export interface MessagesUsage {
+	input_tokens?: number;
+	output_tokens?: number;
+	cache_read_input_tokens?: number;
+	cache_creation_input_tokens?: number;
+}
+
+export interface MessagesResponse {
+	id: string;
+	model: string;
+	content: MessagesContentBlock[];
+	stop_reason: string | null;
+	usage?: MessagesUsage;
+}
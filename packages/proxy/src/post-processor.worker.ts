@@ -21,6 +21,7 @@ import type {
 	ChunkMessage,
 	EndMessage,
 	PayloadMessage,
+	RecordedMessage,
 	StartMessage,
 	SummaryMessage,
 	WorkerMessage,
@@ -369,6 +370,10 @@ async function handleStart(msg: StartMessage): Promise<void> {
 				msg.accountId,
 				msg.responseStatus,
 				msg.timestamp,
+				msg.apiFormat,
+				msg.clientKeyId,
+				msg.replayOf,
+				msg.sessionId,
 			);
 			if (
 				process.env.DEBUG?.includes("worker") ||
@@ -403,6 +408,10 @@ function handleChunk(msg: ChunkMessage): void {
 	processStreamChunk(msg.data, state);
 }
 
+function postRecorded(requestId: string): void {
+	self.postMessage({ type: "recorded", requestId } satisfies RecordedMessage);
+}
+
 async function handleEnd(msg: EndMessage): Promise<void> {
 	const state = requests.get(msg.requestId);
 	if (!state) {
@@ -417,6 +426,9 @@ async function handleEnd(msg: EndMessage): Promise<void> {
 	if (state.shouldSkipLogging) {
 		// Clean up state without logging
 		requests.delete(msg.requestId);
+		if (startMessage.clientKeyId) {
+			postRecorded(msg.requestId);
+		}
 		return;
 	}
 
@@ -579,8 +591,16 @@ async function handleEnd(msg: EndMessage): Promise<void> {
 					}
 				: undefined,
 			state.agentUsed,
+			startMessage.apiFormat,
+			startMessage.clientKeyId,
+			startMessage.replayOf,
+			startMessage.sessionId,
 		),
 	);
+	if (startMessage.clientKeyId) {
+		// Queued behind the write, so quotas read the row from then on
+		asyncWriter.enqueue(() => postRecorded(startMessage.requestId));
+	}
 
 	// Save payload
 	let responseBody: string | null = null;
@@ -656,11 +676,16 @@ async function handleEnd(msg: EndMessage): Promise<void> {
 		costUsd: state.usage.costUsd,
 		agentUsed: state.agentUsed,
 		tokensPerSecond: state.usage.tokensPerSecond,
+		apiFormat: startMessage.apiFormat,
+		clientKeyId: startMessage.clientKeyId || undefined,
+		replayOf: startMessage.replayOf || undefined,
+		sessionId: startMessage.sessionId || undefined,
 	};
 
 	self.postMessage({
 		type: "summary",
 		summary,
+		writer: asyncWriter.getStats(),
 	} satisfies SummaryMessage);
 
 	// Post full payload to main thread
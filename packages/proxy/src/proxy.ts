@@ -1,21 +1,34 @@
 import { requestEvents, ServiceUnavailableError } from "@better-ccflare/core";
 import { Logger } from "@better-ccflare/logger";
+import type { ClientKey } from "@better-ccflare/types";
 import {
+	assertUnauthenticatedAllowed,
+	authenticateClient,
 	createRequestMetadata,
 	ERROR_MESSAGES,
+	emitFailover,
+	enforceClientKeyModel,
+	extractSessionId,
 	interceptAndModifyRequest,
 	type ProxyContext,
+	type ProxyOptions,
 	prepareRequestBody,
 	proxyUnauthenticated,
 	proxyWithAccount,
 	selectAccountsForRequest,
+	stripClientKey,
 	TIMING,
 	validateProviderPath,
 } from "./handlers";
+import {
+	recordPendingUsage,
+	releasePendingRequest,
+	reservePendingRequest,
+} from "./handlers/pending-client-usage";
 import { EMBEDDED_WORKER_CODE } from "./inline-worker";
 import type { ControlMessage, OutgoingWorkerMessage } from "./worker-messages";
 
-export type { ProxyContext } from "./handlers";
+export type { ProxyContext, ProxyOptions } from "./handlers";
 
 const log = new Logger("Proxy");
 
@@ -67,15 +80,19 @@ export function getUsageWorker(): Worker {
 			usageWorkerInstance.onmessage = (ev) => {
 				const data = ev.data as OutgoingWorkerMessage;
 				if (data.type === "summary") {
+					recordPendingUsage(data.summary);
 					requestEvents.emit("event", {
 						type: "summary",
 						payload: data.summary,
+						writer: data.writer,
 					});
 				} else if (data.type === "payload") {
 					requestEvents.emit("event", {
 						type: "payload",
 						payload: data.payload,
 					});
+				} else if (data.type === "recorded") {
+					releasePendingRequest(data.requestId);
 				}
 			};
 
@@ -147,17 +164,23 @@ export function terminateUsageWorker(): void {
  * Main proxy handler - orchestrates the entire proxy flow
  *
  * This function coordinates the proxy process by:
- * 1. Creating request metadata for tracking
+ * 1. Authenticating the client key (once client keys are configured)
  * 2. Validating the provider can handle the path
  * 3. Preparing the request body for reuse
- * 4. Selecting accounts based on load balancing strategy
- * 5. Attempting to proxy with each account in order
- * 6. Falling back to unauthenticated proxy if no accounts available
+ * 4. Enforcing the client key's model allow-list
+ * 5. Creating request metadata for tracking
+ * 6. Selecting accounts based on load balancing strategy
+ * 7. Attempting to proxy with each account in order
+ * 8. Falling back to unauthenticated proxy if no accounts available
+ *    (only when client keys are not in use)
  *
  * @param req - The incoming request
  * @param url - The parsed URL
  * @param ctx - The proxy context containing strategy, database, and provider
+ * @param options - Per-request options such as the client's API format
  * @returns Promise resolving to the proxied response
+ * @throws {HttpError} If the client key is missing, invalid, over quota or
+ * not allowed to use the requested model
  * @throws {ValidationError} If the provider cannot handle the path
  * @throws {ServiceUnavailableError} If all accounts fail to proxy the request
  * @throws {ProviderError} If unauthenticated proxy fails
@@ -166,19 +189,68 @@ export async function handleProxy(
 	req: Request,
 	url: URL,
 	ctx: ProxyContext,
+	options: ProxyOptions = {},
+): Promise<Response> {
+	// 1. Authenticate client key and keep it away from upstream providers.
+	// The request counts towards the key's quotas until it is recorded; it is
+	// reserved before anything is awaited so concurrent requests see it.
+	const clientKey = options.replayOf
+		? (options.clientKey ?? null)
+		: authenticateClient(req, ctx);
+	const requestId = options.requestId ?? crypto.randomUUID();
+	if (!clientKey) {
+		return proxyRequest(req, url, ctx, options, null, requestId);
+	}
+
+	reservePendingRequest(clientKey.id, requestId);
+	try {
+		return await proxyRequest(
+			stripClientKey(req),
+			url,
+			ctx,
+			options,
+			clientKey,
+			requestId,
+		);
+	} catch (error) {
+		releasePendingRequest(requestId);
+		throw error;
+	}
+}
+
+/**
+ * Proxies an authenticated request, steps 2-10 of handleProxy
+ */
+async function proxyRequest(
+	clientReq: Request,
+	url: URL,
+	ctx: ProxyContext,
+	options: ProxyOptions,
+	clientKey: ClientKey | null,
+	requestId: string,
 ): Promise<Response> {
-	// 1. Validate provider can handle path
+	// 2. Validate provider can handle path
 	validateProviderPath(ctx.provider, url.pathname);
 
-	// 2. Prepare request body
-	const { buffer: requestBodyBuffer } = await prepareRequestBody(req);
+	// 3. Prepare request body
+	const { buffer: requestBodyBuffer } = await prepareRequestBody(clientReq);
 
-	// 3. Intercept and modify request for agent model preferences
+	// 4. Intercept and modify request for agent model preferences
 	const { modifiedBody, agentUsed, originalModel, appliedModel } =
-		await interceptAndModifyRequest(requestBodyBuffer, ctx.dbOps);
+		options.keepModel
+			? {
+					modifiedBody: null,
+					agentUsed: null,
+					originalModel: null,
+					appliedModel: null,
+				}
+			: await interceptAndModifyRequest(requestBodyBuffer, ctx.dbOps);
 
 	// Use modified body if available
 	const finalBodyBuffer = modifiedBody || requestBodyBuffer;
+
+	// The allow-list applies to the body actually forwarded
+	enforceClientKeyModel(clientKey, finalBodyBuffer);
 	const finalCreateBodyStream = () => {
 		if (!finalBodyBuffer) return undefined;
 		return new Response(finalBodyBuffer).body ?? undefined;
@@ -190,17 +262,26 @@ export async function handleProxy(
 		);
 	}
 
-	// 4. Create request metadata with agent info
-	const requestMeta = createRequestMetadata(req, url);
+	// 5. Create request metadata with agent and client key info
+	const requestMeta = createRequestMetadata(clientReq, url);
 	requestMeta.agentUsed = agentUsed;
+	requestMeta.apiFormat = options.apiFormat ?? "anthropic";
+	requestMeta.clientKeyId = clientKey?.id ?? null;
+	requestMeta.replayOf = options.replayOf ?? null;
+	requestMeta.sessionId = extractSessionId(
+		clientReq.headers,
+		requestBodyBuffer,
+	);
+	requestMeta.id = requestId;
 
-	// 5. Select accounts
+	// 6. Select accounts
 	const accounts = selectAccountsForRequest(requestMeta, ctx);
 
-	// 6. Handle no accounts case
+	// 7. Handle no accounts case
 	if (accounts.length === 0) {
+		assertUnauthenticatedAllowed(clientKey);
 		return proxyUnauthenticated(
-			req,
+			clientReq,
 			url,
 			requestMeta,
 			finalBodyBuffer,
@@ -209,7 +290,7 @@ export async function handleProxy(
 		);
 	}
 
-	// 7. Log selected accounts
+	// 8. Log selected accounts
 	log.info(
 		`Selected ${accounts.length} accounts: ${accounts.map((a) => a.name).join(", ")}`,
 	);
@@ -218,13 +299,13 @@ export async function handleProxy(
 		process.env.DEBUG === "true" ||
 		process.env.NODE_ENV === "development"
 	) {
-		log.info(`Request: ${req.method} ${url.pathname}`);
+		log.info(`Request: ${clientReq.method} ${url.pathname}`);
 	}
 
-	// 8. Try each account
+	// 9. Try each account
 	for (let i = 0; i < accounts.length; i++) {
 		const response = await proxyWithAccount(
-			req,
+			clientReq,
 			url,
 			accounts[i],
 			requestMeta,
@@ -239,7 +320,15 @@ export async function handleProxy(
 		}
 	}
 
-	// 9. All accounts failed
+	// 10. All accounts failed
+	emitFailover(
+		requestMeta,
+		null,
+		accounts.length,
+		"exhausted",
+		ERROR_MESSAGES.ALL_ACCOUNTS_FAILED,
+		requestMeta.timestamp,
+	);
 	throw new ServiceUnavailableError(
 		`${ERROR_MESSAGES.ALL_ACCOUNTS_FAILED} (${accounts.length} attempted)`,
 		ctx.provider.name,
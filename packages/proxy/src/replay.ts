@@ -0,0 +1,254 @@
+import { type RequestEvt, requestEvents } from "@better-ccflare/core";
+import { BadRequest, Forbidden, NotFound } from "@better-ccflare/errors";
+import { Logger } from "@better-ccflare/logger";
+import type {
+	Account,
+	ReplayRequest,
+	ReplayResult,
+	ReplaySide,
+	RequestPayload,
+	Request as RequestRecord,
+	RequestResponse,
+} from "@better-ccflare/types";
+import { authenticateClient, type ProxyContext } from "./handlers";
+import { handleProxy } from "./proxy";
+
+const log = new Logger("Replay");
+
+// The post-processor reports the summary once the response has been consumed
+const SUMMARY_TIMEOUT_MS = 30000;
+
+// Headers that identify the original caller or connection rather than the request
+const DROPPED_HEADERS = new Set([
+	"host",
+	"content-length",
+	"authorization",
+	"x-api-key",
+	"connection",
+	"accept-encoding",
+]);
+
+function decodeBody(body: string | null | undefined): string | null {
+	if (!body) return null;
+	try {
+		return Buffer.from(body, "base64").toString("utf-8");
+	} catch {
+		return null;
+	}
+}
+
+function findAccount(accounts: Account[], nameOrId: string): Account | null {
+	return (
+		accounts.find((a) => a.id === nameOrId) ??
+		accounts.find((a) => a.name === nameOrId) ??
+		null
+	);
+}
+
+function buildBody(stored: string, model: string | undefined): string {
+	if (!model) return stored;
+	let body: Record<string, unknown>;
+	try {
+		body = JSON.parse(stored) as Record<string, unknown>;
+	} catch {
+		throw BadRequest("Stored request body is not JSON; cannot change model");
+	}
+	return JSON.stringify({ ...body, model });
+}
+
+function buildHeaders(stored: Record<string, string>, accountId: string) {
+	const headers = new Headers();
+	for (const [key, value] of Object.entries(stored)) {
+		const lower = key.toLowerCase();
+		if (DROPPED_HEADERS.has(lower) || lower.startsWith("x-better-ccflare-")) {
+			continue;
+		}
+		headers.set(key, value);
+	}
+	// Same forced-account path the auto-refresh scheduler uses
+	headers.set("x-better-ccflare-account-id", accountId);
+	headers.set("x-better-ccflare-bypass-session", "true");
+	return headers;
+}
+
+function waitForSummary(requestId: string): {
+	promise: Promise<RequestResponse | null>;
+	cancel: () => void;
+} {
+	let listener: ((evt: RequestEvt) => void) | null = null;
+	let timer: Timer | null = null;
+	const cancel = () => {
+		if (listener) requestEvents.off("event", listener);
+		if (timer) clearTimeout(timer);
+		listener = null;
+		timer = null;
+	};
+	const promise = new Promise<RequestResponse | null>((resolve) => {
+		listener = (evt) => {
+			if (evt.type === "summary" && evt.payload.id === requestId) {
+				cancel();
+				resolve(evt.payload);
+			}
+		};
+		timer = setTimeout(() => {
+			cancel();
+			resolve(null);
+		}, SUMMARY_TIMEOUT_MS);
+		requestEvents.on("event", listener);
+	});
+	return { promise, cancel };
+}
+
+function toSide(
+	request: Pick<
+		RequestRecord,
+		| "id"
+		| "accountUsed"
+		| "statusCode"
+		| "success"
+		| "errorMessage"
+		| "responseTimeMs"
+		| "model"
+		| "inputTokens"
+		| "outputTokens"
+		| "cacheReadInputTokens"
+		| "cacheCreationInputTokens"
+		| "totalTokens"
+		| "costUsd"
+	> & { timestamp: number | string },
+	accounts: Account[],
+	responseBody: string | null,
+	responseTruncated = false,
+): ReplaySide {
+	const account = request.accountUsed
+		? findAccount(accounts, request.accountUsed)
+		: null;
+	return {
+		requestId: request.id,
+		timestamp: new Date(request.timestamp).toISOString(),
+		accountId: request.accountUsed,
+		accountName: account?.name ?? null,
+		model: request.model ?? null,
+		statusCode: request.statusCode,
+		success: request.success,
+		errorMessage: request.errorMessage,
+		responseTimeMs: request.responseTimeMs,
+		inputTokens: request.inputTokens ?? 0,
+		outputTokens: request.outputTokens ?? 0,
+		cacheReadInputTokens: request.cacheReadInputTokens ?? 0,
+		cacheCreationInputTokens: request.cacheCreationInputTokens ?? 0,
+		totalTokens: request.totalTokens ?? 0,
+		costUsd: request.costUsd ?? 0,
+		responseBody,
+		responseTruncated,
+	};
+}
+
+/**
+ * Replays a stored request through the proxy, optionally against another
+ * account or model, and returns both responses for comparison. The replay
+ * is recorded like any other request but tagged with the original's id so
+ * it stays out of stats and analytics.
+ *
+ * @param requestId - Id of the stored request to replay
+ * @param options - Target account (name or id) and model override
+ * @param ctx - The proxy context
+ * @param clientRequest - The caller's request when made with a client key
+ * rather than the admin token
+ * @returns The original and replayed request side by side
+ * @throws {HttpError} 404 if the request, its payload or the account is missing
+ * @throws {HttpError} 400 if the stored request has no body to replay
+ * @throws {HttpError} 401/429 if the client key is invalid or over quota
+ * @throws {HttpError} 403 if the client key did not make the original request
+ */
+export async function replayRequest(
+	requestId: string,
+	options: ReplayRequest,
+	ctx: ProxyContext,
+	clientRequest: Request | null = null,
+): Promise<ReplayResult> {
+	// A client key is held to its status and quotas here, and to its model
+	// allow-list by the proxy
+	const clientKey = clientRequest
+		? authenticateClient(clientRequest, ctx)
+		: null;
+
+	const original = ctx.dbOps.getRequest(requestId);
+	if (!original) {
+		throw NotFound(`Request '${requestId}' not found`);
+	}
+	if (clientKey && original.clientKeyId !== clientKey.id) {
+		throw Forbidden("Client API keys can only replay their own requests");
+	}
+	const payload = ctx.dbOps.getRequestPayload(
+		requestId,
+	) as RequestPayload | null;
+	if (!payload) {
+		throw NotFound(`No stored payload for request '${requestId}'`);
+	}
+	const storedBody = decodeBody(payload.request?.body);
+	if (!storedBody) {
+		throw BadRequest("Stored request has no body to replay");
+	}
+
+	const accounts = ctx.dbOps.getAllAccounts();
+	let account: Account | null;
+	if (options.account) {
+		account = findAccount(accounts, options.account);
+		if (!account) {
+			throw NotFound(`Account '${options.account}' not found`);
+		}
+	} else {
+		account = original.accountUsed
+			? findAccount(accounts, original.accountUsed)
+			: null;
+		if (!account) {
+			throw BadRequest(
+				"The original account no longer exists; choose an account to replay against",
+			);
+		}
+	}
+
+	const replayId = crypto.randomUUID();
+	const url = new URL(original.path, `http://localhost:${ctx.runtime.port}`);
+	const req = new Request(url, {
+		method: original.method,
+		headers: buildHeaders(payload.request.headers ?? {}, account.id),
+		body: buildBody(storedBody, options.model),
+	});
+
+	log.info(
+		`Replaying request ${requestId} via ${account.name}${options.model ? ` with model ${options.model}` : ""}`,
+	);
+
+	const summary = waitForSummary(replayId);
+	let responseBody: string;
+	try {
+		const response = await handleProxy(req, url, ctx, {
+			replayOf: requestId,
+			requestId: replayId,
+			clientKey,
+			keepModel: Boolean(options.model),
+		});
+		responseBody = await response.text();
+	} catch (error) {
+		summary.cancel();
+		throw error;
+	}
+
+	const replay: RequestResponse | RequestRecord | null =
+		(await summary.promise) ?? ctx.dbOps.getRequest(replayId);
+	if (!replay) {
+		throw new Error(`Replay ${replayId} finished but was not recorded`);
+	}
+
+	return {
+		original: toSide(
+			original,
+			accounts,
+			decodeBody(payload.response?.body),
+			payload.response?.truncated ?? false,
+		),
+		replay: toSide(replay, accounts, responseBody),
+	};
+}
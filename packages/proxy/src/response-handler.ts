@@ -3,8 +3,9 @@ import {
 	sanitizeRequestHeaders,
 	withSanitizedProxyHeaders,
 } from "@better-ccflare/http-common";
-import type { Account } from "@better-ccflare/types";
+import type { Account, ApiFormat } from "@better-ccflare/types";
 import type { ProxyContext } from "./handlers";
+import { releasePendingRequest } from "./handlers/pending-client-usage";
 import type { ChunkMessage, EndMessage, StartMessage } from "./worker-messages";
 
 /**
@@ -48,6 +49,10 @@ export interface ResponseHandlerOptions {
 	retryAttempt: number;
 	failoverAttempts: number;
 	agentUsed?: string | null;
+	apiFormat?: ApiFormat;
+	clientKeyId?: string | null;
+	replayOf?: string | null;
+	sessionId?: string | null;
 }
 
 /**
@@ -71,6 +76,10 @@ export async function forwardToClient(
 		retryAttempt, // Always 0 in new flow, but kept for message compatibility
 		failoverAttempts,
 		agentUsed,
+		apiFormat,
+		clientKeyId,
+		replayOf,
+		sessionId,
 	} = options;
 
 	// Always strip compression headers *before* we do anything else
@@ -108,10 +117,17 @@ export async function forwardToClient(
 			isStream,
 			providerName: ctx.provider.name,
 			agentUsed: agentUsed || null,
+			apiFormat: apiFormat || "anthropic",
+			clientKeyId: clientKeyId || null,
+			replayOf: replayOf || null,
+			sessionId: sessionId || null,
 			retryAttempt,
 			failoverAttempts,
 		};
 		safePostMessage(ctx.usageWorker, startMessage);
+	} else if (clientKeyId) {
+		// Never recorded, so it stops counting towards the key's quotas
+		releasePendingRequest(requestId);
 	}
 
 	// Emit request start event for real-time dashboard
@@ -1,3 +1,5 @@
+import type { ApiFormat } from "@better-ccflare/types";
+
 /**
  * Unified message protocol for main thread <-> worker communication
  * Handles both streaming and non-streaming responses
@@ -26,6 +28,18 @@ export interface StartMessage {
 	// Agent info
 	agentUsed: string | null;
 
+	// Wire format the client used (requests go upstream as Anthropic)
+	apiFormat: ApiFormat;
+
+	// Client key the request was authenticated with
+	clientKeyId: string | null;
+
+	// Stored request this one replays; replays are excluded from stats
+	replayOf: string | null;
+
+	// Claude Code session, for correlating with imported session logs
+	sessionId: string | null;
+
 	// Retry info
 	retryAttempt: number;
 	failoverAttempts: number;
@@ -68,6 +82,8 @@ export interface WorkerResponse {
 export interface SummaryMessage {
 	type: "summary";
 	summary: import("@better-ccflare/types").RequestResponse;
+	// Backlog of the worker's database writer, reported for metrics
+	writer?: { queueDepth: number; droppedJobs: number };
 }
 
 export interface PayloadMessage {
@@ -75,4 +91,14 @@ export interface PayloadMessage {
 	payload: import("@better-ccflare/types").RequestPayload;
 }
 
-export type OutgoingWorkerMessage = SummaryMessage | PayloadMessage;
+// Sent once a client key request's final row has been written, or when it
+// will not be recorded, so the main thread stops counting it from memory
+export interface RecordedMessage {
+	type: "recorded";
+	requestId: string;
+}
+
+export type OutgoingWorkerMessage =
+	| SummaryMessage
+	| PayloadMessage
+	| RecordedMessage;
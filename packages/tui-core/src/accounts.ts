@@ -18,7 +18,7 @@ export async function beginAddAccount(
 ): Promise<OAuthFlowResult> {
 	const { name, mode = "max" } = options;
 
-	// z.ai and openai-compatible accounts don't use OAuth flow
+	// API key and cloud accounts don't use OAuth flow
 	if (mode === "zai") {
 		throw new Error(
 			"z.ai accounts should be added directly with API key, not via OAuth flow",
@@ -29,6 +29,11 @@ export async function beginAddAccount(
 			"OpenAI-compatible accounts should be added directly with API key, not via OAuth flow",
 		);
 	}
+	if (mode === "bedrock" || mode === "vertex") {
+		throw new Error(
+			"Bedrock and Vertex AI accounts should be added directly with cloud credentials, not via OAuth flow",
+		);
+	}
 
 	const config = new Config();
 	const dbOps = DatabaseFactory.getInstance();
@@ -86,7 +86,7 @@ export async function getAnalytics(timeRange: string): Promise<Analytics> {
 				NULLIF(SUM(COALESCE(input_tokens, 0) + COALESCE(cache_read_input_tokens, 0) + COALESCE(cache_creation_input_tokens, 0)), 0) as cache_hit_rate,
 			SUM(CASE WHEN success = 1 THEN 1 ELSE 0 END) * 100.0 / NULLIF(COUNT(*), 0) as success_rate
 		FROM requests
-		WHERE timestamp > ?
+		WHERE timestamp > ? AND replay_of IS NULL
 		GROUP BY ts
 		ORDER BY ts
 	`);
@@ -111,7 +111,7 @@ export async function getAnalytics(timeRange: string): Promise<Analytics> {
 			model,
 			COUNT(*) as count
 		FROM requests
-		WHERE timestamp > ? AND model IS NOT NULL
+		WHERE timestamp > ? AND replay_of IS NULL AND model IS NOT NULL
 		GROUP BY model
 		ORDER BY count DESC
 	`);
@@ -141,7 +141,7 @@ export async function getAnalytics(timeRange: string): Promise<Analytics> {
 			SUM(COALESCE(cache_creation_input_tokens, 0)) as cacheCreationInputTokens,
 			SUM(COALESCE(output_tokens, 0)) as outputTokens
 		FROM requests
-		WHERE timestamp > ?
+		WHERE timestamp > ? AND replay_of IS NULL
 	`);
 
 	const tokenData = tokenBreakdownQuery.get(startMs) as {
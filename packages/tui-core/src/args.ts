@@ -1,4 +1,5 @@
 import { parseArgs as nodeParseArgs } from "node:util";
+import type { AccountMode } from "@better-ccflare/types";
 
 export interface ParsedArgs {
 	help?: boolean;
@@ -8,7 +9,7 @@ export interface ParsedArgs {
 	logs?: boolean | number;
 	stats?: boolean;
 	addAccount?: string;
-	mode?: "max" | "console" | "zai" | "openai-compatible";
+	mode?: AccountMode;
 	tier?: 1 | 5 | 20;
 	priority?: number;
 	list?: boolean;
@@ -21,6 +22,32 @@ export interface ParsedArgs {
 	clearHistory?: boolean;
 	getModel?: boolean;
 	setModel?: string;
+	getStrategy?: boolean;
+	setStrategy?: string;
+	utilizationWindow?: string;
+	maxUtilization?: number;
+	listKeys?: boolean;
+	createKey?: string;
+	revokeKey?: string;
+	deleteKey?: string;
+	models?: string;
+	dailyRequests?: number;
+	dailyTokens?: number;
+	dailyCost?: number;
+	expires?: string;
+	replay?: string;
+	account?: string;
+	model?: string;
+	rotateKey?: boolean;
+	exportBundle?: string;
+	importBundle?: string;
+	report?: boolean;
+	from?: string;
+	to?: string;
+	groupBy?: string;
+	format?: string;
+	output?: string;
+	includeLogOnly?: boolean;
 	sslKey?: string;
 	sslCert?: string;
 }
@@ -50,6 +77,32 @@ export function parseArgs(args: string[]): ParsedArgs {
 				"clear-history": { type: "boolean" },
 				"get-model": { type: "boolean" },
 				"set-model": { type: "string" },
+				"get-strategy": { type: "boolean" },
+				"set-strategy": { type: "string" },
+				window: { type: "string" },
+				"max-utilization": { type: "string" },
+				"list-keys": { type: "boolean" },
+				"create-key": { type: "string" },
+				"revoke-key": { type: "string" },
+				"delete-key": { type: "string" },
+				models: { type: "string" },
+				"daily-requests": { type: "string" },
+				"daily-tokens": { type: "string" },
+				"daily-cost": { type: "string" },
+				expires: { type: "string" },
+				replay: { type: "string" },
+				account: { type: "string" },
+				model: { type: "string" },
+				"rotate-key": { type: "boolean" },
+				export: { type: "string" },
+				import: { type: "string" },
+				report: { type: "boolean" },
+				from: { type: "string" },
+				to: { type: "string" },
+				"group-by": { type: "string" },
+				format: { type: "string" },
+				output: { type: "string" },
+				"include-log-only": { type: "boolean" },
 				"ssl-key": { type: "string" },
 				"ssl-cert": { type: "string" },
 			},
@@ -67,12 +120,7 @@ export function parseArgs(args: string[]): ParsedArgs {
 		}
 		if (values.stats) result.stats = true;
 		if (values["add-account"]) result.addAccount = values["add-account"];
-		if (values.mode)
-			result.mode = values.mode as
-				| "max"
-				| "console"
-				| "zai"
-				| "openai-compatible";
+		if (values.mode) result.mode = values.mode as AccountMode;
 		if (values.tier) result.tier = parseInt(values.tier, 10) as 1 | 5 | 20;
 		if (values.priority) result.priority = parseInt(values.priority, 10);
 		if (values.list) result.list = true;
@@ -87,6 +135,41 @@ export function parseArgs(args: string[]): ParsedArgs {
 		if (values["clear-history"]) result.clearHistory = true;
 		if (values["get-model"]) result.getModel = true;
 		if (values["set-model"]) result.setModel = values["set-model"];
+		if (values["get-strategy"]) result.getStrategy = true;
+		if (values["set-strategy"]) result.setStrategy = values["set-strategy"];
+		if (values.window) result.utilizationWindow = values.window;
+		if (values["max-utilization"]) {
+			const maxUtilization = parseFloat(values["max-utilization"]);
+			if (!Number.isNaN(maxUtilization)) result.maxUtilization = maxUtilization;
+		}
+		if (values["list-keys"]) result.listKeys = true;
+		if (values["create-key"]) result.createKey = values["create-key"];
+		if (values["revoke-key"]) result.revokeKey = values["revoke-key"];
+		if (values["delete-key"]) result.deleteKey = values["delete-key"];
+		if (values.models) result.models = values.models;
+		if (values["daily-requests"]) {
+			result.dailyRequests = parseInt(values["daily-requests"], 10);
+		}
+		if (values["daily-tokens"]) {
+			result.dailyTokens = parseInt(values["daily-tokens"], 10);
+		}
+		if (values["daily-cost"]) {
+			result.dailyCost = parseFloat(values["daily-cost"]);
+		}
+		if (values.expires) result.expires = values.expires;
+		if (values.replay) result.replay = values.replay;
+		if (values.account) result.account = values.account;
+		if (values.model) result.model = values.model;
+		if (values["rotate-key"]) result.rotateKey = true;
+		if (values.export) result.exportBundle = values.export;
+		if (values.import) result.importBundle = values.import;
+		if (values.report) result.report = true;
+		if (values.from) result.from = values.from;
+		if (values.to) result.to = values.to;
+		if (values["group-by"]) result.groupBy = values["group-by"];
+		if (values.format) result.format = values.format;
+		if (values.output) result.output = values.output;
+		if (values["include-log-only"]) result.includeLogOnly = true;
 		if (values["ssl-key"]) result.sslKey = values["ssl-key"];
 		if (values["ssl-cert"]) result.sslCert = values["ssl-cert"];
 
@@ -0,0 +1,28 @@
+import * as cliCommands from "@better-ccflare/cli-commands";
+import { Config } from "@better-ccflare/config";
+import { DatabaseFactory } from "@better-ccflare/database";
+
+export async function rotateMasterKey(): Promise<{
+	success: boolean;
+	message: string;
+	key?: string;
+}> {
+	const dbOps = DatabaseFactory.getInstance();
+	return cliCommands.rotateMasterKey(dbOps);
+}
+
+export async function exportBackup(
+	filePath: string,
+): Promise<{ success: boolean; message: string }> {
+	const dbOps = DatabaseFactory.getInstance();
+	const passphrase = await cliCommands.getBundlePassphrase();
+	return cliCommands.exportBackup(dbOps, new Config(), filePath, passphrase);
+}
+
+export async function importBackup(
+	filePath: string,
+): Promise<{ success: boolean; message: string }> {
+	const dbOps = DatabaseFactory.getInstance();
+	const passphrase = await cliCommands.getBundlePassphrase();
+	return cliCommands.importBackup(dbOps, new Config(), filePath, passphrase);
+}
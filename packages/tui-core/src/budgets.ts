@@ -0,0 +1,16 @@
+import * as cliCommands from "@better-ccflare/cli-commands";
+import { DatabaseFactory } from "@better-ccflare/database";
+import type { BudgetResponse } from "@better-ccflare/types";
+
+export async function listBudgets(): Promise<BudgetResponse[]> {
+	const dbOps = DatabaseFactory.getInstance();
+	return cliCommands.listBudgets(dbOps);
+}
+
+/**
+ * Budgets past their first threshold or their limit in the current window
+ */
+export async function getBudgetWarnings(): Promise<BudgetResponse[]> {
+	const budgets = await listBudgets();
+	return budgets.filter((budget) => budget.level !== "ok");
+}
@@ -1,7 +1,12 @@
 export * from "./accounts";
 export * from "./analytics";
 export * from "./args";
+export * from "./backup";
+export * from "./budgets";
+export * from "./keys";
 export * from "./logs";
+export * from "./replay";
+export * from "./report";
 export * from "./requests";
 export * from "./stats";
 export * from "./strategy";
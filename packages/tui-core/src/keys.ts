@@ -0,0 +1,32 @@
+import * as cliCommands from "@better-ccflare/cli-commands";
+import { DatabaseFactory } from "@better-ccflare/database";
+import type {
+	ClientKeyCreateRequest,
+	ClientKeyResponse,
+} from "@better-ccflare/types";
+
+export async function listClientKeys(): Promise<ClientKeyResponse[]> {
+	const dbOps = DatabaseFactory.getInstance();
+	return cliCommands.listClientKeys(dbOps);
+}
+
+export async function createClientKey(
+	options: ClientKeyCreateRequest,
+): Promise<{ success: boolean; message: string; key?: string }> {
+	const dbOps = DatabaseFactory.getInstance();
+	return cliCommands.createClientKey(dbOps, options);
+}
+
+export async function revokeClientKey(
+	name: string,
+): Promise<{ success: boolean; message: string }> {
+	const dbOps = DatabaseFactory.getInstance();
+	return cliCommands.revokeClientKey(dbOps, name);
+}
+
+export async function deleteClientKey(
+	name: string,
+): Promise<{ success: boolean; message: string }> {
+	const dbOps = DatabaseFactory.getInstance();
+	return cliCommands.deleteClientKey(dbOps, name);
+}
@@ -0,0 +1,24 @@
+import * as cliCommands from "@better-ccflare/cli-commands";
+import { Config } from "@better-ccflare/config";
+import { NETWORK } from "@better-ccflare/core";
+import type { ReplayRequest, ReplayResult } from "@better-ccflare/types";
+
+function getBaseUrl(port?: number): string {
+	const protocol =
+		process.env.SSL_KEY_PATH && process.env.SSL_CERT_PATH ? "https" : "http";
+	const serverPort =
+		port || new Config().getRuntime().port || NETWORK.DEFAULT_PORT;
+	return `${protocol}://localhost:${serverPort}`;
+}
+
+export async function replayRequest(
+	requestId: string,
+	options: ReplayRequest = {},
+	port?: number,
+): Promise<{ success: boolean; message: string; result?: ReplayResult }> {
+	return cliCommands.replayRequest(getBaseUrl(port), requestId, options);
+}
+
+export function formatReplayComparison(result: ReplayResult): string {
+	return cliCommands.formatReplayComparison(result);
+}
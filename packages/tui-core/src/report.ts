@@ -0,0 +1,32 @@
+import { writeFileSync } from "node:fs";
+import * as cliCommands from "@better-ccflare/cli-commands";
+import { DatabaseFactory } from "@better-ccflare/database";
+import type { UsageReportRequest } from "@better-ccflare/types";
+
+/**
+ * Generate a usage report and either write it to a file or return it.
+ * Output defaults to Markdown.
+ */
+export async function generateReport(
+	request: UsageReportRequest,
+	outputPath?: string,
+): Promise<{ success: boolean; message: string; output?: string }> {
+	const dbOps = DatabaseFactory.getInstance();
+	const result = cliCommands.generateReport(dbOps, {
+		...request,
+		format: request.format ?? "markdown",
+	});
+	if (!result.success || !result.report || !result.format) {
+		return { success: false, message: result.message };
+	}
+
+	const output = cliCommands.formatReport(result.report, result.format);
+	if (!outputPath) {
+		return { success: true, message: result.message, output };
+	}
+	writeFileSync(outputPath, output);
+	return {
+		success: true,
+		message: `Wrote ${result.report.rows.length} row(s) to ${outputPath}`,
+	};
+}
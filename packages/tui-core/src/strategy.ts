@@ -1,4 +1,5 @@
-import { Config } from "@better-ccflare/config";
+import { Config, type StrategyOptions } from "@better-ccflare/config";
+import { getAdminAuthHeaders } from "@better-ccflare/core";
 
 async function getPort(): Promise<number> {
 	const config = new Config();
@@ -17,29 +18,48 @@ export async function getStrategy(): Promise<string> {
 	const port = await getPort();
 	const protocol = getProtocol();
 	const baseUrl = `${protocol}://localhost:${port}`;
-	const res = await fetch(`${baseUrl}/api/config/strategy`);
+	const res = await fetch(`${baseUrl}/api/config/strategy`, {
+		headers: getAdminAuthHeaders(),
+	});
 	if (!res.ok) throw new Error("Failed to fetch strategy");
 	const data = (await res.json()) as { strategy: string };
 	return data.strategy;
 }
 
+export async function getStrategyOptions(): Promise<StrategyOptions> {
+	const port = await getPort();
+	const protocol = getProtocol();
+	const baseUrl = `${protocol}://localhost:${port}`;
+	const res = await fetch(`${baseUrl}/api/config/strategy`, {
+		headers: getAdminAuthHeaders(),
+	});
+	if (!res.ok) throw new Error("Failed to fetch strategy options");
+	const data = (await res.json()) as { options: StrategyOptions };
+	return data.options;
+}
+
 export async function listStrategies(): Promise<string[]> {
 	const port = await getPort();
 	const protocol = getProtocol();
 	const baseUrl = `${protocol}://localhost:${port}`;
-	const res = await fetch(`${baseUrl}/api/strategies`);
+	const res = await fetch(`${baseUrl}/api/strategies`, {
+		headers: getAdminAuthHeaders(),
+	});
 	if (!res.ok) throw new Error("Failed to list strategies");
 	return res.json() as Promise<string[]>;
 }
 
-export async function setStrategy(strategy: string): Promise<void> {
+export async function setStrategy(
+	strategy: string,
+	options?: Partial<StrategyOptions>,
+): Promise<void> {
 	const port = await getPort();
 	const protocol = getProtocol();
 	const baseUrl = `${protocol}://localhost:${port}`;
 	const res = await fetch(`${baseUrl}/api/config/strategy`, {
 		method: "POST",
-		headers: { "Content-Type": "application/json" },
-		body: JSON.stringify({ strategy }),
+		headers: { "Content-Type": "application/json", ...getAdminAuthHeaders() },
+		body: JSON.stringify({ strategy, options }),
 	});
 	if (!res.ok) {
 		const error = (await res.json()) as { error?: string };
@@ -1,3 +1,5 @@
+import type { AccountMode } from "./constants";
+
 // Usage data types for Anthropic accounts
 export interface UsageWindowData {
 	utilization: number | null;
@@ -134,7 +136,7 @@ export interface AccountListItem {
 	tokenStatus: "valid" | "expired";
 	rateLimitStatus: string;
 	sessionInfo: string;
-	mode: "max" | "console" | "zai" | "openai-compatible";
+	mode: AccountMode;
 	priority: number;
 	autoFallbackEnabled: boolean;
 	autoRefreshEnabled: boolean;
@@ -143,12 +145,38 @@ export interface AccountListItem {
 // Account creation types
 export interface AddAccountOptions {
 	name: string;
-	mode?: "max" | "console" | "zai" | "openai-compatible";
+	mode?: AccountMode;
 	tier?: 1 | 5 | 20;
 	priority?: number;
 	customEndpoint?: string;
 }
 
+// Body of POST /api/accounts/bedrock
+export interface BedrockAccountAddRequest {
+	name: string;
+	accessKeyId: string;
+	secretAccessKey: string;
+	sessionToken?: string;
+	region: string;
+	inferenceProfile?: string; // Cross-region inference profile, e.g. "us"
+	endpoint?: string; // Replaces the regional endpoint
+	tier?: number;
+	priority?: number;
+	modelMappings?: { [key: string]: string };
+}
+
+// Body of POST /api/accounts/vertex
+export interface VertexAccountAddRequest {
+	name: string;
+	serviceAccountKey: string | Record<string, unknown>; // Key file contents
+	region: string;
+	projectId?: string; // Defaults to the project of the key
+	endpoint?: string;
+	tier?: number;
+	priority?: number;
+	modelMappings?: { [key: string]: string };
+}
+
 export interface AccountDeleteRequest {
 	confirm: string;
 }
@@ -1,9 +1,21 @@
+/**
+ * Wire format a client used to reach the proxy. Requests are always sent
+ * upstream in Anthropic format; this records what the client spoke.
+ */
+export type ApiFormat = "anthropic" | "openai";
+
 export interface RequestMeta {
 	id: string;
 	method: string;
 	path: string;
 	timestamp: number;
 	agentUsed?: string | null;
+	apiFormat?: ApiFormat;
+	clientKeyId?: string | null;
+	/** Set when the request replays a stored request */
+	replayOf?: string | null;
+	/** Claude Code session id, used to correlate with imported session logs */
+	sessionId?: string | null;
 	headers?: Headers;
 }
 
@@ -0,0 +1,167 @@
+// Cost budgets evaluated against estimated request and Claude Code log costs
+
+export const BUDGET_SCOPES = ["global", "account", "project"] as const;
+export type BudgetScope = (typeof BUDGET_SCOPES)[number];
+
+export const BUDGET_PERIODS = ["daily", "weekly", "monthly"] as const;
+export type BudgetPeriod = (typeof BUDGET_PERIODS)[number];
+
+/** Percentages of the limit that trigger an alert when none are configured */
+export const DEFAULT_BUDGET_THRESHOLDS = [80, 100];
+
+// Database row type
+export interface BudgetRow {
+	id: string;
+	name: string;
+	scope: BudgetScope;
+	target: string | null; // account id or project path
+	period: BudgetPeriod;
+	limit_usd: number;
+	thresholds: string; // JSON array of percentages
+	webhook_urls: string | null; // JSON array
+	auto_pause: 0 | 1;
+	enabled: 0 | 1;
+	created_at: number;
+	// Evaluation state, kept so alerts and pauses survive restarts
+	window_start: number | null;
+	notified_threshold: number;
+	paused_account_ids: string | null; // JSON array
+}
+
+// Domain model
+export interface Budget {
+	id: string;
+	name: string;
+	scope: BudgetScope;
+	target: string | null;
+	period: BudgetPeriod;
+	limitUsd: number;
+	thresholds: number[];
+	webhookUrls: string[];
+	autoPause: boolean;
+	enabled: boolean;
+	createdAt: number;
+	windowStart: number | null;
+	notifiedThreshold: number;
+	pausedAccountIds: string[];
+}
+
+export type BudgetLevel = "ok" | "warning" | "exceeded";
+
+// API response type
+export interface BudgetResponse {
+	id: string;
+	name: string;
+	scope: BudgetScope;
+	target: string | null;
+	targetName: string | null;
+	period: BudgetPeriod;
+	limitUsd: number;
+	thresholds: number[];
+	webhookUrls: string[];
+	autoPause: boolean;
+	enabled: boolean;
+	createdAt: string;
+	windowStart: string;
+	resetsAt: string;
+	spendUsd: number;
+	percentUsed: number;
+	level: BudgetLevel;
+	pausedAccountIds: string[];
+}
+
+export interface BudgetCreateRequest {
+	name: string;
+	scope: BudgetScope;
+	/** Account name or id for account budgets, project path for project budgets */
+	target?: string | null;
+	period: BudgetPeriod;
+	limitUsd: number;
+	thresholds?: number[];
+	webhookUrls?: string[];
+	autoPause?: boolean;
+}
+
+export type BudgetUpdateRequest = Partial<
+	Pick<
+		BudgetCreateRequest,
+		"limitUsd" | "thresholds" | "webhookUrls" | "autoPause"
+	> & { enabled: boolean }
+>;
+
+/** Sent on requestEvents and to webhooks when a budget crosses a threshold */
+export interface BudgetAlert {
+	event: "budget.threshold" | "budget.reset";
+	budget: {
+		id: string;
+		name: string;
+		scope: BudgetScope;
+		target: string | null;
+		period: BudgetPeriod;
+		limitUsd: number;
+	};
+	threshold: number | null;
+	spendUsd: number;
+	percentUsed: number;
+	windowStart: string;
+	resetsAt: string;
+	pausedAccountIds: string[];
+	resumedAccountIds: string[];
+	timestamp: string;
+}
+
+function parseJsonArray<T>(value: string | null): T[] {
+	if (!value) return [];
+	try {
+		const parsed = JSON.parse(value);
+		return Array.isArray(parsed) ? parsed : [];
+	} catch {
+		return [];
+	}
+}
+
+// Type mappers
+export function toBudget(row: BudgetRow): Budget {
+	const thresholds = parseJsonArray<number>(row.thresholds);
+	return {
+		id: row.id,
+		name: row.name,
+		scope: row.scope,
+		target: row.target,
+		period: row.period,
+		limitUsd: row.limit_usd,
+		thresholds:
+			thresholds.length > 0
+				? thresholds.sort((a, b) => a - b)
+				: DEFAULT_BUDGET_THRESHOLDS,
+		webhookUrls: parseJsonArray<string>(row.webhook_urls),
+		autoPause: row.auto_pause === 1,
+		enabled: row.enabled === 1,
+		createdAt: row.created_at,
+		windowStart: row.window_start,
+		notifiedThreshold: row.notified_threshold,
+		pausedAccountIds: parseJsonArray<string>(row.paused_account_ids),
+	};
+}
+
+export function getBudgetLevel(
+	budget: Budget,
+	percentUsed: number,
+): BudgetLevel {
+	if (percentUsed >= 100) return "exceeded";
+	return percentUsed >= budget.thresholds[0] ? "warning" : "ok";
+}
+
+/**
+ * Highest threshold the spend has reached, if any. Reaching the limit always
+ * counts, even if 100 is not one of the budget's thresholds.
+ */
+export function getCrossedBudgetThreshold(
+	budget: Budget,
+	percentUsed: number,
+): number | undefined {
+	const thresholds = budget.thresholds.includes(100)
+		? budget.thresholds
+		: [...budget.thresholds, 100].sort((a, b) => a - b);
+	return thresholds.filter((t) => percentUsed >= t).pop();
+}
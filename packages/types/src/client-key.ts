@@ -0,0 +1,137 @@
+// Client API keys issued by the proxy to identify and limit callers
+
+/**
+ * Cookie the dashboard keeps the admin token in. A cookie rather than a
+ * header so EventSource streams are authenticated too.
+ */
+export const ADMIN_TOKEN_COOKIE = "better_ccflare_admin";
+
+// Database row type
+export interface ClientKeyRow {
+	id: string;
+	name: string;
+	key_hash: string;
+	key_prefix: string;
+	allowed_models: string | null; // JSON array
+	daily_request_limit: number | null;
+	daily_token_limit: number | null;
+	daily_cost_limit: number | null;
+	expires_at: number | null;
+	created_at: number;
+	last_used: number | null;
+	revoked_at: number | null;
+}
+
+// Domain model
+export interface ClientKey {
+	id: string;
+	name: string;
+	keyPrefix: string;
+	allowedModels: string[] | null;
+	dailyRequestLimit: number | null;
+	dailyTokenLimit: number | null;
+	dailyCostLimit: number | null;
+	expiresAt: number | null;
+	createdAt: number;
+	lastUsed: number | null;
+	revokedAt: number | null;
+}
+
+export type ClientKeyStatus = "active" | "expired" | "revoked";
+
+/** Usage attributed to a key since the start of the current UTC day */
+export interface ClientKeyUsage {
+	requests: number;
+	tokens: number;
+	costUsd: number;
+}
+
+// API response type
+export interface ClientKeyResponse {
+	id: string;
+	name: string;
+	keyPrefix: string;
+	allowedModels: string[] | null;
+	dailyRequestLimit: number | null;
+	dailyTokenLimit: number | null;
+	dailyCostLimit: number | null;
+	expiresAt: string | null;
+	createdAt: string;
+	lastUsed: string | null;
+	revokedAt: string | null;
+	status: ClientKeyStatus;
+	usageToday: ClientKeyUsage;
+}
+
+export interface ClientKeyCreateRequest {
+	name: string;
+	allowedModels?: string[] | null;
+	dailyRequestLimit?: number | null;
+	dailyTokenLimit?: number | null;
+	dailyCostLimit?: number | null;
+	/** Expiry as an ISO date string or epoch milliseconds */
+	expiresAt?: string | number | null;
+}
+
+export interface ClientKeyCreateResponse {
+	/** The plaintext key; only ever returned once */
+	key: string;
+	clientKey: ClientKeyResponse;
+}
+
+// Type mappers
+export function toClientKey(row: ClientKeyRow): ClientKey {
+	let allowedModels: string[] | null = null;
+	if (row.allowed_models) {
+		try {
+			const parsed = JSON.parse(row.allowed_models);
+			allowedModels = Array.isArray(parsed) ? parsed : null;
+		} catch {
+			allowedModels = null;
+		}
+	}
+
+	return {
+		id: row.id,
+		name: row.name,
+		keyPrefix: row.key_prefix,
+		allowedModels,
+		dailyRequestLimit: row.daily_request_limit,
+		dailyTokenLimit: row.daily_token_limit,
+		dailyCostLimit: row.daily_cost_limit,
+		expiresAt: row.expires_at,
+		createdAt: row.created_at,
+		lastUsed: row.last_used,
+		revokedAt: row.revoked_at,
+	};
+}
+
+export function getClientKeyStatus(
+	key: ClientKey,
+	now = Date.now(),
+): ClientKeyStatus {
+	if (key.revokedAt) return "revoked";
+	if (key.expiresAt && key.expiresAt <= now) return "expired";
+	return "active";
+}
+
+export function toClientKeyResponse(
+	key: ClientKey,
+	usageToday: ClientKeyUsage,
+): ClientKeyResponse {
+	return {
+		id: key.id,
+		name: key.name,
+		keyPrefix: key.keyPrefix,
+		allowedModels: key.allowedModels,
+		dailyRequestLimit: key.dailyRequestLimit,
+		dailyTokenLimit: key.dailyTokenLimit,
+		dailyCostLimit: key.dailyCostLimit,
+		expiresAt: key.expiresAt ? new Date(key.expiresAt).toISOString() : null,
+		createdAt: new Date(key.createdAt).toISOString(),
+		lastUsed: key.lastUsed ? new Date(key.lastUsed).toISOString() : null,
+		revokedAt: key.revokedAt ? new Date(key.revokedAt).toISOString() : null,
+		status: getClientKeyStatus(key),
+		usageToday,
+	};
+}
@@ -5,6 +5,8 @@ export const PROVIDER_NAMES = {
 	ANTHROPIC: "anthropic",
 	ZAI: "zai",
 	OPENAI_COMPATIBLE: "openai-compatible",
+	BEDROCK: "bedrock",
+	VERTEX: "vertex",
 } as const;
 
 export type ProviderName = (typeof PROVIDER_NAMES)[keyof typeof PROVIDER_NAMES];
@@ -17,6 +19,8 @@ export const ACCOUNT_MODES = {
 	CONSOLE: "console", // Claude API account
 	ZAI: "zai", // z.ai account (API key)
 	OPENAI_COMPATIBLE: "openai-compatible", // OpenAI-compatible provider (API key)
+	BEDROCK: "bedrock", // Amazon Bedrock (AWS access keys)
+	VERTEX: "vertex", // Google Vertex AI (service account key)
 } as const;
 
 export type AccountMode = (typeof ACCOUNT_MODES)[keyof typeof ACCOUNT_MODES];
@@ -54,6 +58,24 @@ export const API_KEY_PROVIDERS: ReadonlySet<ProviderName> = new Set([
 	PROVIDER_NAMES.OPENAI_COMPATIBLE,
 ]);
 
+/**
+ * Cloud providers that serve Claude under an enterprise contract. Their
+ * accounts keep region settings in custom_endpoint.
+ */
+export const CLOUD_PROVIDERS: ReadonlySet<ProviderName> = new Set([
+	PROVIDER_NAMES.BEDROCK,
+	PROVIDER_NAMES.VERTEX,
+]);
+
+/**
+ * Providers that map requested models through the account's model mappings
+ */
+export const MODEL_MAPPING_PROVIDERS: ReadonlySet<ProviderName> = new Set([
+	PROVIDER_NAMES.OPENAI_COMPATIBLE,
+	PROVIDER_NAMES.BEDROCK,
+	PROVIDER_NAMES.VERTEX,
+]);
+
 /**
  * Check if a provider supports OAuth authentication
  */
@@ -75,6 +97,20 @@ export function usesApiKey(provider: string): boolean {
 	return API_KEY_PROVIDERS.has(provider as ProviderName);
 }
 
+/**
+ * Check if a provider is a cloud provider such as Bedrock or Vertex AI
+ */
+export function isCloudProvider(provider: string): boolean {
+	return CLOUD_PROVIDERS.has(provider as ProviderName);
+}
+
+/**
+ * Check if a provider supports model mappings
+ */
+export function supportsModelMappings(provider: string): boolean {
+	return MODEL_MAPPING_PROVIDERS.has(provider as ProviderName);
+}
+
 /**
  * Get provider name from account mode
  */
@@ -87,6 +123,10 @@ export function getProviderFromMode(mode: AccountMode): ProviderName {
 			return PROVIDER_NAMES.ZAI;
 		case ACCOUNT_MODES.OPENAI_COMPATIBLE:
 			return PROVIDER_NAMES.OPENAI_COMPATIBLE;
+		case ACCOUNT_MODES.BEDROCK:
+			return PROVIDER_NAMES.BEDROCK;
+		case ACCOUNT_MODES.VERTEX:
+			return PROVIDER_NAMES.VERTEX;
 		default:
 			return PROVIDER_NAMES.ANTHROPIC;
 	}
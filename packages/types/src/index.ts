@@ -4,11 +4,15 @@ export * from "./agent";
 export * from "./agent-constants";
 // Keep existing exports for backward compatibility
 export * from "./api";
+export * from "./budget";
 export * from "./claude-usage";
+export * from "./client-key";
 export * from "./constants";
 export * from "./context";
 export * from "./conversation";
 export * from "./logging";
+export * from "./replay";
+export * from "./report";
 export * from "./request";
 export * from "./stats";
 export * from "./strategy";
@@ -0,0 +1,36 @@
+// Replaying stored requests against another account or model
+
+/** Body of POST /api/requests/:id/replay */
+export interface ReplayRequest {
+	/** Account name or id to send the replay through; defaults to the original account */
+	account?: string;
+	/** Model to request instead of the one in the stored body */
+	model?: string;
+}
+
+/** One side of a replay comparison */
+export interface ReplaySide {
+	requestId: string;
+	timestamp: string;
+	accountId: string | null;
+	accountName: string | null;
+	model: string | null;
+	statusCode: number | null;
+	success: boolean;
+	errorMessage: string | null;
+	responseTimeMs: number | null;
+	inputTokens: number;
+	outputTokens: number;
+	cacheReadInputTokens: number;
+	cacheCreationInputTokens: number;
+	totalTokens: number;
+	costUsd: number;
+	/** Decoded response body (raw SSE text for streamed responses) */
+	responseBody: string | null;
+	responseTruncated: boolean;
+}
+
+export interface ReplayResult {
+	original: ReplaySide;
+	replay: ReplaySide;
+}
@@ -0,0 +1,105 @@
+// Usage reports that combine proxied requests with imported Claude Code logs
+
+export const REPORT_GROUP_BY = ["project", "account", "agent", "day"] as const;
+export type ReportGroupBy = (typeof REPORT_GROUP_BY)[number];
+
+export const REPORT_FORMATS = ["json", "csv", "markdown"] as const;
+export type ReportFormat = (typeof REPORT_FORMATS)[number];
+
+/** Project or account label for requests that cannot be attributed */
+export const REPORT_UNKNOWN = "(unknown)";
+/** Account label for log entries that did not go through the proxy */
+export const REPORT_DIRECT_ACCOUNT = "(direct)";
+/** Agent label for requests that did not use an agent */
+export const REPORT_NO_AGENT = "(none)";
+
+// Proxied request as read for a report
+export interface ReportRequestRow {
+	id: string;
+	timestamp: number; // when the request arrived
+	response_time_ms: number | null;
+	model: string | null;
+	account_used: string | null;
+	account_name: string | null;
+	agent_used: string | null;
+	session_id: string | null;
+	input_tokens: number | null;
+	output_tokens: number | null;
+	cache_read_input_tokens: number | null;
+	cache_creation_input_tokens: number | null;
+	cost_usd: number | null;
+}
+
+// Assistant message from an imported session log as read for a report
+export interface ReportLogEntryRow {
+	uuid: string;
+	session_id: string;
+	project_path: string;
+	timestamp: number;
+	model: string | null;
+	input_tokens: number;
+	output_tokens: number;
+	cache_read_input_tokens: number;
+	cache_creation_input_tokens: number;
+	cost_usd: number;
+}
+
+export interface UsageReportOptions {
+	/** First day included, YYYY-MM-DD (UTC) */
+	from: string;
+	/** Last day included, YYYY-MM-DD (UTC) */
+	to: string;
+	groupBy: ReportGroupBy[];
+	/** Also count log entries that never went through the proxy */
+	includeLogOnly?: boolean;
+}
+
+export interface UsageReportTotals {
+	requests: number;
+	inputTokens: number;
+	outputTokens: number;
+	cacheReadInputTokens: number;
+	cacheCreationInputTokens: number;
+	totalTokens: number;
+	costUsd: number;
+}
+
+export interface UsageReportRow extends UsageReportTotals {
+	project?: string;
+	account?: string;
+	agent?: string;
+	day?: string;
+}
+
+export interface UsageReportCorrelation {
+	/** Requests matched to a log entry of the session they identified */
+	matchedBySession: number;
+	/** Requests matched to a log entry by model and timestamp alone */
+	matchedByTimestamp: number;
+	/** Requests without a matching entry whose session still named a project */
+	sessionOnly: number;
+	/** Requests whose project is REPORT_UNKNOWN */
+	unmatched: number;
+	/** Log entries counted without a proxied request */
+	logOnly: number;
+}
+
+export interface UsageReport {
+	from: string;
+	to: string;
+	groupBy: ReportGroupBy[];
+	generatedAt: string;
+	rows: UsageReportRow[];
+	totals: UsageReportTotals;
+	correlation: UsageReportCorrelation;
+}
+
+// API request type, shared by the CLI and GET /api/reports
+export interface UsageReportRequest {
+	from?: string;
+	to?: string;
+	/** Comma separated list or array of REPORT_GROUP_BY values */
+	groupBy?: string | string[];
+	format?: string;
+	includeLogOnly?: boolean;
+}
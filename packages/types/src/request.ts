@@ -1,3 +1,5 @@
+import type { ApiFormat } from "./api";
+
 // Database row type
 export interface RequestRow {
 	id: string;
@@ -21,6 +23,10 @@ export interface RequestRow {
 	output_tokens: number | null;
 	agent_used: string | null;
 	output_tokens_per_second: number | null;
+	api_format: string | null;
+	client_key_id: string | null;
+	replay_of: string | null;
+	session_id: string | null;
 }
 
 // Domain model
@@ -46,6 +52,10 @@ export interface Request {
 	outputTokens?: number;
 	agentUsed?: string;
 	tokensPerSecond?: number;
+	apiFormat?: ApiFormat;
+	clientKeyId?: string;
+	replayOf?: string;
+	sessionId?: string;
 }
 
 // API response type
@@ -71,6 +81,13 @@ export interface RequestResponse {
 	costUsd?: number;
 	agentUsed?: string;
 	tokensPerSecond?: number;
+	apiFormat?: ApiFormat;
+	clientKeyId?: string;
+	clientKeyName?: string;
+	/** Id of the stored request this one replayed */
+	replayOf?: string;
+	/** Claude Code session that sent the request, when it identified one */
+	sessionId?: string;
 }
 
 // Detailed request with payload
@@ -130,6 +147,10 @@ export function toRequest(row: RequestRow): Request {
 		outputTokens: row.output_tokens || undefined,
 		agentUsed: row.agent_used || undefined,
 		tokensPerSecond: row.output_tokens_per_second || undefined,
+		apiFormat: (row.api_format as ApiFormat | null) || undefined,
+		clientKeyId: row.client_key_id || undefined,
+		replayOf: row.replay_of || undefined,
+		sessionId: row.session_id || undefined,
 	};
 }
 
@@ -156,6 +177,10 @@ export function toRequestResponse(request: Request): RequestResponse {
 		costUsd: request.costUsd,
 		agentUsed: request.agentUsed,
 		tokensPerSecond: request.tokensPerSecond,
+		apiFormat: request.apiFormat,
+		clientKeyId: request.clientKeyId,
+		replayOf: request.replayOf,
+		sessionId: request.sessionId,
 	};
 }
 
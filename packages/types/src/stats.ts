@@ -1,3 +1,5 @@
+import type { StrategyOptions } from "./strategy";
+
 // Stats types
 export interface Stats {
 	totalRequests: number;
@@ -90,6 +92,13 @@ export interface AnalyticsResponse {
 		requests: number;
 		totalTokens?: number;
 	}>;
+	clientKeyUsage: Array<{
+		name: string;
+		requests: number;
+		successRate: number;
+		costUsd: number;
+		totalTokens: number;
+	}>;
 	modelPerformance: ModelPerformance[];
 }
 
@@ -111,6 +120,12 @@ export interface ConfigResponse {
 
 export interface StrategyUpdateRequest {
 	strategy: string;
+	options?: Partial<StrategyOptions>;
+}
+
+export interface StrategyResponse {
+	strategy: string;
+	options: StrategyOptions;
 }
 
 export interface TierUpdateRequest {
@@ -1,9 +1,33 @@
-import type { Account } from "./account";
+import type { Account, FullUsageData } from "./account";
 
 export enum StrategyName {
 	Session = "session",
+	LeastUtilization = "least-utilization",
+	TierWeighted = "tier-weighted",
+	DrainToReset = "drain-to-reset",
 }
 
+/**
+ * Usage window used by usage-aware strategies.
+ * "max" uses whichever of five_hour / seven_day is higher.
+ */
+export type UtilizationWindow = "five_hour" | "seven_day" | "max";
+
+/**
+ * Tunables for the usage-aware strategies
+ */
+export interface StrategyOptions {
+	/** Window least-utilization and drain-to-reset read utilization from */
+	utilizationWindow: UtilizationWindow;
+	/** Utilization percentage (0-100) at which an account is moved to the back of the queue */
+	maxUtilization: number;
+}
+
+/**
+ * Looks up the most recent usage data for an account, or null if none is cached
+ */
+export type UsageDataProvider = (accountId: string) => FullUsageData | null;
+
 /**
  * Interface for strategy-specific database operations
  * Allows strategies to interact with the database without direct SQL access
@@ -1,7 +1,16 @@
+import { fileURLToPath } from "node:url";
 import { VitestReporter } from "tdd-guard-vitest";
 import { defineConfig } from "vitest/config";
 
 export default defineConfig({
+	resolve: {
+		alias: {
+			// Mirrors tsconfig paths for packages whose main points at dist/
+			"@better-ccflare/agents": fileURLToPath(
+				new URL("./packages/agents/src/index.ts", import.meta.url),
+			),
+		},
+	},
 	test: {
 		globals: true,
 		environment: "node",